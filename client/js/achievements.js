@@ -0,0 +1,154 @@
+// Achievements - the browser side of core/achievements.js: keeps progress in
+// localStorage['achievements'], pops a toast on each unlock (and a system
+// notification in the desktop app), and lists them all in a gallery.
+//
+// Everything here is behind the ACHIEVEMENTS feature flag; with it off the
+// tracker never subscribes to game events.
+//
+//   showAchievements();                 // the gallery
+//   achievementTracker.list();          // progress, for the debug console
+
+function achievementsEnabled() {
+    return window.featureFlags ? window.featureFlags.isEnabled('ACHIEVEMENTS') : false;
+}
+
+function loadAchievementState() {
+    try {
+        return JSON.parse(localStorage.getItem('achievements')) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveAchievementState() {
+    localStorage.setItem('achievements', JSON.stringify(achievementTracker.toJSON()));
+}
+
+const achievementTracker = achievementsEnabled()
+    ? new AchievementTracker({
+        state: loadAchievementState(),
+        onProgress: saveAchievementState,
+        onUnlock: (id, achievement) => {
+            saveAchievementState();
+            console.log(`[Achievements] Unlocked: ${achievement.name}`);
+            showAchievementToast(achievement);
+            notifyDesktop(achievement);
+        }
+    })
+    : null;
+
+if (achievementTracker) {
+    achievementTracker.attach(gameEvents);
+    window.achievementTracker = achievementTracker;
+}
+
+// =============================================================================
+// NOTIFICATIONS
+// =============================================================================
+// 🏅 Toasts stack in the top right corner and fade on their own
+function showAchievementToast(achievement) {
+    let stack = document.getElementById('achievementToasts');
+    if (!stack) {
+        stack = document.createElement('div');
+        stack.id = 'achievementToasts';
+        stack.style.position = 'fixed';
+        stack.style.top = '20px';
+        stack.style.right = '20px';
+        stack.style.display = 'flex';
+        stack.style.flexDirection = 'column';
+        stack.style.gap = '10px';
+        stack.style.zIndex = '1300'; // ✅ Over the end screens and menus
+        stack.style.pointerEvents = 'none';
+        document.body.appendChild(stack);
+    }
+
+    const toast = document.createElement('div');
+    toast.style.padding = '10px 16px';
+    toast.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    toast.style.border = '2px solid #ffcc00';
+    toast.style.borderRadius = '8px';
+    toast.style.color = 'white';
+    toast.style.fontFamily = 'Arial, sans-serif';
+    toast.style.transition = 'opacity 0.5s';
+    toast.innerHTML = `
+        <div style="color: #ffcc00; font-size: 12px;">🏅 Achievement unlocked</div>
+        <div style="font-size: 18px;">${achievement.icon} ${achievement.name}</div>
+        <div style="font-size: 13px; color: #cccccc;">${achievement.description}</div>
+    `;
+    stack.appendChild(toast);
+
+    setTimeout(() => { toast.style.opacity = '0'; }, 4000);
+    setTimeout(() => toast.remove(), 4500);
+}
+
+// 🖥 The desktop app's preload exposes system notifications (desktop/src/preload.js)
+function notifyDesktop(achievement) {
+    if (!window.electronAPI || !window.electronAPI.showNotification) return;
+    try {
+        window.electronAPI.showNotification(`🏅 ${achievement.name}`, { body: achievement.description });
+    } catch (error) {
+        console.warn('[Achievements] Desktop notification failed:', error.message);
+    }
+}
+
+// =============================================================================
+// GALLERY
+// =============================================================================
+function showAchievements() {
+    if (!achievementTracker) return null;
+    document.getElementById('achievementGallery')?.remove();
+
+    const gallery = document.createElement('div');
+    gallery.id = 'achievementGallery';
+    gallery.style.position = 'fixed';
+    gallery.style.top = '50%';
+    gallery.style.left = '50%';
+    gallery.style.transform = 'translate(-50%, -50%)';
+    gallery.style.backgroundColor = 'rgba(0, 0, 0, 0.92)';
+    gallery.style.padding = '20px';
+    gallery.style.border = '2px solid white';
+    gallery.style.borderRadius = '10px';
+    gallery.style.color = 'white';
+    gallery.style.textAlign = 'center';
+    gallery.style.zIndex = '1200'; // ✅ Same layer as the leaderboard
+    gallery.style.width = '480px';
+    gallery.style.maxWidth = '95%';
+    gallery.style.maxHeight = '90%';
+    gallery.style.overflow = 'auto';
+    gallery.style.boxSizing = 'border-box';
+
+    const achievements = achievementTracker.list();
+    const unlocked = achievements.filter(achievement => achievement.unlockedAt).length;
+
+    const cards = achievements.map(achievement => {
+        const done = achievement.unlockedAt !== null;
+        const percent = Math.round(achievement.progress / achievement.goal * 100);
+        const status = done
+            ? `Unlocked ${achievement.unlockedAt.slice(0, 10)}`
+            : achievement.goal > 1 ? `${achievement.progress} / ${achievement.goal}` : 'Locked';
+
+        return `
+            <div style="display: flex; align-items: center; gap: 12px; margin: 8px 0; padding: 8px; border: 1px solid ${done ? '#ffcc00' : '#444444'}; border-radius: 6px; text-align: left; opacity: ${done ? 1 : 0.6};">
+                <div style="font-size: 32px; filter: ${done ? 'none' : 'grayscale(1)'};">${achievement.icon}</div>
+                <div style="flex: 1;">
+                    <div style="font-size: 17px;">${achievement.name}</div>
+                    <div style="font-size: 13px; color: #cccccc;">${achievement.description}</div>
+                    ${achievement.goal > 1 ? `<div style="margin-top: 4px; height: 6px; background: #333333; border-radius: 3px;"><div style="width: ${percent}%; height: 100%; background: #00ff88; border-radius: 3px;"></div></div>` : ''}
+                    <div style="font-size: 12px; color: ${done ? '#ffcc00' : '#888888'}; margin-top: 2px;">${status}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    gallery.innerHTML = `
+        <h2>🏅 Achievements</h2>
+        <p style="color: #aaaaaa;">${unlocked} of ${achievements.length} unlocked</p>
+        ${cards}
+    `;
+    gallery.appendChild(createReplayButton('Close', () => gallery.remove()));
+
+    document.body.appendChild(gallery);
+    return gallery;
+}
+
+window.showAchievements = showAchievements;
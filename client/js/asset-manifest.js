@@ -0,0 +1,42 @@
+// =============================================================================
+// ASSET MANIFEST
+// =============================================================================
+// Every image, sound and data file the game loads, by key. The game reads it
+// through Assets (js/assets.js) and the service worker imports this same file
+// to build its offline cache, so the two can't drift apart. Add new assets
+// here and look them up by key - never hard-code an asset path elsewhere.
+//
+// Image keys double as the simulation's sprite keys (entity.sprite).
+// Paths are relative to client/ and must match the file names exactly:
+// the server is case-sensitive.
+// =============================================================================
+
+const ASSET_MANIFEST = {
+    images: {
+        player: 'assets/spaceship.png',
+        asteroid: 'assets/asteroid.png',
+        enemy: 'assets/enemy.png',
+        explosion: 'assets/explosion.gif',
+        powerUp: 'assets/powerup.png',
+        boss: 'assets/drazzan_mothership.png',
+        norinavio: 'assets/norinavio.png',
+        thumbnail: 'assets/game_thumbnail.jpg'
+    },
+
+    sounds: {
+        music: 'assets/8bit_retro.mp3',   // Not checked in yet - the game runs silent without it
+        laser: 'assets/laser1.MP3',
+        bossExplosion: 'assets/explosion_noise.mp3',
+        redford: 'assets/wyatt001.MP3',   // Victory cinematic: Redford's line
+        wyatt: 'assets/days_work.MP3'     // Victory cinematic: Wyatt's reply
+    },
+
+    data: {
+        campaign: 'data/campaigns/drazzan-invasion.json'
+    }
+};
+
+// Absolute URLs of everything in the manifest (for the service worker cache)
+function assetManifestUrls(manifest = ASSET_MANIFEST) {
+    return Object.values(manifest).flatMap(group => Object.values(group).map(path => `/${path}`));
+}
@@ -0,0 +1,171 @@
+// =============================================================================
+// ASSETS
+// =============================================================================
+// Loads everything in ASSET_MANIFEST (js/asset-manifest.js) and hands out the
+// loaded elements by key:
+//
+//   Assets.image('player')    -> HTMLImageElement
+//   Assets.sound('laser')     -> HTMLAudioElement
+//   Assets.url('campaign')    -> 'data/campaigns/drazzan-invasion.json'
+//   await Assets.load()       -> resolves once everything is decoded
+//
+// Elements are created on first lookup and shared, so every entity drawing
+// the 'enemy' sprite uses one image. Loading starts as soon as the page does,
+// behind a loading screen with a progress bar; a file that fails to load is
+// reported and skipped rather than blocking the game.
+// =============================================================================
+
+const ASSET_SOUND_TIMEOUT = 8000; // ms - mobile browsers may not buffer audio before a tap
+
+const Assets = {
+    images: {},
+    sounds: {},
+    failed: new Set(),
+    loading: null,
+
+    image(key) {
+        if (!this.images[key]) {
+            const path = ASSET_MANIFEST.images[key];
+            if (!path) throw new Error(`Unknown image asset "${key}"`);
+            const image = new Image();
+            image.src = path;
+            this.images[key] = image;
+        }
+        return this.images[key];
+    },
+
+    sound(key) {
+        if (!this.sounds[key]) {
+            const path = ASSET_MANIFEST.sounds[key];
+            if (!path) throw new Error(`Unknown sound asset "${key}"`);
+            const sound = new Audio();
+            sound.preload = 'auto';
+            sound.src = path;
+            this.sounds[key] = sound;
+        }
+        return this.sounds[key];
+    },
+
+    url(key) {
+        for (const group of Object.values(ASSET_MANIFEST)) {
+            if (group[key]) return group[key];
+        }
+        throw new Error(`Unknown asset "${key}"`);
+    },
+
+    // Image is decoded and safe to draw
+    isReady(key) {
+        const image = this.images[key];
+        return !!image && image.complete && image.naturalWidth > 0 && !this.failed.has(key);
+    },
+
+    // Preload and decode every image and sound; `onProgress(loaded, total, key)`
+    // runs after each one. Calling it again returns the same promise.
+    load(onProgress = () => {}) {
+        if (this.loading) return this.loading;
+
+        const tasks = [
+            ...Object.keys(ASSET_MANIFEST.images).map(key => () => this.loadImage(key)),
+            ...Object.keys(ASSET_MANIFEST.sounds).map(key => () => this.loadSound(key))
+        ];
+        let loaded = 0;
+
+        this.loading = Promise.all(tasks.map(task => task().then(key => {
+            loaded++;
+            onProgress(loaded, tasks.length, key);
+        }))).then(() => {
+            if (this.failed.size > 0) {
+                console.warn(`[Assets] Could not load: ${[...this.failed].join(', ')}`);
+            }
+            console.log(`[Assets] Loaded ${tasks.length - this.failed.size}/${tasks.length} assets`);
+        });
+        return this.loading;
+    },
+
+    loadImage(key) {
+        const image = this.image(key);
+        const decoded = image.decode
+            ? image.decode()
+            : new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = reject;
+            });
+
+        return decoded.catch(() => this.failed.add(key)).then(() => key);
+    },
+
+    loadSound(key) {
+        const sound = this.sound(key);
+        return new Promise(resolve => {
+            const done = (ok) => {
+                clearTimeout(timer);
+                sound.removeEventListener('canplaythrough', onReady);
+                sound.removeEventListener('error', onError);
+                if (!ok) this.failed.add(key);
+                resolve(key);
+            };
+            const onReady = () => done(true);
+            const onError = () => done(false);
+            const timer = setTimeout(() => done(true), ASSET_SOUND_TIMEOUT); // ✅ Keep going; it finishes buffering on play
+
+            if (sound.readyState >= 4) {
+                done(true);
+                return;
+            }
+            sound.addEventListener('canplaythrough', onReady);
+            sound.addEventListener('error', onError);
+            sound.load();
+        });
+    }
+};
+
+// ✅ Entities only know sprite keys; draw them with the shared decoded images
+SpriteAtlas.resolver = (key) => (Assets.isReady(key) ? Assets.image(key) : null);
+
+// =============================================================================
+// LOADING SCREEN
+// =============================================================================
+function createLoadingScreen() {
+    const screen = document.createElement('div');
+    screen.id = 'loadingScreen';
+    screen.style.position = 'fixed';
+    screen.style.inset = '0';
+    screen.style.display = 'flex';
+    screen.style.flexDirection = 'column';
+    screen.style.alignItems = 'center';
+    screen.style.justifyContent = 'center';
+    screen.style.backgroundColor = 'black';
+    screen.style.color = 'white';
+    screen.style.fontFamily = "'Orbitron', Arial, sans-serif";
+    screen.style.zIndex = '1001';
+    screen.style.transition = 'opacity 0.4s';
+
+    screen.innerHTML = `
+        <div style="font-size: 28px; margin-bottom: 20px;">THE DRAZZAN INVASION</div>
+        <div style="width: min(360px, 80%); height: 16px; border: 2px solid white; border-radius: 4px;">
+            <div id="loadingBar" style="width: 0%; height: 100%; background-color: red;"></div>
+        </div>
+        <div id="loadingText" style="margin-top: 10px; font-size: 14px; color: #888888;">Loading...</div>
+    `;
+    document.body.appendChild(screen);
+    return screen;
+}
+
+function updateLoadingScreen(loaded, total, key) {
+    const bar = document.getElementById('loadingBar');
+    const text = document.getElementById('loadingText');
+    if (bar) bar.style.width = `${Math.round((loaded / total) * 100)}%`;
+    if (text) text.innerText = `Loading ${key}... ${loaded}/${total}`;
+}
+
+function hideLoadingScreen(screen) {
+    screen.style.opacity = '0';
+    setTimeout(() => screen.remove(), 400);
+}
+
+// 🚀 Start loading straight away; the start button waits behind the screen
+const loadingScreen = createLoadingScreen();
+const assetsReady = Assets.load(updateLoadingScreen).then(() => hideLoadingScreen(loadingScreen));
+
+window.Assets = Assets;
+window.assetsReady = assetsReady;
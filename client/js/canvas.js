@@ -22,7 +22,7 @@ function createStars() {
         x: Math.random() * canvas.width,
         y: Math.random() * canvas.height,
         size: Math.random() * 3 + 1, // ✅ Random star sizes
-        speed: Math.random() * 0.5 + 0.2, // ✅ Slightly different speeds for depth effect
+        speed: Math.random() * 30 + 12, // ✅ Slightly different speeds for depth effect (pixels per second)
     }));
 }
 
@@ -1,8 +0,0 @@
-const CONFIG = {
-    playerSpeed: 6,
-    laserSpeed: 7,
-    asteroidSpeed: 2,
-    asteroidSpawnRate: 80,  // ✅ Spawns faster (lower = more frequent)
-    maxAsteroids: 15,       // ✅ More asteroids can appear
-    asteroidIncreaseInterval: 500, // ✅ Increases difficulty faster over time
-};
@@ -0,0 +1,153 @@
+// Achievements - unlocked by listening to game events (core/events.js), so
+// nothing in the simulation has to know they exist.
+//
+// Each entry in ACHIEVEMENTS is data:
+//   event     the GAME_EVENTS type that counts towards it
+//   when      optional test of that event's payload; only passing events count
+//   goal      how many times it has to count (default 1); progress is kept
+//             across runs, so "destroy 100 asteroids" can take several
+//   unbroken  { since, by }: the event only counts if none of the `by` events
+//             has fired since the last `since` event - "without being hit
+//             since the boss arrived"
+//
+// AchievementTracker holds the progress and unlock times as a plain object the
+// caller persists (achievements.js keeps it in localStorage) and reports
+// through onProgress / onUnlock callbacks, so it runs without a DOM.
+//
+//   const tracker = new AchievementTracker({ state: saved, onUnlock: (id, achievement) => ... });
+//   tracker.attach(gameEvents);
+//   tracker.list();   // every achievement with its progress, for the gallery
+import { GAME_EVENTS } from './events.js';
+import { GameSettings } from './settings.js';
+import { validateAtLoad } from './validation.js';
+
+const ACHIEVEMENTS = {
+    flawlessBoss: {
+        name: 'Untouchable',
+        description: 'Defeat a boss without losing any shield',
+        icon: '🛡️',
+        event: 'bossDefeated',
+        unbroken: { since: 'bossIncoming', by: ['playerHit', 'lifeLost'] }
+    },
+    rockBreaker: {
+        name: 'Rock Breaker',
+        description: 'Destroy 100 asteroids',
+        icon: '☄️',
+        event: 'asteroidDestroyed',
+        goal: 100
+    },
+    speedRun: {
+        name: 'Against the Clock',
+        description: `Finish the campaign in under ${GameSettings.TIME_BONUS_THRESHOLDS.UNDER_1_MIN.time} seconds`,
+        icon: '⏱',
+        event: 'campaignCompleted',
+        when: ({ mode, time }) => mode === 'campaign' && time <= GameSettings.TIME_BONUS_THRESHOLDS.UNDER_1_MIN.time // ✅ The top boss time bonus
+    },
+    versusVictor: {
+        name: 'Top Gun',
+        description: 'Win a versus match',
+        icon: '⚔️',
+        event: 'matchEnded',
+        when: ({ mode, won }) => mode === 'versus' && won
+    }
+};
+
+class AchievementTracker {
+    // `state` is what toJSON() returned last time: { id: { progress, unlockedAt } }
+    constructor({ definitions = ACHIEVEMENTS, state = {}, onProgress = null, onUnlock = null } = {}) {
+        this.definitions = definitions;
+        this.state = {};
+        for (const id of Object.keys(definitions)) {
+            const saved = state[id] || {};
+            this.state[id] = {
+                progress: typeof saved.progress === 'number' ? saved.progress : 0,
+                unlockedAt: typeof saved.unlockedAt === 'string' ? saved.unlockedAt : null
+            };
+        }
+        this.onProgress = onProgress;
+        this.onUnlock = onUnlock;
+        this.armed = {}; // unbroken achievements: id -> true once `since` fires, false once broken
+    }
+
+    // Subscribe to every event the definitions mention; returns a function that unsubscribes
+    attach(events) {
+        const types = new Set();
+        for (const achievement of Object.values(this.definitions)) {
+            types.add(achievement.event);
+            if (achievement.unbroken) {
+                types.add(achievement.unbroken.since);
+                achievement.unbroken.by.forEach(type => types.add(type));
+            }
+        }
+        const unsubscribers = [...types].map(type => events.on(type, detail => this.handle(type, detail)));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    handle(type, detail) {
+        for (const [id, achievement] of Object.entries(this.definitions)) {
+            const { unbroken } = achievement;
+            if (unbroken) {
+                if (type === unbroken.since) this.armed[id] = true;
+                if (unbroken.by.includes(type)) this.armed[id] = false;
+            }
+            if (type !== achievement.event || this.state[id].unlockedAt) continue;
+            if (unbroken && !this.armed[id]) continue;
+            if (achievement.when && !achievement.when(detail)) continue;
+            this.advance(id);
+        }
+    }
+
+    advance(id, amount = 1) {
+        const achievement = this.definitions[id];
+        const entry = this.state[id];
+        const goal = achievement.goal ?? 1;
+        entry.progress = Math.min(goal, entry.progress + amount);
+        if (this.onProgress) this.onProgress(id, entry.progress, goal);
+
+        if (entry.progress >= goal) {
+            entry.unlockedAt = new Date().toISOString();
+            if (this.onUnlock) this.onUnlock(id, achievement);
+        }
+    }
+
+    isUnlocked(id) {
+        return this.state[id]?.unlockedAt != null;
+    }
+
+    // Every achievement, in table order, with where the player stands
+    list() {
+        return Object.entries(this.definitions).map(([id, achievement]) => ({
+            id,
+            ...achievement,
+            goal: achievement.goal ?? 1,
+            progress: this.state[id].progress,
+            unlockedAt: this.state[id].unlockedAt
+        }));
+    }
+
+    toJSON() {
+        return this.state;
+    }
+}
+
+validateAtLoad(ACHIEVEMENTS, (achievement, id, errors) => {
+    if (!achievement.name || !achievement.description) errors.push(`achievements.${id}: needs a name and description`);
+    if (!GAME_EVENTS[achievement.event]) errors.push(`achievements.${id}.event: unknown game event "${achievement.event}"`);
+    if (achievement.when !== undefined && typeof achievement.when !== 'function') errors.push(`achievements.${id}.when: must be a function`);
+    if (achievement.goal !== undefined && !(Number.isInteger(achievement.goal) && achievement.goal > 0)) {
+        errors.push(`achievements.${id}.goal: must be a positive whole number`);
+    }
+    if (achievement.unbroken) {
+        const { since, by } = achievement.unbroken;
+        if (!GAME_EVENTS[since]) errors.push(`achievements.${id}.unbroken.since: unknown game event "${since}"`);
+        if (!Array.isArray(by)) errors.push(`achievements.${id}.unbroken.by: must be a list of game events`);
+        else by.filter(type => !GAME_EVENTS[type]).forEach(type => errors.push(`achievements.${id}.unbroken.by: unknown game event "${type}"`));
+    }
+}, 'achievements');
+
+if (typeof window !== 'undefined') {
+    window.ACHIEVEMENTS = ACHIEVEMENTS;
+    window.AchievementTracker = AchievementTracker;
+}
+
+export { ACHIEVEMENTS, AchievementTracker };
@@ -0,0 +1,494 @@
+// Boss - a multi-phase boss driven entirely by a declarative definition
+// (see core/bosses.js for the built-in ones and the format).
+//
+// - Phases switch at health thresholds and each has its own movement and
+//   attack script. Attacks run in order, looping: cooldown -> telegraph -> fire.
+// - Telegraphs expose the upcoming attack's aim so the renderer can warn the
+//   player before anything is fired.
+// - Weak points are boxes on the hull that take extra damage, optionally only
+//   while certain phases are active.
+// Like every entity, a Boss never touches the DOM and rolls dice only through
+// the simulation's SeededRandom.
+import { checkCollision } from './collisions.js';
+import { interpolate } from './game-clock.js';
+import { drawSprite } from './entities.js';
+
+const DEG = Math.PI / 180;
+const DOWN = Math.PI / 2;
+
+// =============================================================================
+// ATTACK PATTERNS
+// =============================================================================
+// start() runs when the telegraph begins and returns the attack's state; its
+// `angles` are what the telegraph shows. update() fires and returns true once
+// the attack is over. `defaults` fill in parameters the definition leaves out.
+const ATTACK_PATTERNS = {
+    // Fan of shots in one volley (the mothership's original attack)
+    arc: {
+        defaults: { shots: 9, spread: 120, speed: 300 },
+        start(boss, attack) {
+            const angles = [];
+            const step = attack.shots > 1 ? attack.spread / (attack.shots - 1) : 0;
+            for (let i = 0; i < attack.shots; i++) {
+                angles.push(DOWN + (-attack.spread / 2 + step * i) * DEG);
+            }
+            return { angles };
+        },
+        update(boss, attack, state, dt, sim) {
+            state.angles.forEach(angle => boss.fire(sim, angle, attack.speed));
+            return true;
+        }
+    },
+
+    // Quick shots at where the player was when the telegraph started
+    aimedBurst: {
+        defaults: { shots: 5, interval: 0.12, jitter: 8, speed: 360 },
+        start(boss, attack, sim) {
+            const origin = boss.emitterPosition();
+            const player = sim.player;
+            const aim = Math.atan2(
+                player.y + player.height / 2 - origin.y,
+                player.x + player.width / 2 - origin.x
+            );
+            return { angles: [aim], fired: 0, timer: attack.interval };
+        },
+        update(boss, attack, state, dt, sim) {
+            state.timer += dt;
+            while (state.timer >= attack.interval && state.fired < attack.shots) {
+                state.timer -= attack.interval;
+                const jitter = sim.random.range(-attack.jitter / 2, attack.jitter / 2) * DEG;
+                boss.fire(sim, state.angles[0] + jitter, attack.speed);
+                state.fired++;
+            }
+            return state.fired >= attack.shots;
+        }
+    },
+
+    // Arms of shots that rotate while firing
+    spiral: {
+        defaults: { arms: 4, duration: 3, interval: 0.12, rotation: 90, speed: 240 },
+        start(boss, attack) {
+            const angles = [];
+            for (let arm = 0; arm < attack.arms; arm++) {
+                angles.push(DOWN + (arm * 2 * Math.PI) / attack.arms);
+            }
+            return { angles, elapsed: 0, timer: attack.interval, offset: 0 };
+        },
+        update(boss, attack, state, dt, sim) {
+            state.elapsed += dt;
+            state.timer += dt;
+            while (state.timer >= attack.interval) {
+                state.timer -= attack.interval;
+                state.angles.forEach(angle => boss.fire(sim, angle + state.offset, attack.speed));
+                state.offset += attack.rotation * attack.interval * DEG;
+            }
+            return state.elapsed >= attack.duration;
+        }
+    },
+
+    // Dense stream of shots swept across the screen like a beam
+    sweep: {
+        defaults: { from: -60, to: 60, duration: 1.5, interval: 0.03, speed: 420 },
+        start(boss, attack) {
+            return { angles: [DOWN + attack.from * DEG, DOWN + attack.to * DEG], elapsed: 0, timer: 0 };
+        },
+        update(boss, attack, state, dt, sim) {
+            state.elapsed += dt;
+            state.timer += dt;
+            while (state.timer >= attack.interval) {
+                state.timer -= attack.interval;
+                const progress = Math.min(1, state.elapsed / attack.duration);
+                boss.fire(sim, DOWN + (attack.from + (attack.to - attack.from) * progress) * DEG, attack.speed);
+            }
+            return state.elapsed >= attack.duration;
+        }
+    },
+
+    // Launch minions from the hull (counts against `max` enemies on screen)
+    summon: {
+        defaults: { count: 2, type: 'fighter', max: 4 },
+        start() {
+            return { angles: [] };
+        },
+        update(boss, attack, state, dt, sim) {
+            const room = Math.max(0, attack.max - sim.enemies.length);
+            const count = Math.min(attack.count, room);
+            for (let i = 0; i < count; i++) {
+                const enemy = sim.spawnEnemy(attack.type);
+                enemy.x = boss.x + (boss.width * (i + 1)) / (count + 1) - enemy.width / 2;
+                enemy.y = boss.y + boss.height;
+            }
+            return true;
+        }
+    }
+};
+
+// =============================================================================
+// BOSS
+// =============================================================================
+class Boss {
+    constructor(type, definition, world, { health } = {}) {
+        this.type = type;
+        this.definition = definition;
+        this.world = world;
+        this.name = definition.name;
+        this.sprite = definition.sprite;
+        this.width = definition.width;
+        this.height = definition.height;
+        this.maxHealth = health ?? definition.health;
+        this.health = this.maxHealth;
+
+        this.x = world.width / 2 - this.width / 2;
+        this.y = -this.height; // Start offscreen
+        this.entering = true;  // Descending until it reaches entry.y
+
+        this.phaseIndex = 0;
+        this.attackIndex = 0;
+        this.mode = 'cooldown'; // 'cooldown' -> 'telegraph' -> 'firing'
+        this.timer = 0;
+        this.attack = null;
+        this.attackState = null;
+        this.telegraph = null;  // { pattern, progress, angles } while warning
+        this.beginCooldown();
+    }
+
+    get phase() {
+        return this.definition.phases[this.phaseIndex];
+    }
+
+    // 🛸 Descend from offscreen; returns true on the tick it arrives
+    updateEntry(dt) {
+        const entry = this.definition.entry;
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.y += entry.speed * dt;
+
+        if (this.y >= entry.y) {
+            this.y = entry.y;
+            this.entering = false;
+            return true;
+        }
+        return false;
+    }
+
+    update(dt, sim) {
+        // 💥 Movement: sway horizontally, bob vertically
+        const movement = this.phase.movement;
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.x += Math.sin(sim.time * movement.frequencyX) * movement.speedX * dt;
+        this.y += Math.sin(sim.time * movement.frequencyY) * movement.speedY * dt;
+
+        this.updateAttacks(dt, sim);
+    }
+
+    // =========================================================================
+    // ATTACK SCRIPT
+    // =========================================================================
+    updateAttacks(dt, sim) {
+        this.timer -= dt;
+
+        if (this.mode === 'cooldown' && this.timer <= 0) {
+            const attacks = this.phase.attacks;
+            this.attack = attacks[this.attackIndex % attacks.length];
+            this.attackIndex++;
+            this.attackState = ATTACK_PATTERNS[this.attack.pattern].start(this, this.attack, sim);
+            this.mode = 'telegraph';
+            this.timer = this.attack.telegraph;
+        }
+
+        if (this.mode === 'telegraph') {
+            if (this.timer > 0) {
+                this.telegraph = {
+                    pattern: this.attack.pattern,
+                    progress: 1 - this.timer / this.attack.telegraph,
+                    angles: this.attackState.angles
+                };
+                return;
+            }
+            this.telegraph = null;
+            this.mode = 'firing';
+        }
+
+        if (this.mode === 'firing') {
+            if (ATTACK_PATTERNS[this.attack.pattern].update(this, this.attack, this.attackState, dt, sim)) {
+                this.beginCooldown();
+            }
+        }
+    }
+
+    beginCooldown(extra = 0) {
+        const attacks = this.phase.attacks;
+        const next = attacks[this.attackIndex % attacks.length];
+        this.mode = 'cooldown';
+        this.timer = next.cooldown + extra;
+        this.attack = null;
+        this.attackState = null;
+        this.telegraph = null;
+    }
+
+    // Where shots leave the hull
+    emitterPosition() {
+        const emitter = this.definition.emitter;
+        return { x: this.x + emitter.x, y: this.y + emitter.y };
+    }
+
+    fire(sim, angle, speed) {
+        const origin = this.emitterPosition();
+        sim.bossLasers.push(sim.pools.bossLasers.acquire(origin.x, origin.y, angle, speed));
+    }
+
+    // =========================================================================
+    // DAMAGE
+    // =========================================================================
+    // Weak points on the hull that can be hit in the current phase
+    exposedWeakPoints() {
+        const phaseNumber = this.phaseIndex + 1;
+        return this.definition.weakPoints
+            .filter(point => !point.phases || point.phases.includes(phaseNumber))
+            .map(point => ({
+                id: point.id,
+                damage: point.damage,
+                x: this.x + point.x,
+                y: this.y + point.y,
+                width: point.width,
+                height: point.height
+            }));
+    }
+
+    // Damage a laser would do ({ damage, weakPoint }), or null if it misses
+    hitBy(laser) {
+        for (const point of this.exposedWeakPoints()) {
+            if (checkCollision(laser, point)) {
+                return { damage: point.damage, weakPoint: point };
+            }
+        }
+        if (checkCollision(laser, this)) {
+            return { damage: this.definition.hullDamage, weakPoint: null };
+        }
+        return null;
+    }
+
+    // Returns true when the damage pushes the boss into a new phase
+    applyDamage(amount) {
+        this.health = Math.max(0, this.health - amount);
+
+        const fraction = this.health / this.maxHealth;
+        const phases = this.definition.phases;
+        let next = this.phaseIndex;
+        while (next + 1 < phases.length && fraction <= phases[next + 1].health) {
+            next++;
+        }
+
+        if (next === this.phaseIndex || this.health <= 0) return false;
+
+        this.phaseIndex = next;
+        this.attackIndex = 0;
+        this.beginCooldown(this.phase.transition); // ✅ Breather while the new phase spins up
+        return true;
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+    draw(ctx, alpha = 1) {
+        const x = interpolate(this.prevX, this.x, alpha);
+        const y = interpolate(this.prevY, this.y, alpha);
+        drawSprite(ctx, this.sprite, x, y, this.width, this.height);
+
+        if (this.entering || this.health <= 0) return;
+
+        ctx.save();
+        const pulse = 0.5 + 0.5 * Math.sin(Date.now() / 120); // Cosmetic only
+
+        // 🎯 Weak points glow while they can be hit
+        ctx.strokeStyle = `rgba(255, 220, 0, ${0.4 + 0.6 * pulse})`;
+        ctx.lineWidth = 3;
+        for (const point of this.definition.weakPoints) {
+            if (point.phases && !point.phases.includes(this.phaseIndex + 1)) continue;
+            ctx.strokeRect(x + point.x, y + point.y, point.width, point.height);
+        }
+
+        // ⚠ Telegraph: warning lines along the coming attack
+        if (this.telegraph) {
+            const emitter = this.definition.emitter;
+            const originX = x + emitter.x;
+            const originY = y + emitter.y;
+
+            ctx.strokeStyle = `rgba(255, 40, 40, ${0.3 + 0.7 * this.telegraph.progress})`;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([12, 8]);
+            for (const angle of this.telegraph.angles) {
+                ctx.beginPath();
+                ctx.moveTo(originX, originY);
+                ctx.lineTo(originX + Math.cos(angle) * 260, originY + Math.sin(angle) * 260);
+                ctx.stroke();
+            }
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = `rgba(255, 40, 40, ${0.4 * pulse + 0.3})`;
+            ctx.beginPath();
+            ctx.arc(originX, originY, 12 + 18 * this.telegraph.progress, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+}
+
+// =============================================================================
+// DEFINITION VALIDATION
+// =============================================================================
+// Attack parameters that have to be above zero (an interval of 0 would fire
+// forever in one frame) and ones that count shots or ships
+const POSITIVE_ATTACK_PARAMETERS = ['interval', 'duration', 'speed'];
+const COUNT_ATTACK_PARAMETERS = ['shots', 'arms', 'count', 'max'];
+
+// Fills in defaults and returns a normalized copy; problems are pushed onto
+// `errors` as "path: message" so campaign validation can report them together.
+function normalizeBossDefinition(raw, path, errors, enemyTypes = ['fighter']) {
+    const fail = (where, message) => errors.push(`${where}: ${message}`);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const number = (where, value, fallback, min = 0) => {
+        if (value === undefined || value === null) {
+            if (fallback === undefined) fail(where, 'is required');
+            return fallback;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            fail(where, 'must be a number');
+            return fallback;
+        }
+        if (value < min) fail(where, `must be at least ${min}`);
+        return value;
+    };
+
+    const onlyKeys = (where, value, keys) => {
+        for (const key of Object.keys(value)) {
+            if (!keys.includes(key)) fail(`${where}.${key}`, 'unknown field');
+        }
+    };
+
+    if (!isObject(raw)) {
+        fail(path, 'must be an object');
+        return null;
+    }
+    onlyKeys(path, raw, ['name', 'sprite', 'width', 'height', 'health', 'hullDamage', 'entry', 'emitter', 'weakPoints', 'phases']);
+
+    const width = number(`${path}.width`, raw.width, undefined, 1);
+    const height = number(`${path}.height`, raw.height, undefined, 1);
+    const entry = isObject(raw.entry) ? raw.entry : {};
+    const emitter = isObject(raw.emitter) ? raw.emitter : {};
+
+    const definition = {
+        name: typeof raw.name === 'string' ? raw.name : 'Boss',
+        sprite: typeof raw.sprite === 'string' ? raw.sprite : 'boss',
+        width,
+        height,
+        health: number(`${path}.health`, raw.health, undefined, 1),
+        hullDamage: number(`${path}.hullDamage`, raw.hullDamage, 2),
+        entry: {
+            y: number(`${path}.entry.y`, entry.y, 100, -Infinity),
+            speed: number(`${path}.entry.speed`, entry.speed, 165, 1)
+        },
+        emitter: {
+            x: number(`${path}.emitter.x`, emitter.x, (width || 0) / 2, -Infinity),
+            y: number(`${path}.emitter.y`, emitter.y, height || 0, -Infinity)
+        },
+        weakPoints: [],
+        phases: []
+    };
+
+    (Array.isArray(raw.weakPoints) ? raw.weakPoints : []).forEach((point, index) => {
+        const where = `${path}.weakPoints[${index}]`;
+        if (!isObject(point)) {
+            fail(where, 'must be an object');
+            return;
+        }
+        onlyKeys(where, point, ['id', 'x', 'y', 'width', 'height', 'damage', 'phases']);
+        if (point.phases !== undefined && point.phases !== null && !Array.isArray(point.phases)) {
+            fail(`${where}.phases`, 'must be an array of phase numbers');
+        }
+        definition.weakPoints.push({
+            id: typeof point.id === 'string' ? point.id : `weakPoint${index + 1}`,
+            x: number(`${where}.x`, point.x, undefined, -Infinity),
+            y: number(`${where}.y`, point.y, undefined, -Infinity),
+            width: number(`${where}.width`, point.width, undefined, 1),
+            height: number(`${where}.height`, point.height, undefined, 1),
+            damage: number(`${where}.damage`, point.damage, definition.hullDamage * 3),
+            phases: Array.isArray(point.phases) ? [...point.phases] : null
+        });
+    });
+
+    if (!Array.isArray(raw.phases) || raw.phases.length === 0) {
+        fail(`${path}.phases`, 'must be a non-empty array');
+    }
+    (Array.isArray(raw.phases) ? raw.phases : []).forEach((phase, index) => {
+        const where = `${path}.phases[${index}]`;
+        if (!isObject(phase)) {
+            fail(where, 'must be an object');
+            return;
+        }
+        onlyKeys(where, phase, ['name', 'health', 'transition', 'movement', 'attacks']);
+        const movement = isObject(phase.movement) ? phase.movement : {};
+        const normalized = {
+            name: typeof phase.name === 'string' ? phase.name : `Phase ${index + 1}`,
+            health: index === 0 ? 1 : number(`${where}.health`, phase.health, undefined),
+            transition: number(`${where}.transition`, phase.transition, 1),
+            movement: {
+                speedX: number(`${where}.movement.speedX`, movement.speedX, 0, -Infinity),
+                frequencyX: number(`${where}.movement.frequencyX`, movement.frequencyX, 1, -Infinity),
+                speedY: number(`${where}.movement.speedY`, movement.speedY, 0, -Infinity),
+                frequencyY: number(`${where}.movement.frequencyY`, movement.frequencyY, 1, -Infinity)
+            },
+            attacks: []
+        };
+
+        if (index > 0 && normalized.health >= (definition.phases[index - 1]?.health ?? 1)) {
+            fail(`${where}.health`, 'must be lower than the previous phase');
+        }
+
+        if (!Array.isArray(phase.attacks) || phase.attacks.length === 0) {
+            fail(`${where}.attacks`, 'must be a non-empty array');
+        }
+        (Array.isArray(phase.attacks) ? phase.attacks : []).forEach((attack, attackIndex) => {
+            const attackPath = `${where}.attacks[${attackIndex}]`;
+            const pattern = isObject(attack) ? ATTACK_PATTERNS[attack.pattern] : null;
+            if (!pattern) {
+                fail(`${attackPath}.pattern`, `unknown pattern (expected one of ${Object.keys(ATTACK_PATTERNS).join(', ')})`);
+                return;
+            }
+
+            onlyKeys(attackPath, attack, ['pattern', 'cooldown', 'telegraph', ...Object.keys(pattern.defaults)]);
+            const params = { pattern: attack.pattern };
+            params.cooldown = number(`${attackPath}.cooldown`, attack.cooldown, 1);
+            params.telegraph = number(`${attackPath}.telegraph`, attack.telegraph, 0.5);
+            for (const [key, fallback] of Object.entries(pattern.defaults)) {
+                if (typeof fallback !== 'number') {
+                    params[key] = attack[key] ?? fallback;
+                    continue;
+                }
+                const value = number(`${attackPath}.${key}`, attack[key], fallback, -Infinity);
+                if (POSITIVE_ATTACK_PARAMETERS.includes(key) && !(value > 0)) {
+                    fail(`${attackPath}.${key}`, 'must be greater than 0');
+                } else if (COUNT_ATTACK_PARAMETERS.includes(key) && !(Number.isInteger(value) && value > 0)) {
+                    fail(`${attackPath}.${key}`, 'must be a positive whole number');
+                }
+                params[key] = value;
+            }
+            if (attack.pattern === 'summon' && !enemyTypes.includes(params.type)) {
+                fail(`${attackPath}.type`, `unknown enemy type (expected one of ${enemyTypes.join(', ')})`);
+            }
+            normalized.attacks.push(params);
+        });
+
+        definition.phases.push(normalized);
+    });
+
+    return definition;
+}
+
+if (typeof window !== 'undefined') {
+    window.Boss = Boss;
+}
+
+export { Boss, ATTACK_PATTERNS, normalizeBossDefinition };
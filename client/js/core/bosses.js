@@ -0,0 +1,108 @@
+// Bosses - declarative definitions for every boss a campaign level can name.
+// A definition is plain data read by the Boss class (core/boss.js):
+//
+// - health        full health (a level's boss.health overrides it)
+// - hullDamage    damage from a laser hitting anywhere on the hull
+// - entry         { y, speed } where it stops descending and how fast
+// - emitter       where shots leave the hull, relative to its top-left corner
+// - weakPoints    boxes relative to the hull that take `damage` instead; list
+//                 `phases` (1-based) to expose one only in those phases.
+//                 Player lasers come up from below, so keep them on the lower edge.
+// - phases        in order; each starts once health drops to `health` (a
+//                 fraction of full health) and runs its `attacks` in a loop.
+//                 `transition` is the pause before the first attack of a phase.
+// - attacks       { pattern, cooldown, telegraph, ...pattern parameters }
+//                 patterns: arc, aimedBurst, spiral, sweep, summon
+//                 (see ATTACK_PATTERNS for their parameters and defaults)
+//
+// Campaign files can add more bosses in the same format under "bosses".
+import { normalizeBossDefinition } from './boss.js';
+import { ENEMY_TYPES } from './enemies.js';
+import { validateAtLoad } from './validation.js';
+
+const BOSS_DEFINITIONS = {
+    mothership: {
+        name: 'Drazzan Mothership',
+        sprite: 'boss',
+        width: 400,
+        height: 300,
+        health: 300,
+        hullDamage: 2,
+        entry: { y: 100, speed: 165 },
+        emitter: { x: 200, y: 300 },
+        weakPoints: [
+            { id: 'cannon', x: 175, y: 255, width: 50, height: 45, damage: 4 },
+            { id: 'portVent', x: 60, y: 240, width: 60, height: 40, damage: 6, phases: [2, 3] },
+            { id: 'starboardVent', x: 280, y: 240, width: 60, height: 40, damage: 6, phases: [2, 3] }
+        ],
+        phases: [
+            {
+                name: 'Assault',
+                movement: { speedX: 240, frequencyX: 1000 / 300, speedY: 60, frequencyY: 1000 / 600 },
+                attacks: [
+                    { pattern: 'arc', cooldown: 0.7, telegraph: 0.3, shots: 9, spread: 120 }
+                ]
+            },
+            {
+                name: 'Vents Open',
+                health: 0.6,
+                transition: 1.5,
+                movement: { speedX: 300, frequencyX: 4, speedY: 60, frequencyY: 1000 / 600 },
+                attacks: [
+                    { pattern: 'aimedBurst', cooldown: 0.6, telegraph: 0.4, shots: 5 },
+                    { pattern: 'arc', cooldown: 0.5, telegraph: 0.3, shots: 11, spread: 140 },
+                    { pattern: 'summon', cooldown: 0.8, telegraph: 0.6, count: 2, max: 4 }
+                ]
+            },
+            {
+                name: 'Last Stand',
+                health: 0.25,
+                transition: 2,
+                movement: { speedX: 360, frequencyX: 5, speedY: 90, frequencyY: 2.5 },
+                attacks: [
+                    { pattern: 'spiral', cooldown: 0.6, telegraph: 0.6, arms: 5, duration: 3, interval: 0.15, rotation: 80 },
+                    { pattern: 'sweep', cooldown: 0.5, telegraph: 0.8, from: -70, to: 70, duration: 1.6 },
+                    { pattern: 'aimedBurst', cooldown: 0.4, telegraph: 0.3, shots: 7, interval: 0.1 }
+                ]
+            }
+        ]
+    },
+    // A smaller escort ship: the mini-boss of endless runs
+    corvette: {
+        name: 'Drazzan Corvette',
+        sprite: 'boss',
+        width: 220,
+        height: 165,
+        health: 80,
+        hullDamage: 2,
+        entry: { y: 80, speed: 200 },
+        emitter: { x: 110, y: 165 },
+        weakPoints: [
+            { id: 'cannon', x: 95, y: 135, width: 30, height: 30, damage: 4 }
+        ],
+        phases: [
+            {
+                name: 'Strafing Run',
+                movement: { speedX: 300, frequencyX: 3, speedY: 40, frequencyY: 2 },
+                attacks: [
+                    { pattern: 'arc', cooldown: 0.9, telegraph: 0.3, shots: 5, spread: 80 },
+                    { pattern: 'aimedBurst', cooldown: 0.9, telegraph: 0.4, shots: 3 }
+                ]
+            },
+            {
+                name: 'Cornered',
+                health: 0.4,
+                transition: 1,
+                movement: { speedX: 380, frequencyX: 4, speedY: 60, frequencyY: 2.5 },
+                attacks: [
+                    { pattern: 'sweep', cooldown: 0.6, telegraph: 0.6, from: -50, to: 50, duration: 1.2 },
+                    { pattern: 'summon', cooldown: 0.8, telegraph: 0.5, count: 2, max: 3 }
+                ]
+            }
+        ]
+    }
+};
+
+validateAtLoad(BOSS_DEFINITIONS, (definition, type, errors) => normalizeBossDefinition(definition, `bosses.${type}`, errors, ENEMY_TYPES), 'boss definitions');
+
+export { BOSS_DEFINITIONS };
@@ -0,0 +1,46 @@
+// Boss Rush - every boss back to back with nothing in between but a short
+// rearm intermission, against the clock.
+//
+// The roster is every built-in boss plus any the campaign defines, weakest
+// (least health) first. Each one gets a level of its own with no enemy or
+// asteroid spawns; the boss arrives `arrival` seconds after the banner
+// clears. Between fights the simulation refills the shield and restocks the
+// secondary weapon (see GameSimulation.rearm), and it keeps a split time per
+// boss - the run is ranked on their total.
+//
+// The levels go through validateCampaign, so they have exactly the shape of
+// campaign levels.
+//
+//   const levels = bossRushLevels(campaign);   // one level per boss, in order
+import { validateCampaign } from './levels.js';
+import { BOSS_DEFINITIONS } from './bosses.js';
+
+const BOSS_RUSH_TUNING = {
+    arrival: 2,                          // seconds after the banner before the boss arrives
+    powerUpRate: 0.05,                   // occasional drops mid-fight
+    powerUps: { shield: 3, weaponUpgrade: 1, homing: 1 },
+    rearm: { shield: 100 }               // shield after each intermission; ammo goes to maxAmmo
+};
+
+// Every boss the campaign can field, weakest first
+function bossRushRoster(campaign) {
+    const definitions = { ...BOSS_DEFINITIONS, ...campaign.bosses };
+    return Object.entries(definitions)
+        .sort(([, a], [, b]) => a.health - b.health)
+        .map(([type, definition]) => ({ type, name: definition.name }));
+}
+
+function bossRushLevels(campaign, tuning = BOSS_RUSH_TUNING) {
+    const levels = bossRushRoster(campaign).map(({ type, name }) => ({
+        name: name ?? type,
+        enemiesNeeded: 0,
+        enemies: { maxOnScreen: 0, spawnRate: 0 },
+        asteroids: { spawnRate: 0 },
+        powerUps: { spawnRate: tuning.powerUpRate, types: tuning.powerUps },
+        boss: { type, trigger: { time: tuning.arrival } }
+    }));
+    const data = { id: 'boss-rush', bosses: campaign.bosses, paths: campaign.paths, levels };
+    return validateCampaign(data, 'boss rush').levels;
+}
+
+export { BOSS_RUSH_TUNING, bossRushRoster, bossRushLevels };
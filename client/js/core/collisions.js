@@ -0,0 +1,351 @@
+// Collision tests shared by every simulation (single player, multiplayer, JS server)
+//
+// Entities describe their own hitbox with a `collider`; sizes are fractions of
+// the sprite box so a collider survives resizing the sprite:
+//   { inset: 0.2 }                         box trimmed by 20% of the smaller side
+//   { shape: 'circle', radius: 0.45 }      centred circle (0.5 touches the edges)
+//   { shape: 'polygon', points: [[0.5, 0], [1, 1], [0, 1]] }   convex outline
+//   { shape: 'capsule' }                   rounded bolt width x height, starting
+//                                          at (x, y) and pointing along `angle`
+// Entities without a collider use their full box.
+//
+// SpatialHash is the broadphase: bucket entities into grid cells once per tick,
+// then query a box to get only the nearby candidates for the exact test.
+
+// =============================================================================
+// SHAPES
+// =============================================================================
+// Every collider resolves to a convex point set with a radius around it:
+// a box or polygon (3+ points, radius 0), a capsule (2 points) or a circle (1 point).
+function colliderShape(entity) {
+    const collider = entity.collider || {};
+    const { x, y, width, height } = entity;
+
+    switch (collider.shape) {
+        case 'circle':
+            return {
+                points: [{ x: x + width / 2, y: y + height / 2 }],
+                radius: collider.radius * Math.min(width, height)
+            };
+
+        case 'polygon':
+            return {
+                points: collider.points.map(([px, py]) => ({ x: x + px * width, y: y + py * height })),
+                radius: 0
+            };
+
+        case 'capsule': {
+            const radius = width / 2;
+            const dx = Math.cos(entity.angle);
+            const dy = Math.sin(entity.angle);
+            return {
+                points: [
+                    { x: x + dx * radius, y: y + dy * radius },
+                    { x: x + dx * (height - radius), y: y + dy * (height - radius) }
+                ],
+                radius
+            };
+        }
+
+        default: {
+            const bounds = boxBounds(entity);
+            return {
+                points: [
+                    { x: bounds.x, y: bounds.y },
+                    { x: bounds.x + bounds.width, y: bounds.y },
+                    { x: bounds.x + bounds.width, y: bounds.y + bounds.height },
+                    { x: bounds.x, y: bounds.y + bounds.height }
+                ],
+                radius: 0
+            };
+        }
+    }
+}
+
+// Check a collider from data (enemy definitions, campaign files) and return a
+// copy; problems are pushed onto `errors` as "path: message"
+function normalizeCollider(raw, path, errors) {
+    const fail = (where, message) => errors.push(`${where}: ${message}`);
+    const fraction = value => typeof value === 'number' && Number.isFinite(value);
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+        fail(path, 'must be an object');
+        return undefined;
+    }
+    const allowed = { box: ['inset'], circle: ['radius'], polygon: ['points'], capsule: [] }[raw.shape ?? 'box'];
+    if (!allowed) {
+        fail(`${path}.shape`, 'must be one of box, circle, polygon, capsule');
+        return undefined;
+    }
+    for (const key of Object.keys(raw)) {
+        if (key !== 'shape' && !allowed.includes(key)) fail(`${path}.${key}`, 'unknown field');
+    }
+
+    const collider = { ...raw };
+    if (raw.inset !== undefined && !(fraction(raw.inset) && raw.inset >= 0 && raw.inset < 0.5)) {
+        fail(`${path}.inset`, 'must be a number from 0 up to 0.5');
+    }
+    if (raw.shape === 'circle' && !(fraction(raw.radius) && raw.radius > 0)) {
+        fail(`${path}.radius`, 'must be a number greater than 0');
+    }
+    if (raw.shape === 'polygon') {
+        const points = raw.points;
+        if (!Array.isArray(points) || points.length < 3 || !points.every(point => Array.isArray(point) && point.length === 2 && point.every(fraction))) {
+            fail(`${path}.points`, 'must be 3 or more [x, y] points');
+        } else {
+            const corners = points.map(([x, y]) => ({ x, y }));
+            const turns = corners.map((corner, i) => Math.sign(cross(corner, corners[(i + 1) % corners.length], corners[(i + 2) % corners.length])));
+            if (turns.includes(1) && turns.includes(-1)) fail(`${path}.points`, 'must outline a convex shape');
+            collider.points = points.map(point => [...point]);
+        }
+    }
+    return collider;
+}
+
+function isBox(entity) {
+    return !entity.collider || !entity.collider.shape || entity.collider.shape === 'box';
+}
+
+// Sprite box trimmed by `collider.inset`
+function boxBounds(entity) {
+    const inset = entity.collider && entity.collider.inset ? entity.collider.inset * Math.min(entity.width, entity.height) : 0;
+    return {
+        x: entity.x + inset,
+        y: entity.y + inset,
+        width: entity.width - inset * 2,
+        height: entity.height - inset * 2
+    };
+}
+
+// Axis-aligned box around an entity's hitbox, as { x, y, width, height }
+function colliderBounds(entity) {
+    if (isBox(entity)) return boxBounds(entity);
+
+    const { points, radius } = colliderShape(entity);
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const point of points) {
+        minX = Math.min(minX, point.x);
+        minY = Math.min(minY, point.y);
+        maxX = Math.max(maxX, point.x);
+        maxY = Math.max(maxY, point.y);
+    }
+    return {
+        x: minX - radius,
+        y: minY - radius,
+        width: maxX - minX + radius * 2,
+        height: maxY - minY + radius * 2
+    };
+}
+
+function boundsOverlap(a, b) {
+    return (
+        a.x < b.x + b.width &&
+        a.x + a.width > b.x &&
+        a.y < b.y + b.height &&
+        a.y + a.height > b.y
+    );
+}
+
+// =============================================================================
+// NARROW PHASE
+// =============================================================================
+function cross(o, a, b) {
+    return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+// Inside a convex polygon of either winding
+function polygonContains(points, point) {
+    let sign = 0;
+    for (let i = 0; i < points.length; i++) {
+        const side = cross(points[i], points[(i + 1) % points.length], point);
+        if (side === 0) continue;
+        if (sign === 0) {
+            sign = Math.sign(side);
+        } else if (Math.sign(side) !== sign) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function pointSegmentDistance(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function segmentDistance(a1, a2, b1, b2) {
+    const d1 = cross(b1, b2, a1);
+    const d2 = cross(b1, b2, a2);
+    const d3 = cross(a1, a2, b1);
+    const d4 = cross(a1, a2, b2);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        return 0; // ✅ Crossing
+    }
+    return Math.min(
+        pointSegmentDistance(a1, b1, b2),
+        pointSegmentDistance(a2, b1, b2),
+        pointSegmentDistance(b1, a1, a2),
+        pointSegmentDistance(b2, a1, a2)
+    );
+}
+
+function shapeEdges(points) {
+    if (points.length < 3) return [[points[0], points[points.length - 1]]];
+    return points.map((point, i) => [point, points[(i + 1) % points.length]]);
+}
+
+// Convex shapes overlap when one contains the other or their outlines come
+// closer than the sum of their radii
+function shapesOverlap(a, b) {
+    if (a.points.length > 2 && polygonContains(a.points, b.points[0])) return true;
+    if (b.points.length > 2 && polygonContains(b.points, a.points[0])) return true;
+
+    const reach = a.radius + b.radius;
+    for (const [a1, a2] of shapeEdges(a.points)) {
+        for (const [b1, b2] of shapeEdges(b.points)) {
+            const distance = segmentDistance(a1, a2, b1, b2);
+            if (distance < reach || (reach === 0 && distance === 0)) return true;
+        }
+    }
+    return false;
+}
+
+// Do two entities' hitboxes overlap?
+function checkCollision(obj1, obj2) {
+    if (!boundsOverlap(colliderBounds(obj1), colliderBounds(obj2))) return false;
+    if (isBox(obj1) && isBox(obj2)) return true; // ✅ Boxes need nothing more
+
+    return shapesOverlap(colliderShape(obj1), colliderShape(obj2));
+}
+
+// Outline an entity's hitbox (debug console `hitboxes`)
+function drawCollider(ctx, entity, color = 'cyan') {
+    const { points, radius } = colliderShape(entity);
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    if (points.length > 2) {
+        points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+        ctx.closePath();
+    } else {
+        // Circle or capsule: a round cap at each end joined by the sides
+        const [start, end] = [points[0], points[points.length - 1]];
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        ctx.arc(end.x, end.y, radius, angle - Math.PI / 2, angle + Math.PI / 2);
+        ctx.arc(start.x, start.y, radius, angle + Math.PI / 2, angle + Math.PI * 1.5);
+        ctx.closePath();
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Centre/radius test used by the server-side simulations
+function circlesOverlap(x1, y1, r1, x2, y2, r2) {
+    const dx = x1 - x2;
+    const dy = y1 - y2;
+    return dx * dx + dy * dy < (r1 + r2) * (r1 + r2);
+}
+
+// =============================================================================
+// BROADPHASE
+// =============================================================================
+// Uniform grid keyed by cell coordinates. Queries return each candidate once,
+// in insertion order, so results never depend on Map iteration quirks and
+// replays stay deterministic.
+class SpatialHash {
+    constructor(cellSize = 128) {
+        this.cellSize = cellSize;
+        this.cells = new Map();   // cell key -> [entry]
+        this.entries = new Map(); // item -> { item, order, keys, seen }
+        this.inserted = 0;
+        this.queries = 0;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.inserted = 0;
+    }
+
+    // Every cell key a box touches
+    cellKeys(bounds) {
+        const size = this.cellSize;
+        const minX = Math.floor(bounds.x / size);
+        const maxX = Math.floor((bounds.x + bounds.width) / size);
+        const minY = Math.floor(bounds.y / size);
+        const maxY = Math.floor((bounds.y + bounds.height) / size);
+
+        const keys = [];
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                keys.push(cx * 65536 + cy); // ✅ Unique for any on-screen (or nearby) cell
+            }
+        }
+        return keys;
+    }
+
+    insert(item, bounds = colliderBounds(item)) {
+        if (this.entries.has(item)) this.remove(item);
+
+        const entry = { item, order: this.inserted++, keys: this.cellKeys(bounds), seen: -1 };
+        this.entries.set(item, entry);
+        for (const key of entry.keys) {
+            const cell = this.cells.get(key);
+            if (cell) {
+                cell.push(entry);
+            } else {
+                this.cells.set(key, [entry]);
+            }
+        }
+    }
+
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+
+        this.entries.delete(item);
+        for (const key of entry.keys) {
+            const cell = this.cells.get(key);
+            cell.splice(cell.indexOf(entry), 1);
+            if (cell.length === 0) this.cells.delete(key);
+        }
+    }
+
+    // Bucket a whole list at once (clears what was there)
+    rebuild(items) {
+        this.clear();
+        for (const item of items) this.insert(item);
+    }
+
+    // Items whose cells touch `bounds` - candidates only, run the exact test on them
+    query(bounds) {
+        const stamp = this.queries++;
+        const found = [];
+        for (const key of this.cellKeys(bounds)) {
+            const cell = this.cells.get(key);
+            if (!cell) continue;
+            for (const entry of cell) {
+                if (entry.seen !== stamp) {
+                    entry.seen = stamp;
+                    found.push(entry);
+                }
+            }
+        }
+        return found.sort((a, b) => a.order - b.order).map(entry => entry.item);
+    }
+
+    // Candidates near an entity's hitbox
+    nearby(entity) {
+        return this.query(colliderBounds(entity));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.checkCollision = checkCollision;
+    window.drawCollider = drawCollider;
+}
+
+export { checkCollision, colliderBounds, colliderShape, normalizeCollider, boundsOverlap, circlesOverlap, drawCollider, SpatialHash };
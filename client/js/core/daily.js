@@ -0,0 +1,121 @@
+// Daily Challenge - one run per day that everybody plays the same way: the
+// seed and a rotating set of modifiers both come from the date alone, so any
+// copy of the game produces them offline.
+//
+// The day is the UTC date, so teammates in different time zones share it.
+// Each day picks DAILY_TUNING.count modifiers from DAILY_MODIFIERS, skipping
+// any that `excludes` one already picked. A modifier changes the run through:
+//   effects   damageDealt / damageTaken / asteroids multiply, powerUps: false
+//             stops drops, mirrored: true swaps left and right
+//   mode      plays a different run mode (RUN_MODES in core/simulation.js)
+// Daily runs always use DAILY_TUNING.difficulty without adaptive difficulty,
+// and play on the fixed DAILY_TUNING.world playfield (scaled to fit whatever
+// screen it's on) since spawns and movement follow the world size - so scores
+// on the same date compare fairly.
+//
+//   const challenge = dailyChallenge();        // today
+//   dailyChallenge('2026-10-18');              // { date, seed, modifiers, mode, difficulty, world }
+import { SeededRandom, normalizeSeed } from './random.js';
+import { validateAtLoad } from './validation.js';
+
+const DAILY_MODIFIERS = {
+    glassCannon: {
+        name: 'Glass Cannon',
+        description: 'Your shots hit twice as hard - and so do theirs',
+        effects: { damageDealt: 2, damageTaken: 2 }
+    },
+    doubleAsteroids: {
+        name: 'Double Asteroids',
+        description: 'Twice the rocks, twice as often',
+        effects: { asteroids: 2 },
+        excludes: ['bossOnly'] // ✅ Boss fights spawn no asteroids
+    },
+    noPowerUps: {
+        name: 'No Power-Ups',
+        description: 'Nothing drops; make do with what you launch with',
+        effects: { powerUps: false }
+    },
+    mirroredControls: {
+        name: 'Mirrored Controls',
+        description: 'Left is right and right is left',
+        effects: { mirrored: true }
+    },
+    bossOnly: {
+        name: 'Boss Only',
+        description: 'Straight to the bosses, back to back',
+        effects: {},
+        mode: 'bossRush',
+        excludes: ['doubleAsteroids']
+    }
+};
+
+// What no modifiers at all looks like
+const NO_MODIFIER_EFFECTS = { damageDealt: 1, damageTaken: 1, asteroids: 1, powerUps: true, mirrored: false };
+
+const DAILY_TUNING = {
+    count: 2,              // modifiers per day
+    difficulty: 'pilot',   // everyone plays the same preset
+    world: { width: 1280, height: 720 } // and the same playfield, whatever the screen
+};
+
+// Today's (or `date`'s) UTC day as YYYY-MM-DD
+function dailyDate(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+function dailyChallenge(date = new Date(), tuning = DAILY_TUNING) {
+    const day = typeof date === 'string' ? date : dailyDate(date);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) throw new Error(`Invalid daily challenge date "${day}"`);
+
+    // 🎲 Modifiers from their own stream, so they don't shift the run's seed
+    const random = new SeededRandom(`daily:${day}:modifiers`);
+    const picked = [];
+    while (picked.length < tuning.count) {
+        const open = Object.keys(DAILY_MODIFIERS).filter(key =>
+            !picked.includes(key) &&
+            !picked.some(other => (DAILY_MODIFIERS[other].excludes ?? []).includes(key)));
+        if (open.length === 0) break;
+        picked.push(random.pick(open));
+    }
+    const modifiers = Object.keys(DAILY_MODIFIERS).filter(key => picked.includes(key)); // Table order for display
+
+    return {
+        date: day,
+        seed: normalizeSeed(`daily:${day}`),
+        modifiers,
+        mode: modifiers.map(key => DAILY_MODIFIERS[key].mode).find(Boolean) ?? 'campaign',
+        difficulty: tuning.difficulty,
+        world: { ...tuning.world }
+    };
+}
+
+// The combined effects of a list of modifier keys: numbers multiply, flags
+// take the modifier's value
+function modifierEffects(keys) {
+    const effects = { ...NO_MODIFIER_EFFECTS };
+    for (const key of keys) {
+        const modifier = DAILY_MODIFIERS[key];
+        if (!modifier) throw new Error(`Unknown modifier "${key}"`);
+        for (const [name, value] of Object.entries(modifier.effects)) {
+            effects[name] = typeof value === 'number' ? effects[name] * value : value;
+        }
+    }
+    return effects;
+}
+
+validateAtLoad(DAILY_MODIFIERS, (modifier, key, errors) => {
+    for (const [name, value] of Object.entries(modifier.effects)) {
+        if (!(name in NO_MODIFIER_EFFECTS)) errors.push(`modifiers.${key}.effects.${name}: unknown effect`);
+        else if (typeof value !== typeof NO_MODIFIER_EFFECTS[name]) errors.push(`modifiers.${key}.effects.${name}: must be a ${typeof NO_MODIFIER_EFFECTS[name]}`);
+    }
+    for (const other of modifier.excludes ?? []) {
+        if (!DAILY_MODIFIERS[other]) errors.push(`modifiers.${key}.excludes: unknown modifier "${other}"`);
+    }
+}, 'daily modifiers');
+
+if (typeof window !== 'undefined') {
+    window.DAILY_MODIFIERS = DAILY_MODIFIERS;
+    window.dailyChallenge = dailyChallenge;
+}
+
+export { DAILY_MODIFIERS, DAILY_TUNING, dailyDate, dailyChallenge, modifierEffects };
@@ -0,0 +1,180 @@
+// Difficulty - named presets that retune a run, plus an optional adaptive
+// director that eases off or leans in depending on how the player is doing.
+//
+// A preset overrides entries of CONFIG (`config`) and GameSettings
+// (`settings`) for the whole run, and sets:
+//   pressure   multiplies the enemy and asteroid spawn rates
+//   damage     multiplies the shield damage the ship takes
+//   adaptive   { min, max } bounds for the adaptive multiplier on pressure
+//
+// With adaptive difficulty on, every ADAPTIVE_TUNING.interval seconds the
+// director looks at the last interval - shield lost per minute, accuracy,
+// time spent on the level - and moves pressure one `step` harder or easier.
+// It only reads simulation state, so adaptive runs still replay exactly.
+//
+//   const director = new AdaptiveDifficulty(DIFFICULTY_PRESETS.pilot.adaptive);
+//   director.recordDamage(25);
+//   director.update(dt, { shotsFired, shotsHit, levelTime });  // new factor or null
+import { CONFIG, GameSettings } from './settings.js';
+import { validateAtLoad } from './validation.js';
+
+const DEFAULT_DIFFICULTY = 'pilot';
+
+const DIFFICULTY_PRESETS = {
+    cadet: {
+        name: 'Cadet',
+        description: 'Slower rocks, more lives, lighter hits',
+        pressure: 0.7,
+        damage: 0.6,
+        adaptive: { min: 0.6, max: 1.2 },
+        config: { asteroidSpeed: 100, maxAsteroids: 10, maxAsteroidsCap: 20, asteroidIncreaseInterval: 12 },
+        settings: { STARTING_LIVES: 5, MAX_LIVES: 6, RESPAWN_INVULNERABILITY: 3, RESPAWN_SHIELD: 75 }
+    },
+    // The tuning in core/settings.js
+    pilot: {
+        name: 'Pilot',
+        description: 'The invasion as intended',
+        pressure: 1,
+        damage: 1,
+        adaptive: { min: 0.7, max: 1.4 },
+        config: {},
+        settings: {}
+    },
+    ace: {
+        name: 'Ace',
+        description: 'Denser fields, harder hits, shorter grace',
+        pressure: 1.25,
+        damage: 1.25,
+        adaptive: { min: 0.8, max: 1.5 },
+        config: { asteroidSpeed: 140, maxAsteroids: 18, maxAsteroidsCap: 36, asteroidIncreaseInterval: 6 },
+        settings: { RESPAWN_INVULNERABILITY: 1.5 }
+    },
+    drazzan: {
+        name: 'Drazzan',
+        description: 'Two ships and no mercy',
+        pressure: 1.5,
+        damage: 1.5,
+        adaptive: { min: 1, max: 1.8 },
+        config: { asteroidSpeed: 160, maxAsteroids: 22, maxAsteroidsCap: 45, asteroidIncreaseInterval: 5 },
+        settings: { STARTING_LIVES: 2, MAX_LIVES: 3, RESPAWN_INVULNERABILITY: 1, RESPAWN_SHIELD: 25 }
+    }
+};
+
+// What the adaptive director counts as doing well or struggling
+const ADAPTIVE_TUNING = {
+    interval: 10,                       // seconds between adjustments
+    step: 0.05,                         // pressure change per adjustment
+    shieldLossPerMinute: [20, 60],      // under: doing well; over: struggling (a lost life counts 100)
+    accuracy: [0.35, 0.6],              // under: struggling; over: doing well
+    minShots: 10,                       // fewer shots in an interval say nothing about accuracy
+    levelPar: 90                        // seconds on one level before it counts as struggling
+};
+
+class AdaptiveDifficulty {
+    constructor(bounds, tuning = ADAPTIVE_TUNING) {
+        this.min = bounds.min;
+        this.max = bounds.max;
+        this.tuning = tuning;
+        this.factor = Math.min(this.max, Math.max(this.min, 1));
+        this.timer = 0;
+        this.shieldLost = 0;
+        this.lastShots = { fired: 0, hit: 0 };
+    }
+
+    recordDamage(amount) {
+        this.shieldLost += amount;
+    }
+
+    // A level cleared in under half of par is one step harder straight away
+    recordLevel(seconds) {
+        return seconds < this.tuning.levelPar / 2 ? this.adjust(1) : null;
+    }
+
+    // `stats` are the run's shot counters and the time on the current level
+    update(dt, { shotsFired, shotsHit, levelTime }) {
+        this.timer += dt;
+        if (this.timer < this.tuning.interval) return null;
+
+        const { shieldLossPerMinute, accuracy, minShots, levelPar } = this.tuning;
+        const lossRate = (this.shieldLost * 60) / this.timer;
+        const fired = shotsFired - this.lastShots.fired;
+        const hitRate = fired > 0 ? (shotsHit - this.lastShots.hit) / fired : 0;
+
+        // One vote per signal: +1 doing well, -1 struggling
+        let votes = 0;
+        if (lossRate < shieldLossPerMinute[0]) votes++;
+        else if (lossRate > shieldLossPerMinute[1]) votes--;
+        if (fired >= minShots) {
+            if (hitRate > accuracy[1]) votes++;
+            else if (hitRate < accuracy[0]) votes--;
+        }
+        if (levelTime > levelPar) votes--;
+
+        this.timer = 0;
+        this.shieldLost = 0;
+        this.lastShots = { fired: shotsFired, hit: shotsHit };
+        return votes === 0 ? null : this.adjust(Math.sign(votes));
+    }
+
+    // Returns the new factor, or null when it is already at that bound
+    adjust(direction) {
+        const factor = Math.min(this.max, Math.max(this.min, this.factor + direction * this.tuning.step));
+        if (Math.abs(factor - this.factor) < 1e-9) return null;
+        this.factor = factor;
+        return factor;
+    }
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+function normalizeDifficultyPreset(raw, path, errors) {
+    const fail = (where, message) => errors.push(`${where}: ${message}`);
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+        fail(path, 'must be an object');
+        return null;
+    }
+
+    for (const key of ['pressure', 'damage']) {
+        if (typeof raw[key] !== 'number' || !(raw[key] > 0)) fail(`${path}.${key}`, 'must be a positive number');
+    }
+    const adaptive = raw.adaptive ?? {};
+    if (!(adaptive.min > 0) || !(adaptive.max >= adaptive.min)) {
+        fail(`${path}.adaptive`, 'needs 0 < min <= max');
+    }
+
+    // ✅ Overrides may only name tunables that exist
+    const overrides = (key, table) => {
+        const values = raw[key] ?? {};
+        for (const [name, value] of Object.entries(values)) {
+            if (!(name in table)) fail(`${path}.${key}.${name}`, 'unknown tunable');
+            else if (typeof value !== typeof table[name]) fail(`${path}.${key}.${name}`, `must be a ${typeof table[name]}`);
+        }
+        return { ...values };
+    };
+    const config = overrides('config', CONFIG);
+    const settings = overrides('settings', GameSettings);
+
+    const lives = settings.STARTING_LIVES ?? GameSettings.STARTING_LIVES;
+    if (lives > (settings.MAX_LIVES ?? GameSettings.MAX_LIVES)) {
+        fail(`${path}.settings`, 'STARTING_LIVES is above MAX_LIVES');
+    }
+
+    return {
+        name: raw.name ?? path,
+        description: raw.description ?? '',
+        pressure: raw.pressure,
+        damage: raw.damage,
+        adaptive: { min: adaptive.min, max: adaptive.max },
+        config,
+        settings
+    };
+}
+
+validateAtLoad(DIFFICULTY_PRESETS, (preset, key, errors) => normalizeDifficultyPreset(preset, `difficulty.${key}`, errors), 'difficulty presets');
+
+if (typeof window !== 'undefined') {
+    window.DIFFICULTY_PRESETS = DIFFICULTY_PRESETS;
+}
+
+export { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY, ADAPTIVE_TUNING, AdaptiveDifficulty };
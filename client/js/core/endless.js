@@ -0,0 +1,110 @@
+// Endless - survival mode: levels are generated one after another instead of
+// read from a campaign, each a little harder than the last, until the player
+// runs out of ships.
+//
+// Every level is built from ENDLESS_TUNING:
+//   - the kill goal, enemies on screen, spawn rate and speed climb per level
+//   - enemy archetypes unlock as the levels go by and are mixed in random
+//     proportions, with a few scripted waves along random paths and formations
+//   - asteroids come faster and more of them fit on screen
+//   - every `miniBossEvery` levels ends with a mini-boss that gains health
+//     each time it comes back
+//
+// A level is generated from the run seed and its number alone, so the same
+// seed always produces the same levels (replays, daily challenges) whatever
+// happened in the levels before it. The result goes through validateCampaign,
+// so it has exactly the shape of a campaign level.
+//
+//   const level = generateEndlessLevel(7, sim.seed);
+import { SeededRandom } from './random.js';
+import { validateCampaign } from './levels.js';
+import { PATH_DEFINITIONS, FORMATIONS } from './paths.js';
+import { POWER_UP_TYPES } from './powerups.js';
+
+const ENDLESS_TUNING = {
+    enemiesNeeded: { base: 6, perLevel: 2, max: 40 },
+    maxOnScreen: { base: 3, perLevel: 0.5, max: 12 },
+    spawnRate: { base: 1.2, perLevel: 0.1, max: 3 },
+    speedBonus: { base: 0, perLevel: 12, max: 200 },
+    asteroidRate: { base: 2.4, perLevel: 0.25, max: 6 },
+    maxAsteroids: { base: 10, perLevel: 2, max: 40 },
+    powerUpRate: 0.08,
+    unlocks: { fighter: 1, kamikaze: 2, splitter: 3, sniper: 4, tank: 6, carrier: 8 }, // First level each appears on
+    waves: { min: 1, max: 3, gap: 8, size: [3, 7] }, // Scripted waves per level, seconds apart
+    miniBoss: 'corvette',
+    miniBossEvery: 5,
+    miniBossHealth: 80,
+    miniBossGrowth: 0.25 // Extra health per appearance after the first
+};
+
+function ramp({ base, perLevel, max }, level) {
+    return Math.min(max, base + perLevel * (level - 1));
+}
+
+// The raw level for `number` (1-based), before validation
+function buildEndlessLevel(number, random, tuning) {
+    const unlocked = Object.entries(tuning.unlocks)
+        .filter(([, from]) => number >= from)
+        .map(([type]) => type);
+
+    // 🎲 A fresh mix each level; the newest arrival gets a double share
+    const types = {};
+    for (const type of unlocked) types[type] = random.int(1, 4);
+    const newest = unlocked.find(type => tuning.unlocks[type] === number);
+    if (newest) types[newest] *= 2;
+
+    const enemiesNeeded = Math.round(ramp(tuning.enemiesNeeded, number));
+    const waveCount = random.int(tuning.waves.min, tuning.waves.max);
+    const paths = Object.keys(PATH_DEFINITIONS);
+    const formations = Object.keys(FORMATIONS);
+    const waves = [];
+    for (let i = 0; i < waveCount; i++) {
+        const size = Math.min(tuning.waves.size[1], tuning.waves.size[0] + Math.floor(number / 3));
+        waves.push({
+            at: 3 + i * tuning.waves.gap,
+            enemies: { [random.pick(unlocked)]: size },
+            path: random.pick(paths),
+            mirror: random.chance(0.5),
+            ...(random.chance(0.5) ? { formation: random.pick(formations) } : {})
+        });
+    }
+
+    const level = {
+        name: `Wave ${number}`,
+        enemiesNeeded,
+        enemies: {
+            maxOnScreen: Math.floor(ramp(tuning.maxOnScreen, number)),
+            spawnRate: ramp(tuning.spawnRate, number),
+            speedBonus: ramp(tuning.speedBonus, number),
+            types
+        },
+        waves,
+        asteroids: {
+            spawnRate: ramp(tuning.asteroidRate, number),
+            maxOnScreen: Math.floor(ramp(tuning.maxAsteroids, number))
+        },
+        powerUps: {
+            spawnRate: tuning.powerUpRate,
+            types: Object.fromEntries(POWER_UP_TYPES.map(type => [type, 1]))
+        }
+    };
+
+    // 👾 Mini-boss every few levels, tougher each time it returns
+    if (number % tuning.miniBossEvery === 0) {
+        const appearance = number / tuning.miniBossEvery;
+        level.boss = {
+            type: tuning.miniBoss,
+            health: Math.round(tuning.miniBossHealth * (1 + tuning.miniBossGrowth * (appearance - 1))),
+            trigger: { enemiesDestroyed: enemiesNeeded }
+        };
+    }
+    return level;
+}
+
+function generateEndlessLevel(number, seed, tuning = ENDLESS_TUNING) {
+    const random = new SeededRandom(`${seed}:endless:${number}`);
+    const raw = buildEndlessLevel(number, random, tuning);
+    return validateCampaign({ id: 'endless', levels: [raw] }, `endless level ${number}`).levels[0];
+}
+
+export { ENDLESS_TUNING, generateEndlessLevel };
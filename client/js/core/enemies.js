@@ -0,0 +1,170 @@
+// Enemies - declarative definitions for every enemy archetype a campaign level
+// can name (in enemies.types, waves and boss summons). A definition is plain
+// data read by the Enemy class (core/enemy.js):
+//
+// - width, height  size in pixels (the sprite is scaled to fit)
+// - health         laser damage it takes to destroy
+// - points         score for destroying it
+// - speedX         horizontal speed for zigzag and dodge (plus the level's speedBonus)
+// - spawnY         spawn height as a fraction of the screen
+// - goal           false if kills don't count towards the level's enemiesNeeded
+//                  (minions that would otherwise let a carrier farm a level)
+// - ramDamage      shield damage from flying into the player (it dies too)
+// - shield         { amount, regen, delay } absorbs damage first and recharges
+//                  at `regen` per second once not hit for `delay` seconds
+// - splitInto      { type, count } spawned where it is destroyed
+// - color          glow that tells archetypes sharing a sprite apart
+// - behaviors      { type, ...parameters } in priority order; types: zigzag,
+//                  hover, avoidAsteroids, dodge, chase, seek, station,
+//                  spreadShot, aimedShot, dive, launch
+//                  (see ENEMY_BEHAVIORS for their parameters and defaults)
+import { normalizeEnemyDefinition } from './enemy.js';
+import { validateAtLoad } from './validation.js';
+
+const ENEMY_DEFINITIONS = {
+    // The original Drazzan fighter
+    fighter: {
+        name: 'Drazzan Fighter',
+        sprite: 'enemy',
+        width: 80,
+        height: 80,
+        health: 3,
+        points: 50,
+        speedX: 120,
+        collider: {
+            shape: 'polygon', // ✅ Crest, wings and body; the trailing tendrils don't count
+            points: [[0.5, 0.12], [0.8, 0.4], [0.56, 0.78], [0.44, 0.78], [0.2, 0.4]]
+        },
+        behaviors: [
+            { type: 'zigzag' },
+            { type: 'hover', speed: 30 },
+            { type: 'avoidAsteroids' },
+            { type: 'dodge', strength: 5 },
+            { type: 'chase', speed: 30, minDistance: 50 },
+            { type: 'spreadShot', shots: 3, gap: 10, interval: [50 / 60, 100 / 60] }
+        ]
+    },
+    kamikaze: {
+        name: 'Kamikaze Diver',
+        sprite: 'enemy',
+        color: '#ff3333',
+        width: 56,
+        height: 56,
+        health: 1,
+        points: 75,
+        speedX: 160,
+        ramDamage: 40,
+        behaviors: [
+            { type: 'dive', delay: [1.5, 3], speed: 180, acceleration: 360, turnRate: 1.5 },
+            { type: 'zigzag' },
+            { type: 'hover', speed: 40, frequency: 3 }
+        ]
+    },
+    sniper: {
+        name: 'Sniper',
+        sprite: 'enemy',
+        color: '#66ccff',
+        width: 70,
+        height: 70,
+        health: 2,
+        points: 100,
+        speedX: 60,
+        behaviors: [
+            { type: 'station', y: 0.12, speed: 120 },
+            { type: 'zigzag' },
+            { type: 'dodge', strength: 3 },
+            { type: 'aimedShot', interval: [2, 3], telegraph: 0.6, speed: 480 }
+        ]
+    },
+    tank: {
+        name: 'Shielded Tank',
+        sprite: 'enemy',
+        color: '#33ff99',
+        width: 110,
+        height: 100,
+        health: 8,
+        points: 150,
+        speedX: 50,
+        shield: { amount: 6, regen: 2, delay: 2.5 },
+        behaviors: [
+            { type: 'zigzag' },
+            { type: 'hover', speed: 15 },
+            { type: 'avoidAsteroids' },
+            { type: 'spreadShot', shots: 5, gap: 14, interval: [1.5, 2.5] }
+        ]
+    },
+    splitter: {
+        name: 'Splitter',
+        sprite: 'enemy',
+        color: '#ffcc00',
+        width: 80,
+        height: 80,
+        health: 3,
+        points: 60,
+        speedX: 100,
+        splitInto: { type: 'shard', count: 3 },
+        behaviors: [
+            { type: 'zigzag' },
+            { type: 'hover', speed: 30 },
+            { type: 'avoidAsteroids' },
+            { type: 'spreadShot', shots: 1, interval: [1, 2] }
+        ]
+    },
+    shard: {
+        name: 'Splitter Shard',
+        sprite: 'enemy',
+        color: '#ffcc00',
+        width: 36,
+        height: 36,
+        health: 1,
+        points: 20,
+        speedX: 200,
+        goal: false,
+        behaviors: [
+            { type: 'zigzag' },
+            { type: 'hover', speed: 80, frequency: 4 },
+            { type: 'chase', speed: 80, minDistance: 20 }
+        ]
+    },
+    carrier: {
+        name: 'Carrier',
+        sprite: 'enemy',
+        color: '#cc66ff',
+        width: 130,
+        height: 110,
+        health: 10,
+        points: 200,
+        speedX: 40,
+        spawnY: 0.15,
+        behaviors: [
+            { type: 'zigzag' },
+            { type: 'hover', speed: 10 },
+            { type: 'launch', enemy: 'drone', interval: 4, count: 2, max: 4 }
+        ]
+    },
+    drone: {
+        name: 'Drone',
+        sprite: 'enemy',
+        color: '#cc66ff',
+        width: 30,
+        height: 30,
+        health: 1,
+        points: 15,
+        goal: false,
+        ramDamage: 15,
+        behaviors: [
+            { type: 'seek', speed: 140 }
+        ]
+    }
+};
+
+// The names levels, waves and boss summons can use
+const ENEMY_TYPES = Object.keys(ENEMY_DEFINITIONS);
+
+validateAtLoad(ENEMY_DEFINITIONS, (definition, type, errors) => normalizeEnemyDefinition(definition, `enemies.${type}`, errors, ENEMY_TYPES), 'enemy definitions');
+
+if (typeof window !== 'undefined') {
+    window.ENEMY_DEFINITIONS = ENEMY_DEFINITIONS;
+}
+
+export { ENEMY_DEFINITIONS, ENEMY_TYPES };
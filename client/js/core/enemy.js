@@ -0,0 +1,506 @@
+// Enemy - one class for every Drazzan ship, driven by a declarative
+// definition (see core/enemies.js for the built-in archetypes and the format).
+//
+// - An archetype is a list of behaviors: small, reusable pieces of AI
+//   (zigzag, hover, dodge, aimedShot, dive...). They run in order every tick
+//   like a priority selector - a behavior that returns true has taken over
+//   the ship's movement and the movement behaviors after it are skipped that
+//   tick (a kamikaze that has started its dive stops zigzagging). Behaviors
+//   marked `attack` only fire, so they always run.
+// - Scripted waves (core/paths.js) give an enemy orders on top: fly a path
+//   in, or hold a slot in its leader's formation. Orders take over movement
+//   the same way until they are done.
+// - Stats (size, health, shield, points, ramming damage) come from the data,
+//   so levels mix archetypes by naming them.
+// Like every entity, an Enemy never touches the DOM and rolls dice only
+// through the simulation's SeededRandom.
+import { checkCollision, normalizeCollider } from './collisions.js';
+import { interpolate } from './game-clock.js';
+import { drawSprite } from './entities.js';
+
+// =============================================================================
+// BEHAVIORS
+// =============================================================================
+// init() runs once when the enemy spawns and returns the behavior's state;
+// update() moves or fires and returns true to claim the rest of the tick.
+// `defaults` fill in parameters the definition leaves out; [min, max] pairs
+// are ranges rolled per enemy.
+const ENEMY_BEHAVIORS = {
+    // Side to side at the enemy's speedX, turning at the screen edges
+    // (a formation leader turns when its outermost follower reaches them)
+    zigzag: {
+        defaults: {},
+        update(enemy, params, state, dt) {
+            enemy.x += enemy.speedX * dt;
+            const { left, right } = enemy.span;
+            if ((enemy.x - left <= 0 && enemy.speedX < 0) || (enemy.x + enemy.width + right >= enemy.world.width && enemy.speedX > 0)) {
+                enemy.speedX *= -1; // Reverse direction at edges
+            }
+        }
+    },
+
+    // Bob up and down
+    hover: {
+        defaults: { speed: 30, frequency: 2 },
+        update(enemy, params, state, dt, sim) {
+            enemy.y += Math.sin(sim.time * params.frequency) * params.speed * dt; // `time` is simulation seconds
+        }
+    },
+
+    // Turn back when flying into an asteroid
+    avoidAsteroids: {
+        defaults: {},
+        update(enemy, params, state, dt, sim) {
+            for (let asteroid of sim.asteroidGrid.nearby(enemy)) {
+                if (checkCollision(enemy, asteroid)) {
+                    enemy.x -= enemy.speedX * 3 * dt; // Move further away
+                    enemy.speedX *= -1; // Change direction
+                }
+            }
+        }
+    },
+
+    // Jink left or right when a player laser is lined up
+    dodge: {
+        defaults: { strength: 5 },
+        update(enemy, params, state, dt, sim) {
+            for (let laser of sim.lasers) {
+                if (
+                    laser.y < enemy.y + enemy.height && // Laser is near
+                    Math.abs(laser.x - enemy.x) < enemy.width * 0.6 // Laser is in the danger zone
+                ) {
+                    enemy.x += sim.random.sign() * enemy.speedX * params.strength * dt;
+                }
+            }
+        }
+    },
+
+    // Drift sideways towards the player
+    chase: {
+        defaults: { speed: 30, minDistance: 50 },
+        update(enemy, params, state, dt, sim) {
+            if (Math.abs(sim.player.x - enemy.x) > params.minDistance) { // Only chase if not too close
+                enemy.x += (sim.player.x > enemy.x ? params.speed : -params.speed) * dt;
+            }
+        }
+    },
+
+    // Fly straight at the player (drones)
+    seek: {
+        defaults: { speed: 140 },
+        update(enemy, params, state, dt, sim) {
+            const { dx, dy } = toPlayer(enemy, sim.player);
+            const distance = Math.hypot(dx, dy);
+            if (distance > 1) {
+                enemy.x += (dx / distance) * params.speed * dt;
+                enemy.y += (dy / distance) * params.speed * dt;
+            }
+            return true;
+        }
+    },
+
+    // Climb (or sink) to `y` (a fraction of the screen height) before anything else
+    station: {
+        defaults: { y: 0.15, speed: 120 },
+        update(enemy, params, state, dt) {
+            const target = enemy.world.height * params.y;
+            const step = params.speed * dt;
+            if (Math.abs(enemy.y - target) <= step) {
+                enemy.y = target;
+                return false;
+            }
+            enemy.y += enemy.y < target ? step : -step;
+            return true;
+        }
+    },
+
+    // A fan of straight shots down the screen at a steady rhythm
+    spreadShot: {
+        attack: true,
+        defaults: { shots: 3, gap: 10, interval: [50 / 60, 100 / 60], speed: 300 },
+        init(enemy, params, random) {
+            return { timer: 0, interval: random.range(...params.interval) };
+        },
+        update(enemy, params, state, dt, sim) {
+            state.timer += dt;
+            if (state.timer >= state.interval) {
+                const x = enemy.x + enemy.width / 2;
+                for (let i = 0; i < params.shots; i++) {
+                    enemy.fire(sim, x + (i - (params.shots - 1) / 2) * params.gap, 0, params.speed);
+                }
+                state.timer = 0;
+            }
+        }
+    },
+
+    // One fast shot at the player after a telegraphed aim
+    aimedShot: {
+        attack: true,
+        defaults: { interval: [2, 3], telegraph: 0.6, speed: 480 },
+        init(enemy, params, random) {
+            return { timer: 0, wait: random.range(...params.interval) };
+        },
+        update(enemy, params, state, dt, sim) {
+            state.timer += dt;
+            if (state.timer < state.wait - params.telegraph) return;
+
+            const { dx, dy } = toPlayer(enemy, sim.player);
+            enemy.aim = Math.atan2(dy, dx); // Tracks the player until it fires
+            if (state.timer >= state.wait) {
+                enemy.fire(sim, enemy.x + enemy.width / 2, Math.cos(enemy.aim) * params.speed, Math.sin(enemy.aim) * params.speed);
+                enemy.aim = null;
+                state.timer = 0;
+                state.wait = sim.random.range(...params.interval);
+            }
+        }
+    },
+
+    // After `delay`, lock on and dive at the player, speeding up and turning
+    // at up to `turnRate` radians per second. Once diving it never stops.
+    dive: {
+        defaults: { delay: [1.5, 3], speed: 180, acceleration: 360, turnRate: 1.5 },
+        init(enemy, params, random) {
+            return { timer: 0, wait: random.range(...params.delay), diving: false, heading: 0, speed: 0 };
+        },
+        update(enemy, params, state, dt, sim) {
+            const { dx, dy } = toPlayer(enemy, sim.player);
+            const aim = Math.atan2(dy, dx);
+
+            if (!state.diving) {
+                state.timer += dt;
+                if (state.timer < state.wait) return false;
+                state.diving = true;
+                state.heading = aim;
+                state.speed = params.speed;
+            }
+
+            // Only steer while the player is still ahead, so a miss flies on off-screen
+            if (dy > 0) {
+                const turn = Math.atan2(Math.sin(aim - state.heading), Math.cos(aim - state.heading));
+                const limit = params.turnRate * dt;
+                state.heading += Math.max(-limit, Math.min(limit, turn));
+            }
+            state.speed += params.acceleration * dt;
+            enemy.x += Math.cos(state.heading) * state.speed * dt;
+            enemy.y += Math.sin(state.heading) * state.speed * dt;
+            return true;
+        }
+    },
+
+    // Launch `count` enemies of type `enemy` every `interval`, keeping at most `max` alive
+    launch: {
+        attack: true,
+        defaults: { enemy: 'drone', interval: 4, count: 2, max: 4 },
+        init() {
+            return { timer: 0, launched: [] };
+        },
+        update(enemy, params, state, dt, sim) {
+            state.timer += dt;
+            if (state.timer < params.interval) return;
+            state.timer = 0;
+
+            state.launched = state.launched.filter(launched => sim.enemies.includes(launched));
+            const count = Math.min(params.count, params.max - state.launched.length);
+            for (let i = 0; i < count; i++) {
+                const launched = sim.spawnEnemy(params.enemy);
+                launched.x = enemy.x + (enemy.width * (i + 1)) / (count + 1) - launched.width / 2;
+                launched.y = enemy.y + enemy.height - launched.height / 2;
+                state.launched.push(launched);
+            }
+        }
+    }
+};
+
+// Offset from the enemy's centre to the player's
+function toPlayer(enemy, player) {
+    return {
+        dx: player.x + player.width / 2 - (enemy.x + enemy.width / 2),
+        dy: player.y + player.height / 2 - (enemy.y + enemy.height / 2)
+    };
+}
+
+// =============================================================================
+// ENEMY
+// =============================================================================
+class Enemy {
+    constructor(type, definition, world, random) {
+        this.type = type;
+        this.definition = definition;
+        this.world = world;
+        this.width = definition.width;
+        this.height = definition.height;
+        this.x = random.range(0, world.width - this.width);
+        this.y = world.height * definition.spawnY;
+        this.speedX = definition.speedX; // Horizontal speed (pixels per second)
+        this.health = definition.health;
+        this.shield = definition.shield.amount; // Absorbs damage before health
+        this.sinceHit = Infinity;               // Seconds since the last hit, for shield regeneration
+        this.points = definition.points;
+        this.ramDamage = definition.ramDamage;  // Shield damage from flying into the player
+        this.sprite = definition.sprite;
+        this.color = definition.color;
+        this.collider = definition.collider;
+        this.aim = null; // Angle an aimed shot is telegraphing, if any
+
+        // Orders from a scripted wave
+        this.path = null;      // { path, speed, distance } while flying in along a SpawnPath
+        this.leader = null;    // The enemy whose formation this one holds a slot in
+        this.slot = null;      // { x, y } offset from the leader's centre
+        this.span = { left: 0, right: 0 }; // How far a led formation reaches past this ship
+        this.scripted = false; // Orders are steering it (it may be off-screen)
+
+        this.behaviors = definition.behaviors.map(params => {
+            const behavior = ENEMY_BEHAVIORS[params.type];
+            return { behavior, params, state: behavior.init ? behavior.init(this, params, random) : {} };
+        });
+    }
+
+    // `sim` supplies the shared state the AI reacts to (time, random, player,
+    // asteroids, lasers) and receives the lasers this enemy fires
+    move(dt, sim) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+
+        // 🛡️ Shields recharge once the enemy hasn't been hit for a while
+        this.sinceHit += dt;
+        const shield = this.definition.shield;
+        if (this.shield < shield.amount && this.sinceHit >= shield.delay) {
+            this.shield = Math.min(shield.amount, this.shield + shield.regen * dt);
+        }
+
+        this.scripted = this.flyPath(dt) || this.holdFormation(sim);
+        let claimed = this.scripted;
+        for (const { behavior, params, state } of this.behaviors) {
+            if (claimed && !behavior.attack) continue;
+            if (behavior.update(this, params, state, dt, sim)) claimed = true;
+        }
+    }
+
+    // 🛤️ Fly in along `path` at `speed` pixels per second, starting at its first point
+    followPath(path, speed) {
+        this.path = { path, speed, distance: 0 };
+        this.moveCentreTo(path.at(0));
+    }
+
+    // 🛸 Hold `slot` relative to `leader` until it is destroyed
+    joinFormation(leader, slot) {
+        this.leader = leader;
+        this.slot = slot;
+        leader.span.left = Math.max(leader.span.left, -slot.x);
+        leader.span.right = Math.max(leader.span.right, slot.x);
+        this.holdFormation(null);
+    }
+
+    flyPath(dt) {
+        if (!this.path) return false;
+        this.path.distance += this.path.speed * dt;
+        const point = this.path.path.at(this.path.distance);
+        this.moveCentreTo(point);
+        if (point.done) this.path = null; // ✅ Its own behaviors take over from next tick
+        return true;
+    }
+
+    holdFormation(sim) {
+        if (!this.leader) return false;
+        if (sim && !sim.enemies.includes(this.leader)) {
+            this.leader = null; // ✅ Leader down: break formation
+            return false;
+        }
+        this.moveCentreTo({
+            x: this.leader.x + this.leader.width / 2 + this.slot.x,
+            y: this.leader.y + this.leader.height / 2 + this.slot.y
+        });
+        return true;
+    }
+
+    moveCentreTo({ x, y }) {
+        this.x = x - this.width / 2;
+        this.y = y - this.height / 2;
+    }
+
+    // Returns true once the enemy is destroyed
+    takeDamage(amount) {
+        const absorbed = Math.min(this.shield, amount);
+        this.shield -= absorbed;
+        this.health -= amount - absorbed;
+        this.sinceHit = 0;
+        return this.health <= 0;
+    }
+
+    // One laser from (x, bottom edge) travelling at (vx, vy) pixels per second
+    fire(sim, x, vx, vy) {
+        sim.enemyLasers.push(sim.pools.enemyLasers.acquire(x, this.y + this.height, vx, vy));
+    }
+
+    draw(ctx, alpha = 1) {
+        const x = interpolate(this.prevX, this.x, alpha);
+        const y = interpolate(this.prevY, this.y, alpha);
+
+        if (this.color) {
+            // Archetypes share the fighter sprite; a coloured glow tells them apart
+            ctx.save();
+            ctx.shadowColor = this.color;
+            ctx.shadowBlur = 20;
+            drawSprite(ctx, this.sprite, x, y, this.width, this.height);
+            ctx.restore();
+        } else {
+            drawSprite(ctx, this.sprite, x, y, this.width, this.height);
+        }
+
+        // 🛡️ Shield bubble, fading as it drains
+        if (this.shield > 0) {
+            ctx.save();
+            ctx.globalAlpha = 0.3 + 0.5 * (this.shield / this.definition.shield.amount);
+            ctx.strokeStyle = '#66ccff';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(x + this.width / 2, y + this.height / 2, Math.max(this.width, this.height) * 0.6, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        // 🎯 Telegraph: a thin line along the shot about to be fired
+        if (this.aim !== null) {
+            const originX = x + this.width / 2;
+            const originY = y + this.height;
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255, 80, 80, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(originX, originY);
+            ctx.lineTo(originX + Math.cos(this.aim) * 1000, originY + Math.sin(this.aim) * 1000);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+// Behavior parameters that set how often something happens (0 would fire
+// every tick) and ones that count shots or ships
+const POSITIVE_BEHAVIOR_PARAMETERS = ['interval', 'delay'];
+const COUNT_BEHAVIOR_PARAMETERS = ['shots', 'count', 'max'];
+
+// Fill in defaults and check one definition. Problems are pushed onto `errors`
+// as "path: message" strings; `enemyTypes` are the names splitInto and launch
+// may refer to.
+function normalizeEnemyDefinition(raw, path, errors, enemyTypes) {
+    const fail = (where, message) => errors.push(`${where}: ${message}`);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const number = (where, value, fallback, min = 0) => {
+        if (value === undefined || value === null) {
+            if (fallback === undefined) fail(where, 'is required');
+            return fallback;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            fail(where, 'must be a number');
+            return fallback;
+        }
+        if (value < min) fail(where, `must be at least ${min}`);
+        return value;
+    };
+    const range = (where, value, fallback) => {
+        if (value === undefined || value === null) return fallback;
+        if (!Array.isArray(value) || value.length !== 2 || value.some(n => typeof n !== 'number' || n < 0) || value[0] > value[1]) {
+            fail(where, 'must be [min, max]');
+            return fallback;
+        }
+        return [...value];
+    };
+    const enemyType = (where, value) => {
+        if (!enemyTypes.includes(value)) fail(where, `unknown enemy type (expected one of ${enemyTypes.join(', ')})`);
+        return value;
+    };
+
+    const onlyKeys = (where, value, keys) => {
+        for (const key of Object.keys(value)) {
+            if (!keys.includes(key)) fail(`${where}.${key}`, 'unknown field');
+        }
+    };
+
+    if (!isObject(raw)) {
+        fail(path, 'must be an object');
+        return null;
+    }
+    onlyKeys(path, raw, ['name', 'sprite', 'color', 'width', 'height', 'health', 'points', 'speedX', 'spawnY', 'goal', 'ramDamage', 'shield', 'splitInto', 'collider', 'behaviors']);
+
+    const shield = isObject(raw.shield) ? raw.shield : {};
+    const definition = {
+        name: typeof raw.name === 'string' ? raw.name : 'Enemy',
+        sprite: typeof raw.sprite === 'string' ? raw.sprite : 'enemy',
+        color: typeof raw.color === 'string' ? raw.color : null,
+        width: number(`${path}.width`, raw.width, undefined, 1),
+        height: number(`${path}.height`, raw.height, undefined, 1),
+        health: number(`${path}.health`, raw.health, undefined, 1),
+        points: number(`${path}.points`, raw.points, 0),
+        speedX: number(`${path}.speedX`, raw.speedX, 0, -Infinity),
+        spawnY: number(`${path}.spawnY`, raw.spawnY, 0.3),
+        goal: raw.goal !== false, // Counts towards the level's enemiesNeeded
+        ramDamage: number(`${path}.ramDamage`, raw.ramDamage, 0),
+        shield: {
+            amount: number(`${path}.shield.amount`, shield.amount, 0),
+            regen: number(`${path}.shield.regen`, shield.regen, 0),
+            delay: number(`${path}.shield.delay`, shield.delay, 2)
+        },
+        splitInto: null,
+        collider: raw.collider === undefined ? undefined : normalizeCollider(raw.collider, `${path}.collider`, errors),
+        behaviors: []
+    };
+    if (isObject(raw.shield)) onlyKeys(`${path}.shield`, raw.shield, ['amount', 'regen', 'delay']);
+
+    if (raw.splitInto !== undefined) {
+        if (isObject(raw.splitInto)) {
+            onlyKeys(`${path}.splitInto`, raw.splitInto, ['type', 'count']);
+            definition.splitInto = {
+                type: enemyType(`${path}.splitInto.type`, raw.splitInto.type),
+                count: number(`${path}.splitInto.count`, raw.splitInto.count, 2, 1)
+            };
+            if (!Number.isInteger(definition.splitInto.count)) fail(`${path}.splitInto.count`, 'must be a whole number');
+        } else {
+            fail(`${path}.splitInto`, 'must be { type, count }');
+        }
+    }
+
+    if (!Array.isArray(raw.behaviors) || raw.behaviors.length === 0) {
+        fail(`${path}.behaviors`, 'must be a non-empty array');
+    }
+    (Array.isArray(raw.behaviors) ? raw.behaviors : []).forEach((params, index) => {
+        const where = `${path}.behaviors[${index}]`;
+        const behavior = isObject(params) ? ENEMY_BEHAVIORS[params.type] : null;
+        if (!behavior) {
+            fail(`${where}.type`, `unknown behavior (expected one of ${Object.keys(ENEMY_BEHAVIORS).join(', ')})`);
+            return;
+        }
+
+        onlyKeys(where, params, ['type', ...Object.keys(behavior.defaults)]);
+        const normalized = { type: params.type };
+        for (const [key, fallback] of Object.entries(behavior.defaults)) {
+            if (typeof fallback === 'number') {
+                normalized[key] = number(`${where}.${key}`, params[key], fallback, -Infinity);
+            } else if (Array.isArray(fallback)) {
+                normalized[key] = range(`${where}.${key}`, params[key], fallback);
+            } else {
+                normalized[key] = params[key] ?? fallback;
+            }
+
+            const value = normalized[key];
+            if (POSITIVE_BEHAVIOR_PARAMETERS.includes(key) && !(Array.isArray(value) ? value[0] > 0 : value > 0)) {
+                fail(`${where}.${key}`, 'must be greater than 0');
+            } else if (COUNT_BEHAVIOR_PARAMETERS.includes(key) && !(Number.isInteger(value) && value > 0)) {
+                fail(`${where}.${key}`, 'must be a positive whole number');
+            }
+        }
+        if (params.type === 'launch') enemyType(`${where}.enemy`, normalized.enemy);
+        definition.behaviors.push(normalized);
+    });
+
+    return definition;
+}
+
+if (typeof window !== 'undefined') {
+    window.Enemy = Enemy;
+}
+
+export { Enemy, ENEMY_BEHAVIORS, normalizeEnemyDefinition };
@@ -0,0 +1,440 @@
+// Game entities - pure simulation objects with no DOM dependency.
+// Positions live in an injected `world` ({ width, height }) and every random
+// decision goes through an injected SeededRandom, so the same classes run in the
+// browser, in Node and on the multiplayer host, and replay identically from a seed.
+import { CONFIG, ASTEROID_SIZES } from './settings.js';
+import { interpolate } from './game-clock.js';
+import { POWER_UPS, PowerUpTimers } from './powerups.js';
+import { Weapon } from './weapons.js';
+
+// =============================================================================
+// SPRITES
+// =============================================================================
+// Entities only carry a sprite key - an image key in the asset manifest. The
+// browser installs a resolver that turns keys into decoded images
+// (js/assets.js); headless runs never draw.
+const SpriteAtlas = {
+    resolver: null,
+
+    get(key) {
+        return this.resolver ? this.resolver(key) : null;
+    }
+};
+
+function drawSprite(ctx, key, x, y, width, height) {
+    const image = SpriteAtlas.get(key);
+    if (image) ctx.drawImage(image, x, y, width, height);
+}
+
+// =============================================================================
+// PLAYER
+// =============================================================================
+class Player {
+    constructor(world, config = CONFIG, lives = 3) {
+        this.world = world;
+        this.width = 60;
+        this.height = 60;
+        this.moveToSpawn();
+        this.speed = config.playerSpeed;
+        this.sprite = 'player';
+        this.collider = {
+            shape: 'polygon', // ✅ Nose, wings and engines - not the empty corners
+            points: [[0.5, 0.15], [0.84, 0.5], [0.84, 0.67], [0.62, 0.8], [0.38, 0.8], [0.16, 0.67], [0.16, 0.5]]
+        };
+        this.shield = 100; // ✅ Shield starts at 100%
+        this.lives = lives;
+        this.invulnerable = 0;    // Seconds of respawn protection left
+        this.invincible = false;  // Debug console cheat
+        this.powerUps = new PowerUpTimers(); // Timed effects (core/powerups.js)
+        this.weapons = {                     // core/weapons.js
+            primary: new Weapon('laser'),
+            secondary: new Weapon('missiles')
+        };
+    }
+
+    // ✅ Bottom centre of the screen
+    moveToSpawn() {
+        this.x = this.world.width / 2 - this.width / 2;
+        this.y = this.world.height - 100;
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    // 🛡 Back at the spawn point, untouchable for `invulnerability` seconds
+    respawn(invulnerability) {
+        this.moveToSpawn();
+        this.invulnerable = invulnerability;
+    }
+
+    canBeHit() {
+        return !this.invincible && this.invulnerable <= 0;
+    }
+
+    // `input` is { left, right, up, down } for this tick
+    move(input, dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+
+        const distance = this.speed * dt; // ✅ Speed is in pixels per second
+        if (input.left && this.x > 0) this.x -= distance;
+        if (input.right && this.x < this.world.width - this.width) this.x += distance;
+        if (input.up && this.y > 0) this.y -= distance;
+        if (input.down && this.y < this.world.height - this.height) this.y += distance;
+    }
+
+    draw(ctx, alpha = 1) {
+        if (this.invulnerable > 0 && Math.floor(this.invulnerable * 10) % 2 === 1) return; // ✅ Blink while protected
+
+        const x = interpolate(this.prevX, this.x, alpha);
+        const y = interpolate(this.prevY, this.y, alpha);
+        drawSprite(ctx, this.sprite, x, y, this.width, this.height);
+    }
+}
+
+// =============================================================================
+// ASTEROIDS
+// =============================================================================
+const ASTEROID_REFERENCE_SIZE = 60; // A rock this size falls at CONFIG.asteroidSpeed
+
+class Asteroid {
+    constructor(world, random, config = CONFIG, fragment = null) {
+        this.sprite = 'asteroid';
+        this.collider = { shape: 'circle', radius: 0.42 }; // ✅ Round rock, slightly inside the sprite's edge
+        this.reset(world, random, config, fragment);
+    }
+
+    // Re-roll as a fresh asteroid falling in from the top (used by the
+    // simulation's pool), or as a fragment of a destroyed one:
+    // `fragment` is { sizeClass, x, y, vx, vy } with (x, y) its centre
+    reset(world, random, config = CONFIG, fragment = null) {
+        this.sizeClass = fragment ? fragment.sizeClass : pickAsteroidSize(random);
+        const definition = ASTEROID_SIZES[this.sizeClass];
+
+        this.size = random.range(...definition.size);
+        this.width = this.size;
+        this.height = this.size;
+        this.health = definition.health;
+        this.points = definition.points;
+
+        // ✅ Mass grows with area; heavier rocks fall, drift and spin slower
+        const scale = ASTEROID_REFERENCE_SIZE / this.size;
+        this.mass = 1 / (scale * scale);
+        const speedScale = Math.sqrt(scale);
+
+        if (fragment) {
+            this.x = fragment.x - this.size / 2;
+            this.y = fragment.y - this.size / 2;
+            this.vx = fragment.vx;
+            this.vy = fragment.vy;
+        } else {
+            this.x = random.range(0, world.width - this.size);
+            this.y = -this.size;
+            this.vx = random.range(-1, 1) * config.asteroidDrift * speedScale;
+            this.vy = config.asteroidSpeed * speedScale;
+        }
+        this.angle = random.range(0, Math.PI * 2);
+        this.spin = random.range(-1, 1) * config.asteroidSpin * speedScale; // Radians per second
+
+        this.prevX = undefined;
+        this.prevY = undefined;
+        this.prevAngle = undefined;
+        return this;
+    }
+
+    move(dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevAngle = this.angle;
+        this.x += this.vx * dt; // Velocities are in pixels per second
+        this.y += this.vy * dt;
+        this.angle += this.spin * dt;
+    }
+
+    draw(ctx, alpha = 1) {
+        const x = interpolate(this.prevX, this.x, alpha);
+        const y = interpolate(this.prevY, this.y, alpha);
+
+        ctx.save();
+        ctx.translate(x + this.width / 2, y + this.height / 2);
+        ctx.rotate(interpolate(this.prevAngle, this.angle, alpha));
+        drawSprite(ctx, this.sprite, -this.width / 2, -this.height / 2, this.width, this.height);
+        ctx.restore();
+    }
+}
+
+// One roll against the spawnWeights in ASTEROID_SIZES
+function pickAsteroidSize(random) {
+    let roll = random.next();
+    const classes = Object.keys(ASTEROID_SIZES);
+    for (const sizeClass of classes) {
+        roll -= ASTEROID_SIZES[sizeClass].spawnWeight;
+        if (roll < 0) return sizeClass;
+    }
+    return classes[classes.length - 1];
+}
+
+// A chip of rock thrown off a destroyed asteroid - scenery, it never collides
+class Debris {
+    constructor(x, y, vx, vy, size, duration) {
+        this.reset(x, y, vx, vy, size, duration);
+    }
+
+    reset(x, y, vx, vy, size = 6, duration = 0.6) {
+        this.x = x;
+        this.y = y;
+        this.vx = vx;
+        this.vy = vy;
+        this.width = size;
+        this.height = size;
+        this.angle = 0;
+        this.timer = duration; // Seconds remaining
+        this.duration = duration;
+        this.prevX = undefined;
+        this.prevY = undefined;
+        return this;
+    }
+
+    update(dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.x += this.vx * dt;
+        this.y += this.vy * dt;
+        this.angle += 8 * dt;
+        this.timer -= dt;
+    }
+
+    draw(ctx, alpha = 1) {
+        ctx.save();
+        ctx.globalAlpha = Math.max(0, this.timer / this.duration); // ✅ Fades out as it flies
+        ctx.translate(interpolate(this.prevX, this.x, alpha), interpolate(this.prevY, this.y, alpha));
+        ctx.rotate(this.angle);
+        ctx.fillStyle = "#8a7f72";
+        ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+        ctx.restore();
+    }
+}
+
+// =============================================================================
+// PROJECTILES
+// =============================================================================
+class Laser {
+    constructor(...args) {
+        this.reset(...args); // ✅ Fresh lasers take the same angle and homing as pooled ones
+    }
+
+    reset(x, y, width = 4, height = 15, angle = 0, homing = false) { // ✅ Default values
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.speed = CONFIG.laserSpeed; // Pixels per second
+        this.damage = 1;
+        this.angle = angle;   // Radians from straight up (positive leans right)
+        this.homing = homing; // Steered towards the nearest target by the simulation
+        this.prevX = undefined;
+        this.prevY = undefined;
+        return this;
+    }
+
+    move(dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.x += Math.sin(this.angle) * this.speed * dt;
+        this.y -= Math.cos(this.angle) * this.speed * dt;
+    }
+
+    draw(ctx, alpha = 1) {
+        ctx.fillStyle = this.homing ? POWER_UPS.homing.color : "red";
+        ctx.fillRect(interpolate(this.prevX, this.x, alpha), interpolate(this.prevY, this.y, alpha), this.width, this.height);
+    }
+}
+
+class EnemyLaser {
+    constructor(x, y, vx, vy) {
+        this.width = 4;
+        this.height = 15;
+        this.reset(x, y, vx, vy);
+    }
+
+    // Velocity in pixels per second; straight down by default
+    reset(x, y, vx = 0, vy = 300) {
+        this.x = x;
+        this.y = y;
+        this.vx = vx;
+        this.vy = vy;
+        this.near = false;   // ✨ Inside the ship's graze zone
+        this.grazed = false; // Scored its near miss
+        this.prevX = undefined;
+        this.prevY = undefined;
+        return this;
+    }
+
+    move(dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.x += this.vx * dt;
+        this.y += this.vy * dt; // Move downward toward the player
+    }
+
+    draw(ctx, alpha = 1) {
+        ctx.fillStyle = this.vx ? "orange" : "purple"; // Aimed shots stand out from the straight ones
+        ctx.fillRect(interpolate(this.prevX, this.x, alpha), interpolate(this.prevY, this.y, alpha), this.width, this.height);
+    }
+}
+
+class BossLaser {
+    constructor(x, y, angle, speed) {
+        this.width = 6;
+        this.height = 20;
+        this.collider = { shape: 'capsule' }; // ✅ Rotated with the bolt
+        this.reset(x, y, angle, speed);
+    }
+
+    reset(x, y, angle, speed = 300) {
+        this.x = x;
+        this.y = y;
+        this.speed = speed; // Pixels per second
+        this.angle = angle; // Radians
+        this.near = false;
+        this.grazed = false;
+        this.prevX = undefined;
+        this.prevY = undefined;
+        return this;
+    }
+
+    move(dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.x += Math.cos(this.angle) * this.speed * dt;
+        this.y += Math.sin(this.angle) * this.speed * dt;
+    }
+
+    draw(ctx, alpha = 1) {
+        // Always protect canvas state
+        ctx.save();
+
+        // Draw the bolt from its interpolated position, pointing where it travels
+        ctx.translate(interpolate(this.prevX, this.x, alpha), interpolate(this.prevY, this.y, alpha));
+        ctx.rotate(this.angle - Math.PI / 2);
+        ctx.beginPath();
+        ctx.fillStyle = "lime";
+        ctx.fillRect(-this.width / 2, 0, this.width, this.height);
+        ctx.closePath();
+
+        ctx.restore(); // Ensure no transform leaks out
+    }
+}
+
+// =============================================================================
+// EFFECTS & PICKUPS
+// =============================================================================
+class Explosion {
+    constructor(x, y, size, duration) {
+        this.sprite = 'explosion';
+        this.reset(x, y, size, duration);
+    }
+
+    reset(x, y, size = 50, duration = 0.5) {
+        this.x = x;
+        this.y = y;
+        this.width = size;
+        this.height = size;
+        this.timer = duration; // Seconds remaining
+        return this;
+    }
+
+    update(dt) {
+        this.timer -= dt;
+    }
+
+    draw(ctx) {
+        drawSprite(ctx, this.sprite, this.x, this.y, this.width, this.height);
+    }
+}
+
+// A drop from the power-up catalogue (core/powerups.js), tinted and marked
+// with its type's colour and glyph
+class PowerUp {
+    constructor(world, random, type = 'doubleFire') {
+        const definition = POWER_UPS[type];
+        this.type = type;
+        this.width = 56;
+        this.height = 56;
+        this.x = random.range(0, world.width - this.width);
+        this.y = random.range(0, world.height / 2);
+        this.speed = 40; // ✅ Drifts slowly down the screen (pixels per second)
+        this.sprite = 'powerUp';
+        this.color = definition.color;
+        this.glyph = definition.glyph;
+    }
+
+    // Drift down, or fly at `target` (pixels per second) while a magnet pulls it
+    move(dt, target = null, pull = 0) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+
+        if (!target) {
+            this.y += this.speed * dt;
+            return;
+        }
+
+        const dx = target.x + target.width / 2 - (this.x + this.width / 2);
+        const dy = target.y + target.height / 2 - (this.y + this.height / 2);
+        const distance = Math.hypot(dx, dy);
+        if (distance > 0) {
+            const step = Math.min(distance, pull * dt);
+            this.x += dx / distance * step;
+            this.y += dy / distance * step;
+        }
+    }
+
+    draw(ctx, alpha = 1) {
+        const x = interpolate(this.prevX, this.x, alpha);
+        const y = interpolate(this.prevY, this.y, alpha);
+        const centerX = x + this.width / 2;
+        const centerY = y + this.height / 2;
+
+        ctx.save();
+
+        // 🌟 Glow in the type's colour
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 20;
+        drawSprite(ctx, this.sprite, x, y, this.width, this.height);
+
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, this.width / 2, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = this.color;
+        ctx.font = "bold 20px Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(this.glyph, centerX, centerY);
+
+        ctx.restore();
+    }
+}
+
+// Enemies are data-driven - see core/enemy.js and core/enemies.js
+
+// The renderer resolves sprites through these globals
+if (typeof window !== 'undefined') {
+    window.SpriteAtlas = SpriteAtlas;
+    window.drawSprite = drawSprite;
+}
+
+export {
+    SpriteAtlas,
+    drawSprite,
+    Player,
+    Asteroid,
+    Debris,
+    Laser,
+    EnemyLaser,
+    BossLaser,
+    Explosion,
+    PowerUp
+};
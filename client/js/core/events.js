@@ -0,0 +1,103 @@
+// Game events - the typed, in-process event bus every layer talks through.
+// The simulation emits gameplay events; the HUD, audio, debug console,
+// network sync (and later achievements) subscribe instead of polling globals.
+//
+//   const events = new EventBus();
+//   const unsubscribe = events.on('enemyDestroyed', ({ type, points }) => ...);
+//   events.emit('enemyDestroyed', { enemy, type, x, y, points });
+//
+// GAME_EVENTS is the catalogue: each event and the fields its payload always
+// carries. Subscribing to or emitting an unknown event, or emitting without a
+// required field, throws - so a typo can't silently leave a listener deaf.
+const GAME_EVENTS = {
+    // Simulation
+    laserFired: ['double', 'shots'],                     // primary weapon
+    secondaryFired: ['weapon', 'ammo'],                  // ammo left
+    weaponUpgraded: ['weapon', 'level'],
+    enemyDestroyed: ['enemy', 'type', 'x', 'y', 'points'],
+    asteroidDestroyed: ['size', 'x', 'y', 'points'],     // size: large | medium | small
+    playerHit: ['source', 'damage', 'shield'],           // source: enemyLaser | bossLaser | asteroid | enemy (rammed)
+    lifeLost: ['source', 'lives'],                       // lives left; 0 is followed by gameOver
+    playerRespawned: ['lives', 'shield', 'invulnerable'],
+    extraLife: ['lives', 'score'],
+    playerRearmed: ['shield', 'weapon', 'ammo'],         // boss rush intermission
+    powerUpCollected: ['type', 'level', 'duration'],   // duration 0: instant (shield, smartBomb)
+    powerUpExpired: ['type'],
+    scoreAwarded: ['source', 'base', 'multiplier', 'points', 'total', 'chain'], // source: see SCORE_SOURCES
+    comboChanged: ['chain', 'multiplier', 'ended'],      // chain 0: the combo ran out after `ended` kills
+    levelTally: ['level', 'kills', 'grazes', 'shotsFired', 'shotsHit', 'accuracy', 'accuracyBonus', 'noDamageBonus', 'points'],
+    difficultyAdjusted: ['factor', 'pressure'],          // adaptive difficulty moved spawn pressure
+    levelCompleted: ['level'],
+    campaignCompleted: ['level', 'score', 'time', 'splits', 'mode'],
+    bossIncoming: ['boss'],
+    bossPhaseChanged: ['boss', 'phase', 'name'],         // phase is 1-based
+    bossDefeated: ['boss', 'final', 'time', 'baseScore', 'timeBonus', 'total'],
+    bossSplit: ['boss', 'name', 'index', 'split', 'total'], // seconds from arrival to defeat; index is 1-based
+    bossDestroyed: ['x', 'y'],
+    gameOver: ['score'],
+
+    // Browser
+    sceneChanged: ['scene', 'from'],
+    pauseChanged: ['paused'],
+
+    // Multiplayer
+    matchEnded: ['mode', 'reason', 'won']                // won: the local player won (versus) or the team did
+};
+
+class EventBus {
+    constructor(types = GAME_EVENTS) {
+        this.types = types;
+        this.listeners = new Map(); // type -> [handler]
+        this.anyListeners = [];     // (type, detail) for every event
+    }
+
+    check(type) {
+        if (!this.types[type]) throw new Error(`Unknown game event "${type}"`);
+    }
+
+    // Returns a function that unsubscribes
+    on(type, handler) {
+        this.check(type);
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            const index = handlers.indexOf(handler);
+            if (index !== -1) handlers.splice(index, 1);
+        }
+    }
+
+    // Every event, as handler(type, detail) - for logs and network relays
+    onAny(handler) {
+        this.anyListeners.push(handler);
+        return () => {
+            const index = this.anyListeners.indexOf(handler);
+            if (index !== -1) this.anyListeners.splice(index, 1);
+        };
+    }
+
+    emit(type, detail = {}) {
+        this.check(type);
+        const missing = this.types[type].filter(field => !(field in detail));
+        if (missing.length > 0) {
+            throw new Error(`Game event "${type}" is missing ${missing.join(', ')}`);
+        }
+
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            for (const handler of [...handlers]) handler(detail);
+        }
+        for (const handler of [...this.anyListeners]) handler(type, detail);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.EventBus = EventBus;
+    window.GAME_EVENTS = GAME_EVENTS;
+}
+
+export { EventBus, GAME_EVENTS };
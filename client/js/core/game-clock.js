@@ -0,0 +1,56 @@
+// Game Clock - fixed-timestep simulation clock with an accumulator
+// The simulation always advances in STEP-sized ticks regardless of display refresh
+// rate; rendering interpolates between the last two ticks using `alpha`.
+class GameClock {
+    constructor(stepSeconds = 1 / 60, maxFrameSeconds = 0.25) {
+        this.step = stepSeconds;             // Simulation tick length (seconds)
+        this.maxFrameTime = maxFrameSeconds; // Clamp long frames (tab switch, debugger) to avoid a spiral of death
+        this.reset();
+    }
+
+    // Forget the previous frame timestamp and any banked time
+    reset() {
+        this.lastTime = null;
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.ticks = 0;
+    }
+
+    // Advance the clock to `now` (ms, e.g. the requestAnimationFrame timestamp)
+    // and return how many fixed steps the simulation should run this frame
+    advance(now = performance.now()) {
+        if (this.lastTime === null || now < this.lastTime) {
+            this.lastTime = now;
+            this.alpha = 0;
+            return 0;
+        }
+
+        const frameTime = Math.min((now - this.lastTime) / 1000, this.maxFrameTime);
+        this.lastTime = now;
+        this.accumulator += frameTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.step) {
+            this.accumulator -= this.step;
+            steps++;
+        }
+
+        this.ticks += steps;
+        this.alpha = this.accumulator / this.step; // 0..1 blend between previous and current tick
+        return steps;
+    }
+}
+
+// Blend between a previous and current simulation value for rendering
+function interpolate(previous, current, alpha) {
+    if (previous === undefined) return current;
+    return previous + (current - previous) * alpha;
+}
+
+// Make clock available globally
+if (typeof window !== 'undefined') {
+    window.GameClock = GameClock;
+    window.interpolate = interpolate;
+}
+
+export { GameClock, interpolate };
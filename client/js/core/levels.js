@@ -0,0 +1,318 @@
+// Levels - loads and validates campaign files (client/data/campaigns/*.json).
+// A campaign is an ordered list of levels. Each level describes its enemy
+// waves (optionally flying in along paths and in formation, see
+// core/paths.js), spawn timing, asteroid density, power-up table and
+// optional boss (a built-in one from core/bosses.js or one the campaign
+// defines itself);
+// GameSimulation plays them in order, so new levels and whole alternate
+// campaigns are data changes only. campaign.schema.json documents the format
+// for editors; validateCampaign() is what the game actually enforces.
+//
+//   const campaign = await loadCampaign('data/campaigns/drazzan-invasion.json');
+//   const sim = new GameSimulation({ campaign });
+import { ENEMY_TYPES } from './enemies.js';
+import { POWER_UP_TYPES } from './powerups.js';
+import { normalizeBossDefinition } from './boss.js';
+import { BOSS_DEFINITIONS } from './bosses.js';
+import { PATH_DEFINITIONS, FORMATIONS, normalizePathDefinition } from './paths.js';
+
+const DEFAULT_CAMPAIGN_URL = 'data/campaigns/drazzan-invasion.json';
+
+const WAVE_SPACING = 0.5; // Seconds between enemies of a scripted wave
+const PATH_SPEED = 240;   // Pixels per second along a wave's path
+const FORMATION_GAP = 70; // Pixels between formation slots
+
+// Values for anything a level leaves out
+const LEVEL_DEFAULTS = {
+    name: '',
+    enemiesNeeded: 5,
+    enemies: {
+        maxOnScreen: 4,
+        spawnRate: 1.2,  // Average spawns per second while under maxOnScreen
+        speedBonus: 0,   // Added to each enemy's horizontal speed (pixels per second)
+        types: { fighter: 1 }
+    },
+    asteroids: {
+        spawnRate: 2.4,     // Average spawns per second
+        maxOnScreen: null   // null keeps the running CONFIG.maxAsteroids ramp
+    },
+    powerUps: {
+        spawnRate: 0,
+        types: { doubleFire: 1 }
+    }
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+// Returns a normalized copy with every default filled in, or throws an Error
+// listing every problem found (error.errors holds them individually).
+function validateCampaign(data, source = 'campaign') {
+    const errors = [];
+    const fail = (path, message) => errors.push(`${path}: ${message}`);
+
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    const number = (path, value, fallback, { min = 0, integer = false } = {}) => {
+        if (value === undefined || value === null) return fallback;
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            fail(path, 'must be a number');
+            return fallback;
+        }
+        if (integer && !Number.isInteger(value)) fail(path, 'must be a whole number');
+        if (value < min) fail(path, `must be at least ${min}`);
+        return value;
+    };
+
+    // { type: weight } with known types and at least one positive weight
+    const weights = (path, value, fallback, known) => {
+        if (value === undefined) return { ...fallback };
+        if (!isObject(value)) {
+            fail(path, 'must be an object of { type: weight }');
+            return { ...fallback };
+        }
+        const table = {};
+        for (const [type, weight] of Object.entries(value)) {
+            if (!known.includes(type)) fail(`${path}.${type}`, `unknown type (expected one of ${known.join(', ')})`);
+            table[type] = number(`${path}.${type}`, weight, 0);
+        }
+        if (!Object.values(table).some(weight => weight > 0)) fail(path, 'needs at least one positive weight');
+        return table;
+    };
+
+    // ✅ Catches typos like "enemiesNeded" that would otherwise be silently ignored
+    const onlyKeys = (path, value, keys) => {
+        for (const key of Object.keys(value)) {
+            if (!keys.includes(key)) fail(`${path}.${key}`, 'unknown field');
+        }
+    };
+
+    const section = (path, value, keys) => {
+        if (value === undefined) return {};
+        if (!isObject(value)) {
+            fail(path, 'must be an object');
+            return {};
+        }
+        onlyKeys(path, value, keys);
+        return value;
+    };
+
+    const enemyTypes = ENEMY_TYPES;
+
+    if (!isObject(data)) {
+        throw new Error(`Invalid ${source}: expected a JSON object`);
+    }
+    onlyKeys('campaign', data, ['$schema', 'id', 'name', 'bosses', 'paths', 'levels']);
+    if (typeof data.id !== 'string' || !data.id) fail('id', 'must be a non-empty string');
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+        fail('levels', 'must be a non-empty array');
+    }
+
+    // 👾 Campaign-specific bosses, same format as core/bosses.js
+    const bosses = {};
+    if (data.bosses !== undefined && !isObject(data.bosses)) {
+        fail('bosses', 'must be an object of { type: definition }');
+    }
+    for (const [type, definition] of Object.entries(isObject(data.bosses) ? data.bosses : {})) {
+        bosses[type] = normalizeBossDefinition(definition, `bosses.${type}`, errors, enemyTypes);
+    }
+    const bossTypes = [...new Set([...Object.keys(BOSS_DEFINITIONS), ...Object.keys(bosses)])];
+
+    // 🛤️ Campaign-specific wave paths, same format as core/paths.js
+    const paths = {};
+    if (data.paths !== undefined && !isObject(data.paths)) {
+        fail('paths', 'must be an object of { name: definition }');
+    }
+    for (const [name, definition] of Object.entries(isObject(data.paths) ? data.paths : {})) {
+        paths[name] = normalizePathDefinition(definition, `paths.${name}`, errors);
+    }
+    const pathNames = [...new Set([...Object.keys(PATH_DEFINITIONS), ...Object.keys(paths)])];
+    const formationNames = Object.keys(FORMATIONS);
+
+    const levels = (Array.isArray(data.levels) ? data.levels : []).map((raw, index) => {
+        const path = `levels[${index}]`;
+        if (!isObject(raw)) {
+            fail(path, 'must be an object');
+            return null;
+        }
+        onlyKeys(path, raw, ['name', 'enemiesNeeded', 'enemies', 'waves', 'asteroids', 'powerUps', 'boss']);
+
+        const enemies = section(`${path}.enemies`, raw.enemies, ['maxOnScreen', 'spawnRate', 'speedBonus', 'types']);
+        const asteroids = section(`${path}.asteroids`, raw.asteroids, ['spawnRate', 'maxOnScreen']);
+        const powerUps = section(`${path}.powerUps`, raw.powerUps, ['spawnRate', 'types']);
+        const defaults = LEVEL_DEFAULTS;
+
+        const level = {
+            name: typeof raw.name === 'string' ? raw.name : defaults.name,
+            enemiesNeeded: number(`${path}.enemiesNeeded`, raw.enemiesNeeded, defaults.enemiesNeeded, { integer: true }),
+            enemies: {
+                maxOnScreen: number(`${path}.enemies.maxOnScreen`, enemies.maxOnScreen, defaults.enemies.maxOnScreen, { integer: true }),
+                spawnRate: number(`${path}.enemies.spawnRate`, enemies.spawnRate, defaults.enemies.spawnRate),
+                speedBonus: number(`${path}.enemies.speedBonus`, enemies.speedBonus, defaults.enemies.speedBonus, { min: -Infinity }),
+                types: weights(`${path}.enemies.types`, enemies.types, defaults.enemies.types, enemyTypes)
+            },
+            waves: [],
+            asteroids: {
+                spawnRate: number(`${path}.asteroids.spawnRate`, asteroids.spawnRate, defaults.asteroids.spawnRate),
+                maxOnScreen: number(`${path}.asteroids.maxOnScreen`, asteroids.maxOnScreen, defaults.asteroids.maxOnScreen, { integer: true })
+            },
+            powerUps: {
+                spawnRate: number(`${path}.powerUps.spawnRate`, powerUps.spawnRate, defaults.powerUps.spawnRate),
+                types: weights(`${path}.powerUps.types`, powerUps.types, defaults.powerUps.types, POWER_UP_TYPES)
+            },
+            boss: null
+        };
+
+        // 🌊 Scripted waves: `at` seconds after the level banner clears, optionally
+        // flying in along a path, in formation behind a leader
+        if (raw.waves !== undefined && !Array.isArray(raw.waves)) {
+            fail(`${path}.waves`, 'must be an array');
+        }
+        (Array.isArray(raw.waves) ? raw.waves : []).forEach((wave, waveIndex) => {
+            const wavePath = `${path}.waves[${waveIndex}]`;
+            if (!isObject(wave)) {
+                fail(wavePath, 'must be an object');
+                return;
+            }
+            onlyKeys(wavePath, wave, ['at', 'spacing', 'enemies', 'path', 'speed', 'mirror', 'formation', 'gap', 'leader']);
+            const counts = {};
+            if (!isObject(wave.enemies) || Object.keys(wave.enemies).length === 0) {
+                fail(`${wavePath}.enemies`, 'must be an object of { type: count }');
+            } else {
+                for (const [type, count] of Object.entries(wave.enemies)) {
+                    if (!enemyTypes.includes(type)) fail(`${wavePath}.enemies.${type}`, `unknown type (expected one of ${enemyTypes.join(', ')})`);
+                    counts[type] = number(`${wavePath}.enemies.${type}`, count, 0, { min: 1, integer: true });
+                }
+            }
+            if (wave.path !== undefined && wave.path !== null && !pathNames.includes(wave.path)) {
+                fail(`${wavePath}.path`, `unknown path (expected one of ${pathNames.join(', ')})`);
+            }
+            if (wave.formation !== undefined && wave.formation !== null && !formationNames.includes(wave.formation)) {
+                fail(`${wavePath}.formation`, `unknown formation (expected one of ${formationNames.join(', ')})`);
+            }
+            if (wave.leader !== undefined && wave.leader !== null) {
+                if (!wave.formation) fail(`${wavePath}.leader`, 'only applies to a formation');
+                if (!enemyTypes.includes(wave.leader)) fail(`${wavePath}.leader`, `unknown type (expected one of ${enemyTypes.join(', ')})`);
+            }
+            if (wave.mirror !== undefined && wave.mirror !== null && typeof wave.mirror !== 'boolean') {
+                fail(`${wavePath}.mirror`, 'must be true or false');
+            }
+            level.waves.push({
+                at: number(`${wavePath}.at`, wave.at, 0),
+                spacing: number(`${wavePath}.spacing`, wave.spacing, WAVE_SPACING),
+                enemies: counts,
+                path: wave.path ?? null,
+                speed: number(`${wavePath}.speed`, wave.speed, PATH_SPEED, { min: 1 }),
+                mirror: wave.mirror === true,
+                formation: wave.formation ?? null,
+                gap: number(`${wavePath}.gap`, wave.gap, FORMATION_GAP),
+                leader: wave.leader ?? null
+            });
+        });
+
+        // 👾 Boss: arrives when its trigger is met instead of the level completing
+        if (raw.boss !== undefined && raw.boss !== null) {
+            const boss = section(`${path}.boss`, raw.boss, ['type', 'health', 'trigger']);
+            const trigger = section(`${path}.boss.trigger`, boss.trigger, ['enemiesDestroyed', 'time']);
+            if (!bossTypes.includes(boss.type)) {
+                fail(`${path}.boss.type`, `unknown boss (expected one of ${bossTypes.join(', ')})`);
+            }
+            let enemiesDestroyed = number(`${path}.boss.trigger.enemiesDestroyed`, trigger.enemiesDestroyed, null, { integer: true });
+            const time = number(`${path}.boss.trigger.time`, trigger.time, null);
+            if (enemiesDestroyed === null && time === null) {
+                enemiesDestroyed = level.enemiesNeeded; // ✅ Default: arrives once the level's kill goal is met
+            }
+            level.boss = {
+                type: boss.type,
+                health: number(`${path}.boss.health`, boss.health, null, { min: 1 }),
+                trigger: { enemiesDestroyed, time }
+            };
+        } else if (level.enemiesNeeded < 1) {
+            fail(`${path}.enemiesNeeded`, 'must be at least 1 on a level without a boss');
+        }
+
+        return level;
+    });
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid ${source}:\n - ${errors.join('\n - ')}`);
+        error.errors = errors;
+        throw error;
+    }
+
+    return {
+        id: data.id,
+        name: typeof data.name === 'string' ? data.name : data.id,
+        bosses,
+        paths,
+        levels
+    };
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+async function loadCampaign(url = DEFAULT_CAMPAIGN_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load campaign ${url} (${response.status})`);
+    }
+    return validateCampaign(await response.json(), url);
+}
+
+// Used until a campaign file has loaded (and by headless runs that don't pass one)
+const FALLBACK_CAMPAIGN = validateCampaign({ id: 'fallback', name: 'Fallback', levels: [{}] });
+
+// =============================================================================
+// HELPERS FOR THE SIMULATION
+// =============================================================================
+// Pick a key from { type: weight }. A single choice doesn't consume a random
+// number, so adding a table with one entry leaves existing seeds unchanged.
+function pickWeighted(random, table) {
+    const entries = Object.entries(table).filter(([, weight]) => weight > 0);
+    if (entries.length === 1) return entries[0][0];
+
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = random.next() * total;
+    for (const [type, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return type;
+    }
+    return entries[entries.length - 1][0];
+}
+
+// Flatten a level's waves into [{ at, type, path, speed, mirror, formation }]
+// sorted by spawn time. A formation is one entry: its leader (the `leader`
+// type, or else the wave's first enemy) with the rest as `formation.members`,
+// all arriving together; other waves enter one enemy every `spacing` seconds.
+function scheduleWaves(level) {
+    const schedule = [];
+    for (const wave of level.waves) {
+        const types = Object.entries(wave.enemies).flatMap(([type, count]) => Array(count).fill(type));
+        const route = { path: wave.path, speed: wave.speed, mirror: wave.mirror };
+
+        if (wave.formation) {
+            const leader = wave.leader ?? types.shift();
+            schedule.push({ at: wave.at, type: leader, ...route, formation: { shape: wave.formation, gap: wave.gap, members: types } });
+            continue;
+        }
+        types.forEach((type, index) => {
+            schedule.push({ at: wave.at + index * wave.spacing, type, ...route, formation: null });
+        });
+    }
+    return schedule.sort((a, b) => a.at - b.at);
+}
+
+if (typeof window !== 'undefined') {
+    window.loadCampaign = loadCampaign;
+    window.validateCampaign = validateCampaign;
+}
+
+export {
+    DEFAULT_CAMPAIGN_URL,
+    FALLBACK_CAMPAIGN,
+    validateCampaign,
+    loadCampaign,
+    pickWeighted,
+    scheduleWaves
+};
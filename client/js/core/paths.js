@@ -0,0 +1,181 @@
+// Paths and formations - the choreography for scripted waves.
+//
+// A path is a curve the enemies of a wave fly along as they enter, written
+// in screen fractions (0..1 across and down, so it fits any world size;
+// values outside start or end off-screen):
+//
+//   catmullRom  passes through every point (smooth swoops and loops)
+//   bezier      cubic segments: start, control, control, end, control...
+//               (3n + 1 points; only the start and end of each segment are hit)
+//
+// Once an enemy reaches the end of its path its own behaviors take over, or
+// it is gone if the path ended off-screen. Campaign files can add paths in
+// the same format under "paths".
+//
+// A formation arranges a wave around its leader: the followers hold their
+// slot relative to the leader wherever it flies, and break off to act on
+// their own once it is destroyed.
+//
+//   const path = new SpawnPath(PATH_DEFINITIONS.swoop, world, { mirror: true });
+//   path.at(distance);                          // { x, y, done } in pixels
+//   formationSlots('v', 5, 70);                 // [{ x, y }] offsets, leader first
+import { validateAtLoad } from './validation.js';
+
+const SAMPLES_PER_SEGMENT = 24;
+
+const PATH_DEFINITIONS = {
+    // Galaxian-style: in from the top left, a loop across the screen, then up into position
+    swoop: {
+        type: 'catmullRom',
+        points: [[0.1, -0.15], [0.2, 0.3], [0.45, 0.6], [0.75, 0.45], [0.65, 0.2], [0.45, 0.22]]
+    },
+    // Weave down from the top right
+    sCurve: {
+        type: 'catmullRom',
+        points: [[0.85, -0.15], [0.2, 0.15], [0.8, 0.3], [0.5, 0.25]]
+    },
+    // Across from the left edge, settling high
+    sweep: {
+        type: 'catmullRom',
+        points: [[-0.15, 0.1], [0.3, 0.35], [0.7, 0.3], [0.55, 0.15]]
+    },
+    // A pass straight through: dips towards the player and leaves by the bottom
+    strafe: {
+        type: 'bezier',
+        points: [[0.5, -0.15], [0.95, 0.4], [0.05, 0.6], [0.5, 1.2]]
+    },
+    // Straight down into position
+    drop: {
+        type: 'bezier',
+        points: [[0.5, -0.15], [0.5, 0], [0.5, 0.15], [0.5, 0.25]]
+    }
+};
+
+// =============================================================================
+// CURVES
+// =============================================================================
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const blend = (a, b, c, d) => 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+    return { x: blend(p0.x, p1.x, p2.x, p3.x), y: blend(p0.y, p1.y, p2.y, p3.y) };
+}
+
+function bezier(p0, p1, p2, p3, t) {
+    const u = 1 - t;
+    const blend = (a, b, c, d) => u * u * u * a + 3 * u * u * t * b + 3 * u * t * t * c + t * t * t * d;
+    return { x: blend(p0.x, p1.x, p2.x, p3.x), y: blend(p0.y, p1.y, p2.y, p3.y) };
+}
+
+// A curve flattened into short straight pieces, walked by distance so enemies
+// fly at a steady speed however the control points are spaced
+class SpawnPath {
+    constructor(definition, world, { mirror = false } = {}) {
+        const points = definition.points.map(([x, y]) => ({
+            x: (mirror ? 1 - x : x) * world.width,
+            y: y * world.height
+        }));
+
+        this.samples = [points[0]];
+        if (definition.type === 'bezier') {
+            for (let i = 0; i + 3 < points.length; i += 3) {
+                this.sampleSegment(bezier, points[i], points[i + 1], points[i + 2], points[i + 3]);
+            }
+        } else {
+            for (let i = 0; i < points.length - 1; i++) {
+                const before = points[Math.max(0, i - 1)];
+                const after = points[Math.min(points.length - 1, i + 2)];
+                this.sampleSegment(catmullRom, before, points[i], points[i + 1], after);
+            }
+        }
+
+        // Distance along the path at each sample
+        this.distances = [0];
+        for (let i = 1; i < this.samples.length; i++) {
+            const a = this.samples[i - 1];
+            const b = this.samples[i];
+            this.distances.push(this.distances[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+        }
+        this.length = this.distances[this.distances.length - 1];
+    }
+
+    sampleSegment(curve, p0, p1, p2, p3) {
+        for (let step = 1; step <= SAMPLES_PER_SEGMENT; step++) {
+            this.samples.push(curve(p0, p1, p2, p3, step / SAMPLES_PER_SEGMENT));
+        }
+    }
+
+    // Position `distance` pixels along the path; done once past the end
+    at(distance) {
+        if (distance >= this.length) {
+            const last = this.samples[this.samples.length - 1];
+            return { x: last.x, y: last.y, done: true };
+        }
+
+        let index = 1;
+        while (this.distances[index] < distance) index++;
+        const from = this.samples[index - 1];
+        const to = this.samples[index];
+        const span = this.distances[index] - this.distances[index - 1];
+        const t = span > 0 ? (distance - this.distances[index - 1]) / span : 0;
+        return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t, done: false };
+    }
+}
+
+// =============================================================================
+// FORMATIONS
+// =============================================================================
+// Slot offsets (pixels, centre to centre) for `count` ships `gap` apart. The
+// leader is slot 0; the others fill in alternately to its left and right.
+// Enemies face down the screen, so the V trails upwards behind its leader.
+const FORMATIONS = {
+    line: (index, gap) => ({ x: side(index) * gap, y: 0 }),
+    v: (index, gap) => ({ x: side(index) * gap, y: -Math.ceil(index / 2) * gap * 0.6 }),
+    column: (index, gap) => ({ x: 0, y: -index * gap })
+};
+
+function side(index) {
+    return index === 0 ? 0 : Math.ceil(index / 2) * (index % 2 === 1 ? -1 : 1);
+}
+
+function formationSlots(shape, count, gap) {
+    const slot = FORMATIONS[shape];
+    if (!slot) throw new Error(`Unknown formation "${shape}"`);
+    return Array.from({ length: count }, (_, index) => slot(index, gap));
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+function normalizePathDefinition(raw, path, errors) {
+    const fail = (where, message) => errors.push(`${where}: ${message}`);
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+        fail(path, 'must be an object');
+        return null;
+    }
+    for (const key of Object.keys(raw)) {
+        if (!['type', 'points'].includes(key)) fail(`${path}.${key}`, 'unknown field');
+    }
+
+    const type = raw.type ?? 'catmullRom';
+    if (!['catmullRom', 'bezier'].includes(type)) {
+        fail(`${path}.type`, 'must be catmullRom or bezier');
+    }
+
+    const points = Array.isArray(raw.points) ? raw.points : [];
+    if (points.length < 2) fail(`${path}.points`, 'needs at least 2 points');
+    points.forEach((point, index) => {
+        if (!Array.isArray(point) || point.length !== 2 || point.some(n => typeof n !== 'number' || !Number.isFinite(n))) {
+            fail(`${path}.points[${index}]`, 'must be [x, y]');
+        }
+    });
+    if (type === 'bezier' && points.length % 3 !== 1) {
+        fail(`${path}.points`, 'a bezier path needs 3n + 1 points (start, then control, control, end per segment)');
+    }
+
+    return { type, points: points.map(point => (Array.isArray(point) ? [...point] : point)) };
+}
+
+validateAtLoad(PATH_DEFINITIONS, (definition, name, errors) => normalizePathDefinition(definition, `paths.${name}`, errors), 'path definitions');
+
+export { PATH_DEFINITIONS, FORMATIONS, SpawnPath, formationSlots, normalizePathDefinition };
@@ -0,0 +1,43 @@
+// Pool - reuses short-lived entities (shots, explosions, asteroids) instead of
+// allocating a new object for every one, so boss volleys don't feed the
+// garbage collector. Pooled classes take the same arguments in their
+// constructor and in reset(), and reset() returns the object.
+//
+//   const lasers = new Pool(Laser);
+//   list.push(lasers.acquire(x, y));        // reused when one is free
+//   lasers.release(swapRemove(list, i));    // back into the pool
+class Pool {
+    constructor(Type) {
+        this.Type = Type;
+        this.free = [];
+        this.created = 0; // Objects ever allocated (for the debug console)
+    }
+
+    acquire(...args) {
+        const item = this.free.pop();
+        if (item) return item.reset(...args);
+
+        this.created++;
+        return new this.Type(...args);
+    }
+
+    release(item) {
+        this.free.push(item);
+    }
+
+    get available() {
+        return this.free.length;
+    }
+}
+
+// Remove array[index] in O(1) by moving the last element into its place and
+// return the removed item. Order isn't preserved, so only use it in loops that
+// walk the array from the end (the moved element has already been visited).
+function swapRemove(array, index) {
+    const item = array[index];
+    const last = array.pop();
+    if (index < array.length) array[index] = last;
+    return item;
+}
+
+export { Pool, swapRemove };
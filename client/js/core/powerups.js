@@ -0,0 +1,199 @@
+// Power-ups - the one catalogue of pickups, shared by the single player
+// simulation and MultiplayerGame. Each entry is data: how long the effect
+// lasts, what collecting it again does, how its drop looks and the numbers
+// its effect uses. The effects themselves live with whoever owns the state
+// they change (GameSimulation, MultiplayerGame); PowerUpTimers only tracks
+// what is active and for how long.
+//
+//   const timers = new PowerUpTimers();
+//   timers.collect('spread');              // level 1, 12 seconds
+//   timers.collect('spread');              // level 2, timer refreshed
+//   timers.update(dt);                     // returns the types that expired
+//   timers.level('spread');                // 0 once it has run out
+//
+// Stacking rules for collecting an effect that is already running:
+//   refresh - the timer starts again from `duration`
+//   extend  - `duration` is added, up to `maxDuration`
+//   stack   - one more level (up to `maxStacks`) and the timer starts again
+// A `duration` of 0 is an instant effect: applied on pickup, never timed.
+const POWER_UPS = {
+    doubleFire: {
+        name: 'Double Fire',
+        glyph: 'II',
+        color: '#00ffff',
+        duration: 20,
+        stacking: 'extend',
+        maxDuration: 40
+    },
+    spread: {
+        name: 'Spread Shot',
+        glyph: 'W',
+        color: '#ff9900',
+        duration: 12,
+        stacking: 'stack',
+        maxStacks: 2         // Each level adds a shot either side of every gun
+    },
+    rapid: {
+        name: 'Rapid Fire',
+        glyph: 'R',
+        color: '#ffff00',
+        duration: 10,
+        stacking: 'refresh',
+        fireRate: 2          // Multiplies the primary weapon's fire rate
+    },
+    shield: {
+        name: 'Shield Recharge',
+        glyph: 'S',
+        color: '#3399ff',
+        duration: 0,
+        amount: 50           // Percent restored, capped at 100
+    },
+    homing: {
+        name: 'Homing Missiles',
+        glyph: 'H',
+        color: '#ff33cc',
+        duration: 12,
+        stacking: 'extend',
+        maxDuration: 24,
+        interval: 0.6,       // Seconds between missiles
+        speed: 300,          // Pixels per second
+        turnRate: 4          // Radians per second
+    },
+    smartBomb: {
+        name: 'Smart Bomb',
+        glyph: 'B',
+        color: '#ffffff',
+        duration: 0,
+        bossDamage: 40       // Everything else on screen is destroyed outright
+    },
+    timeSlow: {
+        name: 'Time Slow',
+        glyph: 'T',
+        color: '#9966ff',
+        duration: 6,
+        stacking: 'refresh',
+        scale: 0.5           // Hostile speed multiplier
+    },
+    magnet: {
+        name: 'Magnet',
+        glyph: 'M',
+        color: '#ff3333',
+        duration: 15,
+        stacking: 'extend',
+        maxDuration: 30,
+        pull: 240            // Pixels per second power-up drops move towards the ship
+    },
+
+    // Weapon pickups (core/weapons.js)
+    weaponUpgrade: {
+        name: 'Weapon Upgrade',
+        glyph: '+',
+        color: '#00ff66',
+        duration: 0          // The primary weapon goes up a level for the rest of the run
+    },
+    missiles: {
+        name: 'Missile Pack',
+        glyph: '^',
+        color: '#ff6600',
+        duration: 0,
+        weapon: 'missiles',  // Equipped in the secondary slot, or restocked
+        ammo: 3
+    },
+    bombs: {
+        name: 'Bomb Pack',
+        glyph: '*',
+        color: '#cccccc',
+        duration: 0,
+        weapon: 'bomb',
+        ammo: 1
+    }
+};
+
+const POWER_UP_TYPES = Object.keys(POWER_UPS);
+
+class PowerUpTimers {
+    constructor(registry = POWER_UPS) {
+        this.registry = registry;
+        this.active = new Map(); // type -> { level, remaining, duration }
+    }
+
+    // Start (or stack) `type`. Returns its entry, or null for instant effects.
+    collect(type) {
+        const definition = this.registry[type];
+        if (!definition) throw new Error(`Unknown power-up "${type}"`);
+        if (definition.duration <= 0) return null;
+
+        const entry = this.active.get(type);
+        if (!entry) {
+            const started = { level: 1, remaining: definition.duration, duration: definition.duration };
+            this.active.set(type, started);
+            return started;
+        }
+
+        switch (definition.stacking) {
+            case 'extend':
+                entry.remaining = Math.min(entry.remaining + definition.duration, definition.maxDuration ?? Infinity);
+                entry.duration = Math.max(entry.duration, entry.remaining);
+                break;
+            case 'stack':
+                entry.level = Math.min(entry.level + 1, definition.maxStacks ?? 1);
+                entry.remaining = definition.duration;
+                entry.duration = definition.duration;
+                break;
+            default: // refresh
+                entry.remaining = definition.duration;
+                entry.duration = definition.duration;
+        }
+        return entry;
+    }
+
+    // Give `type` for `seconds` (forever by default) regardless of stacking - debug cheats
+    grant(type, seconds = Infinity) {
+        if (!this.registry[type]) throw new Error(`Unknown power-up "${type}"`);
+        this.active.set(type, { level: this.level(type) || 1, remaining: seconds, duration: seconds });
+    }
+
+    remove(type) {
+        this.active.delete(type);
+    }
+
+    clear() {
+        this.active.clear();
+    }
+
+    // Count every timer down by `dt` seconds; returns the types that ran out
+    update(dt) {
+        const expired = [];
+        for (const [type, entry] of this.active) {
+            entry.remaining -= dt;
+            if (entry.remaining <= 0) {
+                this.active.delete(type);
+                expired.push(type);
+            }
+        }
+        return expired;
+    }
+
+    has(type) {
+        return this.active.has(type);
+    }
+
+    level(type) {
+        return this.active.get(type)?.level ?? 0;
+    }
+
+    remaining(type) {
+        return this.active.get(type)?.remaining ?? 0;
+    }
+
+    // [{ type, level, remaining, duration }] in collection order (for HUDs)
+    list() {
+        return [...this.active].map(([type, entry]) => ({ type, ...entry }));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.POWER_UPS = POWER_UPS;
+}
+
+export { POWER_UPS, POWER_UP_TYPES, PowerUpTimers };
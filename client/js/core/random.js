@@ -0,0 +1,82 @@
+// Seeded Random - deterministic PRNG for every gameplay decision.
+// A run started from the same seed with the same inputs plays out identically,
+// which replays, daily challenges and lockstep multiplayer rely on.
+// Cosmetic-only effects (starfield, game-over taunts) may keep Math.random().
+
+// Fresh 32-bit seed for runs that don't ask for a specific one
+function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Turn any seed (number or string such as "2026-10-18") into a 32-bit integer
+function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    if (typeof seed === 'string' && /^\d+$/.test(seed.trim())) {
+        return Number(seed.trim()) >>> 0; // "1234" from a URL is the seed 1234
+    }
+
+    // FNV-1a string hash
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+class SeededRandom {
+    constructor(seed = createSeed()) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Mulberry32: float in [0, 1), drop-in for Math.random()
+    next() {
+        let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    // Integer in [min, max] (inclusive)
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    // True with probability `p`
+    chance(p) {
+        return this.next() < p;
+    }
+
+    // -1 or +1
+    sign() {
+        return this.next() > 0.5 ? 1 : -1;
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    // Snapshot/restore the stream position (rollback, save states)
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
+
+export { SeededRandom, createSeed, normalizeSeed };
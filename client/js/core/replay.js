@@ -0,0 +1,325 @@
+// Replay - record a run as its seed plus one input byte per simulation tick,
+// and play it back by re-running a fresh GameSimulation with the same inputs.
+//
+//   const recorder = new ReplayRecorder();
+//   recorder.start(sim, CONFIG.simulationStep);
+//   recorder.record(input); sim.step(dt, input);   // every tick
+//   const text = serializeReplay(recorder.toReplay({ score: sim.score }));
+//
+//   const player = new ReplayPlayer(parseReplay(text));
+//   player.advance(frameSeconds); player.seek(600); player.setSpeed(2);
+//
+// A .drzreplay file is JSON. Inputs are packed into bit flags and run-length
+// encoded as [bits, count, bits, count, ...], so long stretches of holding a
+// direction cost two numbers. The campaign the run was played on is embedded,
+// so a replay still plays back after the level files change; so are the
+// difficulty (preset and adaptive on or off), the run mode and any daily
+// challenge modifiers.
+import { GameSimulation, RUN_MODES } from './simulation.js';
+import { validateCampaign } from './levels.js';
+import { DIFFICULTY_PRESETS } from './difficulty.js';
+import { DAILY_MODIFIERS } from './daily.js';
+
+const REPLAY_FORMAT = 'drzreplay';
+const REPLAY_VERSION = 2; // 2: fire is held rather than pressed, plus the secondary weapon
+const REPLAY_MIN_SPEED = 0.25;
+const REPLAY_MAX_SPEED = 4;
+
+const INPUT_BITS = {
+    left: 1,
+    right: 2,
+    up: 4,
+    down: 8,
+    fire: 16,
+    secondary: 32
+};
+
+function packInput(input = {}) {
+    let bits = 0;
+    for (const [control, bit] of Object.entries(INPUT_BITS)) {
+        if (input[control]) bits |= bit;
+    }
+    return bits;
+}
+
+function unpackInput(bits) {
+    const input = {};
+    for (const [control, bit] of Object.entries(INPUT_BITS)) {
+        input[control] = (bits & bit) !== 0;
+    }
+    return input;
+}
+
+// Expand [bits, count, ...] back into one byte per tick
+function decodeInputs(runs, ticks) {
+    const inputs = new Uint8Array(ticks);
+    let tick = 0;
+    for (let i = 0; i < runs.length; i += 2) {
+        inputs.fill(runs[i], tick, tick + runs[i + 1]);
+        tick += runs[i + 1];
+    }
+    return inputs;
+}
+
+// =============================================================================
+// FILE FORMAT
+// =============================================================================
+function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+// Parse and validate a .drzreplay file; throws with a readable reason
+function parseReplay(text) {
+    let replay;
+    try {
+        replay = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+        throw new Error(`Invalid replay: not JSON (${error.message})`);
+    }
+
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Invalid replay: not a .drzreplay file');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION})`);
+    }
+    if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+        throw new Error('Invalid replay: missing seed');
+    }
+    if (!(replay.step > 0)) {
+        throw new Error('Invalid replay: missing tick length');
+    }
+    if (!replay.world || !(replay.world.width > 0) || !(replay.world.height > 0)) {
+        throw new Error('Invalid replay: missing world size');
+    }
+    if (replay.campaign !== undefined) {
+        replay.campaign = validateCampaign(replay.campaign, 'replay campaign');
+    }
+    if (replay.difficulty !== undefined && (!replay.difficulty || !DIFFICULTY_PRESETS[replay.difficulty.preset])) {
+        throw new Error('Invalid replay: unknown difficulty');
+    }
+    if (replay.mode !== undefined && !RUN_MODES.includes(replay.mode)) {
+        throw new Error(`Invalid replay: unknown mode "${replay.mode}"`);
+    }
+    if (replay.modifiers !== undefined && (!Array.isArray(replay.modifiers) || !replay.modifiers.every(key => DAILY_MODIFIERS[key]))) {
+        throw new Error('Invalid replay: unknown modifiers');
+    }
+    if (!Array.isArray(replay.inputs) || replay.inputs.length % 2 !== 0) {
+        throw new Error('Invalid replay: malformed input log');
+    }
+
+    let ticks = 0;
+    for (let i = 0; i < replay.inputs.length; i += 2) {
+        const bits = replay.inputs[i];
+        const count = replay.inputs[i + 1];
+        if (!Number.isInteger(bits) || bits < 0 || bits > 63 || !Number.isInteger(count) || count < 1) {
+            throw new Error(`Invalid replay: bad input run at ${i / 2}`);
+        }
+        ticks += count;
+    }
+    if (ticks !== replay.ticks) {
+        throw new Error(`Invalid replay: input log covers ${ticks} ticks, header says ${replay.ticks}`);
+    }
+
+    return replay;
+}
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+class ReplayRecorder {
+    constructor() {
+        this.seed = null;
+        this.step = 0;
+        this.world = null;
+        this.campaign = null;
+        this.difficulty = null;
+        this.mode = 'campaign';
+        this.modifiers = [];
+        this.runs = [];
+        this.ticks = 0;
+        this.tampered = false;
+        this.recordedAt = null;
+    }
+
+    // Begin a new recording for a freshly reset simulation
+    start(simulation, step) {
+        this.seed = simulation.seed;
+        this.step = step;
+        this.world = { width: simulation.world.width, height: simulation.world.height };
+        this.campaign = simulation.campaign;
+        this.difficulty = { preset: simulation.difficultyName, adaptive: simulation.adaptive };
+        this.mode = simulation.mode;
+        this.modifiers = [...simulation.modifiers];
+        this.runs = [];
+        this.ticks = 0;
+        this.tampered = false;
+        this.recordedAt = new Date().toISOString();
+    }
+
+    // Call once per simulation tick with the input passed to step()
+    record(input) {
+        const bits = packInput(input);
+        const last = this.runs.length - 2;
+        if (last >= 0 && this.runs[last] === bits) {
+            this.runs[last + 1]++;
+        } else {
+            this.runs.push(bits, 1);
+        }
+        this.ticks++;
+    }
+
+    // State changed outside the input log (debug cheats); playback will drift
+    markTampered() {
+        this.tampered = true;
+    }
+
+    // `summary` is free-form result info (score, level, ...) shown by viewers
+    toReplay(summary = {}) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            step: this.step,
+            world: { ...this.world },
+            campaign: this.campaign,
+            difficulty: { ...this.difficulty },
+            mode: this.mode,
+            modifiers: [...this.modifiers],
+            ticks: this.ticks,
+            inputs: [...this.runs],
+            recordedAt: this.recordedAt,
+            tampered: this.tampered,
+            summary
+        };
+    }
+}
+
+// =============================================================================
+// PLAYBACK
+// =============================================================================
+// Owns its own simulation, so watching a replay never touches the live game.
+// Seeking backwards re-simulates from the seed; runs are short enough that this
+// stays well under a frame's worth of work per minute of play.
+class ReplayPlayer {
+    constructor(replay, options = {}) {
+        this.replay = replay;
+        this.inputs = decodeInputs(replay.inputs, replay.ticks);
+        this.simulation = new GameSimulation({
+            ...options,
+            width: replay.world.width,
+            height: replay.world.height,
+            seed: replay.seed,
+            ...(replay.campaign ? { campaign: replay.campaign } : {}),
+            ...(replay.difficulty ? { difficulty: replay.difficulty.preset, adaptive: replay.difficulty.adaptive === true } : {}),
+            ...(replay.mode ? { mode: replay.mode } : {}),
+            ...(replay.modifiers ? { modifiers: replay.modifiers } : {})
+        });
+
+        this.tick = 0;
+        this.speed = 1;
+        this.paused = false;
+        this.accumulator = 0;
+    }
+
+    get length() {
+        return this.replay.ticks;
+    }
+
+    get finished() {
+        return this.tick >= this.replay.ticks;
+    }
+
+    // Simulated seconds at the current tick / at the end of the recording
+    get time() {
+        return this.tick * this.replay.step;
+    }
+
+    get duration() {
+        return this.replay.ticks * this.replay.step;
+    }
+
+    // Interpolation factor for rendering between ticks
+    get alpha() {
+        return Math.min(1, this.accumulator / this.replay.step);
+    }
+
+    // Run as many ticks as `seconds` of wall time covers at the current speed
+    advance(seconds) {
+        if (this.paused || this.finished) return 0;
+
+        this.accumulator += seconds * this.speed;
+        let steps = 0;
+        while (this.accumulator >= this.replay.step && !this.finished) {
+            this.stepOnce();
+            this.accumulator -= this.replay.step;
+            steps++;
+        }
+
+        if (this.finished) this.accumulator = 0;
+        return steps;
+    }
+
+    stepOnce() {
+        this.simulation.step(this.replay.step, unpackInput(this.inputs[this.tick]));
+        this.tick++;
+    }
+
+    seek(tick) {
+        const target = Math.max(0, Math.min(this.replay.ticks, Math.floor(tick)));
+        if (target < this.tick) {
+            this.simulation.reset(this.replay.seed);
+            this.tick = 0;
+        }
+        while (this.tick < target) {
+            this.stepOnce();
+        }
+        this.accumulator = 0;
+    }
+
+    seekTime(seconds) {
+        this.seek(seconds / this.replay.step);
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(REPLAY_MIN_SPEED, Math.min(REPLAY_MAX_SPEED, speed));
+        return this.speed;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        if (this.finished) this.seek(0); // ✅ Play again from the start
+    }
+
+    togglePause() {
+        if (this.paused || this.finished) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ReplayRecorder = ReplayRecorder;
+    window.ReplayPlayer = ReplayPlayer;
+    window.parseReplay = parseReplay;
+    window.serializeReplay = serializeReplay;
+}
+
+export {
+    ReplayRecorder,
+    ReplayPlayer,
+    parseReplay,
+    serializeReplay,
+    packInput,
+    unpackInput,
+    REPLAY_FORMAT,
+    REPLAY_VERSION,
+    REPLAY_MIN_SPEED,
+    REPLAY_MAX_SPEED
+};
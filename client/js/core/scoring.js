@@ -0,0 +1,199 @@
+// Scoring - every point the player earns goes through a ScoreKeeper, which
+// applies the multipliers, keeps the per-source breakdown shown on the game
+// over screen and announces each award as a scoreAwarded event.
+//
+//   combo     each kill within COMBO_WINDOW seconds of the last one adds
+//             COMBO_STEP to the multiplier (up to COMBO_MAX_MULTIPLIER);
+//             the chain breaks once the window runs out
+//   streak    every STREAK_INTERVAL seconds without being hit adds
+//             STREAK_STEP (up to STREAK_MAX_MULTIPLIER); any hit resets it
+//   graze     an enemy shot passing within GRAZE_DISTANCE of the ship
+//   tally     at the end of each level: an accuracy bonus (hits / shots fired)
+//             and a bonus for clearing it without being hit
+//
+// Kills and grazes are multiplied; the boss bonus and level tallies are flat.
+// The breakdown splits every award into its base points by source plus what
+// the combo and streak multipliers added, so its entries always sum to total.
+//
+//   const scoring = new ScoreKeeper(GameSettings, (type, detail) => events.emit(type, detail));
+//   scoring.kill('enemy', 50);      // chains the combo, then awards 50 x multiplier
+//   scoring.update(dt);             // combo window and streak clock
+//   scoring.tallyLevel(2);          // { accuracy, accuracyBonus, noDamageBonus, ... }
+
+// Award sources, in the order the breakdown lists them
+const SCORE_SOURCES = ['asteroid', 'enemy', 'boss', 'graze', 'accuracy', 'noDamage'];
+
+class ScoreKeeper {
+    constructor(settings, emit = () => {}) {
+        this.settings = settings;
+        this.emit = emit;
+        this.reset();
+    }
+
+    reset() {
+        this.total = 0;
+        this.chain = 0;        // Kills in the current combo
+        this.comboTimer = 0;   // Seconds left to extend it
+        this.bestChain = 0;
+        this.sinceHit = 0;     // Seconds since the ship was last hit
+        this.kills = 0;
+        this.grazes = 0;
+        this.shotsFired = 0;
+        this.shotsHit = 0;
+        this.breakdown = Object.fromEntries([...SCORE_SOURCES, 'combo', 'streak'].map(key => [key, 0]));
+        this.tallies = [];
+        this.startLevel();
+    }
+
+    // Per-level counters for the end-of-level tally
+    startLevel() {
+        this.level = { kills: 0, grazes: 0, shotsFired: 0, shotsHit: 0, hits: 0, points: 0 };
+    }
+
+    get comboMultiplier() {
+        const { COMBO_STEP, COMBO_MAX_MULTIPLIER } = this.settings;
+        return Math.min(1 + Math.max(0, this.chain - 1) * COMBO_STEP, COMBO_MAX_MULTIPLIER);
+    }
+
+    get streakMultiplier() {
+        const { STREAK_INTERVAL, STREAK_STEP, STREAK_MAX_MULTIPLIER } = this.settings;
+        return Math.min(1 + Math.floor(this.sinceHit / STREAK_INTERVAL) * STREAK_STEP, STREAK_MAX_MULTIPLIER);
+    }
+
+    get multiplier() {
+        return this.comboMultiplier * this.streakMultiplier;
+    }
+
+    get accuracy() {
+        return this.shotsFired > 0 ? this.shotsHit / this.shotsFired : 0;
+    }
+
+    update(dt) {
+        this.sinceHit += dt;
+
+        if (this.chain > 0) {
+            this.comboTimer -= dt;
+            if (this.comboTimer <= 0) {
+                const chain = this.chain;
+                this.chain = 0;
+                this.emit('comboChanged', { chain: 0, multiplier: 1, ended: chain });
+            }
+        }
+    }
+
+    // A kill extends the combo before it scores, so the kill that starts a
+    // chain scores x1 and each one after it a step more
+    kill(source, base) {
+        this.chain++;
+        this.comboTimer = this.settings.COMBO_WINDOW;
+        this.bestChain = Math.max(this.bestChain, this.chain);
+        this.kills++;
+        this.level.kills++;
+        if (this.chain > 1) {
+            this.emit('comboChanged', { chain: this.chain, multiplier: this.comboMultiplier, ended: 0 });
+        }
+        return this.award(source, base);
+    }
+
+    // Returns the points actually scored
+    award(source, base, { multiplied = true } = {}) {
+        if (!SCORE_SOURCES.includes(source)) throw new Error(`Unknown score source "${source}"`);
+
+        const combo = multiplied ? this.comboMultiplier : 1;
+        const streak = multiplied ? this.streakMultiplier : 1;
+        const comboPoints = Math.round(base * combo);
+        const points = Math.round(comboPoints * streak);
+
+        this.breakdown[source] += base;
+        this.breakdown.combo += comboPoints - base;
+        this.breakdown.streak += points - comboPoints;
+        this.total += points;
+        this.level.points += points;
+
+        this.emit('scoreAwarded', {
+            source,
+            base,
+            multiplier: combo * streak,
+            points,
+            total: this.total,
+            chain: multiplied ? this.chain : 0
+        });
+        return points;
+    }
+
+    graze() {
+        this.grazes++;
+        this.level.grazes++;
+        return this.award('graze', this.settings.GRAZE_POINTS);
+    }
+
+    // Each projectile fired, and each one that hits something, for accuracy
+    fired(count) {
+        this.shotsFired += count;
+        this.level.shotsFired += count;
+    }
+
+    landed() {
+        this.shotsHit++;
+        this.level.shotsHit++;
+    }
+
+    // The ship took a hit: the no-damage streak starts over (the combo survives)
+    damaged() {
+        this.sinceHit = 0;
+        this.level.hits++;
+    }
+
+    // 🏁 End-of-level bonuses; returns the tally (also emitted as levelTally)
+    tallyLevel(level) {
+        const { ACCURACY_MIN_SHOTS, ACCURACY_BONUSES, NO_DAMAGE_BONUS } = this.settings;
+        const stats = this.level;
+        const accuracy = stats.shotsFired > 0 ? stats.shotsHit / stats.shotsFired : 0;
+
+        const earned = stats.shotsFired >= ACCURACY_MIN_SHOTS
+            ? ACCURACY_BONUSES.find(entry => accuracy >= entry.accuracy)
+            : null;
+        const accuracyBonus = earned ? earned.bonus : 0;
+        const noDamageBonus = stats.hits === 0 ? NO_DAMAGE_BONUS : 0;
+
+        if (accuracyBonus > 0) this.award('accuracy', accuracyBonus, { multiplied: false });
+        if (noDamageBonus > 0) this.award('noDamage', noDamageBonus, { multiplied: false });
+
+        const tally = {
+            level,
+            kills: stats.kills,
+            grazes: stats.grazes,
+            shotsFired: stats.shotsFired,
+            shotsHit: stats.shotsHit,
+            accuracy,
+            accuracyBonus,
+            noDamageBonus,
+            points: stats.points // Everything scored in the level, bonuses included
+        };
+        this.tallies.push(tally);
+        this.emit('levelTally', tally);
+        this.startLevel();
+        return tally;
+    }
+
+    // Where the points came from, for the game over and victory screens
+    summary() {
+        return {
+            total: this.total,
+            breakdown: { ...this.breakdown },
+            kills: this.kills,
+            bestChain: this.bestChain,
+            grazes: this.grazes,
+            shotsFired: this.shotsFired,
+            shotsHit: this.shotsHit,
+            accuracy: this.accuracy,
+            tallies: this.tallies.map(tally => ({ ...tally }))
+        };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ScoreKeeper = ScoreKeeper;
+}
+
+export { ScoreKeeper, SCORE_SOURCES };
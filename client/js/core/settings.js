@@ -0,0 +1,98 @@
+// Game Settings - tuning tables shared by the browser game, the headless
+// simulation and the multiplayer servers. Pure data: no DOM access here.
+
+// ✅ Speeds are in pixels per second and intervals in seconds (fixed-step simulation)
+const CONFIG = {
+    simulationStep: 1 / 60, // ✅ Fixed simulation tick (seconds)
+    maxFrameTime: 0.25,     // ✅ Longest frame the simulation will catch up on
+    playerSpeed: 360,
+    laserSpeed: 420,
+    asteroidSpeed: 120,     // Fall speed of a medium-sized rock; heavier ones are slower
+    asteroidDrift: 40,      // Most sideways drift (pixels per second)
+    asteroidSpin: 1.5,      // Most spin (radians per second)
+    asteroidSplitSpeed: 80, // How hard fragments fly apart (pixels per second)
+    asteroidBounces: true,  // Rocks bounce off each other instead of overlapping
+    asteroidSpawnRate: 80,  // ✅ Spawns faster (lower = more frequent)
+    maxAsteroids: 15,       // ✅ More asteroids can appear
+    maxAsteroidsCap: 30,    // The ramp below stops adding rocks here
+    asteroidIncreaseInterval: 8, // ✅ Increases difficulty faster over time (seconds)
+};
+
+// Asteroid size classes, largest first. `spawnWeight` is the share of new
+// rocks in each class; a destroyed rock breaks into `fragments` of the
+// `splitInto` class and the smallest crumble into debris.
+const ASTEROID_SIZES = {
+    large: { spawnWeight: 0.2, size: [80, 120], health: 3, points: 40, splitInto: 'medium', fragments: 2 },
+    medium: { spawnWeight: 0.3, size: [45, 65], health: 2, points: 20, splitInto: 'small', fragments: 2 },
+    small: { spawnWeight: 0.5, size: [25, 40], health: 1, points: 10, splitInto: null, fragments: 0 }
+};
+
+const GameSettings = {
+    // Level progression (per-level rules live in data/campaigns/*.json)
+    STARTING_LEVEL: 1,
+    LEVEL_TRANSITION_DURATION: 3, // seconds
+
+    // Lives (a lost life keeps whatever shield was left; a life lost to an
+    // empty shield comes back with RESPAWN_SHIELD)
+    STARTING_LIVES: 3,
+    MAX_LIVES: 5,
+    RESPAWN_INVULNERABILITY: 2,  // seconds
+    RESPAWN_SHIELD: 50,          // percent
+    EXTRA_LIFE_SCORES: [10000, 25000, 50000],
+    EXTRA_LIFE_EVERY: 50000,     // ...and every this many points after the last one
+
+    // Boss settings (each boss's size, health, phases and attacks live in core/bosses.js)
+    BOSS_WARNING_DURATION: 2,    // seconds
+
+    // Scoring (how combos, streaks, grazes and level tallies work: core/scoring.js)
+    COMBO_WINDOW: 2.5,           // seconds a kill chain waits for the next kill
+    COMBO_STEP: 0.1,             // multiplier added per kill in the chain
+    COMBO_MAX_MULTIPLIER: 3,
+    STREAK_INTERVAL: 20,         // seconds without being hit per streak step
+    STREAK_STEP: 0.25,
+    STREAK_MAX_MULTIPLIER: 2,
+    GRAZE_DISTANCE: 24,          // pixels from the ship an enemy shot must pass within
+    GRAZE_POINTS: 10,
+    ACCURACY_MIN_SHOTS: 20,      // fewer shots in a level earn no accuracy bonus
+    ACCURACY_BONUSES: [          // best match wins
+        { accuracy: 0.9, bonus: 3000 },
+        { accuracy: 0.75, bonus: 2000 },
+        { accuracy: 0.5, bonus: 1000 }
+    ],
+    NO_DAMAGE_BONUS: 2500,       // a level cleared without being hit
+    BOSS_BASE_SCORE: 5000,
+    TIME_BONUS_THRESHOLDS: {
+        UNDER_1_MIN: { time: 60, bonus: 10000 },
+        UNDER_2_MIN: { time: 120, bonus: 7500 },
+        UNDER_3_MIN: { time: 180, bonus: 5000 },
+        UNDER_5_MIN: { time: 300, bonus: 2500 },
+        OVER_5_MIN: { time: Infinity, bonus: 1000 }
+    },
+
+    // UI positioning
+    UI_PADDING_X: 20,
+    UI_PADDING_Y: 40,
+    UI_LINE_SPACING: 30,
+
+    // Audio
+    EXPLOSION_VOLUME: 0.6,
+
+    // Visual effects
+    BOSS_EXPLOSION_BURSTS: 3,
+    BOSS_EXPLOSION_COUNT: 20,
+    BOSS_EXPLOSION_SIZE: 100,
+    BOSS_FINAL_EXPLOSION_SIZE: 160,
+
+    // Cinematic timing (milliseconds, wall clock)
+    EXPLOSION_DELAY: 500,
+    VICTORY_CINEMATIC_DELAY: 1500,
+    SCOREBOARD_DELAY: 1000
+};
+
+// Keep the browser globals the classic scripts and debug console expect
+if (typeof window !== 'undefined') {
+    window.CONFIG = CONFIG;
+    window.GameSettings = GameSettings;
+}
+
+export { CONFIG, GameSettings, ASTEROID_SIZES };
@@ -0,0 +1,1179 @@
+// Game Simulation - the rules of The Drazzan Invasion with no DOM dependency.
+// Owns every gameplay entity, level progression and the boss fight. The world
+// size and RNG seed are injected, so the same simulation runs behind the canvas
+// in the browser, headless in Node, and on a multiplayer host - and the same
+// seed plus the same inputs always reproduces the same run.
+//
+//   const sim = new GameSimulation({ width: 800, height: 600, seed: 1234, campaign });
+//   sim.step(1 / 60, { left: false, right: true, up: false, down: false, fire: true });
+//
+// Level rules (enemy counts, spawn rates, power-ups, the boss trigger) come
+// from a validated campaign - see core/levels.js.
+// `difficulty` names a preset from core/difficulty.js; `adaptive` lets the
+// difficulty director adjust spawn pressure during the run. `mode` is one of
+// RUN_MODES; `modifiers` lists keys of DAILY_MODIFIERS (core/daily.js).
+// Presentation (audio, HUD, cinematics) subscribes through sim.on(type, handler);
+// events are typed and listed in core/events.js. Pass `events` to share one
+// bus with the rest of the page.
+import { CONFIG, GameSettings, ASTEROID_SIZES } from './settings.js';
+import { EventBus } from './events.js';
+import { checkCollision, colliderBounds, colliderShape, boundsOverlap, SpatialHash } from './collisions.js';
+import { SeededRandom } from './random.js';
+import { FALLBACK_CAMPAIGN, pickWeighted, scheduleWaves } from './levels.js';
+import { Boss } from './boss.js';
+import { Pool, swapRemove } from './pool.js';
+import { BOSS_DEFINITIONS } from './bosses.js';
+import { POWER_UPS } from './powerups.js';
+import { Weapon } from './weapons.js';
+import {
+    Player,
+    Asteroid,
+    Debris,
+    Laser,
+    EnemyLaser,
+    BossLaser,
+    Explosion,
+    PowerUp
+} from './entities.js';
+import { Enemy } from './enemy.js';
+import { ENEMY_DEFINITIONS } from './enemies.js';
+import { PATH_DEFINITIONS, SpawnPath, formationSlots } from './paths.js';
+import { ScoreKeeper } from './scoring.js';
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY, AdaptiveDifficulty } from './difficulty.js';
+import { generateEndlessLevel } from './endless.js';
+import { BOSS_RUSH_TUNING, bossRushLevels } from './bossrush.js';
+import { modifierEffects } from './daily.js';
+
+// What a run plays: the campaign's levels in order, generated levels with
+// no end (core/endless.js), or every boss back to back (core/bossrush.js)
+const RUN_MODES = ['campaign', 'endless', 'bossRush'];
+
+const LASER_WIDTH = 4;
+const MISSILE_WIDTH = 6;
+const MISSILE_HEIGHT = 12;
+
+class GameSimulation {
+    constructor({
+        width = 800,
+        height = 600,
+        seed,
+        campaign = FALLBACK_CAMPAIGN,
+        config = CONFIG,
+        settings = GameSettings,
+        difficulty = DEFAULT_DIFFICULTY,
+        adaptive = false,
+        mode = 'campaign',
+        modifiers = [],
+        events = new EventBus()
+    } = {}) {
+        this.world = { width, height };
+        this.baseConfig = config;
+        this.baseSettings = settings;
+        this.settings = settings;
+        this.campaign = campaign;
+        this.setDifficulty(difficulty, adaptive);
+        this.setMode(mode);
+        this.setModifiers(modifiers);
+        this.events = events;
+
+        // Arrays are created once and cleared in place so outside references stay valid
+        this.lasers = [];
+        this.asteroids = [];
+        this.explosions = [];
+        this.debris = [];
+        this.enemies = [];
+        this.enemyLasers = [];
+        this.bossLasers = [];
+
+        // Short-lived entities are recycled through pools named after their lists
+        this.pools = {
+            lasers: new Pool(Laser),
+            asteroids: new Pool(Asteroid),
+            explosions: new Pool(Explosion),
+            debris: new Pool(Debris),
+            enemyLasers: new Pool(EnemyLaser),
+            bossLasers: new Pool(BossLaser)
+        };
+
+        // Broadphase grids, rebuilt every tick (see core/collisions.js)
+        this.asteroidGrid = new SpatialHash(128);
+        this.enemyGrid = new SpatialHash(128);
+
+        // 🏆 Every point goes through the score keeper (combos, streaks, tallies)
+        this.scoring = new ScoreKeeper(settings, (type, detail) => this.emit(type, detail));
+
+        this.reset(seed);
+    }
+
+    // =========================================================================
+    // LIFECYCLE
+    // =========================================================================
+    // Start a new run. Pass a seed to reproduce a previous run; omit it for a fresh one.
+    reset(seed) {
+        // 🎚 The difficulty preset retunes this run's copies of the tables
+        const difficulty = DIFFICULTY_PRESETS[this.difficultyName];
+        this.difficulty = difficulty;
+        this.settings = { ...this.baseSettings, ...difficulty.settings };
+        this.director = this.adaptive ? new AdaptiveDifficulty(difficulty.adaptive) : null;
+        this.effects = modifierEffects(this.modifiers); // 📅 Daily challenge modifiers
+        const settings = this.settings;
+
+        this.random = new SeededRandom(seed);
+        this.seed = this.random.seed;
+
+        this.config = { ...this.baseConfig, ...difficulty.config }; // ✅ Asteroid ramp-up mutates this copy, not the shared table
+        this.time = 0;      // Seconds of simulated play
+        this.gameTime = 0;  // Whole seconds shown on the HUD
+
+        this.scoring.settings = settings;
+        this.scoring.reset();
+        this.splits = [];     // ⏱ Each boss's arrival-to-defeat time, and the run time it fell at
+        this.splitStart = 0;
+        this.rushLevels = this.mode === 'bossRush' ? bossRushLevels(this.campaign) : null;
+        this.gameOver = false;
+        this.campaignComplete = false;
+        this.levelTransition = false;
+        this.levelTransitionTimer = 0;
+        this.asteroidIncreaseTimer = 0;
+
+        this.powerUp = null;      // The one power-up drop on screen
+        this.homingTimer = 0;     // Homing missile launches
+
+        Object.keys(this.pools).forEach(list => this.discardAll(list));
+        this.enemies.length = 0;
+        this.asteroidGrid.clear();
+        this.enemyGrid.clear();
+
+        this.player = new Player(this.world, this.config, settings.STARTING_LIVES);
+        this.nextExtraLife = this.extraLifeAfter(0);
+        this.startLevel(settings.STARTING_LEVEL);
+    }
+
+    // The run's total; setting it (debug console) bypasses the breakdown
+    get score() {
+        return this.scoring.total;
+    }
+
+    set score(value) {
+        this.scoring.total = value;
+    }
+
+    // Double fire is a timed power-up; setting it (debug console) grants it for good
+    get doubleFire() {
+        return this.player.powerUps.has('doubleFire');
+    }
+
+    set doubleFire(on) {
+        if (on) this.player.powerUps.grant('doubleFire');
+        else this.player.powerUps.remove('doubleFire');
+    }
+
+    // Swap in a different (validated) campaign; takes effect from the next reset
+    setCampaign(campaign) {
+        this.campaign = campaign;
+    }
+
+    // Switch between RUN_MODES; takes effect from the next reset
+    setMode(mode) {
+        if (!RUN_MODES.includes(mode)) throw new Error(`Unknown run mode "${mode}"`);
+        this.mode = mode;
+    }
+
+    // Run modifiers (keys of DAILY_MODIFIERS); take effect from the next reset
+    setModifiers(modifiers) {
+        modifierEffects(modifiers); // ✅ Throws on an unknown key
+        this.modifiers = [...modifiers];
+    }
+
+    // Pick a difficulty preset by key; takes effect from the next reset
+    setDifficulty(name, adaptive = false) {
+        if (!DIFFICULTY_PRESETS[name]) throw new Error(`Unknown difficulty "${name}"`);
+        this.difficultyName = name;
+        this.adaptive = adaptive;
+    }
+
+    // How hard the spawns come: the preset's pressure, adjusted by the director
+    spawnPressure() {
+        return this.difficulty.pressure * (this.director ? this.director.factor : 1);
+    }
+
+    // =========================================================================
+    // LEVELS
+    // =========================================================================
+    // Load level `number` (1-based) from the campaign (the boss roster in a
+    // boss rush), or generate it in endless mode, without a banner
+    startLevel(number) {
+        if (this.mode === 'endless') {
+            this.level = Math.max(1, number);
+            this.levelData = generateEndlessLevel(this.level, this.seed);
+        } else {
+            const levels = this.rushLevels ?? this.campaign.levels;
+            this.level = Math.max(1, Math.min(levels.length, number));
+            this.levelData = levels[this.level - 1];
+        }
+
+        const data = this.levelData;
+        this.levelTime = 0; // Seconds since the level banner cleared
+        this.enemiesDestroyed = 0;
+        this.enemiesNeeded = data.enemiesNeeded;
+        this.maxEnemies = data.enemies.maxOnScreen;
+        this.enemySpeedIncrease = data.enemies.speedBonus; // Enemy speed boost (pixels per second)
+        this.waveSchedule = scheduleWaves(data);
+        if (data.asteroids.maxOnScreen !== null) {
+            this.config.maxAsteroids = data.asteroids.maxOnScreen;
+        }
+
+        this.bossFightStarted = false; // Boss cinematic started
+        this.bossActive = false;       // Boss is in combat mode
+        this.boss = null;
+        this.bossDefeat = null; // Explosion sequence after the boss's health runs out
+    }
+
+    isLastLevel() {
+        return this.mode !== 'endless' && this.level >= (this.rushLevels ?? this.campaign.levels).length;
+    }
+
+    // 👾 The level's boss arrives once any of its trigger conditions is met
+    bossTriggerMet() {
+        const trigger = this.levelData.boss.trigger;
+        return (trigger.enemiesDestroyed !== null && this.enemiesDestroyed >= trigger.enemiesDestroyed) ||
+            (trigger.time !== null && this.levelTime >= trigger.time);
+    }
+
+    // Entities read the shared world object, so a resize applies immediately
+    resize(width, height) {
+        this.world.width = width;
+        this.world.height = height;
+    }
+
+    // =========================================================================
+    // EVENTS
+    // =========================================================================
+    on(type, handler) {
+        return this.events.on(type, handler);
+    }
+
+    off(type, handler) {
+        this.events.off(type, handler);
+    }
+
+    emit(type, detail = {}) {
+        this.events.emit(type, detail);
+    }
+
+    // =========================================================================
+    // FIXED STEP
+    // =========================================================================
+    // Advances the simulation by exactly one tick of `dt` seconds.
+    // `input` is { left, right, up, down, fire, secondary } for this tick, with
+    // fire and secondary true while their buttons are held.
+    step(dt, input = {}) {
+        if (this.gameOver) {
+            this.updateExplosions(dt); // Let the final explosions play out
+            return;
+        }
+
+        const { world, player, lasers, asteroids, enemies, enemyLasers } = this;
+        const hostileDt = dt * this.timeScale(); // ⏳ Time Slow only slows the Drazzan side
+        if (this.effects.mirrored) input = { ...input, left: input.right, right: input.left }; // 🪞 Replays record what was pressed
+
+        this.time += dt;
+        this.gameTime = Math.floor(this.time);
+        this.scoring.update(dt); // Combo window and no-damage streak
+        this.updateDirector(dt);
+
+        this.awardExtraLives(); // ❤️ Points scored last tick may have crossed a threshold
+
+        if (this.bossDefeat) {
+            this.updateBossDefeat(dt); // 💥 Timed on simulation ticks so replays match
+        }
+
+        // 🌟 **Boss fight trigger**
+        if (this.levelData.boss && !this.bossFightStarted && this.bossTriggerMet()) {
+            this.bossFightStarted = true;
+            this.startBossFight();
+            return;
+        }
+
+        if (this.boss && this.boss.entering) {
+            this.updateBossEntry(dt); // ✅ Mothership descends onto the screen
+        }
+
+        if (this.bossActive) {
+            this.updateBoss(hostileDt); // Player, lasers, etc. keep updating below
+            if (this.gameOver) return;
+        }
+
+        // 🌟 **Level transition banner**
+        if (this.levelTransition) {
+            this.levelTransitionTimer -= dt;
+            if (this.levelTransitionTimer <= 0) {
+                enemies.length = 0;
+                this.levelTransition = false;
+            }
+        } else {
+            this.levelTime += dt;
+        }
+
+        this.updateWeapons(dt, input);
+
+        player.move(input, dt);
+        player.invulnerable = Math.max(0, player.invulnerable - dt);
+        this.updatePowerUps(dt);
+
+        // Move lasers (homing missiles turn towards their target first)
+        for (let i = lasers.length - 1; i >= 0; i--) {
+            const laser = lasers[i];
+            if (laser.homing) this.steerHoming(laser, dt);
+            laser.move(dt);
+            if (laser.y < 0 || laser.y > world.height || laser.x < -laser.width || laser.x > world.width) {
+                this.discard('lasers', i);
+            }
+        }
+
+        // Move asteroids (gone once they drift out of the world; new ones start above it)
+        for (let i = asteroids.length - 1; i >= 0; i--) {
+            const asteroid = asteroids[i];
+            asteroid.move(hostileDt);
+            if (
+                asteroid.y > world.height ||
+                asteroid.x + asteroid.width < 0 || asteroid.x > world.width ||
+                (asteroid.vy < 0 && asteroid.y + asteroid.height < 0) // ✅ Bounced back up and out
+            ) {
+                this.discard('asteroids', i);
+            }
+        }
+
+        // 🌟 **Increase Asteroid Spawn Rate Over Time**
+        this.asteroidIncreaseTimer += dt;
+        if (this.asteroidIncreaseTimer >= this.config.asteroidIncreaseInterval) {
+            if (this.config.maxAsteroids < this.config.maxAsteroidsCap) {
+                this.config.maxAsteroids = Math.min(this.config.maxAsteroids + 2, this.config.maxAsteroidsCap); // ✅ Every interval, allow 2 more asteroids
+            }
+            this.config.asteroidSpawnRate = Math.max(this.config.asteroidSpawnRate - 5, 40); // ✅ Increase spawn speed (minimum 40)
+            this.asteroidIncreaseTimer = 0;
+        }
+
+        // 🌟 **Broadphase: bucket asteroids once, then only test what's nearby**
+        this.asteroidGrid.rebuild(asteroids);
+        if (this.config.asteroidBounces) this.bounceAsteroids();
+
+        // 🌟 **Check Player-Asteroid Collisions** (costs a life, not shield)
+        if (player.canBeHit()) {
+            for (const asteroid of this.asteroidGrid.nearby(player)) {
+                if (checkCollision(player, asteroid)) {
+                    this.damagePlayer('asteroid', 0);
+                    this.loseLife('asteroid', asteroid);
+                    if (this.gameOver) return;
+                    break;
+                }
+            }
+        }
+
+        // 🌟 **Check for Laser-Asteroid Collisions**
+        for (let i = lasers.length - 1; i >= 0; i--) {
+            for (const asteroid of this.asteroidGrid.nearby(lasers[i])) {
+                if (checkCollision(lasers[i], asteroid)) {
+                    this.scoring.landed();
+                    this.spawnExplosion(asteroid.x, asteroid.y);
+                    asteroid.health -= lasers[i].damage;
+
+                    if (asteroid.health <= 0) {
+                        this.destroyAsteroid(asteroid);
+                    }
+
+                    this.discard('lasers', i);
+                    break;
+                }
+            }
+        }
+
+        // 🌟 **Power-Up System (Ensures Only One Exists)**
+        const powerUps = this.levelData.powerUps;
+        if (!this.powerUp && this.effects.powerUps && powerUps.spawnRate > 0 && this.random.chance(powerUps.spawnRate * dt)) {
+            this.powerUp = new PowerUp(world, this.random, pickWeighted(this.random, powerUps.types));
+        }
+
+        // 🧲 Drops drift down the screen, or fly to the ship while a magnet is running
+        if (this.powerUp) {
+            const magnet = player.powerUps.has('magnet');
+            this.powerUp.move(dt, magnet ? player : null, POWER_UPS.magnet.pull);
+            if (this.powerUp.y > world.height) this.powerUp = null;
+        }
+
+        // 🌟 **Spawn up to `maxEnemies` at a time**
+        const enemySpawns = this.levelData.enemies;
+        if (!this.bossFightStarted && !this.bossActive && enemies.length < this.maxEnemies && this.random.chance(enemySpawns.spawnRate * this.spawnPressure() * dt)) {
+            this.spawnEnemy(pickWeighted(this.random, enemySpawns.types));
+        }
+
+        // 🌊 **Scripted waves from the level file**
+        while (this.waveSchedule.length > 0 && !this.levelTransition && this.waveSchedule[0].at <= this.levelTime) {
+            this.spawnWave(this.waveSchedule.shift());
+        }
+
+        // 🌟 **Move enemies and handle shooting**
+        for (let i = enemies.length - 1; i >= 0; i--) {
+            const enemy = enemies[i];
+            enemy.move(hostileDt, this);
+
+            // ✅ Divers that miss (and paths that end off-screen) fly off the screen
+            if (!enemy.scripted && (enemy.y > world.height || enemy.x + enemy.width < 0 || enemy.x > world.width)) {
+                this.removeEnemy(enemy);
+                continue;
+            }
+
+            // 💥 Kamikazes and drones crash into the ship (and die doing it)
+            if (enemy.ramDamage > 0 && player.canBeHit() && checkCollision(enemy, player)) {
+                this.spawnExplosion(enemy.x, enemy.y);
+                this.removeEnemy(enemy);
+                if (this.damagePlayer('enemy', enemy.ramDamage)) {
+                    this.loseLife('enemy');
+                    if (this.gameOver) return;
+                }
+            }
+        }
+
+        // 🌟 **Check if Player Collects Power-Up**
+        if (this.powerUp && checkCollision(player, this.powerUp)) {
+            const type = this.powerUp.type;
+            this.powerUp = null;
+            this.collectPowerUp(type);
+        }
+
+        // 🌟 **Move enemy lasers and check for collisions**
+        for (let i = enemyLasers.length - 1; i >= 0; i--) {
+            const laser = enemyLasers[i];
+            laser.move(hostileDt);
+
+            // 🌟 **Check if enemy laser hits the player (with shield system)**
+            if (player.canBeHit() && checkCollision(laser, player)) {
+                const shieldGone = this.damagePlayer('enemyLaser', 25); // ✅ Reduce shield by 25% when hit
+                this.discard('enemyLasers', i); // ✅ Remove laser after hitting player
+
+                // 🌟 **If shield reaches 0, lose a life**
+                if (shieldGone) {
+                    this.loseLife('enemyLaser');
+                    if (this.gameOver) return;
+                }
+                continue;
+            }
+
+            this.checkGraze(laser);
+
+            // ✅ Remove enemy lasers if they move off-screen (aimed shots can leave by the sides)
+            if (laser.y > world.height || laser.y + laser.height < 0 || laser.x + laser.width < 0 || laser.x > world.width) {
+                this.discard('enemyLasers', i);
+            }
+        }
+
+        // 🌟 **Check for Player Laser - Enemy Collisions**
+        this.enemyGrid.rebuild(enemies);
+        for (let i = lasers.length - 1; i >= 0; i--) {
+            for (const enemy of this.enemyGrid.nearby(lasers[i])) {
+                if (checkCollision(lasers[i], enemy)) {
+                    this.scoring.landed();
+                    const destroyed = enemy.takeDamage(lasers[i].damage); // ✅ Shields soak hits first
+                    this.spawnExplosion(enemy.x, enemy.y);
+
+                    // ✅ If enemy is destroyed, increase counter
+                    if (destroyed) {
+                        this.destroyEnemy(enemy);
+                    }
+
+                    this.discard('lasers', i);
+                    break;
+                }
+            }
+        }
+
+        this.updateExplosions(dt);
+
+        // 🌟 **Spawn Asteroids**
+        if (!this.bossFightStarted && !this.bossActive && this.random.chance(this.levelData.asteroids.spawnRate * this.effects.asteroids * this.spawnPressure() * dt)) {
+            this.spawnAsteroid();
+        }
+
+        // 🌟 **Check for Laser Collisions with the Boss**
+        if (this.bossActive && this.boss) {
+            for (let i = lasers.length - 1; i >= 0; i--) {
+                const laser = lasers[i];
+                const hit = this.boss.hitBy(laser);
+                if (hit) {
+                    this.discard('lasers', i); // 🗑 Remove the laser
+                    this.scoring.landed();
+
+                    // 💥 Damage the boss; weak points take more and flash
+                    if (hit.weakPoint) {
+                        const point = hit.weakPoint;
+                        this.spawnExplosion(point.x + point.width / 2 - 15, point.y + point.height / 2 - 15, 30, 0.25);
+                    }
+                    this.damageBoss(hit.damage * laser.damage);
+
+                    break; // ✅ Only one collision per laser
+                }
+            }
+        }
+    }
+
+    updateExplosions(dt) {
+        for (let i = this.explosions.length - 1; i >= 0; i--) {
+            this.explosions[i].update(dt);
+            if (this.explosions[i].timer <= 0) this.discard('explosions', i);
+        }
+        for (let i = this.debris.length - 1; i >= 0; i--) {
+            this.debris[i].update(dt);
+            if (this.debris[i].timer <= 0) this.discard('debris', i);
+        }
+    }
+
+    // 🪨 Elastic collisions between overlapping rocks: pushed apart by mass, then
+    // their velocities exchanged along the line between their centres. A pair
+    // is met from both sides; the second visit finds it already separating.
+    bounceAsteroids() {
+        for (const a of this.asteroids) {
+            for (const b of this.asteroidGrid.nearby(a)) {
+                if (b === a) continue;
+                const shapeA = colliderShape(a);
+                const shapeB = colliderShape(b);
+                const dx = shapeB.points[0].x - shapeA.points[0].x;
+                const dy = shapeB.points[0].y - shapeA.points[0].y;
+                const distance = Math.hypot(dx, dy) || 1;
+                const overlap = shapeA.radius + shapeB.radius - distance;
+                if (overlap <= 0) continue;
+
+                const nx = dx / distance;
+                const ny = dy / distance;
+                const total = a.mass + b.mass;
+                a.x -= nx * overlap * (b.mass / total);
+                a.y -= ny * overlap * (b.mass / total);
+                b.x += nx * overlap * (a.mass / total);
+                b.y += ny * overlap * (a.mass / total);
+
+                const closing = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+                if (closing <= 0) continue;
+                const impulse = (2 * closing) / total;
+                a.vx -= impulse * b.mass * nx;
+                a.vy -= impulse * b.mass * ny;
+                b.vx += impulse * a.mass * nx;
+                b.vy += impulse * a.mass * ny;
+            }
+        }
+    }
+
+    // =========================================================================
+    // POOLED LISTS
+    // =========================================================================
+    // Remove entity `index` from a pooled list (lasers, asteroids, ...) and
+    // hand it back to its pool. Swap-removes, so loop from the end.
+    discard(list, index) {
+        this.pools[list].release(swapRemove(this[list], index));
+    }
+
+    // Empty a pooled list in place, recycling everything in it
+    discardAll(list) {
+        const pool = this.pools[list];
+        this[list].forEach(item => pool.release(item));
+        this[list].length = 0;
+    }
+
+    // =========================================================================
+    // SPAWNING & ACTIONS
+    // =========================================================================
+    // =========================================================================
+    // WEAPONS
+    // =========================================================================
+    // Weapons cool down every tick; holding fire shoots as fast as the fire
+    // rate allows (see core/weapons.js)
+    updateWeapons(dt, input) {
+        const { primary, secondary } = this.player.weapons;
+        primary.update(dt);
+        secondary.update(dt);
+
+        if (input.fire) this.firePrimary();
+        if (input.secondary) this.fireSecondary();
+    }
+
+    // Double fire, spread shot and rapid fire power-ups stack on the weapon's own stats
+    firePrimary() {
+        if (this.gameOver) return false;
+
+        const powerUps = this.player.powerUps;
+        const stats = this.player.weapons.primary.trigger(powerUps.has('rapid') ? POWER_UPS.rapid.fireRate : 1);
+        if (!stats) return false;
+
+        const guns = this.doubleFire ? 2 : stats.guns;
+        const shots = this.fireVolley(stats, guns, stats.spread + powerUps.level('spread'));
+        this.emit('laserFired', { double: guns > 1, shots });
+        return true;
+    }
+
+    fireSecondary() {
+        if (this.gameOver) return false;
+
+        const weapon = this.player.weapons.secondary;
+        const stats = weapon.trigger();
+        if (!stats) return false;
+
+        if (stats.projectile === 'bomb') {
+            this.detonateSmartBomb(stats.damage);
+        } else {
+            this.fireVolley(stats, stats.guns, stats.spread);
+        }
+        this.emit('secondaryFired', { weapon: weapon.type, ammo: weapon.ammo });
+        return true;
+    }
+
+    // Projectiles from the nose (or both wings when `guns` is 2), each fanned
+    // out `spread` shots either side. Returns how many were fired.
+    fireVolley(stats, guns, spread) {
+        const player = this.player;
+        const homing = stats.projectile === 'missile';
+        const width = homing ? MISSILE_WIDTH : LASER_WIDTH;
+        const positions = guns > 1
+            ? [player.x + player.width * 0.2, player.x + player.width * 0.8 - width]
+            : [player.x + player.width / 2 - width / 2];
+
+        let shots = 0;
+        for (const x of positions) {
+            for (let i = -spread; i <= spread; i++) {
+                const projectile = this.pools.lasers.acquire(x, player.y, width, homing ? MISSILE_HEIGHT : undefined, i * stats.angle, homing);
+                projectile.speed = stats.speed;
+                projectile.damage = stats.damage * this.effects.damageDealt;
+                this.lasers.push(projectile);
+                shots++;
+            }
+        }
+        this.scoring.fired(shots);
+        return shots;
+    }
+
+    // Keeps the secondary slot's weapon and adds ammo, or swaps in `type`
+    equipSecondary(type, ammo) {
+        const weapons = this.player.weapons;
+        if (weapons.secondary.type !== type) {
+            weapons.secondary = new Weapon(type);
+            weapons.secondary.ammo = 0;
+        }
+        weapons.secondary.addAmmo(ammo);
+    }
+
+    launchHomingMissile() {
+        this.fireVolley({ projectile: 'missile', speed: POWER_UPS.homing.speed, damage: 1, angle: 0 }, 1, 0);
+    }
+
+    // 🎯 Turn a missile towards the closest enemy, asteroid or boss, at most turnRate
+    steerHoming(missile, dt) {
+        const x = missile.x + missile.width / 2;
+        const y = missile.y;
+        const target = this.nearestTarget(x, y);
+        if (!target) return;
+
+        const desired = Math.atan2(target.x + target.width / 2 - x, y - (target.y + target.height / 2));
+        const turn = Math.atan2(Math.sin(desired - missile.angle), Math.cos(desired - missile.angle));
+        const maxTurn = POWER_UPS.homing.turnRate * dt;
+        missile.angle += Math.max(-maxTurn, Math.min(maxTurn, turn));
+    }
+
+    nearestTarget(x, y) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        const consider = (target) => {
+            const dx = target.x + target.width / 2 - x;
+            const dy = target.y + target.height / 2 - y;
+            const distance = dx * dx + dy * dy;
+            if (distance < nearestDistance) {
+                nearest = target;
+                nearestDistance = distance;
+            }
+        };
+
+        this.enemies.forEach(consider);
+        this.asteroids.forEach(consider);
+        if (this.bossActive && this.boss) consider(this.boss);
+        return nearest;
+    }
+
+    spawnEnemy(type) {
+        const enemy = new Enemy(type, ENEMY_DEFINITIONS[type], this.world, this.random);
+        enemy.speedX += this.enemySpeedIncrease;
+        this.enemies.push(enemy);
+        return enemy;
+    }
+
+    // 🌊 One entry of a level's wave schedule (see scheduleWaves): an enemy,
+    // or a formation leader and its followers, flying in along the wave's path
+    spawnWave(entry) {
+        const leader = this.spawnEnemy(entry.type);
+        if (entry.path) {
+            const definition = this.campaign.paths?.[entry.path] ?? PATH_DEFINITIONS[entry.path];
+            leader.followPath(new SpawnPath(definition, this.world, { mirror: entry.mirror }), entry.speed);
+        }
+
+        if (entry.formation) {
+            const { shape, gap, members } = entry.formation;
+            const slots = formationSlots(shape, members.length + 1, gap);
+            members.forEach((type, index) => this.spawnEnemy(type).joinFormation(leader, slots[index + 1]));
+        }
+        return leader;
+    }
+
+    spawnAsteroid() {
+        if (this.asteroids.length < this.config.maxAsteroids * this.effects.asteroids) {
+            this.asteroids.push(this.pools.asteroids.acquire(this.world, this.random, this.config));
+        }
+    }
+
+    // Shot down: scores its points and, unless `split` is false, breaks into
+    // fragments of the next size class that carry on with its momentum
+    destroyAsteroid(asteroid, split = true) {
+        // ✅ Read everything first: once discarded, the pool hands this object
+        // straight back out as the first fragment
+        const { size, vx, vy, points, sizeClass } = asteroid;
+        const centreX = asteroid.x + asteroid.width / 2;
+        const centreY = asteroid.y + asteroid.height / 2;
+        this.asteroidGrid.remove(asteroid);
+        this.discard('asteroids', this.asteroids.indexOf(asteroid));
+        this.scoring.kill('asteroid', points);
+        this.emit('asteroidDestroyed', { size: sizeClass, x: centreX, y: centreY, points });
+
+        const { splitInto, fragments } = ASTEROID_SIZES[sizeClass];
+        if (split && splitInto) {
+            // ✅ Kicks are spread evenly around a mostly sideways heading and
+            // scaled inversely to each fragment's mass, so they cancel out and
+            // the pieces carry on with the rock's momentum
+            const heading = this.random.range(-0.5, 0.5);
+            const pieces = [];
+            for (let i = 0; i < fragments; i++) {
+                const direction = heading + (i * Math.PI * 2) / fragments;
+                const fragment = this.pools.asteroids.acquire(this.world, this.random, this.config, {
+                    sizeClass: splitInto,
+                    x: centreX + Math.cos(direction) * size * 0.25,
+                    y: centreY + Math.sin(direction) * size * 0.25,
+                    vx,
+                    vy
+                });
+                pieces.push({ fragment, direction });
+            }
+
+            const meanMass = pieces.reduce((sum, { fragment }) => sum + fragment.mass, 0) / fragments;
+            for (const { fragment, direction } of pieces) {
+                const kick = this.config.asteroidSplitSpeed * (meanMass / fragment.mass);
+                fragment.vx += Math.cos(direction) * kick;
+                fragment.vy = Math.max(fragment.vy + Math.sin(direction) * kick, this.config.asteroidSpeed * 0.25); // ✅ Keep falling
+                this.asteroids.push(fragment);
+            }
+        }
+        this.spawnDebris(centreX, centreY, vx, vy, splitInto && split ? 4 : 8);
+    }
+
+    // Rock chips flung out from (x, y), carried along at (vx, vy)
+    spawnDebris(x, y, vx, vy, count) {
+        for (let i = 0; i < count; i++) {
+            const direction = this.random.range(0, Math.PI * 2);
+            const speed = this.random.range(60, 180);
+            this.debris.push(this.pools.debris.acquire(
+                x, y,
+                vx + Math.cos(direction) * speed,
+                vy + Math.sin(direction) * speed,
+                this.random.range(3, 7),
+                this.random.range(0.4, 0.8)
+            ));
+        }
+    }
+
+    // Shot down: scores its points and, unless `split` is false, breaks a splitter apart
+    destroyEnemy(enemy, split = true) {
+        this.removeEnemy(enemy);
+        this.scoring.kill('enemy', enemy.points);
+        if (enemy.definition.goal) this.enemiesDestroyed++; // ✅ Minions don't count towards the level
+        this.emit('enemyDestroyed', { enemy, type: enemy.type, x: enemy.x, y: enemy.y, points: enemy.points });
+
+        // 🧩 Splitters break into smaller ships where they die
+        const splitInto = enemy.definition.splitInto;
+        if (split && splitInto) {
+            for (let i = 0; i < splitInto.count; i++) {
+                const piece = this.spawnEnemy(splitInto.type);
+                piece.x = enemy.x + (enemy.width * (i + 0.5)) / splitInto.count - piece.width / 2;
+                piece.y = enemy.y + (enemy.height - piece.height) / 2;
+                if (i % 2 === 1) piece.speedX *= -1; // ✅ Scatter both ways
+            }
+        }
+
+        // 🌟 **Check if Level is Complete** (boss levels end when the boss dies)
+        if (enemy.definition.goal && !this.levelData.boss && this.enemiesDestroyed >= this.enemiesNeeded) {
+            this.levelUp();
+        }
+    }
+
+    // Gone without scoring (flew off-screen, rammed the player)
+    removeEnemy(enemy) {
+        swapRemove(this.enemies, this.enemies.indexOf(enemy));
+        this.enemyGrid.remove(enemy);
+    }
+
+    // Explosion with an optional size (px) and duration (seconds)
+    spawnExplosion(x, y, size, duration) {
+        const explosion = this.pools.explosions.acquire(x, y, size, duration);
+        this.explosions.push(explosion);
+        return explosion;
+    }
+
+    // =========================================================================
+    // POWER-UPS
+    // =========================================================================
+    // Durations and stacking come from core/powerups.js; the effects live here
+    collectPowerUp(type) {
+        const definition = POWER_UPS[type];
+        const player = this.player;
+        const timer = player.powerUps.collect(type);
+
+        if (type === 'shield') {
+            player.shield = Math.min(100, player.shield + definition.amount);
+        } else if (type === 'smartBomb') {
+            this.detonateSmartBomb(definition.bossDamage);
+        } else if (type === 'weaponUpgrade') {
+            const primary = player.weapons.primary;
+            if (primary.upgrade()) this.emit('weaponUpgraded', { weapon: primary.type, level: primary.level });
+        } else if (definition.weapon) {
+            this.equipSecondary(definition.weapon, definition.ammo);
+        }
+
+        this.emit('powerUpCollected', { type, level: timer ? timer.level : 0, duration: timer ? timer.remaining : 0 });
+    }
+
+    // Count the timers down and run the effects that act on their own
+    updatePowerUps(dt) {
+        const powerUps = this.player.powerUps;
+        for (const type of powerUps.update(dt)) {
+            this.emit('powerUpExpired', { type });
+        }
+
+        // 🎯 Homing missiles launch on their own timer
+        if (powerUps.has('homing')) {
+            this.homingTimer += dt;
+            if (this.homingTimer >= POWER_UPS.homing.interval) {
+                this.homingTimer = 0;
+                this.launchHomingMissile();
+            }
+        } else {
+            this.homingTimer = 0;
+        }
+    }
+
+    timeScale() {
+        return this.player.powerUps.has('timeSlow') ? POWER_UPS.timeSlow.scale : 1;
+    }
+
+    // 💥 Everything hostile on screen is destroyed (and scores); the boss takes `bossDamage`
+    detonateSmartBomb(bossDamage) {
+        for (let i = this.asteroids.length - 1; i >= 0; i--) {
+            const asteroid = this.asteroids[i];
+            this.spawnExplosion(asteroid.x, asteroid.y);
+            this.destroyAsteroid(asteroid, false); // ✅ Nothing is left to split
+        }
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+            this.spawnExplosion(enemy.x, enemy.y);
+            this.destroyEnemy(enemy, false); // ✅ Nothing is left to split
+        }
+        this.discardAll('enemyLasers');
+        this.discardAll('bossLasers');
+
+        if (this.bossActive && this.boss) {
+            this.damageBoss(bossDamage);
+        }
+    }
+
+    // =========================================================================
+    // LEVEL PROGRESSION
+    // =========================================================================
+    // Advance to the next level in the campaign, or finish it after the last one
+    levelUp() {
+        if (this.isLastLevel()) {
+            this.completeCampaign();
+            return;
+        }
+
+        const completed = this.level;
+        this.scoring.tallyLevel(completed);
+        if (this.director && this.director.recordLevel(this.levelTime) !== null) {
+            this.emit('difficultyAdjusted', { factor: this.director.factor, pressure: this.spawnPressure() });
+        }
+        this.startLevel(this.level + 1);
+        if (this.mode === 'bossRush') this.rearm();
+
+        this.powerUp = null;
+        this.levelTransition = true;
+        this.levelTransitionTimer = this.settings.LEVEL_TRANSITION_DURATION;
+        this.emit('levelCompleted', { level: completed });
+    }
+
+    completeCampaign() {
+        if (this.campaignComplete) return;
+        this.campaignComplete = true;
+        this.scoring.tallyLevel(this.level);
+        this.emit('campaignCompleted', { level: this.level, score: this.score, time: this.time, splits: [...this.splits], mode: this.mode });
+    }
+
+    // 🔧 Boss rush intermission: full shield and a restocked secondary weapon
+    rearm() {
+        const player = this.player;
+        const secondary = player.weapons.secondary;
+        player.shield = Math.max(player.shield, BOSS_RUSH_TUNING.rearm.shield);
+        secondary.addAmmo(secondary.definition.maxAmmo ?? 0);
+        this.emit('playerRearmed', { shield: player.shield, weapon: secondary.type, ammo: secondary.ammo });
+    }
+
+    // =========================================================================
+    // LIVES
+    // =========================================================================
+    // The ship is destroyed; respawn with a blinking grace period, or end the
+    // run on the last life. The shield carries over unless it ran out.
+    loseLife(source, asteroid = null) {
+        const player = this.player;
+        player.lives--;
+        if (this.director) this.director.recordDamage(100); // ✅ A whole ship's worth of shield
+        this.emit('lifeLost', { source, lives: player.lives });
+
+        if (player.lives <= 0) {
+            this.triggerGameOver(asteroid);
+            return;
+        }
+
+        this.spawnExplosion(player.x, player.y);
+        if (asteroid) {
+            this.spawnExplosion(asteroid.x, asteroid.y);
+            this.asteroidGrid.remove(asteroid);
+            this.discard('asteroids', this.asteroids.indexOf(asteroid));
+        }
+
+        if (player.shield <= 0) player.shield = this.settings.RESPAWN_SHIELD;
+        player.respawn(this.settings.RESPAWN_INVULNERABILITY);
+        this.emit('playerRespawned', { lives: player.lives, shield: player.shield, invulnerable: player.invulnerable });
+    }
+
+    // ❤️ One life per EXTRA_LIFE_SCORES threshold, then every EXTRA_LIFE_EVERY points
+    awardExtraLives() {
+        while (this.score >= this.nextExtraLife) {
+            const threshold = this.nextExtraLife;
+            this.nextExtraLife = this.extraLifeAfter(threshold);
+
+            if (this.player.lives < this.settings.MAX_LIVES) {
+                this.player.lives++;
+                this.emit('extraLife', { lives: this.player.lives, score: threshold });
+            }
+        }
+    }
+
+    extraLifeAfter(score) {
+        const { EXTRA_LIFE_SCORES, EXTRA_LIFE_EVERY } = this.settings;
+        const next = EXTRA_LIFE_SCORES.find(threshold => threshold > score);
+        if (next !== undefined) return next;
+        return EXTRA_LIFE_EVERY > 0 ? score + EXTRA_LIFE_EVERY : Infinity;
+    }
+
+    triggerGameOver(asteroid = null) {
+        this.gameOver = true;
+
+        // 🌟 **Explosion Effect**
+        this.spawnExplosion(this.player.x, this.player.y);
+        if (asteroid) this.spawnExplosion(asteroid.x, asteroid.y); // ✅ Only explode asteroid if exists
+
+        this.emit('gameOver', { score: this.score, asteroid });
+    }
+
+    // Shield damage, scaled by the difficulty and modifiers; returns true if the shield ran
+    // out. Every hit ends the no-damage streak, even one that costs no shield.
+    damagePlayer(source, damage) {
+        const player = this.player;
+        const dealt = Math.round(damage * this.difficulty.damage * this.effects.damageTaken);
+        player.shield = Math.max(0, player.shield - dealt);
+        this.scoring.damaged();
+        if (this.director) this.director.recordDamage(dealt);
+        this.emit('playerHit', { source, damage: dealt, shield: player.shield });
+        return player.shield <= 0;
+    }
+
+    // 🎚 Adaptive difficulty: let the director re-weigh spawn pressure
+    updateDirector(dt) {
+        if (!this.director) return;
+        const factor = this.director.update(dt, {
+            shotsFired: this.scoring.shotsFired,
+            shotsHit: this.scoring.shotsHit,
+            levelTime: this.levelTime
+        });
+        if (factor !== null) this.emit('difficultyAdjusted', { factor, pressure: this.spawnPressure() });
+    }
+
+    // ✨ An enemy shot that passes close to the ship and leaves again without
+    // hitting it scores graze points, once per shot
+    checkGraze(shot) {
+        if (shot.grazed) return;
+        if (!this.player.canBeHit()) {
+            shot.near = false; // ✅ No credit for shots that flew through a respawn
+            return;
+        }
+
+        const reach = this.settings.GRAZE_DISTANCE;
+        const ship = colliderBounds(this.player);
+        const zone = { x: ship.x - reach, y: ship.y - reach, width: ship.width + reach * 2, height: ship.height + reach * 2 };
+        if (boundsOverlap(colliderBounds(shot), zone)) {
+            shot.near = true;
+        } else if (shot.near) {
+            shot.grazed = true;
+            this.scoring.graze();
+        }
+    }
+
+    // =========================================================================
+    // BOSS FIGHT
+    // =========================================================================
+    startBossFight() {
+        const type = this.levelData.boss.type;
+        const definition = this.campaign.bosses?.[type] ?? BOSS_DEFINITIONS[type];
+        this.boss = new Boss(type, definition, this.world, { health: this.levelData.boss.health ?? undefined });
+        this.splitStart = this.time;
+        this.emit('bossIncoming', { boss: this.boss });
+    }
+
+    // 🛸 Descend from offscreen until the boss reaches its combat position
+    updateBossEntry(dt) {
+        if (this.boss.updateEntry(dt)) {
+            this.bossActive = true;
+        }
+    }
+
+    updateBoss(dt) {
+        if (!this.boss) return;
+
+        // 🌟 Movement and the current phase's attack script
+        this.boss.update(dt, this);
+
+        // Move boss lasers
+        const bossLasers = this.bossLasers;
+        for (let i = bossLasers.length - 1; i >= 0; i--) {
+            const laser = bossLasers[i];
+            laser.move(dt);
+
+            // Check collision with player
+            if (this.player.canBeHit() && checkCollision(laser, this.player)) {
+                this.discard('bossLasers', i);
+                if (this.damagePlayer('bossLaser', 20)) {
+                    this.loseLife('bossLaser');
+                    if (this.gameOver) return;
+                }
+                continue;
+            }
+
+            this.checkGraze(laser);
+            if (laser.x < 0 || laser.x > this.world.width || laser.y < 0 || laser.y > this.world.height) {
+                this.discard('bossLasers', i); // Remove offscreen lasers
+            }
+        }
+    }
+
+    damageBoss(damage) {
+        if (this.boss.applyDamage(damage)) {
+            this.emit('bossPhaseChanged', {
+                boss: this.boss,
+                phase: this.boss.phaseIndex + 1,
+                name: this.boss.phase.name
+            });
+        }
+
+        // 💀 Check if boss is defeated
+        if (this.boss.health <= 0) {
+            this.defeatBoss();
+        }
+    }
+
+    defeatBoss() {
+        this.boss.health = 0;
+        this.bossActive = false;
+        this.discardAll('bossLasers');
+
+        // 🏆 Time-based boss bonus
+        const bonus = this.calculateBossScore();
+        this.scoring.award('boss', bonus.total, { multiplied: false }); // ✅ Flat: no combo or streak
+
+        this.emit('bossDefeated', { boss: this.boss, final: this.isLastLevel(), ...bonus });
+
+        // ⏱ Split from the boss's arrival to its defeat
+        const split = this.time - this.splitStart;
+        this.splits.push({ boss: this.boss.type, name: this.boss.name, time: split, total: this.time });
+        this.emit('bossSplit', { boss: this.boss.type, name: this.boss.name, index: this.splits.length, split, total: this.time });
+
+        // 💥 First burst now, the rest every EXPLOSION_DELAY
+        this.bossDefeat = { bursts: 0, timer: 0 };
+        this.spawnBossBurst();
+    }
+
+    // Explosion bursts over the wreck, then the final blast removes the mothership
+    updateBossDefeat(dt) {
+        const settings = this.settings;
+        const sequence = this.bossDefeat;
+
+        sequence.timer += dt;
+        if (sequence.timer < settings.EXPLOSION_DELAY / 1000) return;
+        sequence.timer = 0;
+
+        if (sequence.bursts < settings.BOSS_EXPLOSION_BURSTS) {
+            this.spawnBossBurst();
+            return;
+        }
+
+        // 🎯 Final explosion after the mothership disappears
+        const x = this.boss.x + this.boss.width / 2;
+        const y = this.boss.y + this.boss.height / 2;
+        this.boss = null;
+        this.bossDefeat = null;
+        this.spawnExplosion(x, y, settings.BOSS_FINAL_EXPLOSION_SIZE, 80 / 60);
+        this.emit('bossDestroyed', { x, y });
+        this.levelUp(); // ✅ On to the next level, or the end of the campaign
+    }
+
+    spawnBossBurst() {
+        const settings = this.settings;
+        const boss = this.boss;
+
+        for (let i = 0; i < settings.BOSS_EXPLOSION_COUNT; i++) {
+            const offsetX = this.random.int(-100, 100);
+            const offsetY = this.random.int(-60, 60);
+            this.spawnExplosion(
+                boss.x + boss.width / 2 + offsetX,
+                boss.y + boss.height / 2 + offsetY,
+                settings.BOSS_EXPLOSION_SIZE,
+                1
+            );
+        }
+
+        this.bossDefeat.bursts++;
+    }
+
+    calculateBossScore() {
+        const baseScore = this.settings.BOSS_BASE_SCORE;
+        const thresholds = this.settings.TIME_BONUS_THRESHOLDS;
+        let timeBonus;
+
+        if (this.gameTime <= thresholds.UNDER_1_MIN.time) {
+            timeBonus = thresholds.UNDER_1_MIN.bonus;
+        } else if (this.gameTime <= thresholds.UNDER_2_MIN.time) {
+            timeBonus = thresholds.UNDER_2_MIN.bonus;
+        } else if (this.gameTime <= thresholds.UNDER_3_MIN.time) {
+            timeBonus = thresholds.UNDER_3_MIN.bonus;
+        } else if (this.gameTime <= thresholds.UNDER_5_MIN.time) {
+            timeBonus = thresholds.UNDER_5_MIN.bonus;
+        } else {
+            timeBonus = thresholds.OVER_5_MIN.bonus;
+        }
+
+        return { time: this.gameTime, baseScore, timeBonus, total: baseScore + timeBonus };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.GameSimulation = GameSimulation;
+}
+
+export { GameSimulation, RUN_MODES };
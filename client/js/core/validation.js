@@ -0,0 +1,23 @@
+// Validation - checks a module's built-in table of definitions when the module
+// loads, so a typo fails straight away instead of the first time a level,
+// wave or fight uses the entry.
+//
+// `check(entry, key, errors)` pushes any problems onto `errors` as
+// "path: message" strings and may return a normalized copy, which replaces
+// the entry; every problem in the table is reported together in one throw.
+//
+//   validateAtLoad(ENEMY_DEFINITIONS, (definition, type, errors) =>
+//       normalizeEnemyDefinition(definition, `enemies.${type}`, errors, ENEMY_TYPES), 'enemy definitions');
+function validateAtLoad(table, check, label) {
+    const errors = [];
+    for (const [key, entry] of Object.entries(table)) {
+        const normalized = check(entry, key, errors);
+        if (normalized !== undefined) table[key] = normalized;
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${label}:\n - ${errors.join('\n - ')}`);
+    }
+    return table;
+}
+
+export { validateAtLoad };
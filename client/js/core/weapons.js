@@ -0,0 +1,122 @@
+// Weapons - what the ship fires, as data plus a small Weapon class that owns
+// the fire-rate cooldown, upgrade level and ammo. The simulation turns the
+// stats a weapon hands back into projectiles; power-ups (core/powerups.js)
+// stack on top of them for a while (double fire, spread, rapid fire).
+//
+//   const laser = new Weapon('laser');
+//   laser.update(dt);
+//   const stats = laser.trigger();   // null while cooling down or out of ammo
+//   laser.upgrade();                 // next entry of `upgrades`
+//
+// Stats:
+//   slot        primary (fire button, unlimited) or secondary (limited ammo)
+//   projectile  laser | missile (homing) | bomb (clears the screen)
+//   fireRate    shots per second while the button is held
+//   damage      per projectile; the boss multiplies it by its hull/weak point damage
+//   speed       projectile speed in pixels per second
+//   guns        1 fires from the nose, 2 from both wings
+//   spread      extra shots either side of each gun, `angle` radians apart
+//   ammo        starting ammo; maxAmmo caps restocks
+// `upgrades` lists what each level after the first changes; level N applies
+// the first N - 1 entries on top of the base stats.
+const WEAPONS = {
+    laser: {
+        name: 'Laser',
+        slot: 'primary',
+        projectile: 'laser',
+        fireRate: 6,
+        damage: 1,
+        speed: 420,
+        guns: 1,
+        spread: 0,
+        angle: 0.2,
+        upgrades: [
+            { fireRate: 8 },
+            { guns: 2 },
+            { spread: 1 },
+            { damage: 2 }
+        ]
+    },
+    missiles: {
+        name: 'Missiles',
+        slot: 'secondary',
+        projectile: 'missile',
+        fireRate: 2,
+        damage: 3,
+        speed: 300,
+        guns: 1,
+        spread: 1,
+        angle: 0.5,
+        ammo: 3,
+        maxAmmo: 6
+    },
+    bomb: {
+        name: 'Bombs',
+        slot: 'secondary',
+        projectile: 'bomb',
+        fireRate: 1,
+        damage: 40, // To the boss; everything else on screen is destroyed outright
+        ammo: 1,
+        maxAmmo: 3
+    }
+};
+
+class Weapon {
+    constructor(type, registry = WEAPONS) {
+        const definition = registry[type];
+        if (!definition) throw new Error(`Unknown weapon "${type}"`);
+
+        this.type = type;
+        this.definition = definition;
+        this.level = 1;
+        this.cooldown = 0; // Seconds until it can fire again
+        this.ammo = definition.ammo ?? Infinity;
+        this.stats = this.statsForLevel(1);
+    }
+
+    get maxLevel() {
+        return (this.definition.upgrades?.length ?? 0) + 1;
+    }
+
+    statsForLevel(level) {
+        const { upgrades = [], ...base } = this.definition;
+        return Object.assign({}, base, ...upgrades.slice(0, level - 1));
+    }
+
+    // Returns false once the weapon is fully upgraded
+    upgrade() {
+        if (this.level >= this.maxLevel) return false;
+        this.level++;
+        this.stats = this.statsForLevel(this.level);
+        return true;
+    }
+
+    addAmmo(amount) {
+        this.ammo = Math.min(this.ammo + amount, this.definition.maxAmmo ?? Infinity);
+    }
+
+    // The overshoot of up to one tick carries into the next shot, so the
+    // average rate matches fireRate even when it doesn't divide the tick rate
+    update(dt) {
+        this.cooldown = Math.max(this.cooldown - dt, -dt);
+    }
+
+    ready() {
+        return this.cooldown <= 0 && this.ammo > 0;
+    }
+
+    // Fire if ready: starts the cooldown (`rate` multiplies fireRate), spends
+    // ammo and returns the stats to build projectiles from; otherwise null
+    trigger(rate = 1) {
+        if (!this.ready()) return null;
+        this.cooldown += 1 / (this.stats.fireRate * rate);
+        this.ammo--;
+        return this.stats;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.WEAPONS = WEAPONS;
+}
+
+export { WEAPONS, Weapon };
@@ -20,6 +20,12 @@ class DebugConsole {
         this.hasShownInitialHelp = false;
         this.lastCommands = [];
 
+        // Recent game events (filled from the event bus, shown by `events`)
+        this.eventLog = [];
+        if (window.gameEvents) {
+            window.gameEvents.onAny((type, detail) => this.recordEvent(type, detail));
+        }
+
         this.setupCommands();
         this.createUI();
         this.setupEventListeners();
@@ -31,38 +37,57 @@ class DebugConsole {
     setupCommands() {
         // Game Progression commands (shown first in help)
         this.commands.set('skipToBoss', {
-            description: 'Skip directly to boss fight (Level 4)',
+            description: 'Skip directly to the boss fight',
+            changesState: true,
             execute: () => this.skipToBoss()
         });
 
         this.commands.set('setLevel', {
-            description: 'Set current level (1-4)',
+            description: 'Set current level (from the campaign)',
+            changesState: true,
             execute: (levelNum) => this.setLevel(parseInt(levelNum))
         });
 
         this.commands.set('setScore', {
             description: 'Set current score',
+            changesState: true,
             execute: (newScore) => this.setScore(parseInt(newScore))
         });
 
         // Player Cheats commands (shown second in help)
         this.commands.set('invincible', {
             description: 'Toggle player invincibility',
+            changesState: true,
             execute: () => this.toggleInvincibility()
         });
 
         this.commands.set('doubleFire', {
             description: 'Toggle double fire mode',
+            changesState: true,
             execute: () => this.toggleDoubleFire()
         });
 
+        this.commands.set('powerUp', {
+            description: 'Collect a power-up (spread, rapid, weaponUpgrade, missiles...)',
+            changesState: true,
+            execute: (type) => this.givePowerUp(type)
+        });
+
+        this.commands.set('spawn', {
+            description: 'Spawn an enemy (kamikaze, sniper, tank, splitter, carrier...)',
+            changesState: true,
+            execute: (type) => this.spawnEnemy(type)
+        });
+
         this.commands.set('addLives', {
             description: 'Add extra lives to player',
+            changesState: true,
             execute: (lives) => this.addLives(parseInt(lives) || 1)
         });
 
         this.commands.set('killAll', {
             description: 'Destroy all enemies on screen',
+            changesState: true,
             execute: () => this.killAllEnemies()
         });
 
@@ -77,9 +102,29 @@ class DebugConsole {
             execute: () => this.resetGame()
         });
 
-        this.commands.set('sync', {
-            description: 'Force synchronize all game variables',
-            execute: () => this.forceSync()
+        this.commands.set('seed', {
+            description: 'Show the run seed, or restart with a given seed',
+            execute: (seedValue) => this.seedCommand(seedValue)
+        });
+
+        this.commands.set('difficulty', {
+            description: 'Show or change the difficulty preset and adaptive mode',
+            execute: (preset, mode) => this.difficultyCommand(preset, mode)
+        });
+
+        this.commands.set('replay', {
+            description: 'Save, load or watch a run recording',
+            execute: (action) => this.replayCommand(action)
+        });
+
+        this.commands.set('events', {
+            description: 'Show the most recent game events',
+            execute: (count) => this.showEvents(parseInt(count) || 15)
+        });
+
+        this.commands.set('hitboxes', {
+            description: 'Toggle drawing of collision shapes',
+            execute: () => this.toggleHitboxes()
         });
 
         this.commands.set('pause', {
@@ -527,7 +572,10 @@ class DebugConsole {
     isSinglePlayerMode() {
         // Check various indicators that we're in single player
         const gameModeManager = window.gameModeManager;
-        if (gameModeManager && gameModeManager.currentMode === 'single') {
+        if (gameModeManager && ['single', 'endless', 'daily'].includes(gameModeManager.currentMode)) {
+            return true;
+        }
+        if (gameModeManager && gameModeManager.currentMode === 'boss-rush' && !gameModeManager.lobbyOptions.coop) {
             return true;
         }
 
@@ -567,6 +615,11 @@ class DebugConsole {
 
         if (cmd) {
             try {
+                // Cheats change state outside the input log, so recordings can't reproduce them
+                if (cmd.changesState && window.replayRecorder) {
+                    window.replayRecorder.markTampered();
+                }
+
                 const result = cmd.execute(...args);
 
                 // Track command in history (limit to last 10)
@@ -619,88 +672,57 @@ class DebugConsole {
 
     // Command implementations
     skipToBoss() {
-        // Check if game variables are available
-        const gameVars = ['level', 'enemiesDestroyed', 'enemiesNeeded', 'bossFightStarted', 'bossActive'];
-        const missing = gameVars.filter(v => typeof window[v] === 'undefined');
-
-        if (missing.length > 0) {
-            this.log(`Missing game variables: ${missing.join(', ')}`, '#ff6666');
-            return 'Error: Game not running or variables not available. Try starting single player mode first.';
+        const simulation = window.gameSimulation;
+        if (!simulation) {
+            return 'Error: Game not running. Try starting single player mode first.';
         }
 
-        // Force sync global variables to local scope first
-        this.syncGlobalVariables();
+        // The boss level comes from the campaign file
+        const bossLevel = simulation.campaign.levels.findIndex(levelData => levelData.boss) + 1;
+        if (bossLevel === 0) {
+            return 'Error: This campaign has no boss level';
+        }
 
-        // Set up boss fight conditions
-        window.level = 4;
-        window.enemiesDestroyed = window.enemiesNeeded || 15;
-        window.bossFightStarted = false;
-        window.bossActive = false;
-        window.drazzanBoss = null;
-        window.bossWarningActive = false;
-        window.bossWarningTimer = 0;
-        window.endCinematicActive = false;
+        // Set up boss fight conditions so the trigger fires on the next tick
+        simulation.startLevel(bossLevel);
+        const trigger = simulation.levelData.boss.trigger;
+        simulation.enemiesDestroyed = trigger.enemiesDestroyed ?? 0;
+        simulation.levelTime = trigger.time ?? 0;
+        simulation.levelTransition = false;
 
-        // Update local variables through window object assignment
-        try {
-            // Access global scope variables
-            if (typeof window.eval === 'function') {
-                window.eval('level = 4');
-                window.eval('enemiesDestroyed = ' + window.enemiesDestroyed);
-                window.eval('bossFightStarted = false');
-                window.eval('bossActive = false');
-                window.eval('drazzanBoss = null');
-                window.eval('bossWarningActive = false');
-                window.eval('bossWarningTimer = 0');
-                window.eval('endCinematicActive = false');
-            }
-        } catch (e) {
-            this.log('Warning: Could not sync all local variables: ' + e.message, '#ffaa00');
+        // Drop any boss warning or ending still on screen
+        if (window.scenes && !window.scenes.is(SCENES.PLAYING)) {
+            window.scenes.change(SCENES.PLAYING);
         }
 
         // Clear existing enemies and boss-related objects
-        if (window.enemies && Array.isArray(window.enemies)) {
-            window.enemies.length = 0;
-        }
-        if (window.enemyLasers && Array.isArray(window.enemyLasers)) {
-            window.enemyLasers.length = 0;
-        }
-        if (window.bossLasers && Array.isArray(window.bossLasers)) {
-            window.bossLasers.length = 0;
-        }
+        simulation.enemies.length = 0;
+        simulation.discardAll('enemyLasers');
+        simulation.discardAll('bossLasers');
 
-        // Final sync to ensure everything is updated
-        this.syncGlobalVariables();
 
-        this.log('Set level = 4, enemiesDestroyed = ' + window.enemiesDestroyed, '#00ff88');
+        this.log(`Set level = ${bossLevel}, enemiesDestroyed = ${simulation.enemiesDestroyed}`, '#00ff88');
         this.log('Cleared all enemies and boss state', '#00ff88');
         this.log('Boss fight will trigger on next game update cycle', '#00ff88');
 
-        return 'Successfully skipped to Level 4 boss fight!';
+        return `Successfully skipped to Level ${bossLevel} boss fight!`;
     }
 
     setLevel(levelNum) {
-        if (isNaN(levelNum) || levelNum < 1 || levelNum > 4) {
-            return 'Error: Level must be between 1 and 4';
+        const simulation = window.gameSimulation;
+        if (!simulation) {
+            return 'Error: Game not running';
         }
 
-        if (typeof window.level !== 'undefined') {
-            window.level = levelNum;
+        const levelCount = simulation.campaign.levels.length;
+        if (isNaN(levelNum) || levelNum < 1 || levelNum > levelCount) {
+            return `Error: Level must be between 1 and ${levelCount}`;
+        }
 
-            // Sync to local variable if possible
-            try {
-                if (typeof window.eval === 'function') {
-                    window.eval('level = ' + levelNum);
-                }
-            } catch (e) {
-                this.log('Warning: Could not sync local level variable', '#ffaa00');
-            }
+        simulation.startLevel(levelNum);
+        simulation.enemies.length = 0;
 
-            this.syncGlobalVariables();
-            return `Level set to ${levelNum}`;
-        } else {
-            return 'Error: Game not running';
-        }
+        return `Level set to ${levelNum}${simulation.levelData.name ? ` (${simulation.levelData.name})` : ''}`;
     }
 
     setScore(newScore) {
@@ -708,19 +730,8 @@ class DebugConsole {
             return 'Error: Score must be a positive number';
         }
 
-        if (typeof window.score !== 'undefined') {
-            window.score = newScore;
-
-            // Sync to local variable if possible
-            try {
-                if (typeof window.eval === 'function') {
-                    window.eval('score = ' + newScore);
-                }
-            } catch (e) {
-                this.log('Warning: Could not sync local score variable', '#ffaa00');
-            }
-
-            this.syncGlobalVariables();
+        if (window.gameSimulation) {
+            window.gameSimulation.score = newScore;
             return `Score set to ${newScore}`;
         } else {
             return 'Error: Game not running';
@@ -760,6 +771,30 @@ class DebugConsole {
         }
     }
 
+    givePowerUp(type) {
+        if (!window.gameSimulation || !window.POWER_UPS) {
+            return 'Error: Game simulation not available';
+        }
+        if (!window.POWER_UPS[type]) {
+            return `Usage: powerUp <${Object.keys(window.POWER_UPS).join('|')}>`;
+        }
+
+        window.gameSimulation.collectPowerUp(type);
+        return `Collected ${window.POWER_UPS[type].name}`;
+    }
+
+    spawnEnemy(type) {
+        if (!window.gameSimulation || !window.ENEMY_DEFINITIONS) {
+            return 'Game simulation not available';
+        }
+        if (!window.ENEMY_DEFINITIONS[type]) {
+            return `Usage: spawn <${Object.keys(window.ENEMY_DEFINITIONS).join('|')}>`;
+        }
+
+        window.gameSimulation.spawnEnemy(type);
+        return `Spawned ${window.ENEMY_DEFINITIONS[type].name}`;
+    }
+
     killAllEnemies() {
         let killed = 0;
 
@@ -768,9 +803,9 @@ class DebugConsole {
             window.enemies.length = 0;
         }
 
-        if (window.asteroids && Array.isArray(window.asteroids)) {
-            killed += window.asteroids.length;
-            window.asteroids.length = 0;
+        if (window.gameSimulation) {
+            killed += window.gameSimulation.asteroids.length;
+            window.gameSimulation.discardAll('asteroids'); // ✅ Back into the asteroid pool
         }
 
         return `Destroyed ${killed} enemies`;
@@ -824,19 +859,25 @@ class DebugConsole {
         this.log('Debug Console - Single Player Mode', '#ffaa00');
         this.log('Available Commands:', '#ffaa00');
         this.log('  Game Progression:', '#00ff88');
-        this.log('    skipToBoss - Skip directly to Level 4 boss fight', '#cccccc');
-        this.log('    setLevel <1-4> - Jump to specific level', '#cccccc');
+        this.log('    skipToBoss - Skip directly to the boss fight', '#cccccc');
+        this.log('    setLevel <number> - Jump to a campaign level', '#cccccc');
         this.log('    setScore <number> - Set current score', '#cccccc');
         this.log('  Player Cheats:', '#00ff88');
         this.log('    invincible - Toggle player invincibility', '#cccccc');
         this.log('    doubleFire - Toggle double fire mode', '#cccccc');
+        this.log('    powerUp <type> - Collect a power-up (without a type, lists them)', '#cccccc');
+        this.log('    spawn <type> - Spawn an enemy (without a type, lists them)', '#cccccc');
         this.log('    addLives <number> - Add extra lives', '#cccccc');
         this.log('    killAll - Destroy all enemies on screen', '#cccccc');
         this.log('  Utility:', '#00ff88');
         this.log('    gameState - Show current game variables', '#cccccc');
         this.log('    resetGame - Reset to game start', '#cccccc');
-        this.log('    sync - Force synchronize all game variables', '#cccccc');
+        this.log('    seed [number] - Show run seed or restart with one', '#cccccc');
+        this.log('    difficulty [preset] [adaptive|fixed] - Show or change difficulty', '#cccccc');
+        this.log('    replay [save|load|watch] - Show, save, load or watch a recording', '#cccccc');
+        this.log('    events [count] - Show recent game events', '#cccccc');
         this.log('    pause - Toggle game pause state', '#cccccc');
+        this.log('    hitboxes - Toggle drawing of collision shapes', '#cccccc');
         this.log('    features - Show feature flags', '#cccccc');
         this.log('    devEnv - Check development environment status', '#cccccc');
         this.log('    clear - Clear console output', '#cccccc');
@@ -844,6 +885,75 @@ class DebugConsole {
         return null;
     }
 
+    seedCommand(seedValue) {
+        const simulation = window.gameSimulation;
+        if (!simulation) {
+            return 'Error: Game not running';
+        }
+
+        if (seedValue === undefined || seedValue === '') {
+            this.log(`Replay this run with ?seed=${simulation.seed}`, '#cccccc');
+            return `Run seed: ${simulation.seed}`;
+        }
+
+        if (typeof window.restartGame !== 'function') {
+            return 'Error: Restart function not available';
+        }
+
+        window.restartGame(seedValue);
+        this.reset();
+        return `Game restarted with seed ${simulation.seed}`;
+    }
+
+    difficultyCommand(preset, mode) {
+        const simulation = window.gameSimulation;
+        if (!simulation) {
+            return 'Error: Game not running';
+        }
+
+        if (preset === undefined || preset === '') {
+            const current = simulation.difficulty;
+            this.log(`Presets: ${Object.keys(window.DIFFICULTY_PRESETS).join(', ')}`, '#cccccc');
+            const adaptive = simulation.director ? `adaptive x${simulation.director.factor.toFixed(2)}` : 'fixed';
+            return `Difficulty: ${current.name} (${adaptive}), spawn pressure ${simulation.spawnPressure().toFixed(2)}`;
+        }
+
+        if (!window.DIFFICULTY_PRESETS[preset]) {
+            return `Error: Unknown difficulty "${preset}"`;
+        }
+        if (mode !== undefined && mode !== 'adaptive' && mode !== 'fixed') {
+            return 'Error: Mode must be adaptive or fixed';
+        }
+
+        window.setDifficulty(preset, mode === undefined ? simulation.adaptive : mode === 'adaptive');
+        return `Difficulty set to ${window.DIFFICULTY_PRESETS[preset].name}; restart (resetGame) to play it`;
+    }
+
+    replayCommand(action) {
+        const recorder = window.replayRecorder;
+        if (!recorder || typeof window.watchReplay !== 'function') {
+            return 'Error: Replay recording not available';
+        }
+
+        switch (action) {
+            case undefined:
+            case '':
+                return `Recording seed ${recorder.seed}: ${recorder.ticks} ticks${recorder.tampered ? ' (debug commands used)' : ''}`;
+            case 'save':
+                return `Saved ${window.downloadReplay()}`;
+            case 'load':
+                this.hide(); // ✅ Close the console so the viewer gets the keyboard
+                window.openReplayFile();
+                return null;
+            case 'watch':
+                this.hide();
+                window.watchReplay();
+                return null;
+            default:
+                return 'Usage: replay [save|load|watch]';
+        }
+    }
+
     clearOutput() {
         if (this.output && this.output.innerHTML !== undefined) {
             this.output.innerHTML = '';
@@ -853,25 +963,26 @@ class DebugConsole {
         return null;
     }
 
-    syncGlobalVariables() {
-        // Helper method to sync window globals with local variables
-        const gameVars = {
-            gameOver: window.gameOver,
-            score: window.score,
-            level: window.level,
-            enemiesDestroyed: window.enemiesDestroyed,
-            enemiesNeeded: window.enemiesNeeded,
-            bossFightStarted: window.bossFightStarted,
-            bossActive: window.bossActive,
-            doubleFire: window.doubleFire,
-            gameTime: window.gameTime,
-            gamePaused: window.gamePaused
-        };
-
-        // Force update window object
-        Object.keys(gameVars).forEach(key => {
-            window[key] = gameVars[key];
-        });
+    // Keep a short history of game events (laser shots would drown the rest)
+    recordEvent(type, detail) {
+        if (type === 'laserFired') return;
+
+        const values = Object.entries(detail)
+            .filter(([, value]) => value === null || typeof value !== 'object')
+            .map(([key, value]) => `${key}=${value}`);
+        const time = window.gameSimulation ? window.gameSimulation.time.toFixed(2) : '-';
+
+        this.eventLog.push(`[${time}s] ${type} ${values.join(' ')}`.trim());
+        if (this.eventLog.length > 50) this.eventLog.shift();
+    }
+
+    showEvents(count) {
+        if (this.eventLog.length === 0) {
+            return 'No game events yet';
+        }
+
+        this.eventLog.slice(-count).forEach(line => this.log('  ' + line, '#cccccc'));
+        return `Last ${Math.min(count, this.eventLog.length)} of ${this.eventLog.length} events`;
     }
 
     showGameState() {
@@ -908,7 +1019,7 @@ class DebugConsole {
 
         // Array lengths
         this.log('Game Arrays:', '#00ff88');
-        const arrays = ['enemies', 'lasers', 'asteroids', 'explosions'];
+        const arrays = ['enemies', 'lasers', 'asteroids', 'debris', 'explosions'];
         arrays.forEach(arrName => {
             const arr = window[arrName];
             if (Array.isArray(arr)) {
@@ -921,7 +1032,11 @@ class DebugConsole {
         // Power-ups and features
         this.log('Features & Power-ups:', '#00ff88');
         this.log(`  doubleFire: ${window.doubleFire}`, '#cccccc');
-        this.log(`  powerUp: ${window.powerUp || 'none'}`, '#cccccc');
+        this.log(`  powerUp: ${window.powerUp ? window.powerUp.type : 'none'}`, '#cccccc');
+        if (window.player && window.player.powerUps) {
+            const active = window.player.powerUps.list().map(timer => `${timer.type} x${timer.level} (${timer.remaining.toFixed(1)}s)`);
+            this.log(`  active: ${active.join(', ') || 'none'}`, '#cccccc');
+        }
 
         // Game timer and pause state
         this.log('Game Timer & Pause:', '#00ff88');
@@ -941,6 +1056,11 @@ class DebugConsole {
         }
     }
 
+    toggleHitboxes() {
+        window.showHitboxes = !window.showHitboxes;
+        return `Hitboxes: ${window.showHitboxes ? 'ON' : 'OFF'}`;
+    }
+
     togglePause() {
         if (typeof window.gamePaused === 'undefined') {
             return 'Error: Game pause system not available';
@@ -965,42 +1085,6 @@ class DebugConsole {
         }
     }
 
-    forceSync() {
-        try {
-            this.syncGlobalVariables();
-
-            // Also try to trigger a re-sync from gameloop if available
-            if (typeof window.eval === 'function') {
-                const syncCommands = [
-                    'window.gameOver = gameOver',
-                    'window.score = score',
-                    'window.level = level',
-                    'window.enemiesDestroyed = enemiesDestroyed',
-                    'window.enemiesNeeded = enemiesNeeded',
-                    'window.bossFightStarted = bossFightStarted',
-                    'window.bossActive = bossActive',
-                    'window.doubleFire = doubleFire',
-                    'window.gameTime = gameTime',
-                    'window.gamePaused = gamePaused'
-                ];
-
-                syncCommands.forEach(cmd => {
-                    try {
-                        window.eval(cmd);
-                    } catch (e) {
-                        // Silently continue if variable doesn't exist
-                    }
-                });
-            }
-
-            this.log('Force synchronized all game variables', '#00ff88');
-            return 'Variables synchronized successfully';
-        } catch (error) {
-            this.log('Error during sync: ' + error.message, '#ff6666');
-            return 'Error: Could not sync variables - ' + error.message;
-        }
-    }
-
     enableFeature(flagName) {
         if (!flagName) {
             return 'Error: Please specify a feature flag name';
@@ -42,9 +42,8 @@ class FeatureFlags {
                 comingSoon: true
             },
             ACHIEVEMENTS: {
-                enabled: false,
-                description: 'Unlock achievements and badges',
-                comingSoon: true
+                enabled: true,
+                description: 'Unlock achievements and badges'
             },
 
             // Technical features
@@ -1,109 +1,228 @@
 // =============================================================================
 // THE DRAZZAN INVASION - MAIN GAME LOOP
 // =============================================================================
-// This file contains the core game loop, state management, and game logic.
-// Organized into logical sections for better maintainability:
-// - Configuration & Settings
-// - Game State Variables  
+// This file drives the browser game. Gameplay rules (entities, collisions,
+// level progression, boss logic) live in the DOM-free GameSimulation in
+// js/core/; this file owns everything that needs the page:
+// - Simulation Setup & Legacy Globals
+// - Replay Recording
 // - Timer & Pause System
-// - Game Lifecycle Management
+// - Game Scenes (Playing, BossIntro, Victory, GameOver)
 // - Main Game Loop (Update/Draw)
-// - Boss Fight Management
-// - Scoring System
+// - Boss Defeat & Victory Cinematics
 // - UI Rendering
 // =============================================================================
 
 // =============================================================================
-// GAME CONFIGURATION & SETTINGS
+// SIMULATION SETUP
 // =============================================================================
-const GameSettings = {
-    // Level progression
-    STARTING_LEVEL: 1,
-    STARTING_ENEMIES_NEEDED: 5,
-    MAX_ENEMIES_ON_SCREEN: 4,
-    BOSS_FIGHT_LEVEL: 4,
-
-    // Boss settings
-    BOSS_WARNING_DURATION: 120, // frames
-    BOSS_SHOOT_INTERVAL: 60,     // frames
-    BOSS_WIDTH: 400,
-    BOSS_HEIGHT: 300,
-    BOSS_MAX_HEALTH: 300,
-
-    // Scoring
-    BOSS_BASE_SCORE: 5000,
-    TIME_BONUS_THRESHOLDS: {
-        UNDER_1_MIN: { time: 60, bonus: 10000 },
-        UNDER_2_MIN: { time: 120, bonus: 7500 },
-        UNDER_3_MIN: { time: 180, bonus: 5000 },
-        UNDER_5_MIN: { time: 300, bonus: 2500 },
-        OVER_5_MIN: { time: Infinity, bonus: 1000 }
-    },
+// CONFIG and GameSettings come from js/core/settings.js, POWER_UPS from js/core/powerups.js
+// and WEAPONS from js/core/weapons.js
+// ✅ `?seed=1234` pins every run to one seed so it can be reproduced exactly
+const pinnedSeed = new URLSearchParams(window.location.search).get('seed') ?? undefined;
+
+// 📣 One typed event bus for the page (js/core/events.js): the live simulation
+// emits gameplay events on it; HUD, audio, scenes, the debug console and
+// network sync subscribe. Replays get their own bus, so watching one is silent.
+const gameEvents = new EventBus();
+window.gameEvents = gameEvents;
+
+// 🎚 Difficulty: `?difficulty=ace&adaptive=1`, else the last one picked (core/difficulty.js)
+const savedDifficulty = loadDifficulty();
+
+const simulation = new GameSimulation({
+    width: canvas.width,
+    height: canvas.height,
+    seed: pinnedSeed,
+    difficulty: savedDifficulty.preset,
+    adaptive: savedDifficulty.adaptive,
+    events: gameEvents
+});
+window.gameSimulation = simulation;
+console.log('[GameLoop] Run seed:', simulation.seed);
+
+function loadDifficulty() {
+    const params = new URLSearchParams(window.location.search);
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem('difficulty')) || {};
+    } catch (error) {
+        saved = {};
+    }
+
+    const preset = params.get('difficulty') ?? saved.preset;
+    return {
+        preset: DIFFICULTY_PRESETS[preset] ? preset : 'pilot',
+        adaptive: params.has('adaptive') ? params.get('adaptive') === '1' : saved.adaptive === true
+    };
+}
 
-    // UI positioning
-    UI_PADDING_X: 20,
-    UI_PADDING_Y: 40,
-    UI_LINE_SPACING: 30,
+// Remember the choice; a run that hasn't started yet picks it up straight
+// away, one in progress from the next restart
+function setDifficulty(preset, adaptive = simulation.adaptive) {
+    simulation.setDifficulty(preset, adaptive);
+    localStorage.setItem('difficulty', JSON.stringify({ preset, adaptive }));
+    console.log(`[GameLoop] Difficulty: ${DIFFICULTY_PRESETS[preset].name}${adaptive ? ' (adaptive)' : ''}`);
+    if (scenes.is(SCENES.BOOT, SCENES.MENU)) resetRun();
+}
+window.setDifficulty = setDifficulty;
+
+// ♾️ Campaign, endless or boss rush (RUN_MODES in core/simulation.js), same rules as setDifficulty
+function setRunMode(mode) {
+    const leftDaily = endDailyChallenge();
+    if (simulation.mode === mode && !leftDaily) return;
+    simulation.setMode(mode);
+    console.log(`[GameLoop] Run mode: ${mode}`);
+    if (scenes.is(SCENES.BOOT, SCENES.MENU)) resetRun();
+}
+window.setRunMode = setRunMode;
+
+// 📅 Daily challenge (core/daily.js): the date's seed, modifiers and mode on a
+// fixed difficulty and playfield, with its own leaderboard per date. null
+// outside one.
+let dailyRun = null;
+
+function startDailyChallenge(challenge = dailyChallenge()) {
+    dailyRun = challenge;
+    simulation.setDifficulty(challenge.difficulty, false);
+    simulation.setMode(challenge.mode);
+    simulation.setModifiers(challenge.modifiers);
+    console.log(`[GameLoop] Daily challenge ${challenge.date}: ${modifierNames(challenge.modifiers)}`);
+    if (scenes.is(SCENES.BOOT, SCENES.MENU)) resetRun();
+}
+window.startDailyChallenge = startDailyChallenge;
+
+// Back to the player's own difficulty and no modifiers; true if a daily run was on
+function endDailyChallenge() {
+    if (!dailyRun) return false;
+    dailyRun = null;
+    const saved = loadDifficulty();
+    simulation.setDifficulty(saved.preset, saved.adaptive);
+    simulation.setModifiers([]);
+    return true;
+}
 
-    // Audio
-    EXPLOSION_VOLUME: 0.6,
+// Existing scripts (and the debug console) use bare globals like `score` and
+// `enemies`. Each one reads and writes straight through to the simulation so
+// there is a single copy of the game state. The replay viewer points them at
+// its own simulation while it is open, so draw() renders the replay instead.
+let viewedSimulation = simulation;
+const SIMULATION_GLOBALS = {
+    gameOver: 'gameOver',
+    score: 'score',
+    scoring: 'scoring',
+    level: 'level',
+    enemiesDestroyed: 'enemiesDestroyed',
+    enemiesNeeded: 'enemiesNeeded',
+    maxEnemies: 'maxEnemies',
+    enemySpeedIncrease: 'enemySpeedIncrease',
+    levelTransition: 'levelTransition',
+    powerUp: 'powerUp',
+    doubleFire: 'doubleFire',
+    bossFightStarted: 'bossFightStarted',
+    bossActive: 'bossActive',
+    drazzanBoss: 'boss',
+    player: 'player',
+    lasers: 'lasers',
+    asteroids: 'asteroids',
+    explosions: 'explosions',
+    debris: 'debris',
+    enemies: 'enemies',
+    enemyLasers: 'enemyLasers',
+    bossLasers: 'bossLasers',
+    simulationTime: 'time',
+    gameTime: 'gameTime'
+};
 
-    // Visual effects
-    BOSS_EXPLOSION_BURSTS: 3,
-    BOSS_EXPLOSION_COUNT: 20,
-    BOSS_EXPLOSION_SIZE: 100,
-    BOSS_FINAL_EXPLOSION_SIZE: 160,
+Object.entries(SIMULATION_GLOBALS).forEach(([name, property]) => {
+    Object.defineProperty(window, name, {
+        get: () => viewedSimulation[property],
+        set: (value) => { viewedSimulation[property] = value; },
+        configurable: true
+    });
+});
+
+// Pass nothing to go back to the live game
+function setViewedSimulation(target = simulation) {
+    viewedSimulation = target;
+}
 
-    // Cinematic timing
-    EXPLOSION_DELAY: 500,
-    VICTORY_CINEMATIC_DELAY: 1500,
-    SCOREBOARD_DELAY: 1000
-};
+// =============================================================================
+// REPLAY RECORDING
+// =============================================================================
+// Every run is recorded as its seed plus the input of each tick (js/core/replay.js)
+const replayRecorder = new ReplayRecorder();
+replayRecorder.start(simulation, CONFIG.simulationStep);
+window.replayRecorder = replayRecorder;
+
+// =============================================================================
+// CAMPAIGN
+// =============================================================================
+// Level rules come from a campaign file (data/campaigns/). The simulation runs
+// on built-in fallback rules until it loads; main.js waits on campaignReady
+// before the intro starts.
+// ✅ `?campaign=data/campaigns/other.json` plays an alternate campaign
+const campaignUrl = new URLSearchParams(window.location.search).get('campaign') ?? Assets.url('campaign');
+const campaignReady = loadCampaign(campaignUrl)
+    .then(campaign => {
+        simulation.setCampaign(campaign);
+        if (replayRecorder.ticks === 0) {
+            simulation.reset(simulation.seed); // ✅ Nothing played yet: start over on the real levels
+            replayRecorder.start(simulation, CONFIG.simulationStep);
+        }
+        console.log(`[GameLoop] Campaign: ${campaign.name} (${campaign.levels.length} levels)`);
+    })
+    .catch(error => {
+        console.error('[GameLoop] Campaign failed to load, using fallback rules.', error.message);
+    });
+window.campaignReady = campaignReady;
+
+// The run so far as a .drzreplay object
+function currentReplay() {
+    return replayRecorder.toReplay({
+        score: simulation.score,
+        level: simulation.level,
+        gameTime: simulation.gameTime,
+        victory: simulation.campaignComplete
+    });
+}
+
+// 🏆 The finished run on the high score table (leaderboard.js), with its replay;
+// returns the entry, or null if it didn't place
+function saveRunScore(time = simulation.time) {
+    return saveScore({
+        score: simulation.score,
+        mode: simulation.mode,
+        difficulty: simulation.difficultyName,
+        adaptive: simulation.adaptive,
+        level: simulation.level,
+        time,
+        seed: simulation.seed,
+        victory: simulation.campaignComplete
+    }, currentReplay());
+}
 
 // =============================================================================
-// GAME STATE VARIABLES
+// PRESENTATION STATE
 // =============================================================================
-let gameOver = false; // ✅ Fix: Ensure this variable exists globally
-let score = 0; // ✅ Global variable to track score
-let bossFightStarted = false;  // Boss cinematic started
-let bossActive = false;        // Boss is in combat mode
-let drazzanBoss = null;        // Will hold the boss object
-let asteroidIncreaseTimer = 0; // ✅ Fix: Declare variable
-const enemies = [];
-const enemyLasers = [];
-let level = GameSettings.STARTING_LEVEL; // ✅ Start at Level 1
-let enemiesDestroyed = 0; // ✅ Track how many enemies are destroyed
-let enemiesNeeded = GameSettings.STARTING_ENEMIES_NEEDED; // ✅ Enemies required to complete level
-let maxEnemies = GameSettings.MAX_ENEMIES_ON_SCREEN; // ✅ Number of enemies that can appear at once
-let enemySpeedIncrease = 0; // ✅ Enemy speed boost per level
-let levelTransition = false; // ✅ Controls the level complete message
-let powerUp = null; // ✅ Tracks if a power-up is active
-let doubleFire = false; // ✅ Controls if player shoots double lasers
-const bossLasers = [];
-let bossShootTimer = 0;
-const bossExplosionSound = new Audio("assets/explosion_noise.mp3");
+const bossExplosionSound = Assets.sound('bossExplosion');
 bossExplosionSound.volume = GameSettings.EXPLOSION_VOLUME; // Adjust volume if needed
-let bossWarningActive = false;
-let bossWarningTimer = 0;
-let endCinematicActive = false;
-let endShipY = canvas.height - 100;
-let finalCinematicStarted = false;
+const bossWarning = { timer: 0 };
+const victoryShip = { y: 0, prevY: undefined, flying: false };
 
 // =============================================================================
 // TIMER AND PAUSE SYSTEM
 // =============================================================================
-let gameStartTime = 0;
-let gameTime = 0;
+// The simulation advances in fixed steps; gameTime is derived from simulated
+// seconds so pauses and slow frames never leak into the clock.
+const gameClock = new GameClock(CONFIG.simulationStep, CONFIG.maxFrameTime);
 let gamePaused = false;
-let pauseStartTime = 0;
-let totalPauseTime = 0;
 
 // Pause/Resume functions
 function pauseGame() {
     if (!gamePaused) {
         gamePaused = true;
-        pauseStartTime = Date.now();
-        window.gamePaused = gamePaused;
+        gameEvents.emit('pauseChanged', { paused: true });
         console.log('[GameLoop] Game paused');
     }
 }
@@ -111,429 +230,354 @@ function pauseGame() {
 function resumeGame() {
     if (gamePaused) {
         gamePaused = false;
-        totalPauseTime += Date.now() - pauseStartTime;
-        pauseStartTime = 0;
-        window.gamePaused = gamePaused;
+        gameClock.reset(); // ✅ Don't replay the paused interval as catch-up ticks
+        gameEvents.emit('pauseChanged', { paused: false });
         console.log('[GameLoop] Game resumed');
     }
 }
 
-// Make game state variables available globally for PWA integration
-window.gameOver = gameOver;
-window.score = score;
-window.doubleFire = doubleFire;
-window.level = level;
-window.enemiesDestroyed = enemiesDestroyed;
-window.enemiesNeeded = enemiesNeeded;
-window.bossFightStarted = bossFightStarted;
-window.bossActive = bossActive;
-window.enemies = enemies;
-window.gameTime = gameTime;
-window.gamePaused = gamePaused;
+// Make pause controls available globally for PWA integration (read-only state;
+// subscribe to `pauseChanged` to hear about changes)
+Object.defineProperty(window, 'gamePaused', { get: () => gamePaused, configurable: true });
 window.pauseGame = pauseGame;
 window.resumeGame = resumeGame;
 
 // =============================================================================
-// GAME LIFECYCLE MANAGEMENT
+// SIMULATION EVENTS
 // =============================================================================
-function restartGame() {
-    console.log('[GameLoop] Restarting game...');
+simulation.on('laserFired', playLaserSound);
+
+simulation.on('powerUpCollected', ({ type, level }) => {
+    console.log(`✅ Power-up collected: ${POWER_UPS[type].name}${level > 1 ? ' x' + level : ''}`); // ✅ Debugging
+});
+
+// 💙 Flash the shield bar when Wyatt takes a hit
+let shieldFlashUntil = 0;
+simulation.on('playerHit', () => {
+    shieldFlashUntil = performance.now() + 250;
+});
+
+simulation.on('lifeLost', ({ source, lives }) => {
+    console.log(`[GameLoop] Life lost to ${source}, ${lives} left`);
+});
+
+// ❤️ Banner when a score threshold earns another ship
+let extraLifeBannerUntil = 0;
+simulation.on('extraLife', ({ lives, score }) => {
+    console.log(`[GameLoop] Extra life at ${score} points (${lives} lives)`);
+    extraLifeBannerUntil = performance.now() + 1500;
+});
+
+simulation.on('difficultyAdjusted', ({ factor, pressure }) => {
+    console.log(`[GameLoop] Adaptive difficulty: x${factor.toFixed(2)} (spawn pressure ${pressure.toFixed(2)})`);
+});
+
+simulation.on('bossIncoming', () => {
+    scenes.change(SCENES.BOSS_INTRO);
+});
+
+simulation.on('bossPhaseChanged', ({ phase, name }) => {
+    console.log(`[GameLoop] Boss entered phase ${phase}: ${name}`);
+});
+
+simulation.on('bossDefeated', ({ time, baseScore, timeBonus, total, final }) => {
+    console.log(`[GameLoop] Boss defeated! Time: ${time}s, Base: ${baseScore}, Time Bonus: ${timeBonus}, Total: ${total}`);
+    triggerBossDefeat(final); // 🎊 Custom victory handler
+});
+
+// ⏱ Boss rush splits; in a coop room the host keeps them and relays them to
+// peers (handleNetworkEvent), so each boss counts once
+simulation.on('bossSplit', detail => {
+    console.log(`[GameLoop] ${detail.name} down in ${formatSplit(detail.split)} (${formatSplit(detail.total)} total)`);
+    if (window.multiplayerGame?.isHost && window.multiplayerGame.gameState.isActive) window.multiplayerGame.recordBossSplit(detail);
+});
+
+simulation.on('campaignCompleted', () => {
+    if (window.multiplayerGame?.isHost && window.multiplayerGame.gameState.isActive) window.multiplayerGame.completeBossRush();
+
+    // 🛸 Start the victory cinematic once the last level (or its boss) is done
+    scenes.setTimeout(() => {
+        scenes.change(SCENES.VICTORY);
+    }, GameSettings.VICTORY_CINEMATIC_DELAY);
+});
+
+simulation.on('gameOver', () => {
+    if (!scenes.is(SCENES.GAME_OVER)) scenes.change(SCENES.GAME_OVER);
+});
 
-    // Clear any existing UI elements
-    const existingButtons = document.querySelectorAll('button:not(#startButton):not(#shootButton)');
-    existingButtons.forEach(btn => btn.remove());
-
-    const existingDivs = document.querySelectorAll('div:not(#gameThumbnailContainer):not(#debugConsole)');
-    existingDivs.forEach(div => div.remove());
-
-    // Reset all game state variables
-    gameOver = false;
-    score = 0;
-    bossFightStarted = false;
-    bossActive = false;
-    drazzanBoss = null;
-    level = 1;
-    enemiesDestroyed = 0;
-    enemiesNeeded = 5;
-    maxEnemies = 4;
-    enemySpeedIncrease = 0;
-    levelTransition = false;
-    powerUp = null;
-    doubleFire = false;
-    bossWarningActive = false;
-    bossWarningTimer = 0;
-    endCinematicActive = false;
-    finalCinematicStarted = false;
+// =============================================================================
+// GAME LIFECYCLE MANAGEMENT
+// =============================================================================
+// Put the live game back to its first tick. Pass a seed to replay a specific
+// run; otherwise each run gets a fresh one (or the daily challenge's).
+function resetRun(seed = runSeed()) {
+    // Reset all gameplay state (score, level, entities, boss, player)
+    const { width, height } = runWorld();
+    simulation.resize(width, height);
+    simulation.reset(seed);
+    replayRecorder.start(simulation, CONFIG.simulationStep);
+    console.log('[GameLoop] Run seed:', simulation.seed);
 
     // Reset timer and pause system
-    gameStartTime = 0; // Will be set when game actually starts
-    gameTime = 0;
-    gamePaused = false;
-    pauseStartTime = 0;
-    totalPauseTime = 0;
-
-    // Clear arrays
-    enemies.length = 0;
-    enemyLasers.length = 0;
-    bossLasers.length = 0;
-
-    if (window.lasers) window.lasers.length = 0;
-    if (window.asteroids) window.asteroids.length = 0;
-    if (window.explosions) window.explosions.length = 0;
-
-    // Reset player if available
-    if (window.player) {
-        window.player.x = canvas.width / 2;
-        window.player.y = canvas.height - 100;
-        window.player.lives = 3;
-        window.player.invincible = false;
+    gameClock.reset();
+    if (gamePaused) {
+        gamePaused = false;
+        gameEvents.emit('pauseChanged', { paused: false });
     }
+}
 
-    // Update global window references
-    window.gameOver = gameOver;
-    window.score = score;
-    window.doubleFire = doubleFire;
-    window.level = level;
-    window.enemiesDestroyed = enemiesDestroyed;
-    window.enemiesNeeded = enemiesNeeded;
-    window.bossFightStarted = bossFightStarted;
-    window.bossActive = bossActive;
-    window.gameTime = gameTime;
-    window.gamePaused = gamePaused;
-
-    // Ensure debug console state consistency
-    if (window.debugConsole) {
-        // Force sync debug console variables with reset game state
-        if (typeof window.debugConsole.syncGlobalVariables === 'function') {
-            window.debugConsole.syncGlobalVariables();
-        }
-    }
+function runSeed() {
+    return dailyRun ? dailyRun.seed : pinnedSeed;
+}
 
-    // Start the game again (intro sequence)
-    if (typeof startGame === 'function') {
-        startGame();
-    } else if (typeof playIntro === 'function') {
-        playIntro();
-    } else {
-        console.error('[GameLoop] No start game function available');
-        // Fallback to just starting game loop
-        if (typeof gameLoop === 'function') {
-            gameLoop();
-        }
-    }
+// The playfield a run is simulated on: the canvas, or the daily challenge's
+// fixed size so the same date plays the same on every screen. It's fixed when
+// the run starts - the replay only records one size - and resizing the window
+// mid-run rescales the view instead.
+function runWorld() {
+    return dailyRun ? dailyRun.world : { width: canvas.width, height: canvas.height };
+}
 
-    console.log('[GameLoop] Game restarted successfully');
-};
+// 📐 Where a world sits on the canvas: scaled to fit and centred when it isn't
+// the canvas size (a daily run, a window resized mid-run, or a replay recorded
+// on another screen)
+function worldView(world) {
+    const scale = Math.min(canvas.width / world.width, canvas.height / world.height);
+    return {
+        scale,
+        x: (canvas.width - world.width * scale) / 2,
+        y: (canvas.height - world.height * scale) / 2
+    };
+}
+
+// Start over from the intro without reloading the page; the scene being left
+// removes its own screens, timers and audio
+function restartGame(seed = runSeed()) {
+    console.log('[GameLoop] Restarting game...');
+    resetRun(seed);
+    scenes.change(SCENES.INTRO);
+}
 
 // Make restart function globally available
 window.restartGame = restartGame;
 
-const redfordAudio = new Audio("assets/wyatt001.mp3");
-const wyattAudio = new Audio("assets/days_work.mp3");
+// =============================================================================
+// GAME SCENES
+// =============================================================================
+// Every in-game scene renders through gameLoop(); each decides what one fixed
+// step advances.
+scenes.register(SCENES.PLAYING, {
+    enter(data, from) {
+        if (from === SCENES.INTRO) gameClock.reset(); // ✅ Don't count the intro as catch-up ticks
+    },
+    frame: gameLoop,
+    update
+});
+
+// 🚨 "Mothership detected" warning while the boss flies in
+scenes.register(SCENES.BOSS_INTRO, {
+    enter() {
+        bossWarning.timer = GameSettings.BOSS_WARNING_DURATION;
+    },
+    frame: gameLoop,
+    update(dt) {
+        update(dt);
+        if (gamePaused) return;
+
+        bossWarning.timer -= dt;
+        if (bossWarning.timer <= 0) scenes.change(SCENES.PLAYING);
+    }
+});
+
+// 🛸 Wyatt flies home, then the mission complete screen
+scenes.register(SCENES.VICTORY, {
+    enter: startVictoryCinematic,
+    exit: stopVictoryCinematic,
+    frame: gameLoop,
+    update: updateVictoryCinematic
+});
+
+// 💀 The world freezes on the final explosion, then the scoreboard
+scenes.register(SCENES.GAME_OVER, {
+    enter() {
+        stopBackgroundMusic();
+
+        // 🌟 **Delay showing the scoreboard so explosion is visible**
+        scenes.setTimeout(() => {
+            // ✅ Save the score before restarting (endless runs rank separately; a boss rush only ranks clears)
+            let highScore = null;
+            let dailyScore = null;
+            if (dailyRun) dailyScore = saveDailyScore(dailyRun, score, simulation.time);
+            else if (simulation.mode !== 'bossRush') highScore = saveRunScore();
+            showScoreBoard(highScore, dailyScore);
+        }, GameSettings.SCOREBOARD_DELAY);
+    },
+    frame: gameLoop
+});
 
 // =============================================================================
 // MAIN GAME LOOP - UPDATE FUNCTION
 // =============================================================================
-function update() {
-    // Initialize timer on first update (when game actually starts)
-    if (gameStartTime === 0 && !gameOver) {
-        gameStartTime = Date.now();
-        console.log('[GameLoop] Game timer started');
-    }
-
-    // Update game timer (only when not paused and game is not over)
-    if (!gamePaused && !gameOver && gameStartTime > 0) {
-        gameTime = Math.floor((Date.now() - gameStartTime - totalPauseTime) / 1000);
-        window.gameTime = gameTime;
-    }
-
+// Advances the simulation by exactly one fixed step of `dt` seconds.
+function update(dt = gameClock.step) {
     // Don't update game state when paused
-    if (gamePaused) return; if (gameOver && !endCinematicActive) return;
+    if (gamePaused || gameOver) return;
 
     // =============================================================================
     // MULTIPLAYER INTEGRATION
     // =============================================================================
-    // Update multiplayer game state if active
+    // Update multiplayer game state if active (MultiplayerGame works in milliseconds)
     if (window.multiplayerGame && window.multiplayerGame.gameState &&
         window.multiplayerGame.gameState.isActive && !window.multiplayerGame.gameState.isPaused) {
-        const deltaTime = 16; // ~60fps frame time in milliseconds
-        window.multiplayerGame.update(deltaTime);
+        window.multiplayerGame.update(dt * 1000);
     }
 
-    // =============================================================================
-    // BOSS FIGHT MANAGEMENT
-    // =============================================================================
-    if (level === GameSettings.BOSS_FIGHT_LEVEL && enemiesDestroyed >= enemiesNeeded && !bossFightStarted) {
-        bossWarningActive = true;
-        bossWarningTimer = GameSettings.BOSS_WARNING_DURATION;
-        bossFightStarted = true;
-        window.bossFightStarted = bossFightStarted; // Update global reference
-        startBossFight();
-        return;
-    }
+    // 🌟 **Gameplay: entities, collisions, levels and the boss**
+    const input = readInput();
+    replayRecorder.record(input);
+    simulation.step(dt, input);
 
-    // ⚠ Prevent normal update logic during boss fight
-    if (bossActive) {
-        updateBoss(); // ✅ Update boss logic
-        // Let the rest of update() continue — including player, lasers, etc.
-    }
+    moveStars(dt);
+}
 
-    // 🌟 **Move Stars Downward**
+// 🌟 **Move Stars Downward**
+function moveStars(dt) {
     for (let star of stars) {
-        star.y += star.speed; // ✅ Moves downward
+        star.prevY = star.y;
+        star.y += star.speed * dt; // ✅ Moves downward
         if (star.y > canvas.height) {
             star.y = 0; // ✅ Loops back to the top when off-screen
+            star.prevY = undefined; // ✅ Don't smear the wrap across the screen
             star.x = Math.random() * canvas.width; // ✅ Randomize horizontal position
         }
     }
+}
 
-    player.move(keys);
-
-    // Move lasers
-    for (let i = lasers.length - 1; i >= 0; i--) {
-        lasers[i].move();
-        if (lasers[i].y < 0) lasers.splice(i, 1);
-    }
-
-    // Move asteroids
-    for (let i = asteroids.length - 1; i >= 0; i--) {
-        asteroids[i].move();
-        if (asteroids[i].y > canvas.height) asteroids.splice(i, 1);
-    }
-
-    // 🌟 **Increase Asteroid Spawn Rate Over Time**
-    asteroidIncreaseTimer++;
-    if (asteroidIncreaseTimer >= CONFIG.asteroidIncreaseInterval) {
-        CONFIG.maxAsteroids += 2; // ✅ Every 10 seconds, allow 2 more asteroids
-        CONFIG.asteroidSpawnRate = Math.max(CONFIG.asteroidSpawnRate - 5, 40); // ✅ Increase spawn speed (minimum 40)
-        asteroidIncreaseTimer = 0;
-    }
-
-    // 🌟 **Check Player-Asteroid Collisions with Buffer**
-    for (let i = asteroids.length - 1; i >= 0; i--) {
-        if (checkCollision(player, asteroids[i], true)) { // ✅ Uses updated buffer logic
-            triggerGameOver(asteroids[i]);
-            return;
-        }
-    }
-
-    // 🌟 **Check for Laser-Asteroid Collisions**
-    for (let i = lasers.length - 1; i >= 0; i--) {
-        for (let j = asteroids.length - 1; j >= 0; j--) {
-            if (checkCollision(lasers[i], asteroids[j], false)) {
-                explosions.push(new Explosion(asteroids[j].x, asteroids[j].y));
-                asteroids[j].health -= 1;
-
-                if (asteroids[j].health <= 0) {
-                    asteroids.splice(j, 1);
-                    score += 10;
-                    window.score = score; // Update global reference
-                }
-
-                lasers.splice(i, 1);
-                break;
-            }
-        }
-    }
-
-    // 🌟 **Power-Up System (Ensures Only One Exists)**
-    if (!powerUp && level >= 2 && Math.random() < 0.005 && !doubleFire) { // ✅ Power-up only spawns if NOT already active
-        powerUp = new PowerUp();
-        //console.log("✅ Power-Up Spawned at:", powerUp.x, powerUp.y); // ✅ Debugging
-    }
-
-    // 🌟 **Spawn up to `maxEnemies` at a time**
-    if (!bossFightStarted && !bossActive && enemies.length < maxEnemies && Math.random() < 0.02) {
-        let newEnemy = new Enemy();
-        newEnemy.speedX += enemySpeedIncrease;
-        enemies.push(newEnemy);
-    }
-
-    // 🌟 **Move enemies and handle shooting**
-    for (let i = enemies.length - 1; i >= 0; i--) {
-        enemies[i].move();
-    }
-
-    // 🌟 **Check if Player Collects Power-Up**
-    if (powerUp && checkCollision(player, powerUp, false)) {
-        doubleFire = true; // ✅ Activate double laser fire mode
-        window.doubleFire = doubleFire; // Update global reference
-        console.log("✅ Power-up collected! Double fire activated."); // ✅ Debugging
-        powerUp = null; // ✅ Remove power-up from the game permanently
-    }
-
-    // 🌟 **Move enemy lasers and check for collisions**
-    for (let i = enemyLasers.length - 1; i >= 0; i--) {
-        if (!enemyLasers[i]) continue; // ✅ Skip if laser is already removed
-
-        enemyLasers[i].move();
-
-        // 🌟 **Check if enemy laser hits the player (with shield system)**
-        if (enemyLasers[i] && checkCollision(enemyLasers[i], player, true)) {
-            player.shield -= 25; // ✅ Reduce shield by 25% when hit
-
-            // 🌟 **If shield reaches 0, trigger game over**
-            if (player.shield <= 0) {
-                triggerGameOver(); // ✅ Properly calls the game over function
-                return;
-            }
-
-            enemyLasers.splice(i, 1); // ✅ Remove laser after hitting player
-            continue; // ✅ Skip further checks for this laser
-        }
-
-        // ✅ Remove enemy lasers if they move off-screen
-        if (enemyLasers[i] && enemyLasers[i].y > canvas.height) {
-            enemyLasers.splice(i, 1);
-        }
-    }
-
-    // � **Check for Player Laser - Enemy Collisions**
-    for (let i = lasers.length - 1; i >= 0; i--) {
-        for (let j = enemies.length - 1; j >= 0; j--) {
-            if (checkCollision(lasers[i], enemies[j])) {
-                enemies[j].health -= 1;
-                explosions.push(new Explosion(enemies[j].x, enemies[j].y));
-
-                // ✅ If enemy is destroyed, increase counter
-                if (enemies[j].health <= 0) {
-                    enemies.splice(j, 1);
-                    score += 50;
-                    window.score = score; // Update global reference
-                    enemiesDestroyed++; // ✅ Count destroyed enemies
-                    window.enemiesDestroyed = enemiesDestroyed; // Update global reference
-
-                    // 🌟 **Check if Level is Complete**
-                    if (enemiesDestroyed >= enemiesNeeded) {
-                        levelUp(); // ✅ Handles everything except Level 4 (see below)
-                    }
-                }
-
-                lasers.splice(i, 1);
-                break;
-            }
-        }
-    }
-
-    // 🌟 **Handle explosions**
-    for (let i = explosions.length - 1; i >= 0; i--) {
-        explosions[i].update();
-        if (explosions[i].timer <= 0) explosions.splice(i, 1);
-    }
-
-    // 🌟 **Spawn Asteroids**
-    if (!bossFightStarted && !bossActive && Math.random() < 0.04 && asteroids.length < CONFIG.maxAsteroids) {
-        spawnAsteroid();
+// =============================================================================
+// MAIN GAME LOOP - DRAW FUNCTION
+// =============================================================================
+// `alpha` (0..1) blends each entity between its previous and current simulation
+// step so motion stays smooth on displays faster or slower than the tick rate.
+// Hitboxes at their simulated (not interpolated) positions
+function drawHitboxes() {
+    drawCollider(ctx, player, 'cyan');
+    [...lasers, ...enemyLasers, ...bossLasers].forEach(laser => drawCollider(ctx, laser, 'yellow'));
+    [...asteroids, ...enemies].forEach(entity => drawCollider(ctx, entity, 'red'));
+    if (powerUp) drawCollider(ctx, powerUp, 'lime');
+    if (drazzanBoss && bossActive) {
+        drawCollider(ctx, drazzanBoss, 'red');
+        drazzanBoss.exposedWeakPoints().forEach(point => drawCollider(ctx, point, 'orange'));
     }
+}
 
-    // 🌟 **Check for Laser Collisions with the Boss**
-    if (bossActive && drazzanBoss) {
-        for (let i = lasers.length - 1; i >= 0; i--) {
-            const laser = lasers[i];
+// One row per running power-up: name (and stack level) over a draining bar
+function drawPowerUpTimers(timers, world) {
+    const barWidth = 150;
+    const x = world.width - GameSettings.UI_PADDING_X - barWidth;
 
-            if (checkCollision(laser, drazzanBoss)) {
-                drazzanBoss.health -= 2; // 💥 Damage the boss
-                lasers.splice(i, 1);     // 🗑 Remove the laser
+    ctx.save();
+    ctx.font = "16px Arial";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
 
-                // 💀 Check if boss is defeated
-                if (drazzanBoss.health <= 0) {
-                    drazzanBoss.health = 0;
-                    bossActive = false;
-                    window.bossActive = bossActive; // Update global reference
+    timers.forEach((timer, index) => {
+        const definition = POWER_UPS[timer.type];
+        const y = GameSettings.UI_PADDING_Y + index * GameSettings.UI_LINE_SPACING;
+        const label = definition.name + (timer.level > 1 ? " x" + timer.level : "");
+        const fraction = Number.isFinite(timer.duration) ? timer.remaining / timer.duration : 1; // ✅ Debug grants never run out
 
-                    // 🏆 Calculate time-based boss bonus
-                    calculateBossScore();
+        ctx.fillStyle = definition.color;
+        ctx.fillText(label, x, y);
+        ctx.fillRect(x, y + 18, barWidth * fraction, 5);
+    });
 
-                    triggerBossDefeat(); // 🎊 Custom victory handler
-                }
+    ctx.restore();
+}
 
-                break; // ✅ Only one collision per laser
-            }
-        }
+// 🔥 Combo multiplier with the time left to extend it, and the no-damage streak
+function drawMultipliers(scoring, x, y) {
+    ctx.font = "16px Arial";
+    if (scoring.chain > 1) {
+        ctx.fillStyle = "orange";
+        ctx.fillText(`x${scoring.comboMultiplier.toFixed(1)} COMBO (${scoring.chain})`, x, y + 2);
+        const left = Math.max(0, scoring.comboTimer / GameSettings.COMBO_WINDOW);
+        ctx.fillRect(x, y + 22, 110 * left, 3);
+        x += 150;
     }
-    if (bossWarningActive) {
-        bossWarningTimer--;
-
-        if (bossWarningTimer <= 0) {
-            bossWarningActive = false;
-        }
-    }
-
-    if (endCinematicActive) {
-        endShipY -= 3;
-        //console.log("Flying UP:", endShipY);
-
-        if (endShipY + player.height < 0) {
-            endCinematicActive = false;
-            showEndScreen(); // ✅ trigger message + button AFTER ship leaves
-        }
+    if (scoring.streakMultiplier > 1) {
+        ctx.fillStyle = "cyan";
+        ctx.fillText(`STREAK x${scoring.streakMultiplier.toFixed(2)}`, x, y + 2);
     }
 }
 
-function levelUp() {
-    level++;
-    window.level = level; // Update global reference
-
-    if (level === 4) {
-        enemiesNeeded = 4;        // 💪 Set an actual target
-        maxEnemies = 2;            // 💪 Allow a few enemies
-        enemySpeedIncrease = 0.5;    // (Optional) stop speedup
-        powerUp = null;
-        levelTransition = true;
-        window.enemiesNeeded = enemiesNeeded; // Update global reference
-
-        setTimeout(() => {
-            enemies.length = 0;
-            levelTransition = false;
-        }, 3000);
-
-        return;
-    }
-
-    if (level > 4) return; // Prevent Level 5 entirely
-
-    // Normal level progression (Levels 1–3)
-    enemiesDestroyed = 0;
-    enemiesNeeded += 10;
-    maxEnemies++;
-    enemySpeedIncrease += 0.6;
-    powerUp = null;
-    levelTransition = true;
+// 🔧 Boss rush intermission: the split just set, while the ship rearms
+function drawBossRushIntermission(splits, world) {
+    const last = splits[splits.length - 1];
+    if (!last) return;
+    ctx.fillText(`${last.name.toUpperCase()} DOWN  ${formatSplit(last.time)}`, world.width / 2, world.height / 2);
+
+    ctx.font = "18px Arial";
+    ctx.fillStyle = "cyan";
+    ctx.fillText("Rearming: shield and secondary restocked", world.width / 2, world.height / 2 - 36);
+    ctx.font = "30px Arial";
+    ctx.fillStyle = "yellow";
+}
 
-    // Update global references
-    window.enemiesDestroyed = enemiesDestroyed;
-    window.enemiesNeeded = enemiesNeeded;
+// 🏁 The bonuses the level just earned, under the LEVEL COMPLETE banner
+function drawLevelTally(tally, world) {
+    if (!tally) return;
+    const lines = [`Accuracy ${Math.round(tally.accuracy * 100)}%  +${tally.accuracyBonus}`];
+    if (tally.noDamageBonus > 0) lines.push(`No damage  +${tally.noDamageBonus}`);
+    if (tally.grazes > 0) lines.push(`Grazes ${tally.grazes}`);
 
-    setTimeout(() => {
-        enemies.length = 0;
-        levelTransition = false;
-    }, 3000);
+    ctx.font = "18px Arial";
+    ctx.fillStyle = "white";
+    lines.forEach((line, index) => ctx.fillText(line, world.width / 2, world.height / 2 + 40 + index * 24));
+    ctx.font = "30px Arial";
 }
 
-// =============================================================================
-// MAIN GAME LOOP - DRAW FUNCTION
-// =============================================================================
-function draw() {
+function draw(alpha = 1) {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+    // ✅ Cinematic and pause overlays belong to the live game, not a replay being viewed
+    const live = viewedSimulation === simulation;
+    const world = viewedSimulation.world;
+
     // 🌟 **Draw Moving Starfield (Light Grey Stars)**
     ctx.fillStyle = "rgb(180, 180, 180)"; // ✅ Light grey color
     for (let star of stars) {
         ctx.beginPath();
-        ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+        ctx.arc(star.x, interpolate(star.prevY, star.y, alpha), star.size, 0, Math.PI * 2);
         ctx.fill();
     }
 
+    // 📐 Everything from here to the pause overlay is in world coordinates
+    const view = worldView(world);
+    ctx.save();
+    ctx.translate(view.x, view.y);
+    ctx.scale(view.scale, view.scale);
+    if (world.width !== canvas.width || world.height !== canvas.height) {
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.3)"; // ✅ Edge of a letterboxed playfield
+        ctx.lineWidth = 1 / view.scale;
+        ctx.strokeRect(0, 0, world.width, world.height);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.rect(0, 0, world.width, world.height);
+        ctx.clip();
+    }
+
     // 🌟 **Draw Player**
-    if (!endCinematicActive) {
-        player.draw(ctx); // ✅ Draw only during gameplay
+    const victory = live && scenes.is(SCENES.VICTORY);
+    if (!victory) {
+        player.draw(ctx, alpha); // ✅ Draw only during gameplay
     }
 
     // 🌟 **Draw Lasers**
-    lasers.forEach(laser => laser.draw(ctx));
+    lasers.forEach(laser => laser.draw(ctx, alpha));
 
-    // 🌟 **Draw Asteroids**
-    asteroids.forEach(asteroid => asteroid.draw(ctx));
+    // 🌟 **Draw Asteroids** (and the chips flying off destroyed ones)
+    asteroids.forEach(asteroid => asteroid.draw(ctx, alpha));
+    debris.forEach(chip => chip.draw(ctx, alpha));
 
     // 🌟 **Draw Explosions**
     explosions.forEach(explosion => explosion.draw(ctx));
@@ -552,19 +596,32 @@ function draw() {
     const textSpacing = GameSettings.UI_LINE_SPACING;
 
     ctx.fillText("Score: " + score, textPaddingX, textPaddingY);
+    drawMultipliers(scoring, textPaddingX + ctx.measureText("Score: " + score).width + 16, textPaddingY);
+    ctx.fillStyle = "white";
+    ctx.font = "20px Arial";
     ctx.fillText("Wyatt's Shield: " + player.shield + "%", textPaddingX, textPaddingY + textSpacing);
-    ctx.fillText("Level: " + level, textPaddingX, textPaddingY + textSpacing * 2);
+    const modeLabel = viewedSimulation.modifiers.length > 0 ? 'Daily' : RUN_MODE_LABELS[viewedSimulation.mode];
+    const runMode = modeLabel ? `, ${modeLabel}` : '';
+    ctx.fillText(`Level: ${level}  (${viewedSimulation.difficulty.name}${runMode})`, textPaddingX, textPaddingY + textSpacing * 2);
 
     // Display game timer with formatted time
     const minutes = Math.floor(gameTime / 60);
     const seconds = gameTime % 60;
     const timeDisplay = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-    ctx.fillText("Time: " + timeDisplay, textPaddingX, textPaddingY + textSpacing * 3);    // 🌟 **Show "LEVEL COMPLETE!" message when transitioning**
-    if (levelTransition && !bossWarningActive) {
+    const split = bossActive && viewedSimulation.mode === 'bossRush'
+        ? `  Split: ${formatSplit(viewedSimulation.time - viewedSimulation.splitStart)}`
+        : '';
+    ctx.fillText("Time: " + timeDisplay + split, textPaddingX, textPaddingY + textSpacing * 3);    // 🌟 **Show "LEVEL COMPLETE!" message when transitioning**
+    if (levelTransition && !(live && scenes.is(SCENES.BOSS_INTRO))) {
         ctx.fillStyle = "yellow";
         ctx.font = "30px Arial";
         ctx.textAlign = "center"; // Optional fix for clean centering
-        ctx.fillText("LEVEL " + (level - 1) + " COMPLETE!", canvas.width / 2, canvas.height / 2);
+        if (viewedSimulation.mode === 'bossRush') {
+            drawBossRushIntermission(viewedSimulation.splits, world);
+        } else {
+            ctx.fillText("LEVEL " + (level - 1) + " COMPLETE!", world.width / 2, world.height / 2);
+        }
+        drawLevelTally(scoring.tallies[scoring.tallies.length - 1], world);
     }
 
     // 🌟 **Draw Shield Bar Below Shield Text**
@@ -576,47 +633,54 @@ function draw() {
     ctx.fillStyle = "gray"; // Background bar
     ctx.fillRect(shieldX, shieldY, shieldWidth, shieldHeight);
 
-    ctx.fillStyle = "blue"; // Shield color
+    ctx.fillStyle = live && performance.now() < shieldFlashUntil ? "red" : "blue"; // Shield color (red flash on a hit)
     ctx.fillRect(shieldX, shieldY, (player.shield / 100) * shieldWidth, shieldHeight); // ✅ Shrinks as shield decreases
 
     ctx.strokeStyle = "white"; // Border
     ctx.strokeRect(shieldX, shieldY, shieldWidth, shieldHeight);
 
-    // 🌟 **Draw Power-Up with Glow Effect**
-    if (powerUp) {
-        ctx.save(); // ✅ Save current canvas state
+    // ❤️ **Lives left as small ships under the shield bar**
+    const lifeSize = 24;
+    const livesY = shieldY + shieldHeight + 10;
+    for (let i = 0; i < player.lives; i++) {
+        drawSprite(ctx, player.sprite, textPaddingX + i * (lifeSize + 6), livesY, lifeSize, lifeSize);
+    }
 
-        // 🌟 **Create glow effect**
-        ctx.shadowColor = "rgba(0, 255, 255, 0.8)"; // ✅ Blue glow
-        ctx.shadowBlur = 20;
-        ctx.shadowOffsetX = 0;
-        ctx.shadowOffsetY = 0;
+    // 🔫 **Weapons: primary level and secondary ammo**
+    const { primary, secondary } = player.weapons;
+    ctx.fillStyle = "white";
+    ctx.font = "16px Arial";
+    ctx.fillText(`${WEAPONS[primary.type].name} Lv ${primary.level}  |  ${WEAPONS[secondary.type].name}: ${secondary.ammo} [B]`, textPaddingX, livesY + lifeSize + 8);
 
-        // 🛸 **Draw the power-up**
-        powerUp.draw(ctx);
+    if (live && performance.now() < extraLifeBannerUntil) {
+        ctx.fillStyle = "lime";
+        ctx.font = "26px Arial";
+        ctx.textAlign = "center";
+        ctx.fillText("EXTRA LIFE!", world.width / 2, world.height / 2 + 40);
+        ctx.textAlign = "left";
+    }
+
+    // ⏱ **Active power-up timers (top right)**
+    drawPowerUpTimers(player.powerUps.list(), world);
 
-        ctx.restore(); // ✅ Restore canvas state to prevent unwanted effects
+    // 🌟 **Draw Power-Up** (glows in its type's colour)
+    if (powerUp) {
+        powerUp.draw(ctx, alpha);
     }
 
     // 🌟 **Draw Enemies**
-    enemies.forEach(enemy => enemy.draw(ctx));
+    enemies.forEach(enemy => enemy.draw(ctx, alpha));
 
     // 🌟 **Draw Enemy Lasers**
-    enemyLasers.forEach(laser => laser.draw(ctx));
+    enemyLasers.forEach(laser => laser.draw(ctx, alpha));
 
     if (drazzanBoss && (bossFightStarted || bossActive)) {
-        ctx.drawImage(
-            drazzanBoss.image,
-            drazzanBoss.x,
-            drazzanBoss.y,
-            drazzanBoss.width,
-            drazzanBoss.height
-        );
+        drazzanBoss.draw(ctx, alpha); // ✅ Hull, exposed weak points and attack telegraphs
 
         // Boss Health Bar
         const barWidth = 300;
         const barHeight = 20;
-        const barX = canvas.width / 2 - barWidth / 2;
+        const barX = world.width / 2 - barWidth / 2;
         const barY = 30;
 
         // ✅ Calculate health percentage
@@ -631,36 +695,52 @@ function draw() {
         ctx.fillStyle = "red";
         ctx.fillRect(barX, barY, currentBarWidth, barHeight);
 
+        // ✅ Tick marks where the next phases begin
+        ctx.fillStyle = "white";
+        drazzanBoss.definition.phases.slice(1).forEach(phase => {
+            ctx.fillRect(barX + barWidth * phase.health - 1, barY, 2, barHeight);
+        });
+
         // ✅ Draw white border
         ctx.strokeStyle = "white";
         ctx.strokeRect(barX, barY, barWidth, barHeight);
 
-        bossLasers.forEach(laser => laser.draw(ctx));
+        // ✅ Boss name and current phase
+        ctx.fillStyle = "white";
+        ctx.font = "14px Arial";
+        ctx.textAlign = "center";
+        ctx.fillText(`${drazzanBoss.name} - ${drazzanBoss.phase.name}`, world.width / 2, barY + barHeight + 16);
+        ctx.textAlign = "left";
+
+        bossLasers.forEach(laser => laser.draw(ctx, alpha));
     }
 
-    if (bossWarningActive) {
+    // 🛠 Debug: outline every hitbox (debug console `hitboxes`)
+    if (window.showHitboxes) drawHitboxes();
+
+    if (live && scenes.is(SCENES.BOSS_INTRO)) {
         ctx.save();
 
         // Fade out effect
-        const alpha = Math.min(1, bossWarningTimer / 30); // quick fade in
-        ctx.globalAlpha = alpha;
+        ctx.globalAlpha = Math.min(1, bossWarning.timer / 0.5); // quick fade in
 
         ctx.fillStyle = "red";
         ctx.font = "bold 36px 'Orbitron', sans-serif";
         ctx.textAlign = "center";
         ctx.shadowColor = "rgba(255, 0, 0, 0.8)";
         ctx.shadowBlur = 20;
-        ctx.fillText("DRAZZAN MOTHERSHIP DETECTED", canvas.width / 2, canvas.height / 2);
+        ctx.fillText(`${drazzanBoss ? drazzanBoss.name.toUpperCase() : "DRAZZAN MOTHERSHIP"} DETECTED`, world.width / 2, world.height / 2);
 
         ctx.restore();
     }
 
-    if (endCinematicActive) {
-        ctx.drawImage(player.image, player.x, endShipY, player.width, player.height);
+    if (victory && victoryShip.flying) {
+        drawSprite(ctx, player.sprite, player.x, interpolate(victoryShip.prevY, victoryShip.y, alpha), player.width, player.height);
     }
+    ctx.restore();
 
     // 🌟 **Show PAUSED overlay when game is paused**
-    if (gamePaused) {
+    if (live && gamePaused) {
         // Semi-transparent overlay
         ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
         ctx.fillRect(0, 0, canvas.width, canvas.height);
@@ -703,7 +783,6 @@ window.gameInstance = {
             // Update game time and scores
             if (networkState.gameTime !== undefined) {
                 gameTime = networkState.gameTime;
-                window.gameTime = gameTime;
             }
 
             if (networkState.scores) {
@@ -713,6 +792,15 @@ window.gameInstance = {
         }
     },
 
+    // Gameplay event relayed by the host (see NETWORK EVENT RELAY below)
+    handleNetworkEvent(event, fromPeerId) {
+        console.log(`[GameInstance] Host event from ${fromPeerId}:`, event.type, event);
+        const game = window.multiplayerGame;
+        if (!game || game.isHost) return;
+        if (event.type === 'bossSplit') game.recordBossSplit(event);
+        if (event.type === 'campaignCompleted') game.completeBossRush(); // ✅ The host's clear, not our own
+    },
+
     // Handle player disconnection
     handlePlayerDisconnect(playerId) {
         console.log('[GameInstance] Player disconnected:', playerId);
@@ -736,236 +824,89 @@ window.gameInstance = {
     }
 };
 
-function gameLoop() {
-    update();
-    draw();
-    requestAnimationFrame(gameLoop);
-}
-
-// 🌟 **NEW: Handle Game Over**
-function triggerGameOver(asteroid = null) {
-    gameOver = true;
-    window.gameOver = gameOver; // Update global reference
-
-    // 🌟 **Stop Background Music (Ensures it stops properly)**
-    if (typeof backgroundMusic !== "undefined" && !backgroundMusic.paused) {
-        backgroundMusic.pause();
-        backgroundMusic.currentTime = 0; // ✅ Resets for the next game
-    } else {
-        console.error("⚠ Background music not found or already stopped.");
+// =============================================================================
+// NETWORK EVENT RELAY
+// =============================================================================
+// While hosting a multiplayer game, forward gameplay events to every peer.
+// Entities stay local; only plain values (level, points, phase...) travel.
+const NETWORK_EVENTS = ['enemyDestroyed', 'playerHit', 'lifeLost', 'levelCompleted', 'bossPhaseChanged', 'bossSplit', 'campaignCompleted', 'powerUpCollected', 'gameOver'];
+
+gameEvents.onAny((type, detail) => {
+    const game = window.multiplayerGame;
+    if (!NETWORK_EVENTS.includes(type) || !game || !game.isHost || !game.gameState.isActive) return;
+
+    const values = Object.entries(detail).filter(([, value]) => value === null || typeof value !== 'object');
+    window.networkManager?.broadcastNetworkMessage('gameEvent', { type, ...Object.fromEntries(values) });
+});
+
+// 🌟 **Fixed-step frame: run as many ticks of the current scene as real time allows, then render once**
+function gameLoop(timestamp) {
+    // 🎬 The replay viewer runs its own loop; hold the live game until it closes
+    if (typeof replayViewer !== 'undefined' && replayViewer.active) {
+        gameClock.reset();
+        return;
     }
 
-    // 🌟 **Explosion Effect**
-    explosions.push(new Explosion(player.x, player.y));
-    if (asteroid) explosions.push(new Explosion(asteroid.x, asteroid.y)); // ✅ Only explode asteroid if exists
-
-    // 🌟 **Delay showing the scoreboard so explosion is visible**
-    setTimeout(() => {
-        saveScore(score);  // ✅ Save the score before restarting
-        showScoreBoard(score); // ✅ Ensure this function is correctly defined in scoreboard.js
-    }, GameSettings.SCOREBOARD_DELAY);
-}
-
-function startBossFight() {
-    drazzanBoss = {
-        x: canvas.width / 2 - GameSettings.BOSS_WIDTH / 2,
-        y: -GameSettings.BOSS_HEIGHT, // Start offscreen
-        width: GameSettings.BOSS_WIDTH,
-        height: GameSettings.BOSS_HEIGHT,
-        health: GameSettings.BOSS_MAX_HEALTH,
-        maxHealth: GameSettings.BOSS_MAX_HEALTH,
-        image: new Image()
-    };
-    drazzanBoss.image.src = "assets/drazzan_mothership.png";
-
-    const entryInterval = setInterval(() => {
-        drazzanBoss.y += 5;
-        if (drazzanBoss.y >= 100) {
-            drazzanBoss.y = 100;
-            clearInterval(entryInterval);
-            bossActive = true;
-            window.bossActive = bossActive; // Update global reference
-        }
-    }, 30);
-}
-
-function updateBoss() {
-    if (!drazzanBoss) return;
-
-    // 💥 Movement: bounce horizontally, bob vertically
-    drazzanBoss.x += Math.sin(Date.now() / 300) * 4;
-    drazzanBoss.y += Math.sin(Date.now() / 600) * 1;
-
-    // 🌟 Shooting: fire spread every 60 frames
-    bossShootTimer++;
-    if (bossShootTimer >= GameSettings.BOSS_SHOOT_INTERVAL) {
-        const originX = drazzanBoss.x + drazzanBoss.width / 2;
-        const originY = drazzanBoss.y + drazzanBoss.height;
-
-        // Fire in a 120° arc downward
-        for (let angleDeg = -60; angleDeg <= 60; angleDeg += 15) {
-            const angleRad = (angleDeg * Math.PI) / 180;
-            bossLasers.push(new BossLaser(originX, originY, angleRad + Math.PI / 2)); // Downward
-        }
-
-        bossShootTimer = 0;
+    const steps = gameClock.advance(timestamp);
+    for (let i = 0; i < steps && scenes.current.frame === gameLoop; i++) {
+        if (scenes.current.update) scenes.current.update(gameClock.step);
     }
 
-    // Move boss lasers
-    for (let i = bossLasers.length - 1; i >= 0; i--) {
-        bossLasers[i].move();
-
-        // Check collision with player
-        if (checkCollision(bossLasers[i], player, true)) {
-            player.shield -= 20;
-            bossLasers.splice(i, 1);
-
-            if (player.shield <= 0) {
-                triggerGameOver();
-                return;
-            }
-
-        } else if (
-            bossLasers[i].x < 0 || bossLasers[i].x > canvas.width ||
-            bossLasers[i].y > canvas.height
-        ) {
-            bossLasers.splice(i, 1); // Remove offscreen lasers
-        }
-    }
+    draw(gameClock.alpha);
 }
 
-// =============================================================================
-// SCORING SYSTEM
-// =============================================================================
-function calculateBossScore() {
-    // Calculate time-based bonus for defeating the boss
-    const baseScore = GameSettings.BOSS_BASE_SCORE;
-    let timeBonus = 0;
-
-    const thresholds = GameSettings.TIME_BONUS_THRESHOLDS;
-
-    if (gameTime <= thresholds.UNDER_1_MIN.time) {
-        timeBonus = thresholds.UNDER_1_MIN.bonus;
-    } else if (gameTime <= thresholds.UNDER_2_MIN.time) {
-        timeBonus = thresholds.UNDER_2_MIN.bonus;
-    } else if (gameTime <= thresholds.UNDER_3_MIN.time) {
-        timeBonus = thresholds.UNDER_3_MIN.bonus;
-    } else if (gameTime <= thresholds.UNDER_5_MIN.time) {
-        timeBonus = thresholds.UNDER_5_MIN.bonus;
-    } else {
-        timeBonus = thresholds.OVER_5_MIN.bonus;
-    }
-
-    const totalBossScore = baseScore + timeBonus;
-    score += totalBossScore;
-    window.score = score; // Update global reference
+// ✅ Kept for scripts that end the run or add asteroids directly
+function triggerGameOver(asteroid = null) {
+    simulation.triggerGameOver(asteroid);
+}
 
-    console.log(`[GameLoop] Boss defeated! Time: ${gameTime}s, Base: ${baseScore}, Time Bonus: ${timeBonus}, Total: ${totalBossScore}`);
+function spawnAsteroid() {
+    simulation.spawnAsteroid();
 }
 
 // =============================================================================
 // BOSS DEFEAT SEQUENCE
 // =============================================================================
-function triggerBossDefeat() {
-    // 🎵 Stop music
-    if (typeof backgroundMusic !== "undefined" && !backgroundMusic.paused) {
-        backgroundMusic.pause();
-        backgroundMusic.currentTime = 0;
-    }
-
-    // 💥 Repeat explosion bursts 3x
-    let bursts = 0;
-    const repeatExplosions = () => {
-        if (bursts === 0) {
-            // 🌟 Play sound on first burst
-            bossExplosionSound.currentTime = 0;
-            bossExplosionSound.play().catch(err => console.warn("Explosion sound error:", err));
-        }
-
-        // 💥 Regular explosion burst
-        for (let i = 0; i < GameSettings.BOSS_EXPLOSION_COUNT; i++) {
-            const offsetX = getRandomInt(-100, 100);
-            const offsetY = getRandomInt(-60, 60);
-            const explosion = new Explosion(
-                drazzanBoss.x + drazzanBoss.width / 2 + offsetX,
-                drazzanBoss.y + drazzanBoss.height / 2 + offsetY
-            );
-            explosion.width = GameSettings.BOSS_EXPLOSION_SIZE;
-            explosion.height = GameSettings.BOSS_EXPLOSION_SIZE;
-            explosion.timer = 60;
-            explosions.push(explosion);
-        }
-
-        bursts++;
-
-        if (bursts < GameSettings.BOSS_EXPLOSION_BURSTS) {
-            // 🌟 Schedule next burst
-            setTimeout(repeatExplosions, GameSettings.EXPLOSION_DELAY);
-        } else {
-            // 🎯 Final 4th explosion after boss disappears
-            setTimeout(() => {
-                // ✅ Save boss center coordinates BEFORE removing
-                const drazzanBossLastX = drazzanBoss.x + drazzanBoss.width / 2;
-                const drazzanBossLastY = drazzanBoss.y + drazzanBoss.height / 2;
-
-                // ⚠ Remove mothership
-                drazzanBoss = null;
-
-                // 💥 Final explosion
-                const explosion = new Explosion(
-                    drazzanBossLastX,
-                    drazzanBossLastY
-                );
-                explosion.width = GameSettings.BOSS_FINAL_EXPLOSION_SIZE;
-                explosion.height = GameSettings.BOSS_FINAL_EXPLOSION_SIZE;
-                explosion.timer = 80;
-                explosions.push(explosion);
-
-                // 🛸 Then start the victory cinematic
-                setTimeout(() => {
-                    startVictoryCinematic();
-                }, GameSettings.VICTORY_CINEMATIC_DELAY);
-
-            }, GameSettings.EXPLOSION_DELAY); // ⌛ Delay after 3rd burst
-        }
-
-    };
-
-    repeatExplosions(); // 🌟 Start first burst    
-
-    // Clear lasers
-    bossLasers.length = 0;
-
-    setTimeout(() => {
-        startVictoryCinematic(); // 🎯 Wyatt returns to Norinavio!
-    }, 2000);
+// The explosion bursts themselves run inside the simulation (see
+// GameSimulation.updateBossDefeat) so recorded replays reproduce them.
+// `final` is false when the campaign has more levels after this boss.
+function triggerBossDefeat(final = true) {
+    // 🌟 Play sound with the first burst
+    bossExplosionSound.currentTime = 0;
+    bossExplosionSound.play().catch(err => console.warn("Explosion sound error:", err));
+
+    if (!final) return; // ✅ The fight goes on
+
+    // 🎵 Stop music; the campaignCompleted handler starts the victory cinematic
+    // once the defeat bursts finish and the simulation completes the campaign
+    stopBackgroundMusic();
 }
 
+// Victory scene enter
 function startVictoryCinematic() {
-    if (finalCinematicStarted) return; // ✅ Prevent duplicate runs
-    finalCinematicStarted = true;
-
     // Stop gameplay updates
     gameOver = true;
-    window.gameOver = gameOver; // Update global reference
-    endCinematicActive = true; // 🌟 Start ship fly-up
-    endShipY = player.y; // Reset starting Y if needed
+    victoryShip.flying = true; // 🌟 Start ship fly-up
+    victoryShip.y = player.y;
+    victoryShip.prevY = victoryShip.y;
 
-    // Load audio
-    const redfordAudio = new Audio("assets/wyatt001.mp3");
-    const wyattAudio = new Audio("assets/days_work.mp3");
+    // Voice lines (preloaded by Assets)
+    const redfordAudio = Assets.sound('redford');
+    const wyattAudio = Assets.sound('wyatt');
 
     // Start Redford's voice line
+    redfordAudio.currentTime = 0;
     redfordAudio.play().catch(err => console.warn("🌟 Redford audio failed:", err));
 
     redfordAudio.onended = () => {
         // Then Wyatt replies
+        wyattAudio.currentTime = 0;
         wyattAudio.play().catch(err => console.warn("🌟 Wyatt audio failed:", err));
 
         wyattAudio.onended = () => {
             // Wait a bit for ship to fly off, then show end screen
-            setTimeout(() => {
-                endCinematicActive = false;
+            scenes.setTimeout(() => {
+                victoryShip.flying = false;
 
                 // Fade to black and show message
                 ctx.fillStyle = "black";
@@ -990,13 +931,37 @@ function startVictoryCinematic() {
                 restartBtn.style.borderRadius = "10px";
                 restartBtn.style.cursor = "pointer";
                 restartBtn.onclick = () => restartGame();
-                document.body.appendChild(restartBtn);
+                scenes.addElement(restartBtn);
 
             }, 2000); // Delay after Wyatt finishes speaking
         };
     };
 }
 
+// Victory scene exit: cut the voice lines if the player leaves early
+function stopVictoryCinematic() {
+    ['redford', 'wyatt'].forEach(key => {
+        const voice = Assets.sound(key);
+        voice.onended = null;
+        voice.pause();
+    });
+    victoryShip.flying = false;
+}
+
+// One fixed step of the victory scene
+function updateVictoryCinematic(dt) {
+    moveStars(dt);
+    if (!victoryShip.flying) return;
+
+    victoryShip.prevY = victoryShip.y;
+    victoryShip.y -= 180 * dt; // ✅ Pixels per second
+
+    if (victoryShip.y + player.height < 0) {
+        victoryShip.flying = false;
+        showEndScreen(); // ✅ trigger message + button AFTER ship leaves
+    }
+}
+
 function showEndScreen() {
     const endScreen = document.createElement("div");
     endScreen.style.position = "fixed";
@@ -1012,9 +977,18 @@ function showEndScreen() {
     endScreen.style.borderRadius = "10px";
     endScreen.style.zIndex = "1000";
 
+    // ⏱ A boss rush ranks on its clear time: the run time when the last boss fell
+    const bossRush = simulation.mode === 'bossRush';
+    const clearTime = bossRush ? simulation.splits[simulation.splits.length - 1].total : null;
+    const highScore = dailyRun ? null : saveRunScore(clearTime ?? simulation.time);
+    const dailyScore = dailyRun ? saveDailyScore(dailyRun, score, clearTime ?? simulation.time, true) : null;
+
     endScreen.innerHTML = `
-        <h2>Mission Complete</h2>
+        <h2>${bossRush ? 'Boss Rush Cleared' : 'Mission Complete'}</h2>
         <p><strong>Final Score:</strong> ${score}</p>
+        ${bossRush ? bossRushSplitsHtml(simulation.splits, clearTime) : ''}
+        ${dailyRun ? dailyResultHtml(dailyRun, { score, time: clearTime ?? simulation.time, cleared: true }) : ''}
+        ${scoreBreakdownHtml(scoring.summary())}
         <p style="font-style: italic; color: #00ffff;">Redford: "You did good, kid."</p>
         <p style="font-style: italic; color: #ffcc00;">Wyatt: "All in a day's work."</p>
     `;
@@ -1029,9 +1003,8 @@ function showEndScreen() {
     button.onclick = () => restartGame();
 
     endScreen.appendChild(button);
-    document.body.appendChild(endScreen);
-}
-
-function getRandomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    if (dailyRun) endScreen.appendChild(createDailyShareButton(dailyRun, { score, time: clearTime ?? simulation.time, cleared: true }));
+    endScreen.appendChild(createReplayButtons()); // 🎬 Watch or share the winning run
+    endScreen.appendChild(dailyRun ? createDailyNameEntry(dailyRun, dailyScore) : createNameEntry(highScore));
+    scenes.addElement(endScreen);
 }
@@ -1,6 +1,8 @@
 const keys = {}; // ✅ Declare keys globally
-const laserWidth = 4; // ✅ Default laser width
-const laserSound = new Audio("assets/laser1.mp3"); // ✅ Ensure correct file path
+let fireRequested = false; // ✅ Set by shootLaser(), so a tap shorter than a tick still fires
+let secondaryRequested = false;
+const touchButtons = { fire: false, secondary: false }; // ✅ Held on-screen buttons (mobile)
+const laserSound = Assets.sound('laser'); // ✅ Preloaded by Assets
 laserSound.volume = 0.1; // ✅ Lower volume to avoid being too loud
 
 
@@ -9,10 +11,23 @@ document.addEventListener("touchstart", handleTouch);
 document.addEventListener("touchmove", handleTouch);
 document.addEventListener("touchend", handleTouchEnd);
 
+// ✅ Fire buttons and form fields (name entry, leaderboard filters) keep their taps
+function isTouchControl(target) {
+    return Boolean(target.closest && target.closest("button, input, select, textarea"));
+}
+
 function handleTouch(event) {
+    if (isTouchControl(event.target)) return;
     event.preventDefault();
-    const touchX = event.touches[0].clientX;
-    const touchY = event.touches[0].clientY;
+
+    // ✅ Steer with the first finger that isn't on a control
+    const touch = [...event.touches].find(candidate => !isTouchControl(candidate.target));
+    if (!touch) {
+        handleTouchEnd({ touches: [] });
+        return;
+    }
+    const touchX = touch.clientX;
+    const touchY = touch.clientY;
 
     // ✅ Move left/right based on touch position
     keys["ArrowLeft"] = touchX < window.innerWidth / 2;
@@ -24,8 +39,8 @@ function handleTouch(event) {
 }
 
 function handleTouchEnd(event) {
-    // ✅ Reset movement when no fingers are touching the screen
-    if (event.touches.length === 0) {
+    // ✅ Reset movement when no steering fingers are touching the screen
+    if ([...event.touches].every(touch => isTouchControl(touch.target))) {
         keys["ArrowLeft"] = false;
         keys["ArrowRight"] = false;
         keys["ArrowUp"] = false;
@@ -33,7 +48,7 @@ function handleTouchEnd(event) {
     }
 }
 
-// 🚀 **Keyboard Controls (Arrow Keys + Spacebar for Shooting)**
+// 🚀 **Keyboard Controls (Arrow Keys, hold Spacebar to fire, B for the secondary weapon)**
 document.addEventListener("keydown", (event) => {
     keys[event.key] = true;
 
@@ -41,6 +56,9 @@ document.addEventListener("keydown", (event) => {
     if (event.key === " ") {
         shootLaser();
     }
+    if (event.key === "b" || event.key === "B") {
+        fireSecondary();
+    }
 });
 
 document.addEventListener("keyup", (event) => {
@@ -49,31 +67,72 @@ document.addEventListener("keyup", (event) => {
 
 function shootLaser() {
     if (!gameOver) {
-        if (doubleFire) {
-            console.log("✅ Firing DOUBLE lasers!"); // ✅ Debugging
-            lasers.push(new Laser(player.x + player.width * 0.2, player.y, laserWidth));
-            lasers.push(new Laser(player.x + player.width * 0.8 - laserWidth, player.y, laserWidth));
-        } else {
-            console.log("❌ Firing SINGLE laser. Double Fire:", doubleFire); // ✅ Debugging
-            lasers.push(new Laser(player.x + player.width / 2 - laserWidth / 2, player.y, laserWidth));
-        }
-
-        // 🚀 **Play Laser Sound**
-        laserSound.currentTime = 0; // ✅ Rewinds to start for rapid fire
-        laserSound.play().catch(error => console.log("❌ Laser sound error:", error));
-
+        fireRequested = true; // ✅ The simulation spawns the lasers on its next tick
     } else {
         console.log("❌ Cannot shoot - Game Over");
     }
 }
 
+function fireSecondary() {
+    if (!gameOver) {
+        secondaryRequested = true;
+    }
+}
+
+// 🚀 **Snapshot of the controls for one simulation tick**
+// Fire buttons count while held; the weapon's fire rate paces the shots
+function readInput() {
+    const input = {
+        left: !!keys["ArrowLeft"],
+        right: !!keys["ArrowRight"],
+        up: !!keys["ArrowUp"],
+        down: !!keys["ArrowDown"],
+        fire: fireRequested || !!keys[" "] || touchButtons.fire,
+        secondary: secondaryRequested || !!keys["b"] || !!keys["B"] || touchButtons.secondary
+    };
+    fireRequested = false;
+    secondaryRequested = false;
+    return input;
+}
+
+// 🚀 **Play Laser Sound** (the game loop calls this whenever the simulation fires)
+function playLaserSound() {
+    laserSound.currentTime = 0; // ✅ Rewinds to start for rapid fire
+    laserSound.play().catch(error => console.log("❌ Laser sound error:", error));
+}
+
+
+// 🚀 **Fire Buttons for Mobile** (hold to autofire; shown on touch screens during play)
+function bindTouchButton(button, control) {
+    const press = (event) => {
+        event.preventDefault();
+        touchButtons[control] = true;
+    };
+    const release = (event) => {
+        event.preventDefault();
+        touchButtons[control] = false;
+    };
+    button.addEventListener("touchstart", press);
+    button.addEventListener("touchend", release);
+    button.addEventListener("touchcancel", release);
+}
 
-// 🚀 **Shooting Button for Mobile**
 document.addEventListener("DOMContentLoaded", () => {
-    const shootButton = document.getElementById("shootButton");
+    const buttons = {
+        fire: document.getElementById("shootButton"),
+        secondary: document.getElementById("secondaryButton")
+    };
+    const touchScreen = "ontouchstart" in window || navigator.maxTouchPoints > 0;
 
-    if (shootButton) {
-        shootButton.style.display = "none"; // ✅ Hides the button on load
-        //shootButton.addEventListener("touchstart", shootLaser); // ✅ Fires laser on touch
-    }
+    Object.entries(buttons).forEach(([control, button]) => {
+        if (button) bindTouchButton(button, control); // ✅ Hidden (index.html) until a game is being played
+    });
+
+    gameEvents.on("sceneChanged", ({ scene }) => {
+        const playing = scene === SCENES.PLAYING || scene === SCENES.BOSS_INTRO;
+        Object.entries(buttons).forEach(([control, button]) => {
+            if (button) button.style.display = touchScreen && playing ? "" : "none";
+            touchButtons[control] = false;
+        });
+    });
 });
@@ -1,48 +1,45 @@
-let gameStarted = false; // ✅ Ensures game starts only once
-let introActive = true; // ✅ Track if intro is playing
-let norinavio = { x: canvas.width / 2 - 300, y: -400, width: 600, height: 300 };
-let wyattShip = {
-    x: norinavio.x + 120,
-    y: norinavio.y + 100,
-    width: 60,
-    height: 60,
-    launching: false,
-    visible: false // ✅ New property to hide the ship initially
-};
-
-// 🚀 **Load images**
-const norinavioImage = new Image();
-norinavioImage.src = "assets/norinavio.png"; // ✅ Ensure this file exists
-const wyattImage = new Image();
-wyattImage.src = "assets/spaceship.png"; // ✅ Ensure this file exists
-const asteroidImage = new Image();
-asteroidImage.src = "assets/asteroid.png"; // ✅ Ensure this exists
-
-const enemyImage = new Image();
-enemyImage.src = "assets/enemy.png"; // ✅ Ensure this exists
-
-const powerUpImage = new Image();
-powerUpImage.src = "assets/powerup.png"; // ✅ Ensure this exists
+// 🎬 Intro scene: Norinavio descends and Wyatt launches, then Playing begins
+let norinavio;
+let wyattShip;
+
+// 🚀 **Images** (preloaded by Assets before the game can start)
+const norinavioImage = Assets.image('norinavio');
+const wyattImage = Assets.image('player');
+const asteroidImage = Assets.image('asteroid');
+const enemyImage = Assets.image('enemy');
+const powerUpImage = Assets.image('powerUp');
 
 let introText = [
     "The Drazzan Armada has invaded our system...",
     "Wyatt... You are our last hope!"
 ]; // ✅ Two epic lines of text
 
-let textIndex = 0; // ✅ Track which line of text is showing
-let textOpacity = 0; // ✅ Start text fully invisible
-let fadeIn = true; // ✅ Controls text fading effect
-let textTimer = 0; // ✅ Keeps text on screen for a while
-
-let guideBoxVisible = true; // ✅ Controls visibility of the guide box (only during intro)
-let guideBox = { x: canvas.width - 220, y: 20, width: 200, height: 140 }; // ✅ Box position & size
+let textIndex; // ✅ Track which line of text is showing
+let textOpacity; // ✅ Text fades in from invisible
+let fadeIn; // ✅ Controls text fading effect
+let textTimer; // ✅ Keeps text on screen for a while
+
+// ✅ Every run starts the intro from the top
+function resetIntro() {
+    norinavio = { x: canvas.width / 2 - 300, y: -400, width: 600, height: 300 };
+    wyattShip = {
+        x: norinavio.x + 120,
+        y: norinavio.y + 100,
+        width: 60,
+        height: 60,
+        launchScheduled: false,
+        launching: false,
+        visible: false // ✅ Hidden until Norinavio arrives
+    };
+    textIndex = 0;
+    textOpacity = 0;
+    fadeIn = true;
+    textTimer = 0;
+}
 
 function playIntro() {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    // ✅ Ensure the intro animation continues
-    if (!introActive) return;
-
     // 🚀 **Move mothership (Norinavio) down onto the screen**
     if (norinavio.y < (canvas.height * 2) / 3) {
         norinavio.y += 5; // ✅ Moves smoothly downward
@@ -55,8 +52,9 @@ function playIntro() {
         }
 
         // ✅ Show Wyatt's ship once Norinavio stops moving
-        if (!wyattShip.visible) {
-            setTimeout(() => {
+        if (!wyattShip.launchScheduled) {
+            wyattShip.launchScheduled = true;
+            scenes.setTimeout(() => {
                 wyattShip.visible = true;
                 wyattShip.launching = true;
             }, 1000); // ✅ 1-second delay before Wyatt launches
@@ -69,14 +67,8 @@ function playIntro() {
         wyattShip.y -= 5;
 
         if (wyattShip.y < -100) {
-            introActive = false; // ✅ Stop the intro once Wyatt leaves
-            guideBoxVisible = false; // ✅ Hide guide box after intro
-
-            // ✅ Ensure the game starts only once
-            if (!gameStarted) {
-                gameStarted = true;
-                gameLoop();
-            }
+            scenes.change(SCENES.PLAYING); // ✅ Wyatt is away - the game begins
+            return;
         }
     } else {
         wyattShip.x = norinavio.x + 120;
@@ -89,32 +81,30 @@ function playIntro() {
         ctx.drawImage(wyattImage, wyattShip.x, wyattShip.y, wyattShip.width, wyattShip.height);
     }
 
-    // 🚀 **Draw Player Guide Box (Only During Intro)**
-    if (guideBoxVisible) {
-        ctx.fillStyle = "rgba(0, 0, 0, 0.7)"; // ✅ Semi-transparent black background
-        ctx.fillRect(canvas.width - 230, 20, 220, 220); // ✅ Increased height for larger icons
-        ctx.strokeStyle = "white"; // ✅ White border
-        ctx.strokeRect(canvas.width - 230, 20, 220, 220);
+    // 🚀 **Draw Player Guide Box**
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)"; // ✅ Semi-transparent black background
+    ctx.fillRect(canvas.width - 230, 20, 220, 220); // ✅ Increased height for larger icons
+    ctx.strokeStyle = "white"; // ✅ White border
+    ctx.strokeRect(canvas.width - 230, 20, 220, 220);
 
-        ctx.fillStyle = "white";
-        ctx.font = "16px Arial"; // ✅ Slightly larger text for readability
-        ctx.textAlign = "left";
+    ctx.fillStyle = "white";
+    ctx.font = "16px Arial"; // ✅ Slightly larger text for readability
+    ctx.textAlign = "left";
 
-        const iconSize = 60; // ✅ Increased icon size
-        const textOffset = canvas.width - 150; // ✅ Adjusted text position
+    const iconSize = 60; // ✅ Increased icon size
+    const textOffset = canvas.width - 150; // ✅ Adjusted text position
 
-        // 🚀 **Draw Asteroid Section**
-        if (asteroidImage.complete) ctx.drawImage(asteroidImage, canvas.width - 220, 30, iconSize, iconSize);
-        ctx.fillText("Evade or Destroy", textOffset, 65);
+    // 🚀 **Draw Asteroid Section**
+    if (asteroidImage.complete) ctx.drawImage(asteroidImage, canvas.width - 220, 30, iconSize, iconSize);
+    ctx.fillText("Evade or Destroy", textOffset, 65);
 
-        // 🚀 **Draw Drazzan Raider Section**
-        if (enemyImage.complete) ctx.drawImage(enemyImage, canvas.width - 220, 100, iconSize, iconSize);
-        ctx.fillText("Destroy All Drazzan", textOffset, 135);
+    // 🚀 **Draw Drazzan Raider Section**
+    if (enemyImage.complete) ctx.drawImage(enemyImage, canvas.width - 220, 100, iconSize, iconSize);
+    ctx.fillText("Destroy All Drazzan", textOffset, 135);
 
-        // 🚀 **Draw Power-Up Section**
-        if (powerUpImage.complete) ctx.drawImage(powerUpImage, canvas.width - 220, 170, iconSize, iconSize);
-        ctx.fillText("Collect Powerups", textOffset, 205);
-    }
+    // 🚀 **Draw Power-Up Section**
+    if (powerUpImage.complete) ctx.drawImage(powerUpImage, canvas.width - 220, 170, iconSize, iconSize);
+    ctx.fillText("Collect Powerups", textOffset, 205);
 
 
     // 🚀 **Epic Cinematic Text Effect**
@@ -144,6 +134,9 @@ function playIntro() {
             }
         }
     }
-
-    requestAnimationFrame(playIntro); // ✅ Keep running animation
 }
+
+scenes.register(SCENES.INTRO, {
+    enter: resetIntro,
+    frame: playIntro // ✅ One animation step per frame
+});
@@ -0,0 +1,380 @@
+// Leaderboard - the local high score table and the screen that lists it.
+//
+// Entries live in localStorage['highScores'], best first, with the top
+// HIGH_SCORE_LIMIT kept for each mode and difficulty. Each one records who
+// (name), how well (score, level reached, run time), how (mode, difficulty)
+// and when, plus the run's seed and a reference to its replay, which is kept
+// in localStorage['highScoreReplays'] for as long as the entry stays on the
+// table. Boss rush entries rank by clear time instead of score.
+//
+// The table exports to a JSON file with the replays inline and imports from
+// one, merging entries it doesn't have yet. Name entry and the leaderboard
+// screen are behind the LEADERBOARDS feature flag; scores are saved either way.
+//
+//   const entry = saveScore({ score: 1200, mode: 'campaign', level: 2, ... }, replay);
+//   renameHighScore(entry.id, 'Wyatt');
+//   showLeaderboard({ mode: 'endless', difficulty: 'ace' });
+
+const HIGH_SCORE_LIMIT = 10; // Per mode and difficulty
+const HIGH_SCORE_NAME_LENGTH = 16;
+const HIGH_SCORE_EXPORT_FORMAT = 'drazzan-highscores';
+const HIGH_SCORE_EXPORT_VERSION = 1;
+
+// Modes with a table of their own, as the screen labels them
+const LEADERBOARD_MODES = {
+    campaign: 'Campaign',
+    endless: 'Endless',
+    bossRush: 'Boss Rush'
+};
+
+function leaderboardsEnabled() {
+    return window.featureFlags ? window.featureFlags.isEnabled('LEADERBOARDS') : true;
+}
+
+// =============================================================================
+// THE TABLE
+// =============================================================================
+function createHighScoreId() {
+    return `hs-${Date.now().toString(36)}-${Math.floor(Math.random() * 0x100000).toString(36)}`;
+}
+
+function cleanPlayerName(name) {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, HIGH_SCORE_NAME_LENGTH) : '';
+    return trimmed || 'Player';
+}
+
+// The last name typed in, offered again next time
+function loadPlayerName() {
+    return cleanPlayerName(localStorage.getItem('playerName'));
+}
+
+// Fills in what older entries (name and score only) or imported files leave
+// out; null for anything that isn't a score at all, or a boss rush without
+// the clear time it ranks by
+function normalizeHighScore(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.score !== 'number' || !Number.isFinite(raw.score)) return null;
+    const number = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+    const isoDate = value => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/.test(value) && !Number.isNaN(Date.parse(value)) ? value : null);
+    if (raw.mode === 'bossRush' && number(raw.time) === null) return null;
+
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : createHighScoreId(),
+        name: cleanPlayerName(raw.name),
+        score: raw.score,
+        mode: LEADERBOARD_MODES[raw.mode] ? raw.mode : 'campaign',
+        difficulty: DIFFICULTY_PRESETS[raw.difficulty] ? raw.difficulty : 'pilot',
+        adaptive: raw.adaptive === true,
+        level: number(raw.level),
+        time: number(raw.time),      // Seconds of play (a boss rush's clear time)
+        date: isoDate(raw.date),
+        seed: number(raw.seed),
+        replay: typeof raw.replay === 'string' ? raw.replay : null, // Key in highScoreReplays
+        victory: raw.victory === true
+    };
+}
+
+function loadHighScores() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem('highScores'));
+    } catch (error) {
+        stored = null;
+    }
+    if (!Array.isArray(stored)) return [];
+
+    const entries = stored.map(normalizeHighScore).filter(Boolean);
+    if (stored.some(raw => raw && !raw.id)) {
+        localStorage.setItem('highScores', JSON.stringify(entries)); // ✅ Keep the ids handed out to older entries
+    }
+    return entries;
+}
+
+function loadHighScoreReplays() {
+    try {
+        return JSON.parse(localStorage.getItem('highScoreReplays')) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Best first: highest score, or fastest clear in a boss rush
+function scoreRank(entry) {
+    return entry.mode === 'bossRush' ? entry.time : -entry.score;
+}
+
+// Sort, keep the top HIGH_SCORE_LIMIT of each mode and difficulty, drop the
+// replays of entries that fell off, and write it all back
+function storeHighScores(entries, replays = loadHighScoreReplays()) {
+    const sorted = [...entries].sort((a, b) => scoreRank(a) - scoreRank(b));
+    const kept = {};
+    const table = sorted.filter(entry => {
+        const category = `${entry.mode}:${entry.difficulty}`;
+        kept[category] = (kept[category] || 0) + 1;
+        return kept[category] <= HIGH_SCORE_LIMIT;
+    });
+
+    const referenced = new Set(table.map(entry => entry.replay).filter(Boolean));
+    const keptReplays = Object.fromEntries(Object.entries(replays).filter(([id]) => referenced.has(id)));
+
+    localStorage.setItem('highScores', JSON.stringify(table));
+    try {
+        localStorage.setItem('highScoreReplays', JSON.stringify(keptReplays));
+    } catch (error) {
+        // ✅ Long replays can outgrow the storage quota; the scores matter more
+        console.warn('[Leaderboard] Replays not saved:', error.message);
+    }
+    return table;
+}
+
+// Add a finished run; returns its entry, or null if it didn't make the table.
+// `replay` is the run's recording (see core/replay.js), kept with the entry.
+function saveScore(details, replay = null) {
+    const entry = normalizeHighScore({
+        name: loadPlayerName(),
+        date: new Date().toISOString(),
+        ...details,
+        id: createHighScoreId(),
+        replay: null
+    });
+    const replays = loadHighScoreReplays();
+    if (replay) {
+        entry.replay = entry.id;
+        replays[entry.id] = replay;
+    }
+
+    const table = storeHighScores([...loadHighScores(), entry], replays);
+    return table.find(kept => kept.id === entry.id) || null;
+}
+
+// Name entry on the end screens renames the entry that was just saved
+function renameHighScore(id, name) {
+    const clean = cleanPlayerName(name);
+    localStorage.setItem('playerName', clean);
+
+    const entries = loadHighScores();
+    const entry = entries.find(candidate => candidate.id === id);
+    if (entry) {
+        entry.name = clean;
+        storeHighScores(entries);
+    }
+    return clean;
+}
+
+// =============================================================================
+// IMPORT & EXPORT
+// =============================================================================
+function exportHighScores() {
+    const replays = loadHighScoreReplays();
+    const data = {
+        format: HIGH_SCORE_EXPORT_FORMAT,
+        version: HIGH_SCORE_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: loadHighScores().map(entry => ({ ...entry, replay: replays[entry.replay] || null })) // ✅ Replays inline
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `drazzan-highscores-${data.exportedAt.slice(0, 10).replace(/-/g, '')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return link.download;
+}
+
+// Merges a file written by exportHighScores; returns how many entries were
+// new. Throws with a readable reason if it isn't one.
+function importHighScores(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid high score file: not JSON (${error.message})`);
+    }
+    if (!data || data.format !== HIGH_SCORE_EXPORT_FORMAT || !Array.isArray(data.entries)) {
+        throw new Error('Invalid high score file: not a Drazzan high score export');
+    }
+    if (data.version !== HIGH_SCORE_EXPORT_VERSION) {
+        throw new Error(`Unsupported high score file version ${data.version} (expected ${HIGH_SCORE_EXPORT_VERSION})`);
+    }
+
+    const entries = loadHighScores();
+    const replays = loadHighScoreReplays();
+    const known = new Set(entries.map(entry => entry.id));
+    let added = 0;
+
+    for (const raw of data.entries) {
+        const entry = normalizeHighScore({ ...raw, replay: null });
+        if (!entry || known.has(entry.id)) continue;
+
+        // ✅ A replay that doesn't validate is dropped; the score still counts
+        if (raw.replay && typeof raw.replay === 'object') {
+            try {
+                replays[entry.id] = parseReplay(raw.replay);
+                entry.replay = entry.id;
+            } catch (error) {
+                console.warn(`[Leaderboard] Skipped the replay of ${entry.name}'s ${entry.score}: ${error.message}`);
+            }
+        }
+        entries.push(entry);
+        known.add(entry.id);
+        added++;
+    }
+
+    storeHighScores(entries, replays);
+    return added;
+}
+
+function openHighScoreImport(onImported) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = async () => {
+        if (!input.files || !input.files[0]) return;
+        try {
+            const added = importHighScores(await input.files[0].text());
+            console.log(`[Leaderboard] Imported ${added} new entries`);
+            if (onImported) onImported(added);
+        } catch (error) {
+            console.error('[Leaderboard]', error.message);
+            showReplayMessage(error.message);
+        }
+    };
+    input.click();
+}
+
+// =============================================================================
+// SCREENS
+// =============================================================================
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// 🏆 Name entry for the run that was just saved, for the end screens. Other
+// tables (the daily one) pass their own `rename(id, name)` and label, and
+// `leaderboard: false` since this screen only lists high scores.
+function createNameEntry(entry, { rename = renameHighScore, label = 'New high score! ', leaderboard = true } = {}) {
+    const container = document.createElement('div');
+    container.style.marginTop = '10px';
+    if (!entry || !leaderboardsEnabled()) return container;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = HIGH_SCORE_NAME_LENGTH;
+    input.value = entry.name;
+    input.placeholder = 'Your name';
+    input.style.padding = '6px';
+    input.style.fontSize = '16px';
+
+    const button = createReplayButton('🏆 Save Name', () => {
+        input.value = rename(entry.id, input.value);
+        button.innerText = '✅ Saved';
+    });
+    input.addEventListener('keydown', (event) => {
+        event.stopPropagation(); // ✅ Typing a name doesn't steer the ship
+        if (event.key === 'Enter') button.onclick();
+    });
+
+    const text = document.createElement('span');
+    text.innerText = label;
+    button.style.marginLeft = '10px';
+    [text, input, button].forEach(element => container.appendChild(element));
+
+    if (leaderboard) {
+        const board = createReplayButton('📋 Leaderboard', () => showLeaderboard({ mode: entry.mode, difficulty: entry.difficulty }));
+        board.style.marginLeft = '10px';
+        container.appendChild(board);
+    }
+    return container;
+}
+
+// The table, filtered by mode and difficulty ('all' for either)
+function showLeaderboard({ mode = 'all', difficulty = 'all' } = {}) {
+    if (!leaderboardsEnabled()) return null;
+    document.getElementById('leaderboardScreen')?.remove();
+
+    const screen = document.createElement('div');
+    screen.id = 'leaderboardScreen';
+    screen.style.position = 'fixed';
+    screen.style.top = '50%';
+    screen.style.left = '50%';
+    screen.style.transform = 'translate(-50%, -50%)';
+    screen.style.backgroundColor = 'rgba(0, 0, 0, 0.92)';
+    screen.style.padding = '20px';
+    screen.style.border = '2px solid white';
+    screen.style.borderRadius = '10px';
+    screen.style.color = 'white';
+    screen.style.textAlign = 'center';
+    screen.style.zIndex = '1200'; // ✅ Above the end screens and the mode menu it opens from
+    screen.style.maxWidth = '95%';
+    screen.style.maxHeight = '90%';
+    screen.style.overflow = 'auto';
+    screen.style.boxSizing = 'border-box';
+
+    const replays = loadHighScoreReplays();
+    const entries = loadHighScores().filter(entry =>
+        (mode === 'all' || entry.mode === mode) && (difficulty === 'all' || entry.difficulty === difficulty));
+
+    const option = (value, label, selected) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+    const modeOptions = [option('all', 'All modes', mode), ...Object.entries(LEADERBOARD_MODES).map(([key, label]) => option(key, label, mode))];
+    const difficultyOptions = [option('all', 'All difficulties', difficulty), ...Object.entries(DIFFICULTY_PRESETS).map(([key, preset]) => option(key, preset.name, difficulty))];
+
+    const rows = entries.map((entry, index) => `
+        <tr>
+            <td>${index + 1}</td>
+            <td style="text-align: left;">${escapeHtml(entry.name)}${entry.victory ? ' ✅' : ''}</td>
+            <td>${entry.score}</td>
+            <td>${LEADERBOARD_MODES[entry.mode]}</td>
+            <td>${DIFFICULTY_PRESETS[entry.difficulty].name}${entry.adaptive ? ' (adaptive)' : ''}</td>
+            <td>${entry.level ?? '-'}</td>
+            <td>${entry.time !== null ? (entry.mode === 'bossRush' ? formatSplit(entry.time) : formatReplayTime(entry.time)) : '-'}</td>
+            <td>${entry.date ? escapeHtml(entry.date.slice(0, 10)) : '-'}</td>
+            <td>${entry.seed ?? '-'}</td>
+            <td>${replays[entry.replay] ? `<button data-replay="${escapeHtml(entry.replay)}">▶</button>` : ''}</td>
+        </tr>
+    `).join('');
+
+    screen.innerHTML = `
+        <h2>🏆 Leaderboard</h2>
+        <div style="margin-bottom: 10px;">
+            <select id="leaderboardMode">${modeOptions.join('')}</select>
+            <select id="leaderboardDifficulty">${difficultyOptions.join('')}</select>
+        </div>
+        <table style="margin: 0 auto; font-size: 15px; border-spacing: 12px 4px;">
+            <tr><th>#</th><th>Name</th><th>Score</th><th>Mode</th><th>Difficulty</th><th>Level</th><th>Time</th><th>Date</th><th>Seed</th><th>Replay</th></tr>
+            ${rows || '<tr><td colspan="10" style="color: #888;">No scores yet</td></tr>'}
+        </table>
+    `;
+
+    const refresh = () => showLeaderboard({
+        mode: screen.querySelector('#leaderboardMode').value,
+        difficulty: screen.querySelector('#leaderboardDifficulty').value
+    });
+    screen.querySelector('#leaderboardMode').onchange = refresh;
+    screen.querySelector('#leaderboardDifficulty').onchange = refresh;
+    screen.querySelectorAll('button[data-replay]').forEach(button => {
+        button.onclick = () => {
+            screen.remove();
+            watchReplay(replays[button.dataset.replay]);
+        };
+    });
+
+    const actions = document.createElement('div');
+    actions.style.marginTop = '15px';
+    actions.style.display = 'flex';
+    actions.style.gap = '10px';
+    actions.style.justifyContent = 'center';
+    actions.appendChild(createReplayButton('💾 Export JSON', () => exportHighScores()));
+    actions.appendChild(createReplayButton('📂 Import JSON', () => openHighScoreImport(refresh)));
+    actions.appendChild(createReplayButton('Close', () => screen.remove()));
+    screen.appendChild(actions);
+
+    document.body.appendChild(screen);
+    return screen;
+}
+
+window.showLeaderboard = showLeaderboard;
+window.exportHighScores = exportHighScores;
+window.importHighScores = importHighScores;
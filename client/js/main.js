@@ -1,21 +1,50 @@
-const backgroundMusic = new Audio("assets/8bit_retro.mp3"); // ✅ Ensure correct path
+const backgroundMusic = Assets.sound('music'); // ✅ Preloaded by Assets
 backgroundMusic.loop = true; // ✅ Loops continuously
 backgroundMusic.volume = 0.3; // ✅ Adjust volume if needed
 
-function startGame() {
-    let startButton = document.getElementById('startButton');
-    let thumbnail = document.getElementById('gameThumbnailContainer'); // ✅ Get the thumbnail container
+function stopBackgroundMusic() {
+    backgroundMusic.pause();
+    backgroundMusic.currentTime = 0; // ✅ Resets for the next game
+}
 
-    // ✅ Remove the start button if it exists
-    if (startButton) {
-        startButton.remove();
+// =============================================================================
+// BOOT & MENU SCENES
+// =============================================================================
+// Boot waits behind the loading screen for the assets and the level file,
+// then the Menu shows the start screen.
+scenes.register(SCENES.BOOT, {
+    enter() {
+        setStartScreenVisible(false);
+        Promise.all([window.assetsReady, window.campaignReady]).then(() => {
+            if (scenes.is(SCENES.BOOT)) scenes.change(SCENES.MENU);
+        });
     }
+});
 
-    // ✅ Remove the thumbnail if it exists
-    if (thumbnail) {
-        thumbnail.remove();
+// `startScreen: false` leaves the start button hidden (the PWA mode
+// selection is showing instead)
+scenes.register(SCENES.MENU, {
+    enter({ startScreen = true }, from) {
+        if (from !== SCENES.BOOT) {
+            stopBackgroundMusic();
+            resetRun(); // ✅ Leave a fresh run waiting behind the menu
+        }
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (startScreen) setStartScreenVisible(true);
+    },
+    exit() {
+        setStartScreenVisible(false);
     }
+});
 
+function setStartScreenVisible(visible) {
+    ['startButton', 'gameThumbnailContainer'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.style.display = visible ? '' : 'none';
+    });
+}
+
+function startGame() {
     resizeCanvas(); // ✅ Ensure canvas fills the screen
 
     // 🚀 **Start Background Music if Not Already Playing**
@@ -25,12 +54,14 @@ function startGame() {
         });
     }
 
-    // 🚀 **Start the Intro Animation**
-    if (typeof playIntro === "function") { 
-        playIntro(); 
-    } else {
-        console.error("❌ playIntro is not defined! Check if intro.js is loaded.");
-    }
+    // 🚀 **Start the Intro Animation** (once the assets and level file have loaded)
+    Promise.all([window.assetsReady, window.campaignReady]).then(() => {
+        if (scenes.is(SCENES.BOOT, SCENES.MENU)) {
+            scenes.change(SCENES.INTRO);
+        } else {
+            restartGame(); // ✅ Started again from another mode mid-run
+        }
+    });
 }
 
 
@@ -43,3 +74,5 @@ document.addEventListener("DOMContentLoaded", () => {
         console.error("❌ Start button not found in HTML!");
     }
 });
+
+scenes.start(SCENES.BOOT);
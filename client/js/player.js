@@ -1,29 +0,0 @@
-class Player {
-    constructor() {
-        this.width = 60;
-        this.height = 60;
-        this.x = canvas.width / 2 - this.width / 2;
-        this.y = canvas.height - 100;
-        this.speed = CONFIG.playerSpeed;
-        this.image = new Image();
-        this.image.src = "assets/spaceship.png";
-        this.shield = 100; // ✅ Shield starts at 100%
-    }
-
-    move(keys) {
-        if (keys["ArrowLeft"] && this.x > 0) this.x -= this.speed;
-        if (keys["ArrowRight"] && this.x < canvas.width - this.width) this.x += this.speed;
-        if (keys["ArrowUp"] && this.y > 0) this.y -= this.speed;
-        if (keys["ArrowDown"] && this.y < canvas.height - this.height) this.y += this.speed;
-    }
-
-
-    draw(ctx) {
-        ctx.drawImage(this.image, this.x, this.y, this.width, this.height);
-    }
-}
-
-const player = new Player();
-
-// Make player globally accessible for debugging and PWA integration
-window.player = player;
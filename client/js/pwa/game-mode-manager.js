@@ -6,7 +6,7 @@ import { SinglePlayerGame } from './single-player-game.js';
 // Game Mode Manager - handles different multiplayer game modes and lobby functionality
 class GameModeManager {
     constructor() {
-        this.currentMode = 'single'; // single, coop, versus, lobby
+        this.currentMode = 'single'; // single, endless, boss-rush, daily, coop, versus, lobby
         this.gameState = 'menu'; // menu, lobby, starting, playing, ended
         this.lobbyOptions = {
             mode: 'coop',
@@ -17,6 +17,7 @@ class GameModeManager {
         };
         this.activePlayers = new Map(); // playerId -> PlayerState
         this.gameSession = null;
+        this.hostedRoom = null; // Peer server room while hosting; outlives gameSession, which the running game replaces
         this.ui = new GameModeUI(this);
         this.multiplayerGame = new MultiplayerGame(this);
         this.singlePlayerGame = new SinglePlayerGame(this);
@@ -93,6 +94,15 @@ class GameModeManager {
             case 'single':
                 this.startSinglePlayer();
                 break;
+            case 'endless':
+                this.startSinglePlayer('endless');
+                break;
+            case 'boss-rush':
+                this.setupBossRushMode();
+                break;
+            case 'daily':
+                this.startSinglePlayer('daily');
+                break;
             case 'coop':
                 this.setupCooperativeMode();
                 break;
@@ -112,12 +122,19 @@ class GameModeManager {
         });
     }
 
-    // Single player mode (existing gameplay)
-    startSinglePlayer() {
-        console.log('[GameMode] Starting single player game');
+    // Single player mode (existing gameplay); `runMode` is one of RUN_MODES
+    // in core/simulation.js, or 'daily' for today's daily challenge
+    startSinglePlayer(runMode = 'campaign') {
+        console.log('[GameMode] Starting single player game:', runMode);
         this.gameState = 'playing';
         this.ui.hide();
 
+        if (runMode === 'daily' && typeof window.startDailyChallenge === 'function') {
+            window.startDailyChallenge();
+        } else if (typeof window.setRunMode === 'function') {
+            window.setRunMode(runMode);
+        }
+
         // Initialize single player game using our new architecture
         try {
             this.singlePlayerGame.initialize();
@@ -167,6 +184,29 @@ class GameModeManager {
         }
     }
 
+    // Boss rush: solo by default, or a coop room with `{ coop: true }`
+    setupBossRushMode() {
+        if (!this.lobbyOptions.coop) {
+            this.startSinglePlayer('bossRush');
+            return;
+        }
+
+        this.gameState = 'lobby';
+        this.lobbyOptions.mode = 'boss-rush';
+
+        if (this.networkManager) {
+            if (!this.gameSession || !this.gameSession.gameCode) {
+                this.hostGame();
+            } else {
+                this.showLobby();
+            }
+        } else {
+            this.ui.showError('Network not available. Starting solo boss rush.');
+            this.lobbyOptions.coop = false;
+            this.startSinglePlayer('bossRush');
+        }
+    }
+
     // Setup versus multiplayer
     setupVersusMode() {
         this.gameState = 'lobby';
@@ -196,6 +236,12 @@ class GameModeManager {
                 const gameCode = await this.networkManager.hostGame(this.lobbyOptions);
                 console.log('[GameMode] Got game code:', gameCode);
 
+                // The peer server tracks the room and its mode for server discovery
+                this.closeGameRoom(); // ✅ Hosting again replaces the last room
+                this.hostedRoom = window.peerServer
+                    ? window.peerServer.createGameRoom(this.networkManager.peerId, this.lobbyOptions.mode)
+                    : null;
+
                 this.gameSession = {
                     gameCode,
                     isHost: true,
@@ -252,6 +298,8 @@ class GameModeManager {
 
         if (this.currentMode === 'single') {
             this.startSinglePlayer();
+        } else if (this.currentMode === 'boss-rush' && !this.lobbyOptions.coop) {
+            this.startSinglePlayer('bossRush');
         } else {
             this.startMultiplayerGame();
         }
@@ -297,6 +345,13 @@ class GameModeManager {
     initializeMultiplayerGame() {
         console.log(`[GameMode] Starting ${this.currentMode} game with ${this.activePlayers.size} players`);
 
+        // The host's simulation plays the boss roster in a boss rush room
+        if (typeof window.setRunMode === 'function') {
+            window.setRunMode(this.currentMode === 'boss-rush' ? 'bossRush' : 'campaign');
+        }
+        // ✅ A rematch reuses a room that has already started
+        if (this.hostedRoom?.state === 'waiting') this.hostedRoom.startGame();
+
         // Initialize our multiplayer game instance
         this.multiplayerGame.initialize(this.currentMode, this.isHost);
 
@@ -309,6 +364,11 @@ class GameModeManager {
         this.multiplayerGame.startGame();
         this.gameSession = this.multiplayerGame;
 
+        // 👾 A boss rush room flies the roster in the live game; the host's run sets the splits
+        if (this.currentMode === 'boss-rush' && typeof startGame === 'function') {
+            startGame();
+        }
+
         console.log(`[GameMode] ${this.currentMode} game initialized with ${this.activePlayers.size} players`);
     }
 
@@ -405,6 +465,7 @@ class GameModeManager {
     // End current game
     endGame(reason = 'Game ended') {
         this.gameState = 'ended';
+        this.closeGameRoom();
 
         if (this.networkManager) {
             this.networkManager.broadcast({
@@ -442,13 +503,22 @@ class GameModeManager {
         }
 
         // Clear game session
+        this.closeGameRoom();
         this.gameSession = null;
     }
 
+    // The peer server's room lives as long as the session that hosted it;
+    // left open, rooms pile up until hosting hits maxConcurrentGames
+    closeGameRoom() {
+        if (this.hostedRoom && window.peerServer) window.peerServer.closeGameRoom(this.hostedRoom.id);
+        this.hostedRoom = null;
+    }
+
     // Reset to initial state
     reset() {
         this.gameState = 'menu';
         this.activePlayers.clear();
+        this.closeGameRoom();
         this.gameSession = null;
 
         // Stop any active games
@@ -489,6 +559,9 @@ class GameModeManager {
                 break;
             case 'game_starting':
                 if (!this.gameSession?.isHost) {
+                    // ✅ Joined peers take the host's mode (a coop room may be a boss rush)
+                    this.currentMode = message.mode;
+                    this.lobbyOptions = { ...this.lobbyOptions, ...message.options };
                     this.gameState = 'starting';
                     this.ui.showGameStarting();
                 }
@@ -599,9 +672,13 @@ class GameModeManager {
         this.currentMode = 'single';
         this.gameState = 'menu';
         this.activePlayers.clear();
+        this.closeGameRoom();
         this.gameSession = null;
         this.isHost = false;
         this.ui.reset();
+        if (this.singlePlayerGame) {
+            this.singlePlayerGame.stop(); // ✅ Ends a running single player game without a reload
+        }
         if (this.multiplayerGame) {
             this.multiplayerGame.endGame('reset');
         }
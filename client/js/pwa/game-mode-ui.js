@@ -217,6 +217,30 @@ class GameModeUI {
                     box-shadow: none;
                 }
                 
+                .difficulty-picker {
+                    margin-bottom: 20px;
+                }
+
+                .difficulty-picker .difficulty-button {
+                    padding: 8px 16px;
+                    margin: 0 4px 8px;
+                    border: 2px solid #00ff88;
+                    background: transparent;
+                    color: #ffffff;
+                    cursor: pointer;
+                    border-radius: 6px;
+                }
+
+                .difficulty-picker .difficulty-button.selected {
+                    background: rgba(0, 255, 136, 0.3);
+                }
+
+                .difficulty-picker label {
+                    display: block;
+                    color: #cccccc;
+                    font-size: 0.9em;
+                }
+
                 .coming-soon {
                     color: #ffaa00;
                     font-size: 0.8em;
@@ -413,6 +437,8 @@ class GameModeUI {
         const singlePlayerEnabled = featureFlags ? featureFlags.isEnabled('SINGLE_PLAYER') : true;
         const coopEnabled = featureFlags ? featureFlags.isEnabled('COOPERATIVE_MODE') : false;
         const versusEnabled = featureFlags ? featureFlags.isEnabled('VERSUS_MODE') : false;
+        const leaderboardsEnabled = featureFlags ? featureFlags.isEnabled('LEADERBOARDS') : false;
+        const achievementsEnabled = featureFlags ? featureFlags.isEnabled('ACHIEVEMENTS') : false;
 
         // Get status messages for disabled features
         const coopStatus = featureFlags ? featureFlags.getFeatureStatus('COOPERATIVE_MODE') : { status: 'disabled', message: 'Coming Soon' };
@@ -422,12 +448,29 @@ class GameModeUI {
             <div class="mode-selection">
                 <h1 class="mode-title">THE DRAZZAN INVASION</h1>
                 <p class="mode-subtitle">Choose your battle mode</p>
+
+                ${this.renderDifficultyPicker()}
                 
                 <div class="mode-buttons">
                     <button class="mode-button primary" onclick="gameModeManager.setMode('single')" ${!singlePlayerEnabled ? 'disabled' : ''}>
                         <h3>🚀 Single Player</h3>
                         <p>Classic solo experience</p>
                     </button>
+
+                    <button class="mode-button" onclick="gameModeManager.setMode('endless')" ${!singlePlayerEnabled ? 'disabled' : ''}>
+                        <h3>♾️ Endless</h3>
+                        <p>Survive escalating waves for as long as you can</p>
+                    </button>
+
+                    <button class="mode-button" onclick="gameModeManager.setMode('boss-rush', { coop: false })" ${!singlePlayerEnabled ? 'disabled' : ''}>
+                        <h3>👾 Boss Rush</h3>
+                        <p>Every boss back to back, against the clock</p>
+                    </button>
+
+                    <button class="mode-button" onclick="gameModeManager.setMode('daily')" ${!singlePlayerEnabled ? 'disabled' : ''}>
+                        <h3>📅 Daily Challenge</h3>
+                        <p>${this.renderDailyModifiers()}</p>
+                    </button>
                     
                     <button class="mode-button ${!coopEnabled ? 'disabled' : ''}" ${!coopEnabled ? 'onclick="return false;"' : 'onclick="gameModeManager.setMode(\'coop\')"'}>
                         <h3>🤝 Cooperative</h3>
@@ -435,6 +478,12 @@ class GameModeUI {
                         ${!coopEnabled ? `<div class="coming-soon">${coopStatus.message}</div>` : ''}
                     </button>
                     
+                    <button class="mode-button ${!coopEnabled ? 'disabled' : ''}" ${!coopEnabled ? 'onclick="return false;"' : 'onclick="gameModeManager.setMode(\'boss-rush\', { coop: true })"'}>
+                        <h3>👾 Co-op Boss Rush</h3>
+                        <p>Take the bosses down together</p>
+                        ${!coopEnabled ? `<div class="coming-soon">${coopStatus.message}</div>` : ''}
+                    </button>
+                    
                     <button class="mode-button ${!versusEnabled ? 'disabled' : ''}" ${!versusEnabled ? 'onclick="return false;"' : 'onclick="gameModeManager.setMode(\'versus\')"'}>
                         <h3>⚔️ Versus</h3>
                         <p>Compete for the highest score</p>
@@ -446,6 +495,20 @@ class GameModeUI {
                         <p>Enter a game code</p>
                         ${!(coopEnabled || versusEnabled) ? '<div class="coming-soon">Available with multiplayer modes</div>' : ''}
                     </button>
+
+                    ${leaderboardsEnabled ? `
+                    <button class="mode-button" onclick="window.showLeaderboard && window.showLeaderboard()">
+                        <h3>🏆 Leaderboard</h3>
+                        <p>High scores by mode and difficulty</p>
+                    </button>
+                    ` : ''}
+
+                    ${achievementsEnabled ? `
+                    <button class="mode-button" onclick="window.showAchievements && window.showAchievements()">
+                        <h3>🏅 Achievements</h3>
+                        <p>Your unlocks and progress</p>
+                    </button>
+                    ` : ''}
                 </div>
                 
                 <p style="color: #888; font-size: 0.9em; margin-top: 20px;">
@@ -650,10 +713,53 @@ class GameModeUI {
         }
     }
 
+    // 🎚 Difficulty presets (core/difficulty.js) for single player runs
+    renderDifficultyPicker() {
+        const presets = window.DIFFICULTY_PRESETS;
+        const simulation = window.gameSimulation;
+        if (!presets || !simulation) return '';
+
+        const buttons = Object.entries(presets).map(([key, preset]) => `
+            <button class="difficulty-button ${simulation.difficultyName === key ? 'selected' : ''}"
+                    title="${preset.description}"
+                    onclick="window.gameModeManager.ui.selectDifficulty('${key}')">${preset.name}</button>
+        `).join('');
+
+        return `
+            <div class="difficulty-picker">
+                ${buttons}
+                <label>
+                    <input type="checkbox" ${simulation.adaptive ? 'checked' : ''}
+                           onchange="window.gameModeManager.ui.selectDifficulty(null, this.checked)">
+                    Adaptive (eases off or leans in as you play)
+                </label>
+            </div>
+        `;
+    }
+
+    // Today's modifiers (core/daily.js), the same for everyone
+    renderDailyModifiers() {
+        if (typeof window.dailyChallenge !== 'function') return 'Same run for everyone, every day';
+        const challenge = window.dailyChallenge();
+        const names = challenge.modifiers.map(key => window.DAILY_MODIFIERS[key].name);
+        return `${challenge.date}: ${names.join(' + ')}`;
+    }
+
+    selectDifficulty(preset, adaptive) {
+        const simulation = window.gameSimulation;
+        if (typeof window.setDifficulty !== 'function' || !simulation) return;
+
+        window.setDifficulty(preset ?? simulation.difficultyName, adaptive ?? simulation.adaptive);
+        this.showModeSelection(); // ✅ Re-render with the new selection
+    }
+
     // Helper methods
     getModeDisplayName() {
         const modes = {
             'single': 'Single Player',
+            'endless': 'Endless',
+            'boss-rush': this.manager.lobbyOptions.coop ? 'Co-op Boss Rush' : 'Boss Rush',
+            'daily': 'Daily Challenge',
             'coop': 'Cooperative',
             'versus': 'Versus',
             'lobby': 'Lobby'
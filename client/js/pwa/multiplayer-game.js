@@ -1,4 +1,15 @@
 // Multiplayer Game - handles the actual multiplayer game mechanics
+import { circlesOverlap } from '../core/collisions.js';
+import { SeededRandom } from '../core/random.js';
+import { POWER_UPS, PowerUpTimers } from '../core/powerups.js';
+
+const PLAYER_HIT_RADIUS = 15;
+
+// The POWER_UPS entries multiplayer ships have effects for; no other type drops
+// here. Shield stands in for the old health pickup, since a multiplayer ship's
+// health is its shield.
+const MULTIPLAYER_POWER_UPS = ['shield', 'rapid'];
+
 class MultiplayerGame {
     constructor(gameModeManager) {
         this.manager = gameModeManager;
@@ -53,12 +64,16 @@ class MultiplayerGame {
 
     // Load and adapt existing game components
     loadGameComponents() {
-        // Import existing game modules with multiplayer modifications
-        this.canvas = new Canvas();
-        this.input = new Input();
-        this.collisions = new Collisions();
-        this.explosions = new Explosions();
-        this.scoreboard = new Scoreboard();
+        // World bounds and RNG are injected like the core GameSimulation, so the
+        // host can run this without a canvas (e.g. in Node)
+        const canvas = typeof window !== 'undefined' ? window.canvas : null;
+        this.world = {
+            width: canvas?.width || 800,
+            height: canvas?.height || 600
+        };
+        // The host picks the seed and shares it in every sync so all peers draw the same numbers
+        this.random = new SeededRandom();
+        this.gameState.seed = this.random.seed;
 
         // Convert single player to multiplayer arrays
         this.adaptSinglePlayerComponents();
@@ -93,7 +108,7 @@ class MultiplayerGame {
             health: 100,
             score: 0,
             lives: 3,
-            powerUps: [],
+            powerUps: new PowerUpTimers(), // Same catalogue and timers as single player
             isActive: true,
             lastUpdate: Date.now(),
             inputState: {
@@ -153,6 +168,9 @@ class MultiplayerGame {
             case 'versus':
                 this.setupVersusMode();
                 break;
+            case 'boss-rush':
+                this.setupBossRushMode();
+                break;
             default:
                 console.warn(`Unknown game mode: ${this.gameState.mode}`);
         }
@@ -181,6 +199,35 @@ class MultiplayerGame {
         };
     }
 
+    // Boss rush: cooperative rules, but the host's simulation plays the boss
+    // roster and reports each split; the room wins once the last boss is down
+    setupBossRushMode() {
+        this.setupCooperativeMode();
+        this.gameMode = {
+            ...this.gameMode,
+            type: 'bossRush',
+            splits: [],    // { boss, name, split, total } in the order they fell
+            clearTime: null,
+
+            checkWinCondition: () => this.gameMode.clearTime !== null
+        };
+    }
+
+    // ⏱ Called for each bossSplit on the host (and relayed to peers)
+    recordBossSplit({ boss, name, split, total }) {
+        if (this.gameMode?.type !== 'bossRush') return;
+        this.gameMode.splits.push({ boss, name, split, total });
+        this.gameState.roundNumber = this.gameMode.splits.length + 1;
+        console.log(`[MultiplayerGame] Boss rush split ${this.gameMode.splits.length}: ${name} in ${split.toFixed(2)}s (${total.toFixed(2)}s total)`);
+    }
+
+    // The clear time is the run time when the last boss fell
+    completeBossRush() {
+        if (this.gameMode?.type !== 'bossRush') return;
+        const last = this.gameMode.splits[this.gameMode.splits.length - 1];
+        this.gameMode.clearTime = last ? last.total : this.gameState.gameTime / 1000;
+    }
+
     // Setup versus mode
     setupVersusMode() {
         this.gameMode = {
@@ -239,6 +286,9 @@ class MultiplayerGame {
         for (const [playerId, player] of this.gameState.players) {
             if (!player.isActive) continue;
 
+            // Count down timed power-ups (the timers run in seconds)
+            player.powerUps.update(deltaTime / 1000);
+
             // Apply player physics (adapted from original player.js)
             this.updatePlayerPhysics(player, deltaTime);
 
@@ -272,11 +322,11 @@ class MultiplayerGame {
         player.y += player.vy * deltaTime / 16.67;
 
         // Screen wrapping
-        const canvas = this.canvas.getCanvas();
-        if (player.x < 0) player.x = canvas.width;
-        if (player.x > canvas.width) player.x = 0;
-        if (player.y < 0) player.y = canvas.height;
-        if (player.y > canvas.height) player.y = 0;
+        const world = this.world;
+        if (player.x < 0) player.x = world.width;
+        if (player.x > world.width) player.x = 0;
+        if (player.y < 0) player.y = world.height;
+        if (player.y > world.height) player.y = 0;
     }
 
     // Process player input
@@ -294,8 +344,8 @@ class MultiplayerGame {
 
         const playerLasers = this.gameObjects.lasers.get(playerId) || [];
 
-        // Limit laser count
-        if (playerLasers.length >= 4) return;
+        // Limit laser count (rapid fire doubles it)
+        if (playerLasers.length >= (player.powerUps.has('rapid') ? 8 : 4)) return;
 
         const laser = {
             id: `${playerId}_${Date.now()}`,
@@ -339,11 +389,11 @@ class MultiplayerGame {
             asteroid.angle += asteroid.rotationSpeed * deltaTime / 16.67;
 
             // Screen wrapping
-            const canvas = this.canvas.getCanvas();
-            if (asteroid.x < -asteroid.size) asteroid.x = canvas.width + asteroid.size;
-            if (asteroid.x > canvas.width + asteroid.size) asteroid.x = -asteroid.size;
-            if (asteroid.y < -asteroid.size) asteroid.y = canvas.height + asteroid.size;
-            if (asteroid.y > canvas.height + asteroid.size) asteroid.y = -asteroid.size;
+            const world = this.world;
+            if (asteroid.x < -asteroid.size) asteroid.x = world.width + asteroid.size;
+            if (asteroid.x > world.width + asteroid.size) asteroid.x = -asteroid.size;
+            if (asteroid.y < -asteroid.size) asteroid.y = world.height + asteroid.size;
+            if (asteroid.y > world.height + asteroid.size) asteroid.y = -asteroid.size;
         });
     }
 
@@ -365,9 +415,9 @@ class MultiplayerGame {
                 }
 
                 // Screen boundary check
-                const canvas = this.canvas.getCanvas();
-                if (laser.x < 0 || laser.x > canvas.width ||
-                    laser.y < 0 || laser.y > canvas.height) {
+                const world = this.world;
+                if (laser.x < 0 || laser.x > world.width ||
+                    laser.y < 0 || laser.y > world.height) {
                     lasers.splice(i, 1);
                 }
             }
@@ -400,7 +450,7 @@ class MultiplayerGame {
             if (!player.isActive) continue;
 
             this.gameObjects.asteroids.forEach((asteroid, asteroidIndex) => {
-                if (this.collisions.checkCollision(player, asteroid)) {
+                if (this.checkCollision(player, asteroid)) {
                     this.handlePlayerHit(playerId, 'asteroid', 25);
                     this.createExplosion(player.x, player.y, 'player');
                 }
@@ -458,6 +508,7 @@ class MultiplayerGame {
             type: 'gameStateSync',
             timestamp: Date.now(),
             gameTime: this.gameState.gameTime,
+            seed: this.gameState.seed,
             players: this.serializePlayers(),
             gameObjects: this.serializeGameObjects(),
             scores: Object.fromEntries(this.gameState.scores)
@@ -518,7 +569,7 @@ class MultiplayerGame {
             } else if (id !== this.localPlayerId) {
                 // Add new remote player
                 console.log('[MultiplayerGame] Adding new remote player:', id);
-                this.gameState.players.set(id, playerData);
+                this.gameState.players.set(id, { ...playerData, powerUps: new PowerUpTimers() });
             }
         }
 
@@ -527,7 +578,7 @@ class MultiplayerGame {
             this.gameObjects.asteroids = syncData.gameObjects.asteroids || [];
             this.gameObjects.enemies = syncData.gameObjects.enemies || [];
             this.gameObjects.explosions = syncData.gameObjects.explosions || [];
-            this.gameObjects.powerUps = syncData.gameObjects.powerUps || [];
+            this.gameObjects.powerUps = (syncData.gameObjects.powerUps || []).filter(powerUp => MULTIPLAYER_POWER_UPS.includes(powerUp.type));
         }
 
         // Update scores
@@ -535,6 +586,12 @@ class MultiplayerGame {
             this.gameState.scores = new Map(Object.entries(syncData.scores));
         }
 
+        // Adopt the host's RNG seed
+        if (syncData.seed !== undefined && syncData.seed !== this.gameState.seed) {
+            this.gameState.seed = syncData.seed;
+            this.random = new SeededRandom(syncData.seed);
+        }
+
         // Update game time
         if (syncData.gameTime !== undefined) {
             this.gameState.gameTime = syncData.gameTime;
@@ -580,6 +637,7 @@ class MultiplayerGame {
         const results = {
             reason: reason,
             duration: this.gameState.gameTime,
+            ...(this.gameMode?.type === 'bossRush' ? { splits: [...this.gameMode.splits], clearTime: this.gameMode.clearTime } : {}),
             finalScores: Object.fromEntries(this.gameState.scores),
             players: Array.from(this.gameState.players.values()).map(p => ({
                 id: p.id,
@@ -590,9 +648,21 @@ class MultiplayerGame {
         };
 
         console.log('Game ended:', results);
+
+        // 🏅 Achievements and the like hear about finished matches on the game event bus
+        if (['victory', 'defeat'].includes(reason) && typeof window !== 'undefined' && window.gameEvents) {
+            const winner = this.gameMode?.getWinner ? this.gameMode.getWinner() : null;
+            const won = winner ? this.isLocalPlayer(winner.id) : reason === 'victory';
+            window.gameEvents.emit('matchEnded', { mode: this.gameMode?.type ?? this.gameState.mode, reason, won });
+        }
         return results;
     }
 
+    // The host plays as 'host' until the lobby gives it a peer id
+    isLocalPlayer(playerId) {
+        return playerId === this.manager?.networkManager?.peerId || (this.isHost && playerId === 'host');
+    }
+
     // Utility methods
     getTotalLives() {
         return Array.from(this.gameState.players.values())
@@ -615,15 +685,15 @@ class MultiplayerGame {
     }
 
     spawnAsteroid() {
-        const canvas = this.canvas.getCanvas();
+        const world = this.world;
         const asteroid = {
-            x: Math.random() * canvas.width,
-            y: Math.random() * canvas.height,
-            vx: (Math.random() - 0.5) * 4,
-            vy: (Math.random() - 0.5) * 4,
-            angle: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.1,
-            size: 30 + Math.random() * 20,
+            x: this.random.next() * world.width,
+            y: this.random.next() * world.height,
+            vx: (this.random.next() - 0.5) * 4,
+            vy: (this.random.next() - 0.5) * 4,
+            angle: this.random.next() * Math.PI * 2,
+            rotationSpeed: (this.random.next() - 0.5) * 0.1,
+            size: 30 + this.random.next() * 20,
             health: 50
         };
 
@@ -633,7 +703,7 @@ class MultiplayerGame {
     checkGameConditions() {
         if (this.gameMode?.checkWinCondition()) {
             this.endGame('victory');
-        } else if (this.gameMode?.checkLoseCondition()) {
+        } else if (this.gameMode?.checkLoseCondition?.()) { // ✅ Versus has no lose condition, only a winner
             this.endGame('defeat');
         }
     }
@@ -714,7 +784,7 @@ class MultiplayerGame {
                 for (let j = this.gameObjects.asteroids.length - 1; j >= 0; j--) {
                     const asteroid = this.gameObjects.asteroids[j];
 
-                    if (this.collisions.checkCollision(laser, asteroid)) {
+                    if (this.checkCollision(laser, asteroid)) {
                         // Remove laser
                         lasers.splice(i, 1);
 
@@ -746,7 +816,7 @@ class MultiplayerGame {
             if (!player.isActive) continue;
 
             this.gameObjects.enemies.forEach(enemy => {
-                if (this.collisions.checkCollision(player, enemy)) {
+                if (this.checkCollision(player, enemy)) {
                     this.handlePlayerHit(playerId, 'enemy', 30);
                     this.createExplosion(player.x, player.y, 'player');
                 }
@@ -762,7 +832,7 @@ class MultiplayerGame {
             for (let i = this.gameObjects.powerUps.length - 1; i >= 0; i--) {
                 const powerUp = this.gameObjects.powerUps[i];
 
-                if (this.collisions.checkCollision(player, powerUp)) {
+                if (this.checkCollision(player, powerUp)) {
                     this.gameObjects.powerUps.splice(i, 1);
                     this.applyPowerUp(playerId, powerUp.type);
                 }
@@ -776,7 +846,7 @@ class MultiplayerGame {
 
         for (let i = 0; i < players.length; i++) {
             for (let j = i + 1; j < players.length; j++) {
-                if (this.collisions.checkCollision(players[i], players[j])) {
+                if (this.checkCollision(players[i], players[j])) {
                     // Handle player collision
                     this.handlePlayerHit(players[i].id, 'player', 15);
                     this.handlePlayerHit(players[j].id, 'player', 15);
@@ -785,22 +855,31 @@ class MultiplayerGame {
         }
     }
 
+    // Circle test from the shared simulation core
+    checkCollision(obj1, obj2) {
+        return circlesOverlap(
+            obj1.x, obj1.y, this.getHitRadius(obj1),
+            obj2.x, obj2.y, this.getHitRadius(obj2)
+        );
+    }
+
+    getHitRadius(obj) {
+        return obj.size ? obj.size / 2 : PLAYER_HIT_RADIUS;
+    }
+
+    // Power-up durations and stacking come from core/powerups.js; only
+    // MULTIPLAYER_POWER_UPS have an effect here
     applyPowerUp(playerId, powerUpType) {
         const player = this.gameState.players.get(playerId);
-        if (!player) return;
+        const definition = POWER_UPS[powerUpType];
+        if (!player || !definition || !MULTIPLAYER_POWER_UPS.includes(powerUpType)) return;
 
-        switch (powerUpType) {
-            case 'health':
-                player.health = Math.min(100, player.health + 25);
-                break;
-            case 'shield':
-                player.shield = 50;
-                break;
-            case 'rapidFire':
-                player.rapidFire = 5000; // 5 seconds
-                break;
+        player.powerUps.collect(powerUpType);
+
+        if (powerUpType === 'shield') {
+            player.health = Math.min(100, player.health + definition.amount); // Multiplayer ships' health is their shield
         }
     }
 }
 
-export { MultiplayerGame };
\ No newline at end of file
+export { MultiplayerGame, MULTIPLAYER_POWER_UPS };
\ No newline at end of file
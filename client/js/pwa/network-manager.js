@@ -611,6 +611,12 @@ class NetworkManager {
                 this.handleGameStateSync(message, fromPeerId);
                 break;
 
+            case 'gameEvent':
+                if (window.gameInstance && window.gameInstance.handleNetworkEvent) {
+                    window.gameInstance.handleNetworkEvent(message.payload, fromPeerId);
+                }
+                break;
+
             case 'ping':
                 this.sendToPlayer(fromPeerId, { type: 'pong', timestamp: message.timestamp });
                 break;
@@ -104,6 +104,9 @@ class PeerServer {
         if (this.gameRooms.size >= this.serverCapabilities.maxConcurrentGames) {
             throw new Error('Server at capacity');
         }
+        if (!this.serverCapabilities.supportedGameModes.includes(gameMode)) {
+            throw new Error(`Unsupported game mode: ${gameMode}`);
+        }
 
         const gameId = this.generateGameId();
         const gameRoom = new GameRoom(gameId, hostPlayerId, gameMode, this.serverCapabilities.hasWasmServer);
@@ -162,6 +165,20 @@ class PeerServer {
         return true;
     }
 
+    // End a room outright (the host's game is over) and drop every session in it
+    closeGameRoom(gameId) {
+        const gameRoom = this.gameRooms.get(gameId);
+        if (!gameRoom) return false;
+
+        if (gameRoom.state !== 'ended') gameRoom.endGame();
+        for (const [playerId, session] of this.playerSessions) {
+            if (session.gameId === gameId) this.playerSessions.delete(playerId);
+        }
+        this.gameRooms.delete(gameId);
+        console.log('[PeerServer] Closed game room:', gameId);
+        return true;
+    }
+
     handleHostMigration(gameRoom) {
         // Migrate host to another player
         const players = Array.from(gameRoom.players.keys());
@@ -22,8 +22,8 @@ class SinglePlayerGame {
         this.config = {
             maxAsteroids: 5,
             asteroidSpawnRate: 100,
-            asteroidIncreaseInterval: 600, // 10 seconds at 60fps
-            asteroidIncreaseInterval: 600
+            asteroidIncreaseInterval: 10, // seconds
+            simulationStep: 1 / 60
         };
     }
 
@@ -32,7 +32,7 @@ class SinglePlayerGame {
         console.log('[SinglePlayer] Initializing single player game');
 
         // Use the existing startGame function which handles the proper flow:
-        // startGame() -> playIntro() -> gameLoop()
+        // startGame() -> Intro scene -> Playing scene
         if (typeof startGame === 'function') {
             console.log('[SinglePlayer] Using existing startGame function');
             startGame();
@@ -124,7 +124,8 @@ class SinglePlayerGame {
             window.CONFIG = {
                 maxAsteroids: 5,
                 asteroidSpawnRate: 100,
-                asteroidIncreaseInterval: 600
+                asteroidIncreaseInterval: 10,
+                simulationStep: 1 / 60
             };
         }
     }
@@ -194,9 +195,9 @@ class SinglePlayerGame {
                 return;
             }
 
-            // Use existing update function
+            // Use existing update function (one fixed step per frame)
             if (typeof update === 'function') {
-                update();
+                update(this.config.simulationStep);
             }
 
             // Use existing draw function or create our own
@@ -235,33 +236,36 @@ class SinglePlayerGame {
     updateGame() {
         if (!this.player) return;
 
+        // Entity speeds are per second; the fallback loop advances one fixed step per frame
+        const dt = this.config.simulationStep || 1 / 60;
+
         // Update player
         if (this.player.move) {
-            this.player.move(this.keys);
+            this.player.move(this.keys, dt);
         }
 
         // Update lasers
-        this.updateLasers();
+        this.updateLasers(dt);
 
         // Update asteroids
-        this.updateAsteroids();
+        this.updateAsteroids(dt);
 
         // Update explosions
-        this.updateExplosions();
+        this.updateExplosions(dt);
 
         // Check collisions
         this.checkCollisions();
 
         // Spawn new asteroids
-        this.manageAsteroidSpawning();
+        this.manageAsteroidSpawning(dt);
     }
 
     // Update lasers
-    updateLasers() {
+    updateLasers(dt) {
         for (let i = this.lasers.length - 1; i >= 0; i--) {
             const laser = this.lasers[i];
             if (laser.move) {
-                laser.move();
+                laser.move(dt);
             } else {
                 // Basic laser movement
                 laser.y -= laser.speed || 5;
@@ -275,11 +279,11 @@ class SinglePlayerGame {
     }
 
     // Update asteroids
-    updateAsteroids() {
+    updateAsteroids(dt) {
         for (let i = this.asteroids.length - 1; i >= 0; i--) {
             const asteroid = this.asteroids[i];
             if (asteroid.move) {
-                asteroid.move();
+                asteroid.move(dt);
             } else {
                 // Basic asteroid movement
                 asteroid.y += asteroid.speed || 2;
@@ -293,12 +297,12 @@ class SinglePlayerGame {
     }
 
     // Update explosions
-    updateExplosions() {
+    updateExplosions(dt) {
         for (let i = this.explosions.length - 1; i >= 0; i--) {
             const explosion = this.explosions[i];
             if (explosion.update) {
-                explosion.update();
-                if (explosion.finished) {
+                explosion.update(dt);
+                if (explosion.finished || explosion.timer <= 0) {
                     this.explosions.splice(i, 1);
                 }
             } else {
@@ -374,9 +378,9 @@ class SinglePlayerGame {
     }
 
     // Manage asteroid spawning
-    manageAsteroidSpawning() {
+    manageAsteroidSpawning(dt) {
         // Increase difficulty over time
-        this.gameState.asteroidIncreaseTimer++;
+        this.gameState.asteroidIncreaseTimer += dt;
         if (this.gameState.asteroidIncreaseTimer >= this.config.asteroidIncreaseInterval) {
             this.config.maxAsteroids += 2;
             this.config.asteroidSpawnRate = Math.max(this.config.asteroidSpawnRate - 5, 40);
@@ -525,10 +529,15 @@ class SinglePlayerGame {
         this.startGameLoop();
     }
 
-    // Stop the game
+    // Stop the game and tear the run down (back to the menu scene, with the
+    // start button left hidden for the mode selection)
     stop() {
         console.log('[SinglePlayer] Stopping single player game');
         this.isActive = false;
+
+        if (window.scenes && !window.scenes.is(window.SCENES.BOOT, window.SCENES.MENU)) {
+            window.scenes.change(window.SCENES.MENU, { startScreen: false });
+        }
     }
 
     // Pause the game
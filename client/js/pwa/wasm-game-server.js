@@ -1,5 +1,6 @@
 // WebAssembly Game Server Loader
 // Integrates AssemblyScript-compiled WASM with the game client
+import { circlesOverlap } from '../core/collisions.js';
 
 class GameServerWASM {
   constructor() {
@@ -203,7 +204,7 @@ class GameServerWASM {
 
 // JavaScript fallback implementation
 class JavaScriptGameServer {
-  constructor() {
+  constructor({ width = 800, height = 600 } = {}) {
     this.players = new Map();
     this.projectiles = new Map();
     this.enemies = new Map();
@@ -212,8 +213,8 @@ class JavaScriptGameServer {
     this.gameFrame = 0;
     this.bossActive = false;
     
-    this.CANVAS_WIDTH = 800;
-    this.CANVAS_HEIGHT = 600;
+    this.CANVAS_WIDTH = width;
+    this.CANVAS_HEIGHT = height;
     this.MAX_PLAYERS = 4;
   }
 
@@ -361,10 +362,7 @@ class JavaScriptGameServer {
   }
 
   checkCollision(x1, y1, r1, x2, y2, r2) {
-    const dx = x1 - x2;
-    const dy = y1 - y2;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    return distance < (r1 + r2);
+    return circlesOverlap(x1, y1, r1, x2, y2, r2); // Same test as the browser simulation
   }
 
   getGameState() {
@@ -397,4 +395,4 @@ class JavaScriptGameServer {
 }
 
 // Export for use in the main game
-export { GameServerWASM };
\ No newline at end of file
+export { GameServerWASM, JavaScriptGameServer };
\ No newline at end of file
@@ -2,6 +2,7 @@
 // Loads and manages WebAssembly modules for distributed game hosting
 
 import { GameServerWASM } from './wasm-game-server.js';
+import { SeededRandom } from '../core/random.js';
 
 class WASMLoader {
   constructor() {
@@ -272,6 +273,7 @@ const wasmLoader = new WASMLoader();
 export { wasmLoader, WASMLoader };
 class WasmLoader {
   constructor() {
+    this.random = new SeededRandom(); // Backs js_random so server-side spawns are reproducible
     this.wasmModule = null;
     this.gameServer = null;
     this.isLoaded = false;
@@ -361,7 +363,7 @@ class WasmLoader {
         },
 
         js_random: () => {
-          return Math.random();
+          return this.random.next();
         },
 
         // WebRTC callbacks
@@ -611,6 +613,12 @@ class WasmGameServer {
     return new Uint8Array(this.memory.buffer, ptr, len);
   }
 
+  // Reseed the server RNG (e.g. with the host's seed) before starting a match
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+    return this.random.seed;
+  }
+
   // Cleanup
   destroy() {
     if (this.exports.cleanup_game_server) {
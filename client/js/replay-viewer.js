@@ -0,0 +1,354 @@
+// =============================================================================
+// REPLAY VIEWER
+// =============================================================================
+// Watches .drzreplay recordings with pause, seek and 0.25x-4x speed.
+// gameloop.js records every run; playback re-simulates it from the seed in a
+// separate GameSimulation (js/core/replay.js) and renders it with draw(), so
+// the live game underneath is left exactly as it was.
+//
+// Open a replay by:
+// - "Watch Replay" / "Save Replay" on the game over and mission complete screens
+// - dropping a .drzreplay file onto the page
+// - ?replay=<url> in the address bar (handy for bug report attachments)
+// - the debug console `replay` command
+// =============================================================================
+
+const REPLAY_SPEED_STEPS = [0.25, 0.5, 1, 2, 4];
+const REPLAY_SEEK_SECONDS = 5;
+
+class ReplayViewer {
+    constructor() {
+        this.active = false;
+        this.player = null;
+        this.element = null;
+        this.lastTimestamp = null;
+        this.hiddenElements = [];
+
+        this.frame = this.frame.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    open(replay) {
+        if (this.active) this.close();
+
+        this.player = new ReplayPlayer(replay);
+        this.active = true;
+        this.lastTimestamp = null;
+
+        // ✅ The start screen and mode menu sit over the canvas; tuck them away while watching
+        this.hiddenElements = ['startButton', 'gameThumbnailContainer', 'gameModeUI']
+            .map(id => document.getElementById(id))
+            .filter(element => element && element.style.display !== 'none');
+        this.hiddenElements.forEach(element => { element.style.display = 'none'; });
+
+        setViewedSimulation(this.player.simulation);
+        this.createUI();
+        window.addEventListener('keydown', this.handleKeyDown, true);
+
+        console.log(`[Replay] Watching seed ${replay.seed}, ${formatReplayTime(this.player.duration)} long`);
+        requestAnimationFrame(this.frame);
+    }
+
+    close() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.player = null;
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+        setViewedSimulation();
+
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        this.hiddenElements.forEach(element => { element.style.display = ''; });
+        this.hiddenElements = [];
+
+        // ✅ Drop any controls pressed while watching so the live game starts clean
+        Object.keys(keys).forEach(key => { keys[key] = false; });
+        readInput();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+
+    frame(timestamp) {
+        if (!this.active) return;
+
+        const seconds = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+        this.lastTimestamp = timestamp;
+
+        this.player.advance(Math.min(seconds, CONFIG.maxFrameTime));
+        this.render();
+        this.updateUI();
+
+        requestAnimationFrame(this.frame);
+    }
+
+    // 🌟 draw() fits the recorded world to the current canvas (letterboxed)
+    render() {
+        draw(this.player.alpha);
+    }
+
+    // =========================================================================
+    // CONTROLS
+    // =========================================================================
+    togglePause() {
+        this.player.togglePause();
+        this.lastTimestamp = null;
+    }
+
+    seekBy(seconds) {
+        this.player.seekTime(this.player.time + seconds);
+    }
+
+    changeSpeed(direction) {
+        const index = REPLAY_SPEED_STEPS.indexOf(this.player.speed);
+        const next = Math.max(0, Math.min(REPLAY_SPEED_STEPS.length - 1, index + direction));
+        this.player.setSpeed(REPLAY_SPEED_STEPS[next]);
+    }
+
+    handleKeyDown(event) {
+        const actions = {
+            ' ': () => this.togglePause(),
+            'ArrowLeft': () => this.seekBy(-REPLAY_SEEK_SECONDS),
+            'ArrowRight': () => this.seekBy(REPLAY_SEEK_SECONDS),
+            '[': () => this.changeSpeed(-1),
+            ']': () => this.changeSpeed(1),
+            'Escape': () => this.close()
+        };
+
+        const action = actions[event.key];
+        if (!action) return;
+
+        // ✅ Keep the keys away from the (frozen) live game
+        event.preventDefault();
+        event.stopPropagation();
+        action();
+    }
+
+    createUI() {
+        const replay = this.player.replay;
+
+        this.element = document.createElement('div');
+        this.element.id = 'replayViewer';
+        this.element.style.position = 'fixed';
+        this.element.style.left = '50%';
+        this.element.style.bottom = '20px';
+        this.element.style.transform = 'translateX(-50%)';
+        this.element.style.width = 'min(720px, 94%)';
+        this.element.style.boxSizing = 'border-box';
+        this.element.style.padding = '10px 15px';
+        this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        this.element.style.border = '2px solid white';
+        this.element.style.borderRadius = '10px';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+        this.element.style.fontSize = '14px';
+        this.element.style.zIndex = '1002';
+
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.justifyContent = 'space-between';
+        header.style.marginBottom = '8px';
+        const summary = replay.summary || {};
+        header.innerHTML = `
+            <span>🎬 <strong>REPLAY</strong> &nbsp; Seed ${replay.seed}${summary.score !== undefined ? ` &nbsp; Score ${summary.score}` : ''}</span>
+            <span style="color: #888888;">Space pause · ←/→ seek · [ ] speed · Esc exit</span>
+        `;
+        this.element.appendChild(header);
+
+        if (replay.tampered) {
+            const warning = document.createElement('div');
+            warning.style.color = '#ffcc00';
+            warning.style.marginBottom = '8px';
+            warning.innerText = '⚠ Debug commands were used during this run - playback may not match what happened.';
+            this.element.appendChild(warning);
+        }
+
+        const controls = document.createElement('div');
+        controls.style.display = 'flex';
+        controls.style.alignItems = 'center';
+        controls.style.gap = '10px';
+
+        this.playButton = createReplayButton('⏸', () => this.togglePause());
+        this.playButton.style.width = '40px';
+        controls.appendChild(this.playButton);
+
+        this.seekBar = document.createElement('input');
+        this.seekBar.type = 'range';
+        this.seekBar.min = '0';
+        this.seekBar.max = String(this.player.length);
+        this.seekBar.value = '0';
+        this.seekBar.style.flex = '1';
+        this.seekBar.addEventListener('input', () => this.player.seek(Number(this.seekBar.value)));
+        controls.appendChild(this.seekBar);
+
+        this.timeLabel = document.createElement('span');
+        this.timeLabel.style.minWidth = '90px';
+        this.timeLabel.style.textAlign = 'right';
+        controls.appendChild(this.timeLabel);
+
+        this.speedSelect = document.createElement('select');
+        REPLAY_SPEED_STEPS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.innerText = `${speed}x`;
+            this.speedSelect.appendChild(option);
+        });
+        this.speedSelect.value = '1';
+        this.speedSelect.addEventListener('change', () => this.player.setSpeed(Number(this.speedSelect.value)));
+        controls.appendChild(this.speedSelect);
+
+        controls.appendChild(createReplayButton('Exit', () => this.close()));
+
+        this.element.appendChild(controls);
+        document.body.appendChild(this.element);
+        this.updateUI();
+    }
+
+    updateUI() {
+        if (!this.element) return;
+
+        const player = this.player;
+        this.playButton.innerText = player.paused || player.finished ? '▶' : '⏸';
+        if (document.activeElement !== this.seekBar) {
+            this.seekBar.value = String(player.tick);
+        }
+        this.timeLabel.innerText = `${formatReplayTime(player.time)} / ${formatReplayTime(player.duration)}`;
+        this.speedSelect.value = String(player.speed);
+    }
+}
+
+const replayViewer = new ReplayViewer();
+window.replayViewer = replayViewer;
+
+function createReplayButton(label, onClick) {
+    const button = document.createElement('button');
+    button.innerText = label;
+    button.style.padding = '6px 12px';
+    button.style.fontSize = '14px';
+    button.style.borderRadius = '5px';
+    button.style.cursor = 'pointer';
+    button.onclick = onClick;
+    return button;
+}
+
+function formatReplayTime(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${(whole % 60).toString().padStart(2, '0')}`;
+}
+
+// =============================================================================
+// SAVING & LOADING
+// =============================================================================
+function replayFileName(replay) {
+    const date = (replay.recordedAt || new Date().toISOString()).slice(0, 16).replace(/[-:T]/g, '');
+    return `drazzan-${replay.seed}-${date}.drzreplay`;
+}
+
+// 💾 Download the current run (or a given replay) as a .drzreplay file
+function downloadReplay(replay = currentReplay()) {
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = replayFileName(replay);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    console.log(`[Replay] Saved ${link.download} (${replay.ticks} ticks)`);
+    return link.download;
+}
+
+function watchReplay(replay = currentReplay()) {
+    try {
+        replayViewer.open(parseReplay(replay));
+        return true;
+    } catch (error) {
+        console.error('[Replay]', error.message);
+        showReplayMessage(error.message);
+        return false;
+    }
+}
+
+async function loadReplayFile(file) {
+    return watchReplay(await file.text());
+}
+
+// 📂 Let the player pick a .drzreplay file
+function openReplayFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.drzreplay,application/json';
+    input.onchange = () => {
+        if (input.files && input.files[0]) loadReplayFile(input.files[0]);
+    };
+    input.click();
+}
+
+function showReplayMessage(text) {
+    const message = document.createElement('div');
+    message.innerText = text;
+    message.style.position = 'fixed';
+    message.style.top = '20px';
+    message.style.left = '50%';
+    message.style.transform = 'translateX(-50%)';
+    message.style.padding = '10px 20px';
+    message.style.backgroundColor = 'rgba(120, 0, 0, 0.9)';
+    message.style.color = 'white';
+    message.style.borderRadius = '5px';
+    message.style.zIndex = '1300'; // ✅ Over the leaderboard too
+    document.body.appendChild(message);
+    setTimeout(() => message.remove(), 4000);
+}
+
+// Buttons for the end-of-run screens
+function createReplayButtons() {
+    const container = document.createElement('div');
+    container.style.marginTop = '10px';
+    container.style.display = 'flex';
+    container.style.gap = '10px';
+    container.style.justifyContent = 'center';
+
+    container.appendChild(createReplayButton('🎬 Watch Replay', () => watchReplay()));
+    container.appendChild(createReplayButton('💾 Save Replay', () => downloadReplay()));
+    return container;
+}
+
+// ✅ Drop a .drzreplay anywhere on the page to watch it
+document.addEventListener('dragover', (event) => {
+    if (event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')) {
+        event.preventDefault();
+    }
+});
+
+document.addEventListener('drop', (event) => {
+    const file = event.dataTransfer && event.dataTransfer.files[0];
+    if (file && file.name.endsWith('.drzreplay')) {
+        event.preventDefault();
+        loadReplayFile(file);
+    }
+});
+
+// ✅ ?replay=<url> opens a shared recording straight away
+document.addEventListener('DOMContentLoaded', () => {
+    const replayUrl = new URLSearchParams(window.location.search).get('replay');
+    if (!replayUrl) return;
+
+    fetch(replayUrl)
+        .then(response => {
+            if (!response.ok) throw new Error(`Could not load replay (${response.status})`);
+            return response.text();
+        })
+        .then(watchReplay)
+        .catch(error => {
+            console.error('[Replay]', error.message);
+            showReplayMessage(error.message);
+        });
+});
+
+window.downloadReplay = downloadReplay;
+window.watchReplay = watchReplay;
+window.openReplayFile = openReplayFile;
@@ -0,0 +1,113 @@
+// =============================================================================
+// SCENES
+// =============================================================================
+// The game's lifecycle as one explicit state machine:
+//
+//   Boot -> Menu -> Intro -> Playing <-> BossIntro
+//                              |-> Victory  -> (Play Again) Intro
+//                              '-> GameOver -> (Play Again) Intro
+//
+// Every file registers the scenes it owns (main.js: Boot and Menu, intro.js:
+// Intro, gameloop.js: the rest). A scene is a plain object of optional hooks:
+//
+//   enter(data, from)  set the scene up; `data` is whatever change() was given
+//   exit(to)           undo anything enter() started (audio, listeners)
+//   frame(timestamp)   called on every animation frame while it is current
+//   update(dt)         one fixed simulation step (gameloop.js calls it)
+//
+// Elements added with scenes.addElement() and timers started with
+// scenes.setTimeout() belong to the current scene and are removed when it
+// exits, so restarting never needs a page reload or a sweep of the DOM.
+// Every change is announced as a `sceneChanged` game event.
+// =============================================================================
+
+const SCENES = {
+    BOOT: 'boot',
+    MENU: 'menu',
+    INTRO: 'intro',
+    PLAYING: 'playing',
+    BOSS_INTRO: 'bossIntro',
+    VICTORY: 'victory',
+    GAME_OVER: 'gameOver'
+};
+
+class SceneManager {
+    constructor() {
+        this.scenes = new Map();
+        this.name = null;     // Current scene name
+        this.current = null;  // Current scene hooks
+        this.elements = [];   // DOM owned by the current scene
+        this.timers = [];     // Timeouts owned by the current scene
+        this.running = false;
+
+        this.frame = this.frame.bind(this);
+    }
+
+    register(name, scene) {
+        if (this.scenes.has(name)) throw new Error(`Scene "${name}" is already registered`);
+        this.scenes.set(name, scene);
+    }
+
+    // Leave the current scene (tearing it down) and enter `name`
+    change(name, data = {}) {
+        const scene = this.scenes.get(name);
+        if (!scene) throw new Error(`Unknown scene "${name}"`);
+
+        const from = this.name;
+        if (this.current && this.current.exit) this.current.exit(name);
+        this.teardown();
+
+        this.name = name;
+        this.current = scene;
+        console.log(`[Scenes] ${from || 'start'} -> ${name}`);
+        if (window.gameEvents) window.gameEvents.emit('sceneChanged', { scene: name, from });
+        if (scene.enter) scene.enter(data, from);
+    }
+
+    is(...names) {
+        return names.includes(this.name);
+    }
+
+    // ✅ Append an element that disappears when the scene exits
+    addElement(element) {
+        document.body.appendChild(element);
+        this.elements.push(element);
+        return element;
+    }
+
+    // ✅ A timeout that is cancelled when the scene exits
+    setTimeout(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers = this.timers.filter(id => id !== timer);
+            callback();
+        }, delay);
+        this.timers.push(timer);
+        return timer;
+    }
+
+    teardown() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.elements.forEach(element => element.remove());
+        this.elements = [];
+    }
+
+    // 🚀 One animation loop for every scene
+    start(name, data) {
+        this.change(name, data);
+        if (!this.running) {
+            this.running = true;
+            requestAnimationFrame(this.frame);
+        }
+    }
+
+    frame(timestamp) {
+        if (this.current && this.current.frame) this.current.frame(timestamp);
+        requestAnimationFrame(this.frame);
+    }
+}
+
+const scenes = new SceneManager();
+
+window.SCENES = SCENES;
+window.scenes = scenes;
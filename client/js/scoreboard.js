@@ -1,4 +1,6 @@
-function showScoreBoard() {
+// `highScore` is this run's entry on the high score table, if it placed
+// (`dailyScore` on the date's table, for a daily run)
+function showScoreBoard(highScore = null, dailyScore = null) {
     const scoreBoard = document.createElement('div'); // ✅ Create it FIRST
 
     scoreBoard.style.position = 'fixed'; // ✅ Prevent layout shift
@@ -46,6 +48,10 @@ function showScoreBoard() {
     scoreBoard.innerHTML = `
         <h2>Game Over</h2>
         <p><strong>Final Score:</strong> ${score}</p>
+        ${gameSimulation.mode === 'endless' ? `<p>♾️ Endless: reached level ${level}</p>` : ''}
+        ${gameSimulation.mode === 'bossRush' ? `<p>👾 Boss Rush: ${gameSimulation.splits.length} of ${gameSimulation.rushLevels.length} bosses down</p>` : ''}
+        ${dailyRun ? dailyResultHtml(dailyRun, { score, time: gameSimulation.time, cleared: false }) : ''}
+        ${scoreBreakdownHtml(scoring.summary())}
         <p style="font-style: italic; color: #ffcc00;">${randomMessage}</p> <!-- ✅ Message is now visible! -->
     `;
     // Play Again button
@@ -58,30 +64,172 @@ function showScoreBoard() {
     restartButton.style.borderRadius = '5px';
     restartButton.style.cursor = 'pointer';
     restartButton.style.zIndex = '1001'; // ✅ Keep it above just in case
-    restartButton.onclick = resetGame;
+    restartButton.onclick = () => restartGame();
 
 
     scoreBoard.appendChild(restartButton);
-    document.body.appendChild(scoreBoard);
+    if (dailyRun) scoreBoard.appendChild(createDailyShareButton(dailyRun, { score, time: gameSimulation.time, cleared: false }));
+
+    // 🎬 Watch or share this run
+    if (typeof createReplayButtons === 'function') {
+        scoreBoard.appendChild(createReplayButtons());
+    }
+    scoreBoard.appendChild(dailyRun ? createDailyNameEntry(dailyRun, dailyScore) : createNameEntry(highScore)); // 🏆 Put a name to it
+    scenes.addElement(scoreBoard); // ✅ Removed when the Game Over scene ends
     scoreBoard.style.zIndex = "1000"; // ✅ Ensures it appears over the game without affecting UI
 }
 
-function saveScore(finalScore) {
-    let highScores = JSON.parse(localStorage.getItem('highScores')) || [];
+// 🏆 Where the points came from (see core/scoring.js), as a small table
+const SCORE_BREAKDOWN_LABELS = {
+    asteroid: 'Asteroids',
+    enemy: 'Drazzan ships',
+    boss: 'Mothership bonus',
+    graze: 'Grazes',
+    combo: 'Combo bonus',
+    streak: 'No-damage streak',
+    accuracy: 'Accuracy bonus',
+    noDamage: 'Flawless levels'
+};
+
+function scoreBreakdownHtml(summary) {
+    const rows = Object.entries(SCORE_BREAKDOWN_LABELS)
+        .filter(([key]) => summary.breakdown[key] > 0)
+        .map(([key, label]) => `<tr><td style="text-align: left; padding-right: 20px;">${label}</td><td style="text-align: right;">${summary.breakdown[key]}</td></tr>`)
+        .join('');
+    const stats = `Best combo ${summary.bestChain} &nbsp;|&nbsp; Accuracy ${Math.round(summary.accuracy * 100)}% &nbsp;|&nbsp; Grazes ${summary.grazes}`;
+
+    return `
+        <table style="margin: 10px auto; font-size: 16px;">${rows}</table>
+        <p style="font-size: 14px; color: #aaaaaa;">${stats}</p>
+    `;
+}
+
+// ⏱ Boss rush: each boss's split and the total clear time
+function bossRushSplitsHtml(splits, total) {
+    const rows = splits
+        .map((entry, index) => `<tr><td style="text-align: left; padding-right: 20px;">${index + 1}. ${entry.name}</td><td style="text-align: right;">${formatSplit(entry.time)}</td></tr>`)
+        .join('');
+
+    return `
+        <table style="margin: 10px auto; font-size: 16px;">${rows}</table>
+        <p><strong>Clear time:</strong> ${formatSplit(total)}</p>
+    `;
+}
+
+// m:ss.hh - boss rush splits are won and lost by fractions of a second
+function formatSplit(seconds) {
+    const whole = Math.floor(seconds);
+    const hundredths = Math.floor((seconds - whole) * 100);
+    return `${Math.floor(whole / 60)}:${(whole % 60).toString().padStart(2, '0')}.${hundredths.toString().padStart(2, '0')}`;
+}
 
-    // Save new score
-    highScores.push({ name: "Player", score: finalScore });
+// HUD suffix for every run mode but the campaign
+const RUN_MODE_LABELS = {
+    endless: 'Endless',
+    bossRush: 'Boss Rush'
+};
 
-    // Sort scores from highest to lowest
-    highScores.sort((a, b) => b.score - a.score);
+// =============================================================================
+// DAILY CHALLENGE
+// =============================================================================
+// One leaderboard per date (core/daily.js), kept for DAILY_HISTORY_DAYS dates
+const DAILY_HISTORY_DAYS = 30;
 
-    // Keep only the top 10 scores
-    highScores = highScores.slice(0, 10);
+function modifierNames(keys) {
+    return keys.length > 0 ? keys.map(key => DAILY_MODIFIERS[key].name).join(', ') : 'None';
+}
+
+function loadDailyScores() {
+    try {
+        return JSON.parse(localStorage.getItem('dailyScores')) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// The saved entry if it made the date's top 10, else null (like saveScore)
+function saveDailyScore(challenge, finalScore, time, cleared = false) {
+    const scores = loadDailyScores();
+    const entries = scores[challenge.date] || [];
+    const entry = { id: createHighScoreId(), name: loadPlayerName(), score: finalScore, time, cleared };
+    entries.push(entry);
+    entries.sort((a, b) => b.score - a.score);
+    scores[challenge.date] = entries.slice(0, 10);
+
+    // ✅ Oldest dates go first (YYYY-MM-DD sorts by date)
+    const dates = Object.keys(scores).sort();
+    dates.slice(0, Math.max(0, dates.length - DAILY_HISTORY_DAYS)).forEach(date => delete scores[date]);
+
+    localStorage.setItem('dailyScores', JSON.stringify(scores));
+    return scores[challenge.date].includes(entry) ? entry : null;
+}
+
+// Name entry on the daily end screens renames the entry that was just saved
+function renameDailyScore(challenge, id, name) {
+    const clean = cleanPlayerName(name);
+    localStorage.setItem('playerName', clean);
+
+    const scores = loadDailyScores();
+    const entry = (scores[challenge.date] || []).find(candidate => candidate.id === id);
+    if (entry) {
+        entry.name = clean;
+        localStorage.setItem('dailyScores', JSON.stringify(scores));
+    }
+    return clean;
+}
+
+// 🏆 The high score name entry, for a daily score; renames its row in the table too
+function createDailyNameEntry(challenge, entry) {
+    return createNameEntry(entry, {
+        label: 'Daily top 10! ',
+        leaderboard: false,
+        rename: (id, name) => {
+            const clean = renameDailyScore(challenge, id, name);
+            document.querySelectorAll(`[data-daily-score="${id}"]`).forEach(cell => { cell.textContent = clean; });
+            return clean;
+        }
+    });
+}
+
+// 📅 The result card plus the date's leaderboard
+function dailyResultHtml(challenge, result) {
+    const entries = loadDailyScores()[challenge.date] || [];
+    const rows = entries
+        .map((entry, index) => `<tr><td style="text-align: left; padding-right: 20px;">${index + 1}. <span data-daily-score="${escapeHtml(entry.id ?? '')}">${escapeHtml(entry.name)}</span>${entry.cleared ? ' ✅' : ''}</td><td style="text-align: right; padding-right: 20px;">${entry.score}</td><td style="text-align: right;">${formatSplit(entry.time)}</td></tr>`)
+        .join('');
+
+    return `
+        <pre style="margin: 10px auto; padding: 10px; border: 1px solid #00ff88; border-radius: 6px; text-align: left; display: inline-block; font-size: 15px;">${dailyResultCard(challenge, result)}</pre>
+        <table style="margin: 10px auto; font-size: 14px;">${rows}</table>
+    `;
+}
 
-    // Save to localStorage
-    localStorage.setItem('highScores', JSON.stringify(highScores));
+// Plain text, so it pastes anywhere
+function dailyResultCard(challenge, result) {
+    return [
+        `🛸 Drazzan Daily ${challenge.date}`,
+        `${result.cleared ? '✅ Cleared' : '💀 Shot down'}  |  Score ${result.score}  |  Time ${formatSplit(result.time)}`,
+        `Modifiers: ${modifierNames(challenge.modifiers)}`
+    ].join('\n');
 }
 
-function resetGame() {
-    location.reload(); // Reload the page to restart the game
+// Shares through the OS where it can, otherwise copies the card
+function createDailyShareButton(challenge, result) {
+    const button = document.createElement('button');
+    button.innerText = '📋 Share Result';
+    button.style.marginTop = '10px';
+    button.style.marginLeft = '10px';
+    button.style.padding = '10px 20px';
+    button.style.fontSize = '18px';
+    button.style.borderRadius = '5px';
+    button.style.cursor = 'pointer';
+    button.onclick = () => {
+        const text = dailyResultCard(challenge, result);
+        if (navigator.share) {
+            navigator.share({ title: `Drazzan Daily ${challenge.date}`, text }).catch(() => {});
+        } else if (navigator.clipboard) {
+            navigator.clipboard.writeText(text).then(() => { button.innerText = 'Copied!'; });
+        }
+    };
+    return button;
 }
@@ -1,28 +1,52 @@
-const CACHE_NAME = 'drazzan-invasion-v2.0.0';
+// Images, sounds and level data come from the same manifest the game loads
+importScripts('/js/asset-manifest.js');
+
+const CACHE_NAME = 'drazzan-invasion-v2.1.0';
 const CACHE_URLS = [
   '/',
   '/index.html',
   '/css/styles.css',
   // Core JavaScript files
-  '/js/asteroids.js',
-  '/js/bossLaser.js',
+  '/js/asset-manifest.js',
+  '/js/assets.js',
   '/js/canvas.js',
-  '/js/collisions.js',
-  '/js/config.js',
   '/js/debug-console.js',
-  '/js/enemy.js',
-  '/js/enemyLaser.js',
-  '/js/explosions.js',
   '/js/feature-flags.js',
   '/js/gameloop.js',
   '/js/input.js',
   '/js/intro.js',
-  '/js/lasers.js',
   '/js/main.js',
-  '/js/player.js',
-  '/js/powerup.js',
+  '/js/replay-viewer.js',
+  '/js/achievements.js',
+  '/js/scenes.js',
   '/js/scoreboard.js',
+  '/js/leaderboard.js',
   '/js/utils.js',
+  // Simulation core (ES modules, DOM-free)
+  '/js/core/achievements.js',
+  '/js/core/boss.js',
+  '/js/core/bossrush.js',
+  '/js/core/bosses.js',
+  '/js/core/collisions.js',
+  '/js/core/daily.js',
+  '/js/core/difficulty.js',
+  '/js/core/endless.js',
+  '/js/core/enemies.js',
+  '/js/core/enemy.js',
+  '/js/core/entities.js',
+  '/js/core/events.js',
+  '/js/core/game-clock.js',
+  '/js/core/levels.js',
+  '/js/core/paths.js',
+  '/js/core/pool.js',
+  '/js/core/powerups.js',
+  '/js/core/random.js',
+  '/js/core/replay.js',
+  '/js/core/scoring.js',
+  '/js/core/settings.js',
+  '/js/core/simulation.js',
+  '/js/core/validation.js',
+  '/js/core/weapons.js',
   // PWA and multiplayer files
   '/js/pwa/service-worker-bridge.js',
   '/js/pwa/network-manager.js',
@@ -33,24 +57,10 @@ const CACHE_URLS = [
   '/js/pwa/multiplayer-game.js',
   '/js/pwa/integration-bridge.js',
   '/js/pwa/wasm-loader.js',
+  '/js/pwa/wasm-game-server.js',
   '/wasm/game-server.wasm',
-  // Assets
-  '/assets/8bit_retro.mp3',
-  '/assets/asteroid.png',
-  '/assets/days_work.MP3',
-  '/assets/drazzan_mothership.png',
-  '/assets/enemy.png',
-  '/assets/explosion.gif',
-  '/assets/explosion_noise.mp3',
-  '/assets/game_thumbnail.jpg',
-  '/assets/laser1.MP3',
-  '/assets/norinavio.png',
-  '/assets/powerup.png',
-  '/assets/spaceship.png',
-  '/assets/wyatt001.MP3',
-  '/assets/wyatt_01.MP3',
-  '/assets/wyatt_02.MP3',
-  '/assets/wyatt_10.MP3'
+  // Assets and level data
+  ...assetManifestUrls()
 ];
 
 // Install event - cache resources
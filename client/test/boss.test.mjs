@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeBossDefinition } from '../js/core/boss.js';
+import { BOSS_DEFINITIONS } from '../js/core/bosses.js';
+
+// A one-phase boss with the given attack
+function bossWith(attack) {
+    return { name: 'Test Boss', width: 200, height: 100, health: 100, phases: [{ attacks: [attack] }] };
+}
+
+function errorsFor(attack) {
+    const errors = [];
+    normalizeBossDefinition(bossWith(attack), 'bosses.test', errors);
+    return errors;
+}
+
+test('the built-in bosses validate', () => {
+    for (const [type, definition] of Object.entries(BOSS_DEFINITIONS)) {
+        const errors = [];
+        normalizeBossDefinition(definition, `bosses.${type}`, errors);
+        assert.deepEqual(errors, [], type);
+    }
+});
+
+test('attack timings and speeds must be above zero', () => {
+    assert.deepEqual(errorsFor({ pattern: 'spiral', interval: 0 }), ['bosses.test.phases[0].attacks[0].interval: must be greater than 0']);
+    assert.deepEqual(errorsFor({ pattern: 'aimedBurst', interval: -1 }), ['bosses.test.phases[0].attacks[0].interval: must be greater than 0']);
+    assert.deepEqual(errorsFor({ pattern: 'sweep', duration: 0 }), ['bosses.test.phases[0].attacks[0].duration: must be greater than 0']);
+    assert.deepEqual(errorsFor({ pattern: 'arc', speed: -300 }), ['bosses.test.phases[0].attacks[0].speed: must be greater than 0']);
+});
+
+test('shot, arm and summon counts must be positive whole numbers', () => {
+    assert.deepEqual(errorsFor({ pattern: 'aimedBurst', shots: -3 }), ['bosses.test.phases[0].attacks[0].shots: must be a positive whole number']);
+    assert.deepEqual(errorsFor({ pattern: 'spiral', arms: 2.5 }), ['bosses.test.phases[0].attacks[0].arms: must be a positive whole number']);
+    assert.deepEqual(errorsFor({ pattern: 'summon', count: 0 }), ['bosses.test.phases[0].attacks[0].count: must be a positive whole number']);
+});
+
+test('angles may still be negative', () => {
+    assert.deepEqual(errorsFor({ pattern: 'sweep', from: -90, to: -30 }), []);
+    assert.deepEqual(errorsFor({ pattern: 'spiral', rotation: -90 }), []);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCollision, colliderBounds, boundsOverlap, circlesOverlap, SpatialHash } from '../js/core/collisions.js';
+
+const box = (x, y, width = 10, height = 10, collider) => ({ x, y, width, height, ...(collider ? { collider } : {}) });
+
+test('boxes collide when they overlap and not when they only touch', () => {
+    assert.ok(checkCollision(box(0, 0), box(5, 5)));
+    assert.ok(!checkCollision(box(0, 0), box(10, 0)));
+    assert.ok(!checkCollision(box(0, 0), box(20, 20)));
+});
+
+test('an inset trims the box on every side', () => {
+    const trimmed = box(0, 0, 100, 100, { inset: 0.2 });
+    assert.deepEqual(colliderBounds(trimmed), { x: 20, y: 20, width: 60, height: 60 });
+    assert.ok(!checkCollision(trimmed, box(5, 5)));
+    assert.ok(checkCollision(trimmed, box(25, 25)));
+});
+
+test('circles miss in the corners of their box', () => {
+    const circle = box(0, 0, 100, 100, { shape: 'circle', radius: 0.5 });
+    assert.ok(!checkCollision(circle, box(0, 0, 10, 10)));
+    assert.ok(checkCollision(circle, box(45, 45)));
+});
+
+test('polygons collide only inside their outline', () => {
+    const triangle = box(0, 0, 100, 100, { shape: 'polygon', points: [[0.5, 0], [1, 1], [0, 1]] });
+    assert.ok(!checkCollision(triangle, box(0, 0, 10, 10)));
+    assert.ok(checkCollision(triangle, box(45, 50)));
+});
+
+test('capsules follow their angle', () => {
+    const down = { x: 50, y: 0, width: 6, height: 40, angle: Math.PI / 2, collider: { shape: 'capsule' } };
+    assert.ok(checkCollision(down, box(45, 30)));
+    assert.ok(!checkCollision(down, box(80, 30)));
+
+    const right = { ...down, angle: 0 };
+    assert.ok(checkCollision(right, box(80, -5)));
+    assert.ok(!checkCollision(right, box(45, 30)));
+});
+
+test('boundsOverlap and circlesOverlap', () => {
+    assert.ok(boundsOverlap({ x: 0, y: 0, width: 10, height: 10 }, { x: 9, y: 9, width: 5, height: 5 }));
+    assert.ok(!boundsOverlap({ x: 0, y: 0, width: 10, height: 10 }, { x: 10, y: 0, width: 5, height: 5 }));
+    assert.ok(circlesOverlap(0, 0, 5, 8, 0, 4));
+    assert.ok(!circlesOverlap(0, 0, 5, 10, 0, 4));
+});
+
+test('SpatialHash returns nearby items once each, in insertion order', () => {
+    const hash = new SpatialHash(50);
+    const wide = box(0, 0, 120, 10);  // spans three cells
+    const near = box(60, 0);
+    const far = box(500, 500);
+    hash.rebuild([far, near, wide]);
+
+    assert.deepEqual(hash.query({ x: 0, y: 0, width: 100, height: 20 }), [near, wide]);
+    assert.deepEqual(hash.nearby(box(505, 505)), [far]);
+
+    hash.remove(near);
+    assert.deepEqual(hash.query({ x: 0, y: 0, width: 100, height: 20 }), [wide]);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation } from '../js/core/simulation.js';
+import { CONFIG } from '../js/core/settings.js';
+import { DAILY_TUNING, dailyChallenge } from '../js/core/daily.js';
+import { scriptedInput, snapshot } from './helpers.mjs';
+
+const STEP = CONFIG.simulationStep;
+
+// A daily run the way gameloop.js starts one, on a screen of the given size
+function playDaily(challenge, screen, ticks = 1200) {
+    const sim = new GameSimulation({ ...screen, seed: challenge.seed, difficulty: challenge.difficulty, mode: challenge.mode });
+    sim.setModifiers(challenge.modifiers);
+    sim.resize(challenge.world.width, challenge.world.height);
+    sim.reset(challenge.seed);
+    for (let tick = 0; tick < ticks; tick++) sim.step(STEP, scriptedInput(tick));
+    return snapshot(sim);
+}
+
+test('a date always gives the same challenge on the fixed playfield', () => {
+    const challenge = dailyChallenge('2026-10-18');
+    assert.deepEqual(dailyChallenge('2026-10-18'), challenge);
+    assert.deepEqual(challenge.world, DAILY_TUNING.world);
+
+    challenge.world.width = 1; // ✅ Each challenge gets its own copy
+    assert.deepEqual(dailyChallenge('2026-10-18').world, DAILY_TUNING.world);
+});
+
+test('the same date plays the same on different screen sizes', () => {
+    const challenge = dailyChallenge('2026-10-18');
+    assert.deepEqual(
+        playDaily(challenge, { width: 390, height: 844 }),
+        playDaily(challenge, { width: 2560, height: 1440 })
+    );
+});
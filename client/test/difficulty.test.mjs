@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADAPTIVE_TUNING, AdaptiveDifficulty, DIFFICULTY_PRESETS } from '../js/core/difficulty.js';
+
+const BOUNDS = { min: 0.7, max: 1.3 };
+const { interval, minShots, levelPar } = ADAPTIVE_TUNING;
+
+// One adjustment interval: a clean, accurate one or a rough, wild one
+function doingWell(director, shots) {
+    return director.update(interval, { shotsFired: shots.fired += 20, shotsHit: shots.hit += 18, levelTime: 0 });
+}
+
+function struggling(director, shots) {
+    director.recordDamage(100);
+    return director.update(interval, { shotsFired: shots.fired += 20, shotsHit: shots.hit += 1, levelTime: levelPar + 1 });
+}
+
+test('nothing changes until a full interval has passed', () => {
+    const director = new AdaptiveDifficulty(BOUNDS);
+    assert.equal(director.update(interval / 2, { shotsFired: 50, shotsHit: 50, levelTime: 0 }), null);
+    assert.equal(director.factor, 1);
+});
+
+test('doing well raises the factor one step at a time, never past the max', () => {
+    const director = new AdaptiveDifficulty(BOUNDS);
+    const shots = { fired: 0, hit: 0 };
+    assert.ok(Math.abs(doingWell(director, shots) - (1 + ADAPTIVE_TUNING.step)) < 1e-9);
+
+    for (let i = 0; i < 50; i++) doingWell(director, shots);
+    assert.equal(director.factor, BOUNDS.max);
+    assert.equal(doingWell(director, shots), null); // ✅ Already at the bound
+});
+
+test('struggling lowers the factor, never past the min', () => {
+    const director = new AdaptiveDifficulty(BOUNDS);
+    const shots = { fired: 0, hit: 0 };
+    for (let i = 0; i < 50; i++) struggling(director, shots);
+    assert.equal(director.factor, BOUNDS.min);
+    assert.equal(struggling(director, shots), null);
+});
+
+test('too few shots say nothing about accuracy', () => {
+    const director = new AdaptiveDifficulty(BOUNDS);
+    director.recordDamage(ADAPTIVE_TUNING.shieldLossPerMinute[0] * interval / 60 + 1); // ✅ Between the two loss limits
+    assert.equal(director.update(interval, { shotsFired: minShots - 1, shotsHit: 0, levelTime: 0 }), null);
+});
+
+test('a quick level clear is a step up straight away', () => {
+    const director = new AdaptiveDifficulty(BOUNDS);
+    assert.ok(director.recordLevel(levelPar / 2 - 1) > 1);
+    assert.equal(director.recordLevel(levelPar), null);
+});
+
+test('the starting factor sits inside every preset\'s bounds', () => {
+    for (const [key, preset] of Object.entries(DIFFICULTY_PRESETS)) {
+        const director = new AdaptiveDifficulty(preset.adaptive);
+        assert.ok(director.factor >= preset.adaptive.min && director.factor <= preset.adaptive.max, key);
+    }
+    assert.equal(new AdaptiveDifficulty({ min: 1.1, max: 1.5 }).factor, 1.1);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ENDLESS_TUNING, generateEndlessLevel } from '../js/core/endless.js';
+
+test('the same seed and level number give the same level', () => {
+    for (const number of [1, 4, 5, 12]) {
+        assert.deepEqual(generateEndlessLevel(number, 1234), generateEndlessLevel(number, 1234));
+    }
+});
+
+test('a level doesn\'t depend on the levels generated before it', () => {
+    const direct = generateEndlessLevel(7, 99);
+    for (let number = 1; number < 7; number++) generateEndlessLevel(number, 99);
+    assert.deepEqual(generateEndlessLevel(7, 99), direct);
+});
+
+test('different seeds give different levels', () => {
+    const levels = [1, 2, 3, 4, 5].map(seed => JSON.stringify(generateEndlessLevel(6, seed)));
+    assert.ok(new Set(levels).size > 1);
+});
+
+test('levels get harder and stop at the tuning caps', () => {
+    const first = generateEndlessLevel(1, 7);
+    const tenth = generateEndlessLevel(10, 7);
+    assert.ok(tenth.enemiesNeeded > first.enemiesNeeded);
+    assert.ok(tenth.enemies.spawnRate > first.enemies.spawnRate);
+
+    const far = generateEndlessLevel(500, 7);
+    assert.equal(far.enemiesNeeded, ENDLESS_TUNING.enemiesNeeded.max);
+    assert.equal(far.enemies.maxOnScreen, ENDLESS_TUNING.maxOnScreen.max);
+});
+
+test('archetypes unlock on their level', () => {
+    assert.deepEqual(Object.keys(generateEndlessLevel(1, 3).enemies.types), ['fighter']);
+    assert.ok('carrier' in generateEndlessLevel(ENDLESS_TUNING.unlocks.carrier, 3).enemies.types);
+});
+
+test('a mini-boss closes every few levels, tougher each time', () => {
+    const every = ENDLESS_TUNING.miniBossEvery;
+    assert.equal(generateEndlessLevel(every - 1, 5).boss, null);
+    const first = generateEndlessLevel(every, 5).boss;
+    const second = generateEndlessLevel(every * 2, 5).boss;
+    assert.equal(first.type, ENDLESS_TUNING.miniBoss);
+    assert.ok(second.health > first.health);
+});
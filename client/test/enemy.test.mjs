@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeEnemyDefinition } from '../js/core/enemy.js';
+import { ENEMY_TYPES } from '../js/core/enemies.js';
+
+// A minimal drone with extra fields and behaviors
+function errorsFor(extra = {}, behaviors = [{ type: 'seek' }]) {
+    const errors = [];
+    normalizeEnemyDefinition({ width: 40, height: 40, health: 1, behaviors, ...extra }, 'enemies.test', errors, ENEMY_TYPES);
+    return errors;
+}
+
+test('a plain definition validates', () => {
+    assert.deepEqual(errorsFor(), []);
+});
+
+test('launch intervals must be above zero and its counts positive whole numbers', () => {
+    assert.deepEqual(errorsFor({}, [{ type: 'launch', interval: 0 }]), ['enemies.test.behaviors[0].interval: must be greater than 0']);
+    assert.deepEqual(errorsFor({}, [{ type: 'launch', interval: -2 }]), ['enemies.test.behaviors[0].interval: must be greater than 0']);
+    assert.deepEqual(errorsFor({}, [{ type: 'launch', count: -1 }]), ['enemies.test.behaviors[0].count: must be a positive whole number']);
+    assert.deepEqual(errorsFor({}, [{ type: 'launch', max: 1.5 }]), ['enemies.test.behaviors[0].max: must be a positive whole number']);
+});
+
+test('shot intervals can\'t start at zero', () => {
+    assert.deepEqual(errorsFor({}, [{ type: 'spreadShot', interval: [0, 1] }]), ['enemies.test.behaviors[0].interval: must be greater than 0']);
+    assert.deepEqual(errorsFor({}, [{ type: 'spreadShot', shots: 0 }]), ['enemies.test.behaviors[0].shots: must be a positive whole number']);
+});
+
+test('colliders are checked against the shapes collisions.js understands', () => {
+    assert.deepEqual(errorsFor({ collider: { shape: 'circle', radius: 0.4 } }), []);
+    assert.deepEqual(errorsFor({ collider: { inset: 0.2 } }), []);
+    assert.deepEqual(errorsFor({ collider: { shape: 'hexagon' } }), ['enemies.test.collider.shape: must be one of box, circle, polygon, capsule']);
+    assert.deepEqual(errorsFor({ collider: { shape: 'circle' } }), ['enemies.test.collider.radius: must be a number greater than 0']);
+    assert.deepEqual(errorsFor({ collider: { shape: 'polygon', points: [[0, 0], [1, 1]] } }), ['enemies.test.collider.points: must be 3 or more [x, y] points']);
+    assert.deepEqual(
+        errorsFor({ collider: { shape: 'polygon', points: [[0, 0], [1, 0], [0.5, 0.2], [0.5, 1]] } }),
+        ['enemies.test.collider.points: must outline a convex shape']
+    );
+    assert.deepEqual(errorsFor({ collider: { shape: 'circle', radius: 0.4, inset: 0.1 } }), ['enemies.test.collider.inset: unknown field']);
+    assert.deepEqual(errorsFor({ collider: 'round' }), ['enemies.test.collider: must be an object']);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Laser } from '../js/core/entities.js';
+import { Pool } from '../js/core/pool.js';
+
+test('a new laser keeps its angle and homing, like a pooled one', () => {
+    const fresh = new Laser(10, 20, 8, 24, 0.5, true);
+    assert.equal(fresh.angle, 0.5);
+    assert.equal(fresh.homing, true);
+
+    const reused = new Laser(0, 0).reset(10, 20, 8, 24, 0.5, true);
+    assert.deepEqual({ ...fresh }, { ...reused });
+});
+
+test('the laser pool hands out the same laser whether it allocates or reuses', () => {
+    const pool = new Pool(Laser);
+    const allocated = pool.acquire(10, 20, 8, 24, -0.5, true);
+    pool.release(allocated);
+    const reused = pool.acquire(30, 40, 8, 24, 0.25, false);
+
+    assert.equal(reused, allocated);
+    assert.equal(reused.angle, 0.25);
+    assert.equal(reused.homing, false);
+    assert.equal(new Pool(Laser).acquire(30, 40, 8, 24, 0.25, false).angle, 0.25);
+});
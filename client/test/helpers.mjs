@@ -0,0 +1,42 @@
+// Shared fixtures for the core tests: scripted input and state snapshots that
+// two simulations can be compared by.
+import { readFileSync } from 'node:fs';
+import { validateCampaign } from '../js/core/levels.js';
+
+const CAMPAIGN_PATH = new URL('../data/campaigns/drazzan-invasion.json', import.meta.url);
+
+// The shipped campaign, validated the way loadCampaign does in the browser
+function loadCampaignFile() {
+    return validateCampaign(JSON.parse(readFileSync(CAMPAIGN_PATH, 'utf8')), 'drazzan-invasion.json');
+}
+
+// A pilot that weaves side to side with the trigger held, pausing now and
+// then; `secondaryEvery` ticks it also fires the secondary weapon
+function scriptedInput(tick, { secondaryEvery = 0 } = {}) {
+    const phase = Math.floor(tick / 45) % 4;
+    return {
+        left: phase === 1,
+        right: phase === 3,
+        up: tick % 300 < 20,
+        down: tick % 300 >= 150 && tick % 300 < 170,
+        fire: tick % 240 < 200,
+        secondary: secondaryEvery > 0 && tick % secondaryEvery === 0
+    };
+}
+
+// Everything a diverging run would show up in
+function snapshot(sim) {
+    const round = value => Math.round(value * 1000) / 1000;
+    return {
+        time: round(sim.time),
+        score: sim.score,
+        level: sim.level,
+        gameOver: sim.gameOver,
+        player: { x: round(sim.player.x), y: round(sim.player.y), shield: sim.player.shield, lives: sim.player.lives },
+        lasers: sim.lasers.map(laser => [round(laser.x), round(laser.y), round(laser.angle), laser.homing]),
+        asteroids: sim.asteroids.map(asteroid => [round(asteroid.x), round(asteroid.y), asteroid.size]),
+        enemies: sim.enemies.map(enemy => [enemy.type, round(enemy.x), round(enemy.y)])
+    };
+}
+
+export { loadCampaignFile, scriptedInput, snapshot };
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { GameSimulation } from '../js/core/simulation.js';
+import { ReplayRecorder, parseReplay } from '../js/core/replay.js';
+import { DIFFICULTY_PRESETS } from '../js/core/difficulty.js';
+import { CONFIG } from '../js/core/settings.js';
+import { loadCampaignFile, scriptedInput } from './helpers.mjs';
+
+const LEADERBOARD_SOURCE = readFileSync(new URL('../js/leaderboard.js', import.meta.url), 'utf8');
+
+// leaderboard.js is a classic script: run it in a page of its own, with just
+// enough localStorage and download plumbing for the export to hand back its file
+function loadLeaderboard() {
+    const storage = new Map();
+    const page = {
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value))
+        },
+        Blob: class { constructor(parts) { page.exported = parts.join(''); } },
+        URL: { createObjectURL: () => 'blob:export', revokeObjectURL: () => {} },
+        document: {
+            createElement: () => ({ click() {}, remove() {} }),
+            body: { appendChild() {} }
+        },
+        console: { warn() {} },
+        DIFFICULTY_PRESETS,
+        parseReplay
+    };
+    page.window = page;
+    vm.createContext(page);
+    vm.runInContext(LEADERBOARD_SOURCE, page);
+    return page;
+}
+
+// Values from the page's realm, as plain data to compare against
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function recordReplay(seed) {
+    const sim = new GameSimulation({ seed, campaign: loadCampaignFile() });
+    const recorder = new ReplayRecorder();
+    recorder.start(sim, CONFIG.simulationStep);
+    for (let tick = 0; tick < 120; tick++) {
+        const input = scriptedInput(tick);
+        recorder.record(input);
+        sim.step(CONFIG.simulationStep, input);
+    }
+    return recorder.toReplay({ score: sim.score });
+}
+
+test('an export imports into an empty table unchanged, replays included', () => {
+    const source = loadLeaderboard();
+    source.saveScore({ score: 4200, mode: 'campaign', difficulty: 'ace', level: 3, time: 310, seed: 8 }, recordReplay(8));
+    source.saveScore({ score: 900, mode: 'endless', level: 6, time: 95, seed: 9 });
+    source.saveScore({ score: 0, mode: 'bossRush', time: 142.5, victory: true });
+    source.exportHighScores();
+
+    const target = loadLeaderboard();
+    assert.equal(target.importHighScores(source.exported), 3);
+    assert.deepEqual(plain(target.loadHighScores()), plain(source.loadHighScores()));
+    assert.deepEqual(plain(target.loadHighScoreReplays()), plain(source.loadHighScoreReplays()));
+});
+
+test('importing merges by id and skips entries already on the table', () => {
+    const source = loadLeaderboard();
+    source.saveScore({ score: 500, mode: 'campaign' });
+    source.exportHighScores();
+    const firstExport = source.exported;
+
+    const target = loadLeaderboard();
+    target.saveScore({ score: 700, mode: 'campaign' });
+    assert.equal(target.importHighScores(firstExport), 1);
+    assert.equal(target.importHighScores(firstExport), 0);
+    assert.deepEqual(plain(target.loadHighScores().map(entry => entry.score)), [700, 500]);
+
+    target.exportHighScores();
+    assert.equal(source.importHighScores(target.exported), 1); // ✅ Only the 700 is new to the source
+    assert.deepEqual(plain(source.loadHighScores()), plain(target.loadHighScores()));
+});
+
+test('imported entries are normalized and bad ones dropped', () => {
+    const page = loadLeaderboard();
+    const file = JSON.stringify({
+        format: 'drazzan-highscores',
+        version: 1,
+        entries: [
+            { id: 'a', name: 'Ace', score: 300, date: '<img src=x onerror=alert(1)>', replay: { format: 'nope' } },
+            { id: 'b', score: 'lots' },
+            { id: 'c', score: 100, mode: 'bossRush' } // No clear time to rank by
+        ]
+    });
+    assert.equal(page.importHighScores(file), 1);
+    const [entry] = page.loadHighScores();
+    assert.equal(entry.date, null);
+    assert.equal(entry.replay, null);
+});
+
+test('files that aren\'t high score exports are rejected', () => {
+    const page = loadLeaderboard();
+    assert.throws(() => page.importHighScores('{'), /not JSON/);
+    assert.throws(() => page.importHighScores('{"entries":[]}'), /not a Drazzan high score export/);
+    assert.throws(() => page.importHighScores('{"format":"drazzan-highscores","version":9,"entries":[]}'), /Unsupported high score file version 9/);
+});
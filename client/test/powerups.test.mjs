@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { POWER_UPS, PowerUpTimers } from '../js/core/powerups.js';
+
+test('refresh starts the timer over without adding levels', () => {
+    const timers = new PowerUpTimers();
+    timers.collect('rapid');
+    timers.update(4);
+    timers.collect('rapid');
+    assert.equal(timers.remaining('rapid'), POWER_UPS.rapid.duration);
+    assert.equal(timers.level('rapid'), 1);
+});
+
+test('extend adds the duration, up to its cap', () => {
+    const { duration, maxDuration } = POWER_UPS.doubleFire;
+    const timers = new PowerUpTimers();
+    timers.collect('doubleFire');
+    timers.update(5);
+    timers.collect('doubleFire');
+    assert.equal(timers.remaining('doubleFire'), duration * 2 - 5);
+
+    for (let i = 0; i < 5; i++) timers.collect('doubleFire');
+    assert.equal(timers.remaining('doubleFire'), maxDuration);
+    assert.equal(timers.list()[0].duration, maxDuration); // ✅ The HUD bar drains from the longest it has been
+});
+
+test('stack adds a level, up to its cap, and starts the timer over', () => {
+    const { duration, maxStacks } = POWER_UPS.spread;
+    const timers = new PowerUpTimers();
+    timers.collect('spread');
+    timers.update(3);
+    timers.collect('spread');
+    assert.equal(timers.level('spread'), 2);
+    assert.equal(timers.remaining('spread'), duration);
+
+    for (let i = 0; i < 5; i++) timers.collect('spread');
+    assert.equal(timers.level('spread'), maxStacks);
+});
+
+test('instant effects are never timed', () => {
+    const timers = new PowerUpTimers();
+    assert.equal(timers.collect('shield'), null);
+    assert.equal(timers.has('shield'), false);
+});
+
+test('update reports what ran out and forgets it', () => {
+    const timers = new PowerUpTimers();
+    timers.collect('timeSlow');
+    timers.collect('magnet');
+    assert.deepEqual(timers.update(POWER_UPS.timeSlow.duration), ['timeSlow']);
+    assert.equal(timers.level('timeSlow'), 0);
+    assert.equal(timers.has('magnet'), true);
+});
+
+test('unknown power-ups throw', () => {
+    assert.throws(() => new PowerUpTimers().collect('laserSword'), /Unknown power-up "laserSword"/);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation } from '../js/core/simulation.js';
+import { ReplayRecorder, ReplayPlayer, serializeReplay, parseReplay } from '../js/core/replay.js';
+import { CONFIG } from '../js/core/settings.js';
+import { loadCampaignFile, scriptedInput, snapshot } from './helpers.mjs';
+
+const STEP = CONFIG.simulationStep;
+const TICKS = 1800;
+
+// A live run recorded tick by tick, with snapshots to compare playback against
+function recordRun(seed, inputOptions = {}) {
+    const sim = new GameSimulation({ seed, campaign: loadCampaignFile() });
+    const recorder = new ReplayRecorder();
+    recorder.start(sim, STEP);
+
+    const snapshots = new Map();
+    for (let tick = 0; tick < TICKS; tick++) {
+        const input = scriptedInput(tick, inputOptions);
+        recorder.record(input);
+        sim.step(STEP, input);
+        if ((tick + 1) % 300 === 0) snapshots.set(tick + 1, snapshot(sim));
+    }
+    return { sim, replay: recorder.toReplay({ score: sim.score }), snapshots };
+}
+
+test('a replay plays back to the same state as the live run', () => {
+    const { sim, replay } = recordRun(11);
+    const player = new ReplayPlayer(parseReplay(serializeReplay(replay)));
+    player.seek(replay.ticks);
+    assert.ok(player.finished);
+    assert.deepEqual(snapshot(player.simulation), snapshot(sim));
+});
+
+test('seeking backwards and forwards matches the live run at every point', () => {
+    const { sim, replay, snapshots } = recordRun(12);
+    const player = new ReplayPlayer(replay);
+
+    player.seek(replay.ticks);
+    for (const tick of [900, 300, 1500, 600]) {
+        player.seek(tick);
+        assert.deepEqual(snapshot(player.simulation), snapshots.get(tick), `at tick ${tick}`);
+    }
+    player.seek(replay.ticks);
+    assert.deepEqual(snapshot(player.simulation), snapshot(sim));
+});
+
+test('advance runs whole ticks at the playback speed', () => {
+    const { replay } = recordRun(13);
+    const player = new ReplayPlayer(replay);
+    player.setSpeed(2);
+    assert.equal(player.advance(STEP * 10), 20);
+    assert.equal(player.tick, 20);
+});
+
+test('parseReplay rejects what it cannot play', () => {
+    assert.throws(() => parseReplay('not json'));
+    assert.throws(() => parseReplay(JSON.stringify({ format: 'something-else' })));
+});
+
+test('held fire and secondary missiles round-trip through a replay file, seeking included', () => {
+    const { sim, replay, snapshots } = recordRun(14, { secondaryEvery: 200 });
+    assert.ok(replay.inputs.length > 2, 'the recording holds more than one input state');
+
+    const player = new ReplayPlayer(parseReplay(serializeReplay(replay)));
+    let missiles = 0;
+    player.simulation.on('secondaryFired', () => { missiles++; });
+    player.seek(replay.ticks);
+    assert.ok(missiles > 0, 'the secondary weapon fired');
+    assert.deepEqual(snapshot(player.simulation), snapshot(sim));
+
+    // ✅ After a seek the pool holds spare projectiles; fresh ones must fly the same way
+    for (const tick of [300, 1200, 600]) {
+        player.seek(tick);
+        assert.deepEqual(snapshot(player.simulation), snapshots.get(tick), `at tick ${tick}`);
+    }
+});
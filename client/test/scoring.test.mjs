@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScoreKeeper, SCORE_SOURCES } from '../js/core/scoring.js';
+import { GameSettings } from '../js/core/settings.js';
+
+const { COMBO_WINDOW, COMBO_STEP, COMBO_MAX_MULTIPLIER, STREAK_INTERVAL, STREAK_STEP, STREAK_MAX_MULTIPLIER, NO_DAMAGE_BONUS } = GameSettings;
+
+function breakdownSum(summary) {
+    return Object.values(summary.breakdown).reduce((sum, points) => sum + points, 0);
+}
+
+test('each kill inside the combo window scores a step more', () => {
+    const scoring = new ScoreKeeper(GameSettings);
+    assert.equal(scoring.kill('enemy', 100), 100);
+    assert.equal(scoring.kill('enemy', 100), Math.round(100 * (1 + COMBO_STEP)));
+    assert.equal(scoring.chain, 2);
+});
+
+test('the combo breaks once its window runs out, and not before', () => {
+    const events = [];
+    const scoring = new ScoreKeeper(GameSettings, (type, detail) => events.push({ type, ...detail }));
+    scoring.kill('enemy', 50);
+    scoring.kill('enemy', 50);
+
+    scoring.update(COMBO_WINDOW - 0.1);
+    assert.equal(scoring.chain, 2);
+    scoring.update(0.2);
+    assert.equal(scoring.chain, 0);
+    assert.equal(scoring.comboMultiplier, 1);
+    assert.deepEqual(events.filter(event => event.type === 'comboChanged').at(-1), { type: 'comboChanged', chain: 0, multiplier: 1, ended: 2 });
+    assert.equal(scoring.kill('enemy', 50), 50); // ✅ A fresh chain starts at x1
+    assert.equal(scoring.bestChain, 2);
+});
+
+test('the combo multiplier stops at its cap', () => {
+    const scoring = new ScoreKeeper(GameSettings);
+    for (let i = 0; i < 100; i++) scoring.kill('asteroid', 10);
+    assert.equal(scoring.comboMultiplier, COMBO_MAX_MULTIPLIER);
+});
+
+test('the streak grows without hits, stops at its cap and resets on a hit', () => {
+    const scoring = new ScoreKeeper(GameSettings);
+    scoring.update(STREAK_INTERVAL);
+    assert.equal(scoring.streakMultiplier, 1 + STREAK_STEP);
+    scoring.update(STREAK_INTERVAL * 100);
+    assert.equal(scoring.streakMultiplier, STREAK_MAX_MULTIPLIER);
+    scoring.damaged();
+    assert.equal(scoring.streakMultiplier, 1);
+});
+
+test('breakdown entries always sum to the total', () => {
+    const scoring = new ScoreKeeper(GameSettings);
+    for (let level = 1; level <= 3; level++) {
+        for (let i = 0; i < 60; i++) {
+            scoring.update(i % 7 === 0 ? COMBO_WINDOW : 0.4); // ✅ Chains that break now and then
+            scoring.fired(3);
+            scoring.landed();
+            scoring.kill(i % 3 === 0 ? 'asteroid' : 'enemy', [20, 50, 75][i % 3] + level);
+            if (i % 5 === 0) scoring.graze();
+            if (i % 40 === 39) scoring.damaged();
+        }
+        scoring.award('boss', 1000 + level, { multiplied: false });
+        scoring.tallyLevel(level);
+        assert.equal(breakdownSum(scoring.summary()), scoring.total, `after level ${level}`);
+    }
+    assert.ok(scoring.summary().breakdown.combo > 0);
+    assert.ok(scoring.summary().breakdown.streak > 0);
+});
+
+test('level tallies award flat bonuses and count only that level', () => {
+    const scoring = new ScoreKeeper(GameSettings);
+    scoring.update(STREAK_INTERVAL * 4); // ✅ Multipliers would show if the bonus were multiplied
+    scoring.kill('enemy', 50);
+    scoring.kill('enemy', 50);
+
+    const tally = scoring.tallyLevel(1);
+    assert.equal(tally.noDamageBonus, NO_DAMAGE_BONUS);
+    assert.equal(tally.accuracyBonus, 0); // Too few shots to count
+    assert.equal(scoring.breakdown.noDamage, NO_DAMAGE_BONUS);
+    assert.equal(tally.kills, 2);
+
+    scoring.damaged();
+    assert.equal(scoring.tallyLevel(2).noDamageBonus, 0);
+    assert.equal(scoring.tallies.length, 2);
+});
+
+test('unknown score sources throw', () => {
+    const scoring = new ScoreKeeper(GameSettings);
+    assert.throws(() => scoring.award('cheat', 10), /Unknown score source "cheat"/);
+    assert.ok(SCORE_SOURCES.includes('graze'));
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSimulation } from '../js/core/simulation.js';
+import { CONFIG } from '../js/core/settings.js';
+import { loadCampaignFile, scriptedInput, snapshot } from './helpers.mjs';
+
+const STEP = CONFIG.simulationStep;
+
+function play(sim, ticks, inputFor = scriptedInput) {
+    for (let tick = 0; tick < ticks; tick++) sim.step(STEP, inputFor(tick));
+    return sim;
+}
+
+test('each step advances the clock by exactly dt', () => {
+    const sim = new GameSimulation({ seed: 1 });
+    play(sim, 120, () => ({}));
+    assert.ok(Math.abs(sim.time - 120 * STEP) < 1e-9);
+    assert.equal(sim.gameTime, Math.floor(sim.time));
+});
+
+test('held controls move the player and stop at the edge', () => {
+    const sim = new GameSimulation({ seed: 1 });
+    const startX = sim.player.x;
+    play(sim, 10, () => ({ left: true }));
+    assert.ok(sim.player.x < startX);
+
+    play(sim, 600, () => ({ left: true }));
+    assert.ok(sim.player.x <= 0 && sim.player.x > -sim.player.speed * STEP); // at most one step past
+});
+
+test('holding fire shoots at the weapon fire rate', () => {
+    const sim = new GameSimulation({ seed: 1 });
+    let shots = 0;
+    sim.on('laserFired', ({ shots: fired }) => { shots += fired; });
+    play(sim, 60, () => ({ fire: true }));
+    assert.equal(shots, 6); // laser: 6 shots a second
+});
+
+test('the same seed and inputs give the same run', () => {
+    const campaign = loadCampaignFile();
+    const a = play(new GameSimulation({ seed: 42, campaign }), 1800);
+    const b = play(new GameSimulation({ seed: 42, campaign }), 1800);
+    assert.deepEqual(snapshot(a), snapshot(b));
+});
+
+test('a different seed gives a different run', () => {
+    const campaign = loadCampaignFile();
+    const a = play(new GameSimulation({ seed: 42, campaign }), 600);
+    const b = play(new GameSimulation({ seed: 43, campaign }), 600);
+    assert.notDeepEqual(snapshot(a).asteroids, snapshot(b).asteroids);
+});
+
+test('reset replays the seed from the start', () => {
+    const campaign = loadCampaignFile();
+    const sim = play(new GameSimulation({ seed: 7, campaign }), 900);
+    const first = snapshot(sim);
+    sim.reset(7);
+    play(sim, 900);
+    assert.deepEqual(snapshot(sim), first);
+});
@@ -184,6 +184,7 @@ export function spawnEnemy(x: f32, y: f32, type: i32): i32 {
 }
 
 // Physics and collision detection
+// Mirrors circlesOverlap() in client/js/core/collisions.js - keep the two in sync
 function checkCollision(x1: f32, y1: f32, r1: f32, x2: f32, y2: f32, r2: f32): bool {
   const dx = x1 - x2;
   const dy = y1 - y2;